@@ -1,6 +1,6 @@
 /**
  * Difficulty Manager Module
- * Tracks performance and adjusts difficulty dynamically
+ * Tracks the player's skill rating and derives the difficulty level from it
  */
 
 const DifficultyManager = (function() {
@@ -10,9 +10,33 @@ const DifficultyManager = (function() {
     const MIN_DIFFICULTY = 1;
     const MAX_DIFFICULTY = 3;
 
-    // Thresholds for difficulty adjustment
-    const STREAK_FOR_LEVEL_UP = 3;    // 3 correct in a row to level up
-    const STREAK_FOR_LEVEL_DOWN = 3;  // 3 wrong in a row to level down
+    // Skill rating: an Elo-style number that rises with correct answers and falls with misses,
+    // by more when the result is a surprise for how hard the problem was
+    const RATING_SCALE = 400;   // A rating this far above a problem's expects 10 right answers for each miss
+    const RATING_K = 40;        // The most one answer can move the rating
+
+    // Rating range each level covers; players start a level at its midpoint
+    const LEVEL_RATINGS = {
+        1: [900, 1100],
+        2: [1100, 1300],
+        3: [1300, 1500]
+    };
+
+    // How far past a level's edge the rating must go before the level changes, so a
+    // player right on a boundary doesn't bounce between levels
+    const LEVEL_MARGIN = 25;
+
+    // Ratings kept for the skill trend (one per game), and how many games back the trend looks
+    const SKILL_HISTORY_LENGTH = 10;
+    const TREND_GAMES = 5;
+    const TREND_THRESHOLD = 10;
+
+    // Per-operation mastery: even a fully mastered operation keeps this much of a share when
+    // picking what to practice, and only the most recently practiced facts are kept
+    const MIN_PRACTICE_WEIGHT = 0.2;
+    const MAX_TRACKED_FACTS = 300;
+    const WEAK_FACT_ATTEMPTS = 2;   // Attempts before a fact can count as weak
+    const WEAK_FACTS_REPORTED = 3;
 
     // Difficulty level names
     const DIFFICULTY_NAMES = {
@@ -21,12 +45,103 @@ const DifficultyManager = (function() {
         3: 'Hard'
     };
 
+    // Operations a difficulty profile may use, and limits on its numbers
+    const PROFILE_OPERATIONS = ['+', '-', '*', '/'];
+    const PROFILE_REGROUPING = ['any', 'none', 'required', 'ones', 'tens', 'hundreds'];
+    const MAX_PROFILE_OPERAND = 1000;
+    const MAX_PROFILE_MULTIPLIER = 20;
+    const MAX_PROFILE_NAME_LENGTH = 24;
+
+    // Marker for shared profile files
+    const PROFILE_FILE_FORMAT = 'gorilla-tag-math-profile';
+    const PROFILE_FILE_VERSION = 1;
+
+    // Built-in profile, matching MathEngine's own level configuration
+    const DEFAULT_PROFILE = {
+        id: 'default',
+        name: 'Standard',
+        levels: {
+            1: { name: 'Easy', minOperand: 1, maxOperand: 10, operations: ['+', '-'], allowNegativeResults: false },
+            2: { name: 'Medium', minOperand: 1, maxOperand: 20, operations: ['+', '-', '*'], maxMultiplier: 10, allowNegativeResults: false },
+            3: { name: 'Hard', minOperand: 1, maxOperand: 50, operations: ['+', '-', '*', '/'], maxMultiplier: 12, allowNegativeResults: false }
+        }
+    };
+
     // Internal state
+    let activeProfile = DEFAULT_PROFILE;
     let currentDifficulty = 1;
-    let correctStreak = 0;
-    let incorrectStreak = 0;
+    let rating = getStartingRating(1);
+    let answered = 0;
+    let ratingHistory = [rating];
+    let operationSkills = {};   // Operation symbol -> {rating, level, answered, correct}
+    let factResults = {};       // Fact key (e.g. "7*8") -> {attempts, correct}, least recent first
     let lastAdjustment = null;
 
+    /**
+     * Gets the rating a player starts a level at
+     * @param {number} level - Difficulty level
+     * @returns {number} The middle of the level's rating range
+     */
+    function getStartingRating(level) {
+        const [low, high] = LEVEL_RATINGS[level] || LEVEL_RATINGS[MIN_DIFFICULTY];
+        return (low + high) / 2;
+    }
+
+    /**
+     * Clamps a level to the valid range
+     * @param {number} level - Difficulty level
+     * @returns {number} Level from 1 to 3
+     */
+    function clampLevel(level) {
+        return Math.max(MIN_DIFFICULTY, Math.min(MAX_DIFFICULTY, level));
+    }
+
+    /**
+     * Gets the level whose rating range holds a rating
+     * @param {number} value - Skill rating
+     * @returns {number} Difficulty level (1-3); ratings past either end get the end level
+     */
+    function getLevelForRating(value) {
+        let level = MIN_DIFFICULTY;
+        while (level < MAX_DIFFICULTY && value >= LEVEL_RATINGS[level + 1][0]) {
+            level++;
+        }
+        return level;
+    }
+
+    /**
+     * Gets the level a rating should be at, changing from the current level only once the
+     * rating is clearly past the level's edge
+     * @param {number} level - Current level
+     * @param {number} value - Rating after an answer
+     * @returns {number} Difficulty level (1-3)
+     */
+    function getNextLevel(level, value) {
+        const [low, high] = LEVEL_RATINGS[level];
+        return value >= high + LEVEL_MARGIN || value < low - LEVEL_MARGIN ? getLevelForRating(value) : level;
+    }
+
+    /**
+     * Gets how far the rating has come through its level's range
+     * @param {number} [level] - Level (the current level if not provided)
+     * @param {number} [value] - Rating (the player's if not provided)
+     * @returns {number} 0 (bottom of the level) to 1 (top)
+     */
+    function getLevelProgress(level = currentDifficulty, value = rating) {
+        const [low, high] = LEVEL_RATINGS[level];
+        return Math.min(Math.max((value - low) / (high - low), 0), 1);
+    }
+
+    /**
+     * Gets the chance a player of one rating answers a problem of another correctly
+     * @param {number} playerRating - Player rating
+     * @param {number} problemRating - Problem rating
+     * @returns {number} Expected result, 0-1
+     */
+    function getExpectedScore(playerRating, problemRating) {
+        return 1 / (1 + Math.pow(10, (problemRating - playerRating) / RATING_SCALE));
+    }
+
     /**
      * Gets the current difficulty level
      * @returns {number} Current difficulty (1-3)
@@ -40,7 +155,7 @@ const DifficultyManager = (function() {
      * @returns {string} Difficulty name
      */
     function getDifficultyName() {
-        return DIFFICULTY_NAMES[currentDifficulty] || 'Unknown';
+        return getDifficultyNameForLevel(currentDifficulty);
     }
 
     /**
@@ -49,94 +164,297 @@ const DifficultyManager = (function() {
      * @returns {string} Difficulty name
      */
     function getDifficultyNameForLevel(level) {
-        return DIFFICULTY_NAMES[level] || 'Unknown';
+        const levelConfig = activeProfile.levels[level];
+        return levelConfig ? levelConfig.name : 'Unknown';
     }
 
     /**
-     * Sets the difficulty level directly
+     * Sets the difficulty level directly, moving the rating to the start of that level
+     * The skill trend starts over from there, since the move isn't something the player earned
      * @param {number} level - New difficulty level (1-3)
      */
     function setDifficulty(level) {
-        const newLevel = Math.max(MIN_DIFFICULTY, Math.min(MAX_DIFFICULTY, level));
-        currentDifficulty = newLevel;
-        resetStreaks();
+        currentDifficulty = clampLevel(level);
+        rating = getStartingRating(currentDifficulty);
+        ratingHistory = [rating];
+        Object.keys(operationSkills).forEach(operation => {
+            operationSkills[operation] = { ...operationSkills[operation], rating, level: currentDifficulty };
+        });
     }
 
     /**
-     * Resets streak counters
+     * Gets the rating of a problem from its level and how hard it is within that level
+     * @param {number} level - The problem's difficulty level
+     * @param {number} [progress=0.5] - Position within the level, 0 (easiest) to 1 (hardest),
+     *     e.g. from MathEngine.getComplexityProgress
+     * @returns {number} Problem rating, on the same scale as the player's
      */
-    function resetStreaks() {
-        correctStreak = 0;
-        incorrectStreak = 0;
+    function getProblemRating(level, progress = 0.5) {
+        const [low, high] = LEVEL_RATINGS[clampLevel(level)];
+        return low + (high - low) * Math.min(Math.max(progress, 0), 1);
     }
 
     /**
-     * Records a correct answer and adjusts difficulty if needed
-     * @returns {object} {levelChanged: boolean, newLevel: number, direction: 'up'|'down'|null}
+     * Gets the chance the player answers a problem correctly, going by the ratings
+     * @param {number} problemRating - Problem rating
+     * @returns {number} Expected result, 0-1
      */
-    function recordCorrect() {
-        correctStreak++;
-        incorrectStreak = 0;
-
-        return checkForAdjustment();
+    function getExpectedResult(problemRating) {
+        return getExpectedScore(rating, problemRating);
     }
 
     /**
-     * Records an incorrect answer and adjusts difficulty if needed
-     * @returns {object} {levelChanged: boolean, newLevel: number, direction: 'up'|'down'|null}
+     * Records a correct answer, raising the rating
+     * @param {number} [problemRating] - How hard the problem was (see getProblemRating); unrated
+     *     problems count as an even match
+     * @param {number} [credit=1] - Share of full marks (0-1), for answers graded by closeness
+     * @param {object} [practice] - {operation, fact?}: the +, -, * or / fact the problem practiced
+     * @returns {object} {levelChanged, newLevel, previousLevel, direction, difficultyName, rating, ratingChange}
      */
-    function recordIncorrect() {
-        incorrectStreak++;
-        correctStreak = 0;
+    function recordCorrect(problemRating, credit = 1, practice) {
+        return recordResult(credit, problemRating, practice);
+    }
 
-        return checkForAdjustment();
+    /**
+     * Records an incorrect answer, lowering the rating
+     * @param {number} [problemRating] - How hard the problem was (see getProblemRating); unrated
+     *     problems count as an even match
+     * @param {object} [practice] - {operation, fact?}: the +, -, * or / fact the problem practiced
+     * @returns {object} {levelChanged, newLevel, previousLevel, direction, difficultyName, rating, ratingChange}
+     */
+    function recordIncorrect(problemRating, practice) {
+        return recordResult(0, problemRating, practice);
     }
 
     /**
-     * Checks if difficulty should be adjusted based on streaks
-     * @returns {object} {levelChanged: boolean, newLevel: number, direction: 'up'|'down'|null}
+     * Moves the rating by how much better or worse the result was than expected, then
+     * checks whether it has gone far enough past the level's edge to change level
+     * @param {number} result - 1 for correct, 0 for incorrect, or partial credit
+     * @param {number} [problemRating] - Problem rating (the player's own if not provided)
+     * @param {object} [practice] - {operation, fact?} to update that operation's mastery too
+     * @returns {object} {levelChanged, newLevel, previousLevel, direction, difficultyName, rating, ratingChange}
      */
-    function checkForAdjustment() {
-        let levelChanged = false;
-        let direction = null;
+    function recordResult(result, problemRating, practice) {
+        const rated = typeof problemRating === 'number';
+        const previousRating = rating;
         const previousLevel = currentDifficulty;
 
-        // Check for level up
-        if (correctStreak >= STREAK_FOR_LEVEL_UP && currentDifficulty < MAX_DIFFICULTY) {
-            currentDifficulty++;
-            levelChanged = true;
-            direction = 'up';
-            resetStreaks();
-            lastAdjustment = { direction: 'up', timestamp: Date.now() };
+        if (practice && PROFILE_OPERATIONS.includes(practice.operation)) {
+            recordPractice(practice, result, rated ? problemRating : null);
         }
-        // Check for level down
-        else if (incorrectStreak >= STREAK_FOR_LEVEL_DOWN && currentDifficulty > MIN_DIFFICULTY) {
-            currentDifficulty--;
-            levelChanged = true;
-            direction = 'down';
-            resetStreaks();
-            lastAdjustment = { direction: 'down', timestamp: Date.now() };
+
+        rating += RATING_K * (result - getExpectedResult(rated ? problemRating : rating));
+        answered++;
+        currentDifficulty = getNextLevel(currentDifficulty, rating);
+
+        let direction = null;
+        if (currentDifficulty !== previousLevel) {
+            direction = currentDifficulty > previousLevel ? 'up' : 'down';
+            lastAdjustment = { direction, timestamp: Date.now() };
         }
 
         return {
-            levelChanged,
+            levelChanged: direction !== null,
             newLevel: currentDifficulty,
             previousLevel,
             direction,
-            difficultyName: getDifficultyName()
+            difficultyName: getDifficultyName(),
+            rating: Math.round(rating),
+            ratingChange: Math.round(rating - previousRating)
         };
     }
 
     /**
-     * Updates difficulty based on recent performance
-     * @param {number} recentCorrect - Number of recent correct answers
-     * @param {number} recentIncorrect - Number of recent incorrect answers
-     * @returns {object} Adjustment result
+     * Updates one operation's rating and level, and the tally for the fact practiced
+     * An operation seen for the first time starts at the player's overall rating
+     * @param {object} practice - {operation, fact?}
+     * @param {number} result - 1 for correct, 0 for incorrect, or partial credit
+     * @param {number|null} problemRating - Problem rating (an even match for the operation if null)
+     */
+    function recordPractice(practice, result, problemRating) {
+        const skill = getOperationState(practice.operation);
+        const expected = getExpectedScore(skill.rating, problemRating === null ? skill.rating : problemRating);
+        const operationRating = skill.rating + RATING_K * (result - expected);
+
+        operationSkills[practice.operation] = {
+            rating: operationRating,
+            level: getNextLevel(skill.level, operationRating),
+            answered: skill.answered + 1,
+            correct: skill.correct + (result >= 1 ? 1 : 0)
+        };
+
+        if (practice.fact) {
+            const fact = factResults[practice.fact] || { attempts: 0, correct: 0 };
+
+            // Re-adding the fact moves it to the end, so the least recently practiced go first
+            delete factResults[practice.fact];
+            factResults[practice.fact] = {
+                attempts: fact.attempts + 1,
+                correct: fact.correct + (result >= 1 ? 1 : 0)
+            };
+
+            const facts = Object.keys(factResults);
+            facts.slice(0, Math.max(0, facts.length - MAX_TRACKED_FACTS)).forEach(key => {
+                delete factResults[key];
+            });
+        }
+    }
+
+    /**
+     * Gets one operation's rating and level
+     * Operations not practiced yet go by the player's overall rating
+     * @param {string} operation - Operation symbol (+, -, *, /)
+     * @returns {object} {rating, level, levelProgress, answered, correct}
+     */
+    function getOperationState(operation) {
+        const skill = operationSkills[operation] || { rating, level: currentDifficulty, answered: 0, correct: 0 };
+        return { ...skill, levelProgress: getLevelProgress(skill.level, skill.rating) };
+    }
+
+    /**
+     * Gets how well the player has mastered an operation: the chance of a correct answer to a
+     * typical problem at the player's overall level
+     * @param {string} operation - Operation symbol (+, -, *, /)
+     * @returns {number} Mastery, 0-1
      */
-    function adjustDifficulty(recentCorrect, recentIncorrect) {
-        correctStreak = recentCorrect;
-        incorrectStreak = recentIncorrect;
-        return checkForAdjustment();
+    function getMastery(operation) {
+        return getExpectedScore(getOperationState(operation).rating, getProblemRating(currentDifficulty));
+    }
+
+    /**
+     * Picks the operation to practice next, favouring the ones the player is weakest at
+     * @param {string[]} operations - Operations to choose from (e.g. the level's)
+     * @param {function} [random=Math.random] - Random source
+     * @returns {string|null} Operation symbol, or null if there are none
+     */
+    function pickOperation(operations, random = Math.random) {
+        if (!operations || operations.length === 0) {
+            return null;
+        }
+
+        const weights = operations.map(operation => 1 - getMastery(operation) + MIN_PRACTICE_WEIGHT);
+        let roll = random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < operations.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) {
+                return operations[i];
+            }
+        }
+        return operations[operations.length - 1];
+    }
+
+    /**
+     * Lists an operation's facts with the lowest accuracy
+     * @param {string} operation - Operation symbol (+, -, *, /)
+     * @returns {object[]} Up to WEAK_FACTS_REPORTED {fact, attempts, correct}, weakest first
+     */
+    function getWeakFacts(operation) {
+        return Object.keys(factResults)
+            .filter(fact => getFactOperation(fact) === operation)
+            .map(fact => ({ fact, ...factResults[fact] }))
+            .filter(result => result.attempts >= WEAK_FACT_ATTEMPTS && result.correct < result.attempts)
+            .sort((a, b) => a.correct / a.attempts - b.correct / b.attempts || b.attempts - a.attempts)
+            .slice(0, WEAK_FACTS_REPORTED);
+    }
+
+    /**
+     * Reads the operation out of a fact key
+     * @param {string} fact - Fact key, e.g. "7*8" or "-3-5"
+     * @returns {string|null} Operation symbol
+     */
+    function getFactOperation(fact) {
+        const match = fact.match(/^-?[\d.]+([-+*/])/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Gets the player's skill for saving between sessions
+     * @returns {object} {rating, answered, history: number[], operations, facts} where history holds
+     *     the rating at the end of each recent game, oldest first
+     */
+    function getSkill() {
+        return {
+            rating,
+            answered,
+            history: [...ratingHistory],
+            operations: JSON.parse(JSON.stringify(operationSkills)),
+            facts: JSON.parse(JSON.stringify(factResults))
+        };
+    }
+
+    /**
+     * Restores a saved skill; the level follows the rating
+     * @param {object|null} skill - Skill from getSkill, or null for a new player at the current level
+     * @throws {Error} If the skill is not a valid saved rating
+     */
+    function setSkill(skill) {
+        if (!skill) {
+            rating = getStartingRating(currentDifficulty);
+            answered = 0;
+            ratingHistory = [rating];
+            operationSkills = {};
+            factResults = {};
+            return;
+        }
+
+        const isRating = value => typeof value === 'number' && Number.isFinite(value);
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const operations = skill.operations || {};
+        const facts = skill.facts || {};
+        if (!isRating(skill.rating) || !Array.isArray(skill.history) || !skill.history.every(isRating) ||
+            Object.keys(operations).some(operation => !PROFILE_OPERATIONS.includes(operation) ||
+                !isRating(operations[operation].rating)) ||
+            Object.values(facts).some(fact => !isCount(fact.attempts) || !isCount(fact.correct))) {
+            throw new Error('Invalid skill rating');
+        }
+
+        rating = skill.rating;
+        answered = isCount(skill.answered) ? skill.answered : 0;
+        ratingHistory = skill.history.length > 0 ? skill.history.slice(-SKILL_HISTORY_LENGTH) : [rating];
+        currentDifficulty = getLevelForRating(rating);
+
+        operationSkills = {};
+        Object.keys(operations).forEach(operation => {
+            const saved = operations[operation];
+            operationSkills[operation] = {
+                rating: saved.rating,
+                level: LEVEL_RATINGS[saved.level] ? saved.level : getLevelForRating(saved.rating),
+                answered: isCount(saved.answered) ? saved.answered : 0,
+                correct: isCount(saved.correct) ? saved.correct : 0
+            };
+        });
+        factResults = JSON.parse(JSON.stringify(facts));
+    }
+
+    /**
+     * Closes a game: the current rating joins the history the skill trend is drawn from
+     * @returns {object} Skill to save (see getSkill)
+     */
+    function finishGame() {
+        ratingHistory = ratingHistory.concat(rating).slice(-SKILL_HISTORY_LENGTH);
+        return getSkill();
+    }
+
+    /**
+     * Gets how the rating has moved over the last few games
+     * @returns {object} {rating, change, direction: 'up'|'down'|'steady', history: number[]}
+     */
+    function getSkillTrend() {
+        const since = ratingHistory[Math.max(0, ratingHistory.length - 1 - TREND_GAMES)];
+        const change = Math.round(rating - since);
+        let direction = 'steady';
+        if (change >= TREND_THRESHOLD) {
+            direction = 'up';
+        } else if (change <= -TREND_THRESHOLD) {
+            direction = 'down';
+        }
+
+        return {
+            rating: Math.round(rating),
+            change,
+            direction,
+            history: ratingHistory.map(Math.round)
+        };
     }
 
     /**
@@ -144,17 +462,191 @@ const DifficultyManager = (function() {
      * @returns {string[]} Array of operation characters
      */
     function getAllowedOperations() {
-        if (typeof MathEngine !== 'undefined') {
-            return MathEngine.getAllowedOperations(currentDifficulty);
+        return [...activeProfile.levels[currentDifficulty].operations];
+    }
+
+    /**
+     * Checks a difficulty profile for problems
+     * @param {object} profile - Profile: {id, name, levels: {1, 2, 3}}
+     * @returns {object} {valid: boolean, errors: string[]}
+     */
+    function validateProfile(profile) {
+        const errors = [];
+        const isWholeNumber = value => Number.isInteger(value) && value >= 0;
+
+        if (!profile || typeof profile !== 'object') {
+            return { valid: false, errors: ['Profile must be an object'] };
+        }
+        if (typeof profile.name !== 'string' || !profile.name.trim()) {
+            errors.push('Profile needs a name');
+        } else if (profile.name.length > MAX_PROFILE_NAME_LENGTH) {
+            errors.push(`Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`);
+        }
+        if (!profile.levels || typeof profile.levels !== 'object') {
+            return { valid: false, errors: errors.concat('Profile needs settings for each level') };
         }
 
-        // Fallback if MathEngine is not loaded
-        const operationsByLevel = {
-            1: ['+', '-'],
-            2: ['+', '-', '*'],
-            3: ['+', '-', '*', '/']
-        };
-        return operationsByLevel[currentDifficulty] || ['+', '-'];
+        for (let level = MIN_DIFFICULTY; level <= MAX_DIFFICULTY; level++) {
+            const settings = profile.levels[level];
+            const prefix = `Level ${level}`;
+
+            if (!settings || typeof settings !== 'object') {
+                errors.push(`${prefix} is missing`);
+                continue;
+            }
+            if (typeof settings.name !== 'string' || !settings.name.trim()) {
+                errors.push(`${prefix} needs a name`);
+            } else if (settings.name.length > MAX_PROFILE_NAME_LENGTH) {
+                errors.push(`${prefix} name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`);
+            }
+            if (!isWholeNumber(settings.minOperand) || !isWholeNumber(settings.maxOperand)) {
+                errors.push(`${prefix} number range must be whole numbers`);
+            } else if (settings.minOperand > settings.maxOperand) {
+                errors.push(`${prefix} smallest number must not be bigger than the largest`);
+            } else if (settings.maxOperand > MAX_PROFILE_OPERAND) {
+                errors.push(`${prefix} largest number must be at most ${MAX_PROFILE_OPERAND}`);
+            }
+            if (!Array.isArray(settings.operations) || settings.operations.length === 0) {
+                errors.push(`${prefix} needs at least one operation`);
+            } else if (settings.operations.some(operation => !PROFILE_OPERATIONS.includes(operation))) {
+                errors.push(`${prefix} has an unknown operation`);
+            }
+            if (settings.maxMultiplier !== undefined &&
+                (!Number.isInteger(settings.maxMultiplier) || settings.maxMultiplier < 1 ||
+                    settings.maxMultiplier > MAX_PROFILE_MULTIPLIER)) {
+                errors.push(`${prefix} multiplier cap must be between 1 and ${MAX_PROFILE_MULTIPLIER}`);
+            }
+            if (settings.allowNegativeResults !== undefined && typeof settings.allowNegativeResults !== 'boolean') {
+                errors.push(`${prefix} negative numbers setting must be on or off`);
+            }
+            if (settings.regrouping !== undefined && !PROFILE_REGROUPING.includes(settings.regrouping)) {
+                errors.push(`${prefix} regrouping must be one of: ${PROFILE_REGROUPING.join(', ')}`);
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Copies a profile, keeping only the fields profiles may set
+     * @param {object} profile - Valid profile
+     * @returns {object} Clean copy
+     */
+    function copyProfile(profile) {
+        const levels = {};
+        for (let level = MIN_DIFFICULTY; level <= MAX_DIFFICULTY; level++) {
+            const settings = profile.levels[level];
+            levels[level] = {
+                name: settings.name.trim(),
+                minOperand: settings.minOperand,
+                maxOperand: settings.maxOperand,
+                operations: PROFILE_OPERATIONS.filter(operation => settings.operations.includes(operation)),
+                allowNegativeResults: !!settings.allowNegativeResults
+            };
+            if (settings.maxMultiplier !== undefined) {
+                levels[level].maxMultiplier = settings.maxMultiplier;
+            }
+            if (settings.regrouping !== undefined && settings.regrouping !== 'any') {
+                levels[level].regrouping = settings.regrouping;
+            }
+        }
+        return { id: profile.id, name: profile.name.trim(), levels };
+    }
+
+    /**
+     * Creates a new custom profile, starting from the settings of an existing one
+     * @param {string} name - Profile name
+     * @param {object} [base] - Profile to copy (the built-in profile if not provided)
+     * @returns {object} New profile with a fresh id
+     */
+    function createProfile(name, base) {
+        const profile = copyProfile(base || DEFAULT_PROFILE);
+        profile.id = 'custom-' + Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+        profile.name = name;
+        return profile;
+    }
+
+    /**
+     * Makes a profile the active one; its levels drive names, operations and number ranges
+     * @param {object|null} profile - Profile, or null for the built-in profile
+     * @throws {Error} If the profile is invalid
+     */
+    function setProfile(profile) {
+        if (!profile) {
+            activeProfile = DEFAULT_PROFILE;
+            return;
+        }
+
+        const { valid, errors } = validateProfile(profile);
+        if (!valid) {
+            throw new Error(`Invalid difficulty profile: ${errors[0]}`);
+        }
+        activeProfile = copyProfile(profile);
+    }
+
+    /**
+     * Gets the active profile
+     * @returns {object} Copy of the active profile
+     */
+    function getProfile() {
+        return copyProfile(activeProfile);
+    }
+
+    /**
+     * Gets MathEngine config overrides for a level of the active profile
+     * @param {number} [level] - Difficulty level (current level if not provided)
+     * @returns {object} {minOperand, maxOperand, operations, maxMultiplier?, allowNegativeResults, regrouping?}
+     */
+    function getLevelConfig(level = currentDifficulty) {
+        const levels = copyProfile(activeProfile).levels;
+        const { name, ...config } = levels[level] || levels[MIN_DIFFICULTY];
+        return config;
+    }
+
+    /**
+     * Serializes a profile for sharing as a JSON file
+     * @param {object} profile - Profile to export
+     * @returns {string} JSON text
+     */
+    function exportProfile(profile) {
+        return JSON.stringify({
+            format: PROFILE_FILE_FORMAT,
+            version: PROFILE_FILE_VERSION,
+            profile: copyProfile(profile)
+        }, null, 2);
+    }
+
+    /**
+     * Reads a profile from shared JSON text
+     * @param {string} json - Text from exportProfile
+     * @returns {object} Validated profile
+     * @throws {Error} If the text is not a valid profile file
+     */
+    function importProfile(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Profile file is not valid JSON');
+        }
+
+        if (!data || data.format !== PROFILE_FILE_FORMAT || !data.profile) {
+            throw new Error('File is not a difficulty profile');
+        }
+        if (data.version > PROFILE_FILE_VERSION) {
+            throw new Error('Profile file was made by a newer version of the game');
+        }
+
+        const { valid, errors } = validateProfile(data.profile);
+        if (!valid) {
+            throw new Error(`Invalid difficulty profile: ${errors[0]}`);
+        }
+
+        const profile = copyProfile(data.profile);
+        if (typeof profile.id !== 'string' || !profile.id || profile.id === DEFAULT_PROFILE.id) {
+            profile.id = createProfile(profile.name).id;
+        }
+        return profile;
     }
 
     /**
@@ -165,21 +657,19 @@ const DifficultyManager = (function() {
         return {
             difficulty: currentDifficulty,
             difficultyName: getDifficultyName(),
-            correctStreak,
-            incorrectStreak,
-            progressToLevelUp: Math.min(correctStreak / STREAK_FOR_LEVEL_UP, 1),
-            progressToLevelDown: Math.min(incorrectStreak / STREAK_FOR_LEVEL_DOWN, 1),
+            rating: Math.round(rating),
+            levelProgress: getLevelProgress(),
             lastAdjustment
         };
     }
 
     /**
-     * Resets the difficulty manager to initial state
+     * Resets the difficulty manager to a new player's state
      * @param {number} [startingDifficulty=1] - Starting difficulty level
      */
     function reset(startingDifficulty = 1) {
-        currentDifficulty = Math.max(MIN_DIFFICULTY, Math.min(MAX_DIFFICULTY, startingDifficulty));
-        resetStreaks();
+        currentDifficulty = clampLevel(startingDifficulty);
+        setSkill(null);
         lastAdjustment = null;
     }
 
@@ -188,39 +678,84 @@ const DifficultyManager = (function() {
      * @returns {object} Statistics
      */
     function getStats() {
+        const canLevelUp = currentDifficulty < MAX_DIFFICULTY;
+        const canLevelDown = currentDifficulty > MIN_DIFFICULTY;
+        const [low, high] = LEVEL_RATINGS[currentDifficulty];
+
         return {
             currentLevel: currentDifficulty,
             levelName: getDifficultyName(),
-            correctStreak,
-            incorrectStreak,
-            streakForLevelUp: STREAK_FOR_LEVEL_UP,
-            streakForLevelDown: STREAK_FOR_LEVEL_DOWN,
-            canLevelUp: currentDifficulty < MAX_DIFFICULTY,
-            canLevelDown: currentDifficulty > MIN_DIFFICULTY,
-            correctsUntilLevelUp: STREAK_FOR_LEVEL_UP - correctStreak,
-            incorrectsUntilLevelDown: STREAK_FOR_LEVEL_DOWN - incorrectStreak
+            rating: Math.round(rating),
+            answered,
+            levelProgress: getLevelProgress(),
+            canLevelUp,
+            canLevelDown,
+            ratingForLevelUp: canLevelUp ? high + LEVEL_MARGIN : null,
+            ratingForLevelDown: canLevelDown ? low - LEVEL_MARGIN : null,
+            operations: getOperationStats()
         };
     }
 
+    /**
+     * Gets mastery for each operation the player has practiced
+     * @returns {object} Operation symbol -> {rating, level, levelName, answered, correct, accuracy,
+     *     mastery, weakFacts}
+     */
+    function getOperationStats() {
+        const stats = {};
+        PROFILE_OPERATIONS.filter(operation => operationSkills[operation]).forEach(operation => {
+            const skill = operationSkills[operation];
+            stats[operation] = {
+                rating: Math.round(skill.rating),
+                level: skill.level,
+                levelName: getDifficultyNameForLevel(skill.level),
+                answered: skill.answered,
+                correct: skill.correct,
+                accuracy: skill.answered > 0 ? Math.round((skill.correct / skill.answered) * 100) : 0,
+                mastery: Math.round(getMastery(operation) * 100) / 100,
+                weakFacts: getWeakFacts(operation)
+            };
+        });
+        return stats;
+    }
+
     // Public API
     return {
         getCurrentDifficulty,
         getDifficultyName,
         getDifficultyNameForLevel,
         setDifficulty,
+        getProblemRating,
+        getExpectedResult,
         recordCorrect,
         recordIncorrect,
-        adjustDifficulty,
+        getOperationState,
+        getMastery,
+        pickOperation,
+        getSkill,
+        setSkill,
+        finishGame,
+        getSkillTrend,
         getAllowedOperations,
+        validateProfile,
+        createProfile,
+        setProfile,
+        getProfile,
+        getLevelConfig,
+        exportProfile,
+        importProfile,
         getState,
         getStats,
         reset,
         // Constants exposed for testing/configuration
         MIN_DIFFICULTY,
         MAX_DIFFICULTY,
-        STREAK_FOR_LEVEL_UP,
-        STREAK_FOR_LEVEL_DOWN,
-        DIFFICULTY_NAMES
+        LEVEL_RATINGS,
+        LEVEL_MARGIN,
+        RATING_K,
+        DIFFICULTY_NAMES,
+        DEFAULT_PROFILE,
+        PROFILE_REGROUPING
     };
 })();
 
@@ -0,0 +1,260 @@
+/**
+ * Equation Problems Module
+ * Registers the 'equation' problem type: one- and two-step linear equations such as
+ * "3x + 4 = 19", built backwards from a whole-number solution
+ * Depends on MathEngine
+ */
+
+const EquationProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'equation';
+
+    // Per level: how many steps, which operations act on the variable, and how big the numbers get
+    const LEVELS = {
+        1: { steps: [1], operations: ['+', '-'], maxCoefficient: 1, maxSolution: 10, maxConstant: 10 },
+        2: { steps: [1, 2], operations: ['+', '-', '*', '/'], maxCoefficient: 5, maxSolution: 10, maxConstant: 20 },
+        3: { steps: [2], operations: ['+', '-', '*', '/'], maxCoefficient: 10, maxSolution: 12, maxConstant: 50 }
+    };
+
+    const VARIABLE = 'x';
+
+    // How each step is undone in a worked solution
+    const INVERSES = {
+        '+': { operation: '-', action: n => `Subtract ${n} from both sides`, apply: (a, b) => a - b },
+        '-': { operation: '+', action: n => `Add ${n} to both sides`, apply: (a, b) => a + b },
+        '*': { operation: '/', action: n => `Divide both sides by ${n}`, apply: (a, b) => a / b },
+        '/': { operation: '*', action: n => `Multiply both sides by ${n}`, apply: (a, b) => a * b }
+    };
+
+    /**
+     * Draws a non-zero whole number, negative half the time when negatives are allowed
+     * @param {number} max - Largest size
+     * @param {boolean} allowNegative - Whether the number may be negative
+     * @param {function} random - Random source
+     * @returns {number} Number from 1 to max (or -max to -1)
+     */
+    function drawValue(max, allowNegative, random) {
+        const value = MathEngine.getRandomInt(1, max, random);
+        return allowNegative && random() < 0.5 ? -value : value;
+    }
+
+    /**
+     * Wraps a negative number in parentheses for use inside a calculation
+     * @param {number} value - Number
+     * @returns {string} e.g. "5" or "(−5)"
+     */
+    function formatOperand(value) {
+        return value < 0 ? `(${MathEngine.formatNumber(value)})` : MathEngine.formatNumber(value);
+    }
+
+    /**
+     * Renders the side of an equation that holds the variable
+     * @param {object[]} steps - Steps applied to the variable, in order: {operation, value}
+     * @param {string} variable - Variable name, or a number to substitute for it
+     * @param {boolean} [constantFirst] - Write a one-step sum as "4 + x" rather than "x + 4"
+     * @returns {string} e.g. "3x + 4", or "3 × 5 + 4" with a number substituted
+     */
+    function renderSide(steps, variable, constantFirst = false) {
+        const substituted = typeof variable === 'number';
+        let text = substituted ? formatOperand(variable) : variable;
+
+        steps.forEach(step => {
+            const value = MathEngine.formatNumber(step.value);
+            if (step.operation === '*') {
+                text = substituted ? `${value} ${MathEngine.getOperationSymbol('*')} ${text}` : `${value}${text}`;
+            } else if (step.operation === '/') {
+                text = substituted ? `${text} ${MathEngine.getOperationSymbol('/')} ${value}` : `${text}/${value}`;
+            } else if (constantFirst && step.operation === '+') {
+                text = `${value} + ${text}`;
+            } else {
+                text = `${text} ${MathEngine.getOperationSymbol(step.operation)} ${value}`;
+            }
+        });
+
+        return text;
+    }
+
+    /**
+     * Renders a whole equation
+     * @param {object} equation - {steps, result, variable, constantFirst}
+     * @returns {string} e.g. "x/5 - 2 = 3"
+     */
+    function renderEquation(equation) {
+        const side = renderSide(equation.steps, equation.variable, equation.constantFirst);
+        return `${side} = ${MathEngine.formatNumber(equation.result)}`;
+    }
+
+    /**
+     * Chooses which operations act on the variable
+     * Two-step equations scale the variable first, then add or subtract
+     * @param {object} settings - Level settings (config.equation)
+     * @param {function} random - Random source
+     * @returns {string[]} Operations in the order they apply
+     */
+    function planOperations(settings, random) {
+        const canScale = settings.maxCoefficient >= 2;
+        const additive = settings.operations.filter(operation => operation === '+' || operation === '-');
+        const scaling = canScale ? settings.operations.filter(operation => operation === '*' || operation === '/') : [];
+
+        if (MathEngine.pickRandom(settings.steps, random) === 2 && additive.length > 0 && scaling.length > 0) {
+            return [MathEngine.pickRandom(scaling, random), MathEngine.pickRandom(additive, random)];
+        }
+
+        const single = additive.concat(scaling);
+        return [single.length > 0 ? MathEngine.pickRandom(single, random) : '+'];
+    }
+
+    /**
+     * Generates an equation by picking the solution and applying each step to it
+     * @param {object} config - Difficulty configuration (settings in config.equation)
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateEquationProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const allowNegative = !!config.allowNegativeResults;
+        const operations = planOperations(settings, random);
+        const steps = [];
+
+        // A divided variable must be a multiple of the divisor, so division picks the solution itself
+        let solution;
+        let value;
+        if (operations[0] === '/') {
+            const divisor = MathEngine.getRandomInt(2, settings.maxCoefficient, random);
+            value = drawValue(settings.maxSolution, allowNegative, random);
+            solution = value * divisor;
+            steps.push({ operation: '/', value: divisor });
+        } else {
+            solution = drawValue(settings.maxSolution, allowNegative, random);
+            value = solution;
+            if (operations[0] === '*') {
+                const coefficient = MathEngine.getRandomInt(2, settings.maxCoefficient, random);
+                value *= coefficient;
+                steps.push({ operation: '*', value: coefficient });
+            }
+        }
+
+        const additive = operations.find(operation => operation === '+' || operation === '-');
+        if (additive) {
+            // Without negatives, only subtract what the left side can spare
+            const canSubtract = allowNegative || value >= 1;
+            const operation = additive === '-' && canSubtract ? '-' : '+';
+            const maxConstant = operation === '-' && !allowNegative
+                ? Math.min(settings.maxConstant, value)
+                : settings.maxConstant;
+            const constant = MathEngine.getRandomInt(1, maxConstant, random);
+            value = operation === '+' ? value + constant : value - constant;
+            steps.push({ operation, value: constant });
+        }
+
+        const equation = {
+            steps,
+            result: value,
+            variable: VARIABLE,
+            constantFirst: steps.length === 1 && steps[0].operation === '+' && random() < 0.5
+        };
+
+        return {
+            equation,
+            stepCount: steps.length,
+            displayText: `Solve for ${VARIABLE}: ${renderEquation(equation)}`,
+            correctAnswer: solution,
+            allowNegative
+        };
+    }
+
+    /**
+     * Checks an answer, accepting "x = 5" as well as "5"
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {object} problem - Equation problem
+     * @returns {object} Evaluation ({correct, reason, ...})
+     */
+    function checkEquationAnswer(userAnswer, problem) {
+        const variable = problem.equation.variable;
+        const text = String(userAnswer).trim().replace(new RegExp(`^${variable}\\s*=\\s*`, 'i'), '');
+        return MathEngine.evaluateAnswer(text, { type: 'arithmetic', correctAnswer: problem.correctAnswer });
+    }
+
+    /**
+     * Explains an equation by undoing each step with its inverse operation, last step first
+     * @param {object} problem - Equation problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveEquationProblem(problem) {
+        const { steps, variable } = problem.equation;
+        const lines = [];
+        let value = problem.equation.result;
+
+        lines.push(`Get ${variable} on its own by undoing what was done to it, last step first.`);
+
+        for (let i = steps.length - 1; i >= 0; i--) {
+            const step = steps[i];
+            const inverse = INVERSES[step.operation];
+            const next = inverse.apply(value, step.value);
+            const undone = step.operation === '*' || step.operation === '/'
+                ? `${step.operation === '*' ? 'multiplying' : 'dividing'} by ${step.value}`
+                : `the ${MathEngine.getOperationSymbol(step.operation)} ${step.value}`;
+
+            lines.push(`${inverse.action(step.value)} to undo ${undone}: ` +
+                `${renderSide(steps.slice(0, i), variable)} = ${MathEngine.formatNumber(value)} ` +
+                `${MathEngine.getOperationSymbol(inverse.operation)} ${step.value} = ${MathEngine.formatNumber(next)}.`);
+            value = next;
+        }
+
+        lines.push(`Check: ${renderSide(steps, value)} = ${MathEngine.formatNumber(problem.equation.result)}, ` +
+            `so ${variable} = ${MathEngine.formatNumber(value)}.`);
+
+        return { method: 'inverse-operations', steps: lines };
+    }
+
+    /**
+     * Scores an equation by its steps, coefficient size and signs
+     * @param {object} problem - Equation problem
+     * @returns {object} {score, tags, features}
+     */
+    function getEquationComplexity(problem) {
+        const { steps, result } = problem.equation;
+        const scale = steps.find(step => step.operation === '*' || step.operation === '/');
+        const coefficient = scale ? scale.value : 1;
+        const tags = [];
+        let score = 2 + (steps.length - 1) * 1.5;
+
+        if (steps.length > 1) {
+            tags.push('two-step');
+        }
+        if (scale && scale.operation === '/') {
+            tags.push('divide');
+            score += 0.5;
+        }
+        if (coefficient > 5) {
+            score += 1;
+        }
+        if (problem.correctAnswer < 0 || result < 0) {
+            tags.push('negative');
+            score += 1;
+        }
+
+        return { score, tags, features: { steps: steps.length, coefficient } };
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generateEquationProblem,
+        check: checkEquationAnswer,
+        solve: solveEquationProblem,
+        complexity: getEquationComplexity
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        renderEquation
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquationProblems;
+}
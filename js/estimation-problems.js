@@ -0,0 +1,289 @@
+/**
+ * Estimation Problems Module
+ * Registers the 'estimate' problem type: large-number sums, differences, products and quotients
+ * shown only briefly, where any answer within the problem's tolerance counts
+ * Depends on MathEngine
+ */
+
+const EstimationProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'estimate';
+
+    // Per level: operations, operand sizes, how close an estimate must be, and how long the problem shows.
+    // Differences are at least minDifference, wide enough that rounding both numbers one place below
+    // the leading digit still lands within the tolerance
+    const LEVELS = {
+        1: {
+            operations: ['+', '-'], minOperand: 100, maxOperand: 999, minDifference: 100,
+            tolerance: { type: 'percent', percent: 10 }, displayMs: 5000
+        },
+        2: {
+            operations: ['+', '-', '*'], minOperand: 100, maxOperand: 9999, minDifference: 1000, minMultiplier: 11, maxMultiplier: 99,
+            tolerance: { type: 'percent', percent: 10 }, displayMs: 4000
+        },
+        3: {
+            operations: ['+', '-', '*', '/'], minOperand: 1000, maxOperand: 99999, minDifference: 20000,
+            minMultiplier: 11, maxMultiplier: 99, maxDivisor: 9, tolerance: { type: 'percent', percent: 5 }, displayMs: 3000
+        }
+    };
+
+    const COMPLEXITY_BASE = { '+': 1.5, '-': 2, '*': 3, '/': 3 };
+
+    const CALCULATE = {
+        '+': (a, b) => a + b,
+        '-': (a, b) => a - b,
+        '*': (a, b) => a * b,
+        '/': (a, b) => a / b
+    };
+
+    /**
+     * Formats a whole number with thousands separators
+     * @param {number} value - Number
+     * @returns {string} e.g. "48,372"
+     */
+    function formatLarge(value) {
+        return MathEngine.formatNumber(value).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+
+    /**
+     * Works out a whole-number operation
+     * @param {number} a - First operand
+     * @param {number} b - Second operand
+     * @param {string} operation - Operation (+, -, *, /)
+     * @returns {number} Result
+     */
+    function calculate(a, b, operation) {
+        return CALCULATE[operation](a, b);
+    }
+
+    /**
+     * Counts a whole number's digits
+     * @param {number} value - Number
+     * @returns {number} Digit count
+     */
+    function countDigits(value) {
+        return String(Math.abs(Math.trunc(value))).length;
+    }
+
+    /**
+     * Rounds a number to a place value
+     * @param {number} value - Number
+     * @param {number} place - Place value, e.g. 100
+     * @returns {number} Rounded number
+     */
+    function roundTo(value, place) {
+        return Math.round(value / place) * place;
+    }
+
+    /**
+     * Draws operands for an operation
+     * Division is exact, so the actual answer is a whole number too, and the numbers in a
+     * difference are at least settings.minDifference apart
+     * @param {string} operation - Operation (+, -, *, /)
+     * @param {object} settings - Level settings (config.estimate)
+     * @param {function} random - Random source
+     * @returns {object} {operand1, operand2}
+     */
+    function drawOperands(operation, settings, random) {
+        const draw = () => MathEngine.getRandomInt(settings.minOperand, settings.maxOperand, random);
+
+        if (operation === '*') {
+            return { operand1: draw(), operand2: MathEngine.getRandomInt(settings.minMultiplier, settings.maxMultiplier, random) };
+        }
+        if (operation === '/') {
+            const divisor = MathEngine.getRandomInt(2, settings.maxDivisor, random);
+            const quotient = MathEngine.getRandomInt(
+                Math.ceil(settings.minOperand / divisor),
+                Math.floor(settings.maxOperand / divisor),
+                random
+            );
+            return { operand1: quotient * divisor, operand2: divisor };
+        }
+
+        if (operation === '-') {
+            const gap = settings.minDifference || 0;
+            const operand2 = MathEngine.getRandomInt(settings.minOperand, settings.maxOperand - gap, random);
+            return { operand1: MathEngine.getRandomInt(operand2 + gap, settings.maxOperand, random), operand2 };
+        }
+        return { operand1: draw(), operand2: draw() };
+    }
+
+    /**
+     * Generates an estimation problem
+     * @param {object} config - Difficulty configuration (settings in config.estimate; config.tolerance
+     *     overrides the level's tolerance)
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateEstimationProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const operation = MathEngine.pickRandom(settings.operations, random);
+        const { operand1, operand2 } = drawOperands(operation, settings, random);
+        const symbol = MathEngine.getOperationSymbol(operation);
+
+        return {
+            operand1,
+            operand2,
+            operation,
+            displayText: `${formatLarge(operand1)} ${symbol} ${formatLarge(operand2)} ≈ ?`,
+            correctAnswer: calculate(operand1, operand2, operation),
+            tolerance: { ...(config.tolerance || settings.tolerance) },
+            displayMs: settings.displayMs
+        };
+    }
+
+    /**
+     * Gives the place value that keeps a number's leading significant figures
+     * @param {number} value - Number
+     * @param {number} figures - Significant figures to keep
+     * @returns {number} Place value, e.g. 100 for 4,837 at two figures
+     */
+    function significantPlace(value, figures) {
+        return Math.pow(10, Math.max(0, countDigits(value) - figures));
+    }
+
+    /**
+     * Rounds a problem's operands to numbers that are easy to work with: sums and differences
+     * to one place below the larger number's leading digit, products to leading digits, and
+     * dividends to a nearby multiple of the divisor
+     * @param {object} problem - Estimation problem
+     * @param {number} figures - Significant figures to keep (1 is the roughest)
+     * @returns {object} {operand1, operand2, estimate}
+     */
+    function roundAt(problem, figures) {
+        const { operand1, operand2, operation } = problem;
+
+        if (operation === '*') {
+            const rounded1 = roundTo(operand1, significantPlace(operand1, figures));
+            const rounded2 = roundTo(operand2, significantPlace(operand2, figures));
+            return { operand1: rounded1, operand2: rounded2, estimate: rounded1 * rounded2 };
+        }
+        if (operation === '/') {
+            const unit = significantPlace(operand1, figures + 1);
+            const rounded = Math.max(operand2, roundTo(Math.round(operand1 / unit), operand2)) * unit;
+            return { operand1: rounded, operand2, estimate: rounded / operand2 };
+        }
+
+        const place = significantPlace(Math.max(operand1, operand2), figures + 1);
+        const rounded1 = roundTo(operand1, place);
+        const rounded2 = roundTo(operand2, place);
+        return { operand1: rounded1, operand2: rounded2, estimate: calculate(rounded1, rounded2, operation) };
+    }
+
+    /**
+     * Finds the roughest rounding whose estimate still lands within the problem's tolerance
+     * Keeping more figures always gets there: with every figure kept the estimate is exact
+     * @param {object} problem - Estimation problem
+     * @returns {object} {operand1, operand2, estimate}
+     */
+    function roundOperands(problem) {
+        for (let figures = 1; ; figures++) {
+            const rounded = roundAt(problem, figures);
+            if (MathEngine.isWithinTolerance(rounded.estimate, problem.correctAnswer, problem.tolerance)) {
+                return rounded;
+            }
+        }
+    }
+
+    /**
+     * Explains how to estimate: round to friendly numbers, work with those, then compare
+     * with the exact answer and the range the tolerance accepts
+     * @param {object} problem - Estimation problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveEstimationProblem(problem) {
+        const rounded = roundOperands(problem);
+        const symbol = MathEngine.getOperationSymbol(problem.operation);
+        const range = MathEngine.getToleranceRange(problem.correctAnswer, problem.tolerance);
+        const steps = [];
+
+        const changed = [[problem.operand1, rounded.operand1], [problem.operand2, rounded.operand2]]
+            .filter(([exact, friendly]) => exact !== friendly)
+            .map(([exact, friendly]) => `${formatLarge(exact)} ≈ ${formatLarge(friendly)}`);
+        steps.push(changed.length > 0
+            ? `Round to numbers that are easy to work with: ${changed.join(' and ')}.`
+            : 'These numbers are already easy to work with.');
+        steps.push(`${formatLarge(rounded.operand1)} ${symbol} ${formatLarge(rounded.operand2)} = ` +
+            `${formatLarge(rounded.estimate)}, so the answer is about ${formatLarge(rounded.estimate)}.`);
+        steps.push(`The exact answer is ${formatLarge(problem.correctAnswer)}. Anything from ${formatLarge(range.min)} ` +
+            `to ${formatLarge(range.max)} (within ${MathEngine.describeTolerance(problem.tolerance)}) counts.`);
+
+        return { method: 'round-and-estimate', steps };
+    }
+
+    /**
+     * Scores an estimate by its operation, the size of its numbers and how tight the tolerance is
+     * @param {object} problem - Estimation problem
+     * @returns {object} {score, tags, features}
+     */
+    function getEstimationComplexity(problem) {
+        const digits = countDigits(Math.max(problem.operand1, problem.operand2));
+        const tags = [];
+        let score = (COMPLEXITY_BASE[problem.operation] || 2) + Math.max(0, digits - 3) * 0.5;
+
+        if (problem.tolerance.type === 'percent' && problem.tolerance.percent < 10) {
+            tags.push('tight');
+            score += 0.5;
+        }
+
+        return { score, tags, features: { operation: problem.operation, digits } };
+    }
+
+    /**
+     * Lists estimates that fall outside the tolerance, labelled by mistake
+     * The correct option is the one that earns full credit: the exact answer rounded to a rounding
+     * tolerance's place, or else the worked solution's estimate, which is always inside
+     * @param {object} problem - Estimation problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getEstimationChoices(problem) {
+        const actual = problem.correctAnswer;
+        const rounding = problem.tolerance.type === 'rounding';
+        const place = rounding ? problem.tolerance.place : significantPlace(actual, 2);
+        const answer = rounding ? roundTo(actual, place) : roundOperands(problem).estimate;
+        const range = MathEngine.getToleranceRange(actual, problem.tolerance);
+        const outside = value => value > 0 && !MathEngine.isWithinTolerance(value, actual, problem.tolerance);
+        const candidates = [];
+        const add = (value, mistake) => {
+            if (outside(value)) {
+                candidates.push({ text: formatLarge(value), mistake });
+            }
+        };
+
+        add(answer * 10, 'place-value');
+        add(Math.round(answer / 10), 'place-value');
+        const other = { '+': '-', '-': '+', '*': '+', '/': '*' }[problem.operation];
+        add(roundTo(calculate(problem.operand1, problem.operand2, other), place), 'wrong-operation');
+
+        // Step far enough that every nearby option is outside the tolerance
+        const step = Math.max(place, Math.ceil((range.max - range.min + 1) / place) * place);
+        return {
+            correctText: formatLarge(answer),
+            candidates,
+            nearby: offset => (outside(answer + offset * step) ? formatLarge(answer + offset * step) : null)
+        };
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generateEstimationProblem,
+        format: problem => formatLarge(problem.correctAnswer),
+        solve: solveEstimationProblem,
+        complexity: getEstimationComplexity,
+        choices: getEstimationChoices,
+        key: problem => `${TYPE_ID}:${problem.operand1}${problem.operation}${problem.operand2}`
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        formatLarge
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EstimationProblems;
+}
@@ -19,15 +19,32 @@ const GameController = (function() {
     const CONFIG = {
         problemsPerGame: 20,      // Total problems per game
         feedbackDuration: 800,    // Duration to show feedback (ms)
+        missedFeedbackDuration: 2500, // Longer after a miss, leaving time to open the worked solution (ms)
         timeBetweenProblems: 500  // Delay before next problem (ms)
     };
 
+    // Problem types that practice one +, -, × or ÷ fact, and so count toward that operation's mastery
+    const FACT_PROBLEM_TYPES = ['arithmetic', 'addition', 'subtraction', 'multiplication', 'division', 'word', 'fact'];
+
+    // Problem types that practice the focused operation at its own level; the rest follow the overall level
+    const FOCUS_PROBLEM_TYPES = ['arithmetic', 'word'];
+
     // Current game state
     let state = {
         status: STATES.MENU,
         currentProblem: null,
         problemNumber: 0,
-        startingDifficulty: 1
+        startingDifficulty: 1,
+        preferences: {},    // Gameplay preferences (problem types, answer rules)
+        gameSeed: null,     // Game code chosen in settings (null = random each game)
+        seed: null,         // Seed of the game in progress
+        replay: false,      // Whether the game was started from a Game Code, and so leaves the saved skill alone
+        random: null,       // Seeded random source for the game in progress
+        focusRandom: null,  // Seeded random source for picking the operation to practice
+        factDeck: null,     // Fact-family deck when practicing chosen facts
+        history: null,      // Problems seen this game, so facts don't repeat
+        missed: [],         // Missed problems with worked solutions, for the end-of-game review
+        feedbackTimer: null // Pending move to the next problem after feedback
     };
 
     // Module references
@@ -72,7 +89,13 @@ const GameController = (function() {
             onQuitGame: quitGame,
             onPlayAgain: playAgain,
             onGoToMenu: goToMenu,
-            onSettingsChange: handleSettingsChange
+            onSettingsChange: handleSettingsChange,
+            onSaveProfile: saveProfile,
+            onDeleteProfile: deleteProfile,
+            onImportProfile: importProfile,
+            onExportProfile: exportProfile,
+            onShowSolution: holdFeedback,
+            onContinue: advanceAfterFeedback
         });
     }
 
@@ -81,13 +104,216 @@ const GameController = (function() {
      */
     function loadSettings() {
         state.startingDifficulty = modules.scoreManager.getLastDifficulty() || 1;
+        state.preferences = modules.scoreManager.getPreferences();
         var soundEnabled = modules.scoreManager.isSoundEnabled();
         modules.themeEngine.setSoundEnabled(soundEnabled);
 
+        applyActiveProfile();
+
         modules.uiController.updateSettingsDisplay({
             soundEnabled: soundEnabled,
-            startingDifficulty: state.startingDifficulty
+            startingDifficulty: state.startingDifficulty,
+            preferences: state.preferences,
+            profiles: getProfileSettings()
+        });
+        refreshRegroupingSettings();
+    }
+
+    /**
+     * Points DifficultyManager at the saved active profile
+     * A saved profile that no longer validates falls back to the built-in one
+     */
+    function applyActiveProfile() {
+        try {
+            modules.difficultyManager.setProfile(modules.scoreManager.getActiveProfile());
+            var regroupingErrors = getRegroupingErrors(modules.difficultyManager.getProfile());
+            if (regroupingErrors.length > 0) {
+                throw new Error(regroupingErrors[0]);
+            }
+        } catch (error) {
+            console.warn('Ignoring saved difficulty profile:', error.message);
+            modules.difficultyManager.setProfile(null);
+            modules.scoreManager.setActiveProfileId(null);
+        }
+    }
+
+    /**
+     * Points DifficultyManager at the saved skill rating
+     * A saved rating that no longer reads back starts the player over at the current level
+     */
+    function restoreSkill() {
+        try {
+            modules.difficultyManager.setSkill(modules.scoreManager.getSkill());
+        } catch (error) {
+            console.warn('Ignoring saved skill rating:', error.message);
+            modules.difficultyManager.setSkill(null);
+            modules.scoreManager.saveSkill(null);
+        }
+    }
+
+    /**
+     * Gathers profile data for the settings screen
+     * @returns {object} {list, activeId, levelNames (null for the built-in profile)}
+     */
+    function getProfileSettings() {
+        var active = modules.difficultyManager.getProfile();
+        var list = [modules.difficultyManager.DEFAULT_PROFILE].concat(modules.scoreManager.getProfiles());
+
+        var isDefault = active.id === modules.difficultyManager.DEFAULT_PROFILE.id;
+
+        return {
+            list: list,
+            activeId: active.id,
+            // The built-in profile keeps the select's descriptive labels
+            levelNames: isDefault ? null : [1, 2, 3].map(function(level) {
+                return active.levels[level].name;
+            })
+        };
+    }
+
+    /**
+     * Shows the current profiles in the settings screen
+     */
+    function refreshProfileSettings() {
+        modules.uiController.updateSettingsDisplay({ profiles: getProfileSettings() });
+        refreshRegroupingSettings();
+    }
+
+    /**
+     * Checks whether a regrouping rule leaves a level any +, -, × or ÷ problems
+     * @param {object} levelConfig - Level settings, as from DifficultyManager.getLevelConfig
+     * @param {number} level - Difficulty level
+     * @param {string} rule - Regrouping rule
+     * @returns {boolean} True if some problem follows the rule
+     */
+    function canFollowRegrouping(levelConfig, level, rule) {
+        var config = Object.assign({}, levelConfig, { problemTypes: { arithmetic: 1 }, regrouping: rule });
+        return modules.mathEngine.getProblemPoolSize(null, level, { config: config }) > 0;
+    }
+
+    /**
+     * Lists the regrouping settings every level of the active profile can follow
+     * @returns {string[]} Regrouping rules, including 'any'
+     */
+    function getRegroupingRules() {
+        return modules.difficultyManager.PROFILE_REGROUPING.filter(function(rule) {
+            return [1, 2, 3].every(function(level) {
+                return canFollowRegrouping(getRangeConfig(level), level, rule);
+            });
+        });
+    }
+
+    /**
+     * Shows which regrouping settings the active profile allows, switching one it can't follow back to Any
+     */
+    function refreshRegroupingSettings() {
+        var rules = getRegroupingRules();
+        if (rules.indexOf(state.preferences.regrouping || 'any') === -1) {
+            modules.scoreManager.setPreference('regrouping', 'any');
+            state.preferences = modules.scoreManager.getPreferences();
+        }
+        modules.uiController.updateSettingsDisplay({ preferences: state.preferences, regroupingRules: rules });
+    }
+
+    /**
+     * Lists the levels of a profile whose own regrouping setting no problem can follow
+     * @param {object} profile - Valid profile
+     * @returns {string[]} Error messages
+     */
+    function getRegroupingErrors(profile) {
+        return [1, 2, 3].filter(function(level) {
+            var settings = profile.levels[level];
+            return settings.regrouping && !canFollowRegrouping(settings, level, settings.regrouping);
+        }).map(function(level) {
+            var settings = profile.levels[level];
+            return settings.name + ' has no problems from ' + settings.minOperand + ' to ' + settings.maxOperand +
+                ' that follow its regrouping setting';
+        });
+    }
+
+    /**
+     * Validates and saves a profile from the editor, then makes it active
+     * @param {object} profile - Edited profile (without an id when new)
+     * @returns {object} {valid, errors, warnings}
+     */
+    function saveProfile(profile) {
+        var result = modules.difficultyManager.validateProfile(profile);
+        if (!result.valid) {
+            return result;
+        }
+        var regroupingErrors = getRegroupingErrors(profile);
+        if (regroupingErrors.length > 0) {
+            return { valid: false, errors: regroupingErrors };
+        }
+
+        var saved = profile.id && profile.id !== modules.difficultyManager.DEFAULT_PROFILE.id
+            ? profile
+            : modules.difficultyManager.createProfile(profile.name, profile);
+
+        modules.scoreManager.saveProfile(saved);
+        modules.scoreManager.setActiveProfileId(saved.id);
+        applyActiveProfile();
+        refreshProfileSettings();
+
+        // Flag levels too narrow to fill a game without repeats
+        var warnings = [1, 2, 3].filter(function(level) {
+            return getPoolSize(level) < CONFIG.problemsPerGame;
+        }).map(function(level) {
+            return saved.levels[level].name + ' only has ' + getPoolSize(level) + ' different problems';
+        });
+
+        return { valid: true, errors: [], warnings: warnings };
+    }
+
+    /**
+     * Deletes a saved profile
+     * @param {string} id - Profile id
+     */
+    function deleteProfile(id) {
+        modules.scoreManager.deleteProfile(id);
+        applyActiveProfile();
+        refreshProfileSettings();
+    }
+
+    /**
+     * Imports a shared profile file, saves it and makes it active
+     * @param {string} json - File contents
+     * @returns {object} {valid, errors}
+     */
+    function importProfile(json) {
+        try {
+            var profile = modules.difficultyManager.importProfile(json);
+            var regroupingErrors = getRegroupingErrors(profile);
+            if (regroupingErrors.length > 0) {
+                throw new Error(regroupingErrors[0]);
+            }
+            modules.scoreManager.saveProfile(profile);
+            modules.scoreManager.setActiveProfileId(profile.id);
+            applyActiveProfile();
+            refreshProfileSettings();
+            return { valid: true, errors: [] };
+        } catch (error) {
+            return { valid: false, errors: [error.message] };
+        }
+    }
+
+    /**
+     * Exports a profile for sharing
+     * @param {string} id - Profile id
+     * @returns {object|null} {filename, json}
+     */
+    function exportProfile(id) {
+        var profile = getProfileSettings().list.find(function(candidate) {
+            return candidate.id === id;
         });
+        if (!profile) {
+            return null;
+        }
+
+        return {
+            filename: profile.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() + '.json',
+            json: modules.difficultyManager.exportProfile(profile)
+        };
     }
 
     /**
@@ -111,7 +337,184 @@ const GameController = (function() {
         if (settings.startingDifficulty !== undefined) {
             state.startingDifficulty = settings.startingDifficulty;
             modules.scoreManager.setLastDifficulty(settings.startingDifficulty);
+
+            // Picking a level places the skill rating at its start
+            restoreSkill();
+            modules.difficultyManager.setDifficulty(settings.startingDifficulty);
+            modules.scoreManager.saveSkill(modules.difficultyManager.getSkill());
+        }
+
+        if (settings.gameSeed !== undefined) {
+            state.gameSeed = settings.gameSeed || null;
+        }
+
+        if (settings.activeProfileId !== undefined) {
+            var isDefault = settings.activeProfileId === modules.difficultyManager.DEFAULT_PROFILE.id;
+            modules.scoreManager.setActiveProfileId(isDefault ? null : settings.activeProfileId);
+            applyActiveProfile();
+            refreshProfileSettings();
         }
+
+        if (settings.preferences) {
+            Object.keys(settings.preferences).forEach(function(key) {
+                modules.scoreManager.setPreference(key, settings.preferences[key]);
+            });
+            state.preferences = modules.scoreManager.getPreferences();
+            refreshRegroupingSettings();
+        }
+    }
+
+    /**
+     * Picks the complexity band for the next problem from the player's skill rating
+     * The band follows the rating through its level, so problems get harder gradually
+     * before the level itself changes
+     * @param {number} difficulty - Current difficulty level
+     * @param {object} [focus] - Operation being practiced, whose own rating is followed instead
+     * @returns {object|null} {min, max}, or null during fact practice
+     */
+    function getComplexityBand(difficulty, focus) {
+        // Fact practice has to work through the whole deck, so it can't skip facts
+        if (state.factDeck) {
+            return null;
+        }
+
+        return focus
+            ? modules.mathEngine.getComplexityBand(focus.level, focus.levelProgress)
+            : modules.mathEngine.getComplexityBand(difficulty, modules.difficultyManager.getState().levelProgress);
+    }
+
+    /**
+     * Picks the operation the next problem practices, favouring the player's weakest
+     * @param {number} difficulty - Current difficulty level, whose operations are the choices
+     * @returns {object|null} {operation, level, levelProgress, ...} (see DifficultyManager.getOperationState),
+     *     or null when problems aren't chosen by operation (fact practice and estimation mode)
+     */
+    function getFocusOperation(difficulty) {
+        if (state.factDeck || state.preferences.estimation) {
+            return null;
+        }
+
+        // Skip operations the regrouping setting leaves no problems for at their level
+        var operations = modules.difficultyManager.getLevelConfig(difficulty).operations.filter(function(operation) {
+            return getPoolSize(modules.difficultyManager.getOperationState(operation).level, operation) > 0;
+        });
+        var operation = modules.difficultyManager.pickOperation(operations, state.focusRandom);
+        return operation
+            ? Object.assign({ operation: operation }, modules.difficultyManager.getOperationState(operation))
+            : null;
+    }
+
+    /**
+     * Gets the +, -, × or ÷ fact a problem practiced, for that operation's mastery
+     * @param {object} problem - Problem object
+     * @returns {object|null} {operation, fact}, or null for problems that don't practice one fact
+     */
+    function getPractice(problem) {
+        if (FACT_PROBLEM_TYPES.indexOf(problem.type) === -1 || !problem.operation) {
+            return null;
+        }
+
+        return { operation: problem.operation, fact: modules.mathEngine.getProblemKey(problem) };
+    }
+
+    /**
+     * Rates how hard a problem was on the skill rating's scale, from its level and complexity
+     * @param {object} problem - Problem object
+     * @returns {number|undefined} Problem rating (undefined when the problem has no complexity score)
+     */
+    function getProblemRating(problem) {
+        if (!problem.complexity) {
+            return undefined;
+        }
+
+        var progress = modules.mathEngine.getComplexityProgress(problem.difficulty, problem.complexity.score);
+        return modules.difficultyManager.getProblemRating(problem.difficulty, progress);
+    }
+
+    /**
+     * Gets the active profile's numbers for a level, with the player's number settings on top
+     * @param {number} level - Difficulty level
+     * @returns {object} MathEngine config overrides: ranges, operations, negatives and regrouping
+     */
+    function getRangeConfig(level) {
+        var levelConfig = modules.difficultyManager.getLevelConfig(level);
+        return Object.assign(levelConfig, {
+            maxMultiplier: levelConfig.maxMultiplier || modules.mathEngine.getDifficultyConfig(level).maxMultiplier,
+            allowNegativeResults: !!state.preferences.negativeNumbers || levelConfig.allowNegativeResults,
+            // A regrouping setting picked in settings beats the profile's
+            regrouping: state.preferences.regrouping !== 'any'
+                ? state.preferences.regrouping
+                : levelConfig.regrouping || 'any'
+        });
+    }
+
+    /**
+     * Builds problem generation options from the player's preferences
+     * @param {number} difficulty - Current difficulty level
+     * @param {object} [focus] - Operation to practice (see getFocusOperation); its own level sets the numbers
+     *     of arithmetic and word problems
+     * @returns {object} Options for MathEngine.generateProblem
+     */
+    function getProblemOptions(difficulty, focus) {
+        var config = modules.mathEngine.getDifficultyConfig(difficulty);
+        var problemTypes = Object.assign({}, config.problemTypes);
+
+        // Fact practice replaces the level's mix with the chosen fact families
+        if (state.factDeck) {
+            problemTypes = { fact: 1 };
+        } else if (state.preferences.fractions) {
+            problemTypes.fraction = 1;
+        }
+        if (state.preferences.wordProblems && !state.factDeck) {
+            problemTypes.word = 1;
+        }
+        if (!state.factDeck) {
+            // Plugin types only join the mix when their script is loaded
+            var loadedTypes = modules.mathEngine.getProblemTypes();
+            (state.preferences.extraProblemTypes || []).forEach(function(id) {
+                if (loadedTypes.indexOf(id) !== -1) {
+                    problemTypes[id] = 1;
+                }
+            });
+
+            // Estimation mode swaps the whole mix for large-number estimates
+            if (state.preferences.estimation && loadedTypes.indexOf('estimate') !== -1) {
+                problemTypes = { estimate: 1 };
+            }
+        }
+
+        // The active difficulty profile sets ranges and operations; preferences add modes on top
+        var options = {
+            random: state.random,
+            history: state.history,
+            config: Object.assign(getRangeConfig(difficulty), {
+                problemTypes: problemTypes,
+                requireSimplified: !!state.preferences.requireSimplified,
+                divisionRemainders: !!state.preferences.divisionRemainders,
+                currency: state.preferences.currency || 'USD',
+                tolerance: state.preferences.estimationTolerance || null,
+                multipleChoice: !!state.preferences.multipleChoice,
+                factDeck: state.factDeck,
+                complexity: getComplexityBand(difficulty),
+                blankPositions: state.preferences.missingOperand
+                    ? ['operand1', 'operand2', 'result']
+                    : ['result']
+            })
+        };
+
+        // Problems on the focused operation use its numbers and band instead
+        if (focus) {
+            var focusConfig = Object.assign(getRangeConfig(focus.level), {
+                operations: [focus.operation],
+                complexity: getComplexityBand(difficulty, focus)
+            });
+            options.typeOptions = {};
+            FOCUS_PROBLEM_TYPES.forEach(function(type) {
+                options.typeOptions[type] = { difficulty: focus.level, config: focusConfig };
+            });
+        }
+
+        return options;
     }
 
     /**
@@ -122,12 +525,35 @@ const GameController = (function() {
         state.status = STATES.PLAYING;
         state.problemNumber = 0;
 
-        // Reset managers
+        // Seed the game so the same code replays the same problems
+        state.seed = state.gameSeed || modules.mathEngine.generateSeed();
+        state.random = modules.mathEngine.createRandom(state.seed);
+        // Picking operations draws from its own stream, so the picks never shift the problems' draws
+        state.focusRandom = modules.mathEngine.createRandom(state.seed + ':focus');
+        state.replay = !!state.gameSeed;
+
+        var factFamilies = state.preferences.factFamilies || [];
+        state.factDeck = factFamilies.length > 0
+            ? modules.mathEngine.createFactDeck(factFamilies, {
+                includeInverse: !!state.preferences.inverseFacts,
+                random: state.random
+            })
+            : null;
+
+        state.history = modules.mathEngine.createProblemHistory();
+        state.missed = [];
+
+        // Reset managers; a saved skill rating picks up where the last game left off. A Game Code
+        // game starts everyone at the starting level with even mastery, so the code replays the same game
         modules.scoreManager.resetGame();
         modules.difficultyManager.reset(state.startingDifficulty);
+        if (!state.replay) {
+            restoreSkill();
+        }
+        var difficulty = modules.difficultyManager.getCurrentDifficulty();
 
         // Update theme
-        modules.themeEngine.setDifficultyTheme(state.startingDifficulty);
+        modules.themeEngine.setDifficultyTheme(difficulty);
 
         // Show game screen
         modules.uiController.showScreen(modules.uiController.SCREENS.GAME);
@@ -137,6 +563,26 @@ const GameController = (function() {
 
         // Generate first problem
         nextProblem();
+
+        // Warn when the settings are too narrow for a game without repeats
+        var poolSize = getPoolSize(difficulty);
+        if (poolSize < CONFIG.problemsPerGame) {
+            modules.uiController.showGorillaSpeech(
+                'Only ' + poolSize + ' different problems with these settings, so some will repeat!',
+                3000
+            );
+        }
+    }
+
+    /**
+     * Counts the distinct problems the current settings allow at a level
+     * @param {number} difficulty - Difficulty level
+     * @param {string} [operation] - Only count this operation's problems
+     * @returns {number} Pool size (Infinity if unbounded)
+     */
+    function getPoolSize(difficulty, operation) {
+        var options = getProblemOptions(difficulty);
+        return modules.mathEngine.getProblemPoolSize(operation || null, difficulty, { config: options.config });
     }
 
     /**
@@ -153,11 +599,12 @@ const GameController = (function() {
             return;
         }
 
-        // Get current difficulty
+        // Get current difficulty, and the operation to practice at its own level
         var difficulty = modules.difficultyManager.getCurrentDifficulty();
+        var focus = getFocusOperation(difficulty);
 
         // Generate problem
-        state.currentProblem = modules.mathEngine.generateProblem(null, difficulty);
+        state.currentProblem = modules.mathEngine.generateProblem(null, difficulty, getProblemOptions(difficulty, focus));
 
         // Update UI
         modules.uiController.displayProblem(state.currentProblem);
@@ -167,29 +614,60 @@ const GameController = (function() {
 
     /**
      * Handles answer submission
-     * @param {number} answer - The submitted answer
+     * @param {string|number|object} answer - The submitted answer, or the selected multiple-choice option
      */
     function submitAnswer(answer) {
         if (state.status !== STATES.PLAYING || !state.currentProblem) return;
 
-        state.status = STATES.FEEDBACK;
+        // A multiple-choice selection is checked by its text, like a typed answer
+        if (answer && typeof answer === 'object' && 'text' in answer) {
+            answer = answer.text;
+        }
 
         // Check answer
-        var isCorrect = modules.mathEngine.checkAnswer(answer, state.currentProblem.correctAnswer);
+        var evaluation = modules.mathEngine.evaluateAnswer(answer, state.currentProblem);
+        var isCorrect = evaluation.correct;
+
+        // An answer that can't be read as a number gets another try instead of counting as wrong
+        if (evaluation.reason === 'invalid' && evaluation.message) {
+            modules.uiController.showAnswerHint(evaluation.message);
+            return;
+        }
+
+        state.status = STATES.FEEDBACK;
 
         // Get current difficulty for scoring
         var difficulty = modules.difficultyManager.getCurrentDifficulty();
 
         // Update score
-        var scoreResult = modules.scoreManager.updateScore(isCorrect, difficulty);
-
-        // Update difficulty based on result
-        var difficultyResult = isCorrect 
-            ? modules.difficultyManager.recordCorrect()
-            : modules.difficultyManager.recordIncorrect();
+        var scoreResult = modules.scoreManager.updateScore(isCorrect, difficulty, evaluation.credit);
+
+        // Update the skill rating and the operation's mastery, weighing the result by how hard the problem was
+        var problemRating = getProblemRating(state.currentProblem);
+        var practice = getPractice(state.currentProblem);
+        var difficultyResult = isCorrect
+            ? modules.difficultyManager.recordCorrect(problemRating, evaluation.credit, practice)
+            : modules.difficultyManager.recordIncorrect(problemRating, practice);
+
+        // Keep a worked solution for every miss, to step through now or at the end
+        var solution = null;
+        if (!isCorrect) {
+            solution = modules.mathEngine.getWorkedSolution(state.currentProblem);
+            state.missed.push({
+                problem: state.currentProblem,
+                answer: String(answer),
+                correctAnswer: solution.answer,
+                solution: solution
+            });
+        }
 
         // Update UI
-        modules.uiController.showFeedback(isCorrect, isCorrect ? null : state.currentProblem.correctAnswer);
+        modules.uiController.showFeedback(
+            isCorrect,
+            isCorrect ? null : modules.mathEngine.formatAnswer(state.currentProblem),
+            evaluation,
+            solution
+        );
         modules.uiController.updateScoreDisplay(modules.scoreManager.getScore());
 
         // Play animations
@@ -212,12 +690,31 @@ const GameController = (function() {
         modules.themeEngine.updateBackground(scoreResult.streak);
 
         // Proceed to next problem after delay
-        setTimeout(function() {
-            if (state.status === STATES.FEEDBACK) {
-                state.status = STATES.PLAYING;
-                nextProblem();
-            }
-        }, isCorrect ? CONFIG.feedbackDuration : CONFIG.feedbackDuration + 400);
+        state.feedbackTimer = setTimeout(
+            advanceAfterFeedback,
+            isCorrect ? CONFIG.feedbackDuration : CONFIG.missedFeedbackDuration
+        );
+    }
+
+    /**
+     * Moves on from the feedback overlay to the next problem
+     */
+    function advanceAfterFeedback() {
+        if (state.status !== STATES.FEEDBACK) return;
+
+        clearTimeout(state.feedbackTimer);
+        modules.uiController.hideFeedback();
+        state.status = STATES.PLAYING;
+        nextProblem();
+    }
+
+    /**
+     * Keeps the feedback overlay up while the player steps through a worked solution
+     */
+    function holdFeedback() {
+        if (state.status === STATES.FEEDBACK) {
+            clearTimeout(state.feedbackTimer);
+        }
     }
 
     /**
@@ -274,8 +771,23 @@ const GameController = (function() {
     function endGame() {
         state.status = STATES.GAMEOVER;
 
+        // Save the skill rating, adding this game to its trend; Game Code games leave it alone
+        if (!state.replay) {
+            modules.scoreManager.saveSkill(modules.difficultyManager.finishGame());
+        }
+
         // Get final results
         var results = modules.scoreManager.endGame();
+        results.seed = state.seed;
+        results.missed = state.missed;
+        results.skill = state.replay ? null : modules.difficultyManager.getSkillTrend();
+
+        // The next game starts at the level the rating ended on
+        if (!state.replay) {
+            state.startingDifficulty = modules.difficultyManager.getCurrentDifficulty();
+            modules.scoreManager.setLastDifficulty(state.startingDifficulty);
+            modules.uiController.updateSettingsDisplay({ startingDifficulty: state.startingDifficulty });
+        }
 
         // Show game over screen
         modules.uiController.showGameOver(results);
@@ -330,7 +842,8 @@ const GameController = (function() {
             status: state.status,
             currentProblem: state.currentProblem,
             problemNumber: state.problemNumber,
-            totalProblems: CONFIG.problemsPerGame
+            totalProblems: CONFIG.problemsPerGame,
+            seed: state.seed
         };
     }
 
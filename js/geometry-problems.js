@@ -0,0 +1,486 @@
+/**
+ * Geometry Problems Module
+ * Registers the 'geometry' problem type: the area or perimeter of a square, rectangle, L-shape or
+ * right triangle, drawn to scale with its side lengths labelled
+ * Depends on MathEngine
+ */
+
+const GeometryProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'geometry';
+    const UNIT = 'cm';
+
+    // Per level: which shapes are drawn, how long sides get, and whether a unit grid helps count squares
+    const LEVELS = {
+        1: { shapes: ['square', 'rectangle'], measures: ['perimeter', 'area'], minSide: 1, maxSide: 10, grid: true },
+        2: { shapes: ['square', 'rectangle', 'right-triangle'], measures: ['perimeter', 'area'], minSide: 2, maxSide: 12, grid: false },
+        3: { shapes: ['rectangle', 'right-triangle', 'l-shape'], measures: ['perimeter', 'area'], minSide: 3, maxSide: 20, grid: false }
+    };
+
+    const SHAPE_NAMES = {
+        square: 'square',
+        rectangle: 'rectangle',
+        'right-triangle': 'right triangle',
+        'l-shape': 'shape'
+    };
+
+    // Right triangles use whole-number sides, so every perimeter is a whole number too
+    const PYTHAGOREAN_TRIPLES = [[3, 4, 5], [5, 12, 13], [8, 15, 17], [7, 24, 25]];
+
+    // The drawing fits in this box (in pixels), with room around it for the labels
+    const DRAW_WIDTH = 220;
+    const DRAW_HEIGHT = 150;
+    const MARGIN_X = 56;
+    const MARGIN_Y = 28;
+    const LABEL_GAP = 8;
+
+    const MEASURE_MESSAGES = {
+        area: `Area is measured in square units, like ${UNIT}².`,
+        perimeter: `Perimeter is a length, measured in ${UNIT}.`
+    };
+
+    /**
+     * Rounds a drawing coordinate to one decimal place
+     * @param {number} value - Coordinate
+     * @returns {number} Rounded coordinate
+     */
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Draws a shape's dimensions from the level's side range
+     * @param {string} kind - Shape kind
+     * @param {object} settings - Level settings (config.geometry)
+     * @param {function} random - Random source
+     * @returns {object} Shape: {kind, width, height, cutWidth?, cutHeight?, hypotenuse?}
+     */
+    function drawShape(kind, settings, random) {
+        const side = (min = settings.minSide) => MathEngine.getRandomInt(Math.max(min, settings.minSide), settings.maxSide, random);
+
+        if (kind === 'square') {
+            const length = side();
+            return { kind, width: length, height: length };
+        }
+        if (kind === 'right-triangle') {
+            // The hypotenuse is the longest side, so it is the one to keep within maxSide
+            const triples = [];
+            PYTHAGOREAN_TRIPLES.forEach(([a, b, c]) => {
+                for (let k = 1; c * k <= settings.maxSide; k++) {
+                    if (a * k >= settings.minSide) triples.push([a * k, b * k, c * k]);
+                }
+            });
+            const [a, b, c] = MathEngine.pickRandom(triples, random);
+            return random() < 0.5
+                ? { kind, width: a, height: b, hypotenuse: c }
+                : { kind, width: b, height: a, hypotenuse: c };
+        }
+        if (kind === 'l-shape') {
+            // The cut-out corner is at least 2 each way, leaving both arms at least 2 wide
+            const width = side(4);
+            const height = side(4);
+            return {
+                kind,
+                width,
+                height,
+                cutWidth: MathEngine.getRandomInt(2, width - 2, random),
+                cutHeight: MathEngine.getRandomInt(2, height - 2, random)
+            };
+        }
+
+        const width = side();
+        let height = side();
+        for (let tries = 0; tries < 10 && height === width; tries++) {
+            height = side();
+        }
+        return { kind: 'rectangle', width, height };
+    }
+
+    /**
+     * Lists a shape's corners counter-clockwise from the bottom left, in side-length units with y up,
+     * and which sides get a length label
+     * @param {object} shape - Shape
+     * @returns {object} {points: [x, y][], labelled: number[]} (side i runs from point i to point i + 1)
+     */
+    function getOutline(shape) {
+        const { width: w, height: h } = shape;
+
+        if (shape.kind === 'right-triangle') {
+            return { points: [[0, 0], [w, 0], [0, h]], labelled: [0, 1, 2] };
+        }
+        if (shape.kind === 'l-shape') {
+            const { cutWidth: cw, cutHeight: ch } = shape;
+            return {
+                points: [[0, 0], [w, 0], [w, h - ch], [w - cw, h - ch], [w - cw, h], [0, h]],
+                labelled: [0, 1, 2, 3, 4, 5]
+            };
+        }
+        return { points: [[0, 0], [w, 0], [w, h], [0, h]], labelled: shape.kind === 'square' ? [0] : [0, 3] };
+    }
+
+    /**
+     * Gives the length of each side of a shape, in outline order
+     * @param {object} shape - Shape
+     * @returns {number[]} Side lengths
+     */
+    function getSideLengths(shape) {
+        if (shape.kind === 'right-triangle') {
+            return [shape.width, shape.hypotenuse, shape.height];
+        }
+        const { points } = getOutline(shape);
+        return points.map(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            return Math.abs(x2 - x1) + Math.abs(y2 - y1);
+        });
+    }
+
+    /**
+     * Works out a shape's area
+     * @param {object} shape - Shape
+     * @returns {number} Area in square units
+     */
+    function getArea(shape) {
+        if (shape.kind === 'right-triangle') {
+            return shape.width * shape.height / 2;
+        }
+        if (shape.kind === 'l-shape') {
+            return shape.width * shape.height - shape.cutWidth * shape.cutHeight;
+        }
+        return shape.width * shape.height;
+    }
+
+    /**
+     * Works out a shape's perimeter
+     * @param {object} shape - Shape
+     * @returns {number} Perimeter
+     */
+    function getPerimeter(shape) {
+        return getSideLengths(shape).reduce((sum, length) => sum + length, 0);
+    }
+
+    /**
+     * Draws a shape to scale with its side lengths labelled
+     * Both directions share one scale, so longer sides are always drawn longer
+     * @param {object} shape - Shape
+     * @param {object} [options] - {grid}: draw unit squares inside a rectangle or square
+     * @returns {string} SVG markup
+     */
+    function renderShape(shape, options = {}) {
+        const scale = Math.min(DRAW_WIDTH / shape.width, DRAW_HEIGHT / shape.height);
+        const width = round(shape.width * scale + MARGIN_X * 2);
+        const height = round(shape.height * scale + MARGIN_Y * 2);
+        const toX = x => round(MARGIN_X + x * scale);
+        const toY = y => round(MARGIN_Y + (shape.height - y) * scale);
+        const { points, labelled } = getOutline(shape);
+        const lengths = getSideLengths(shape);
+        const elements = [];
+
+        elements.push(`<polygon class="shape-outline" points="${points.map(([x, y]) => `${toX(x)},${toY(y)}`).join(' ')}" ` +
+            'fill="#e3f2fd" stroke="#1565c0" stroke-width="3" stroke-linejoin="round"/>');
+
+        if (options.grid && (shape.kind === 'rectangle' || shape.kind === 'square')) {
+            for (let x = 1; x < shape.width; x++) {
+                elements.push(`<line class="shape-grid" x1="${toX(x)}" y1="${toY(0)}" x2="${toX(x)}" y2="${toY(shape.height)}" ` +
+                    'stroke="#90caf9" stroke-width="1"/>');
+            }
+            for (let y = 1; y < shape.height; y++) {
+                elements.push(`<line class="shape-grid" x1="${toX(0)}" y1="${toY(y)}" x2="${toX(shape.width)}" y2="${toY(y)}" ` +
+                    'stroke="#90caf9" stroke-width="1"/>');
+            }
+        }
+
+        if (shape.kind === 'right-triangle') {
+            const mark = Math.min(12, shape.width * scale / 3, shape.height * scale / 3);
+            elements.push(`<polyline class="shape-right-angle" points="${toX(0)},${round(toY(0) - mark)} ` +
+                `${round(toX(0) + mark)},${round(toY(0) - mark)} ${round(toX(0) + mark)},${toY(0)}" ` +
+                'fill="none" stroke="#1565c0" stroke-width="1.5"/>');
+        }
+
+        // Labels sit just outside the middle of each side; beside upright and sloping sides they
+        // start at the side and run away from it, so they never cross the outline
+        labelled.forEach(i => {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            const length = Math.hypot(x2 - x1, y2 - y1);
+            const normal = [(y2 - y1) / length, -(x2 - x1) / length];
+            let anchor = 'middle';
+            if (Math.abs(normal[0]) >= 0.3) {
+                anchor = normal[0] > 0 ? 'start' : 'end';
+            }
+            const gap = anchor === 'middle' ? LABEL_GAP * 2 : LABEL_GAP;
+            const x = round(toX((x1 + x2) / 2) + normal[0] * gap);
+            const y = round(toY((y1 + y2) / 2) - normal[1] * gap);
+            elements.push(`<text class="shape-label" x="${x}" y="${y}" text-anchor="${anchor}" dominant-baseline="central" ` +
+                `font-size="14" font-weight="bold" fill="#333">${lengths[i]} ${UNIT}</text>`);
+        });
+
+        return `<svg class="geometry-figure" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}">${elements.join('')}</svg>`;
+    }
+
+    /**
+     * Describes a shape for screen readers
+     * @param {object} shape - Shape
+     * @returns {string} e.g. "Rectangle, 8 cm wide and 5 cm tall"
+     */
+    function describeShape(shape) {
+        const sides = getSideLengths(shape).map(length => `${length} ${UNIT}`);
+        if (shape.kind === 'square') {
+            return `Square with sides of ${sides[0]}`;
+        }
+        if (shape.kind === 'rectangle') {
+            return `Rectangle, ${sides[0]} wide and ${sides[3]} tall`;
+        }
+        if (shape.kind === 'right-triangle') {
+            return `Right triangle with sides of ${sides.join(', ')}`;
+        }
+        return `L-shape with sides of ${sides.join(', ')}`;
+    }
+
+    /**
+     * Generates an area or perimeter problem
+     * @param {object} config - Difficulty configuration (settings in config.geometry)
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateGeometryProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const shape = drawShape(MathEngine.pickRandom(settings.shapes, random), settings, random);
+        const measure = MathEngine.pickRandom(settings.measures, random);
+        const question = `What is the ${measure} of this ${SHAPE_NAMES[shape.kind]}?`;
+
+        return {
+            shape,
+            measure,
+            unit: UNIT,
+            displayText: question,
+            displayParts: [
+                { type: 'svg', svg: renderShape(shape, { grid: settings.grid }), label: describeShape(shape) },
+                { type: 'text', text: question }
+            ],
+            correctAnswer: measure === 'area' ? getArea(shape) : getPerimeter(shape),
+            answerFormat: 'measure'
+        };
+    }
+
+    /**
+     * Parses a measurement as a player might type it: a number, optionally with a unit
+     * Accepts "24", "24 cm", "24 cm²", "24 cm2", "24 sq cm" and "24 square units"
+     * @param {string} input - Typed answer
+     * @returns {object} {valid: true, value, dimension: 'area'|'length'|null}
+     *     or {valid: false, reason, message}
+     */
+    function parseMeasure(input) {
+        const text = String(input === undefined || input === null ? '' : input).trim();
+        const match = text.match(/^(.*?)\s*(cm²|cm\^2|cm2|sq\.?\s*cm|square\s+(?:cm|centimet(?:er|re)s?)|units?²|sq\.?\s*units?|square\s+units?|cm|centimet(?:er|re)s?|units?)?$/i);
+        const parsed = MathEngine.parseAnswer(match[1]);
+        if (!parsed.valid) {
+            return parsed;
+        }
+
+        let dimension = null;
+        if (match[2]) {
+            dimension = /²|\^2|2$|sq|square/i.test(match[2]) ? 'area' : 'length';
+        }
+        return { valid: true, value: parsed.value, dimension };
+    }
+
+    /**
+     * Checks a measurement, asking again when its unit is for the other measure
+     * @param {string} userAnswer - Typed answer
+     * @param {object} problem - Geometry problem
+     * @returns {object} Evaluation ({correct, reason, inputError?, message?})
+     */
+    function checkGeometryAnswer(userAnswer, problem) {
+        const parsed = parseMeasure(userAnswer);
+        if (!parsed.valid) {
+            return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+        }
+
+        const expected = problem.measure === 'area' ? 'area' : 'length';
+        if (parsed.dimension && parsed.dimension !== expected) {
+            return { correct: false, reason: 'invalid', inputError: 'wrong-unit', message: MEASURE_MESSAGES[problem.measure] };
+        }
+
+        return parsed.value === problem.correctAnswer ? { correct: true, reason: null } : { correct: false, reason: 'incorrect' };
+    }
+
+    /**
+     * Formats a measurement with its unit
+     * @param {number} value - Measurement
+     * @param {string} measure - 'area' or 'perimeter'
+     * @returns {string} e.g. "24 cm²" or "20 cm"
+     */
+    function formatMeasure(value, measure) {
+        return `${MathEngine.formatNumber(value)} ${UNIT}${measure === 'area' ? '²' : ''}`;
+    }
+
+    /**
+     * Explains an area: multiply for rectangles, halve a rectangle for right triangles, and split an
+     * L-shape into two rectangles
+     * @param {object} problem - Geometry problem asking for area
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveArea(problem) {
+        const { shape } = problem;
+        const answer = formatMeasure(problem.correctAnswer, 'area');
+
+        if (shape.kind === 'square') {
+            return {
+                method: 'area-formula',
+                steps: [
+                    `All four sides of a square are ${shape.width} ${UNIT}.`,
+                    `Area = side × side = ${shape.width} × ${shape.width} = ${answer}.`
+                ]
+            };
+        }
+        if (shape.kind === 'rectangle') {
+            return {
+                method: 'area-formula',
+                steps: [
+                    'Area of a rectangle = width × height.',
+                    `${shape.width} × ${shape.height} = ${problem.correctAnswer}, so the area is ${answer}.`
+                ]
+            };
+        }
+        if (shape.kind === 'right-triangle') {
+            const whole = shape.width * shape.height;
+            return {
+                method: 'half-rectangle',
+                steps: [
+                    `A right triangle is half of a rectangle ${shape.width} ${UNIT} by ${shape.height} ${UNIT}. ` +
+                        `The longest side (${shape.hypotenuse} ${UNIT}) isn't needed.`,
+                    `${shape.width} × ${shape.height} = ${whole}, and half of ${whole} is ${problem.correctAnswer}, ` +
+                        `so the area is ${answer}.`
+                ]
+            };
+        }
+
+        const leftWidth = shape.width - shape.cutWidth;
+        const rightHeight = shape.height - shape.cutHeight;
+        const left = leftWidth * shape.height;
+        const right = shape.cutWidth * rightHeight;
+        return {
+            method: 'split-the-shape',
+            steps: [
+                `Split the shape into two rectangles: ${leftWidth} by ${shape.height}, and ${shape.cutWidth} by ${rightHeight}.`,
+                `${leftWidth} × ${shape.height} = ${left} and ${shape.cutWidth} × ${rightHeight} = ${right}.`,
+                `${left} + ${right} = ${problem.correctAnswer}, so the area is ${answer}.`
+            ]
+        };
+    }
+
+    /**
+     * Explains a perimeter: add up every side, including the ones a label stands for twice
+     * @param {object} problem - Geometry problem asking for perimeter
+     * @returns {object} {method, steps: string[]}
+     */
+    function solvePerimeter(problem) {
+        const { shape } = problem;
+        const lengths = getSideLengths(shape);
+        const steps = [];
+
+        if (shape.kind === 'square') {
+            steps.push(`A square has four sides of ${shape.width} ${UNIT}.`);
+        } else if (shape.kind === 'rectangle') {
+            steps.push(`A rectangle's opposite sides are equal: two of ${shape.width} ${UNIT} and two of ${shape.height} ${UNIT}.`);
+        }
+        steps.push(`Add all ${lengths.length === 3 ? 'three' : lengths.length === 4 ? 'four' : 'six'} sides: ` +
+            `${lengths.join(' + ')} = ${problem.correctAnswer}.`);
+        steps.push(`The perimeter is ${formatMeasure(problem.correctAnswer, 'perimeter')}.`);
+
+        return { method: 'add-the-sides', steps };
+    }
+
+    /**
+     * Scores a problem by its shape, what is measured and the size of the answer
+     * @param {object} problem - Geometry problem
+     * @returns {object} {score, tags, features}
+     */
+    function getGeometryComplexity(problem) {
+        const baseScores = { square: 1, rectangle: 1.5, 'right-triangle': 2.5, 'l-shape': 3 };
+        const { kind } = problem.shape;
+        const tags = [kind, problem.measure];
+        let score = baseScores[kind] || 2;
+
+        if (problem.measure === 'area' && kind !== 'square') {
+            score += 0.5;
+        }
+        if (problem.measure === 'area' && kind === 'right-triangle') {
+            tags.push('halving');
+            score += 0.5;
+        }
+        if (problem.correctAnswer > 100) {
+            score += 0.5;
+        }
+
+        return { score, tags, features: { kind, measure: problem.measure, answer: problem.correctAnswer } };
+    }
+
+    /**
+     * Lists plausible wrong measurements, labelled by mistake
+     * @param {object} problem - Geometry problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getGeometryChoices(problem) {
+        const { shape, measure } = problem;
+        const answer = problem.correctAnswer;
+        const candidates = [];
+        const add = (value, mistake) => {
+            if (Number.isInteger(value) && value > 0 && value !== answer) {
+                candidates.push({ text: formatMeasure(value, measure), mistake });
+            }
+        };
+
+        add(measure === 'area' ? getPerimeter(shape) : getArea(shape), 'area-perimeter-mix');
+        if (measure === 'perimeter' && (shape.kind === 'rectangle' || shape.kind === 'square')) {
+            add(shape.width + shape.height, 'half-perimeter');
+        }
+        if (measure === 'area' && shape.kind === 'right-triangle') {
+            add(shape.width * shape.height, 'forgot-half');
+        }
+        if (shape.kind === 'l-shape') {
+            add(measure === 'area' ? shape.width * shape.height : getPerimeter(shape) - shape.cutWidth - shape.cutHeight,
+                measure === 'area' ? 'ignored-cutout' : 'missed-sides');
+        }
+
+        return {
+            correctText: formatMeasure(answer, measure),
+            candidates,
+            nearby: offset => (answer + offset > 0 ? formatMeasure(answer + offset, measure) : null)
+        };
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generateGeometryProblem,
+        check: checkGeometryAnswer,
+        format: problem => formatMeasure(problem.correctAnswer, problem.measure),
+        solve: problem => (problem.measure === 'area' ? solveArea(problem) : solvePerimeter(problem)),
+        complexity: getGeometryComplexity,
+        choices: getGeometryChoices,
+        key: problem => {
+            const { kind, width, height, cutWidth, cutHeight } = problem.shape;
+            const cut = kind === 'l-shape' ? `-${cutWidth}x${cutHeight}` : '';
+            return `${TYPE_ID}:${problem.measure}:${kind}:${width}x${height}${cut}`;
+        }
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        getSideLengths,
+        getArea,
+        getPerimeter,
+        renderShape,
+        parseMeasure,
+        formatMeasure
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeometryProblems;
+}
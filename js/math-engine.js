@@ -13,21 +13,60 @@ const MathEngine = (function() {
             minOperand: 1,
             maxOperand: 10,
             operations: ['+', '-'],
-            allowNegativeResults: false
+            allowNegativeResults: false,
+            problemTypes: { arithmetic: 1 },
+            fractions: {
+                kinds: ['add-like', 'subtract-like'],
+                maxDenominator: 8
+            },
+            expressions: {
+                minOperands: 3,
+                maxOperands: 3,
+                minOperand: 1,
+                maxOperand: 10,
+                maxValue: 30,
+                allowParentheses: false
+            }
         },
         2: { // Medium
             minOperand: 1,
             maxOperand: 20,
             operations: ['+', '-', '*'],
             maxMultiplier: 10,
-            allowNegativeResults: false
+            allowNegativeResults: false,
+            problemTypes: { arithmetic: 1 },
+            fractions: {
+                kinds: ['add-like', 'subtract-like', 'add-unlike', 'subtract-unlike', 'simplify'],
+                maxDenominator: 10
+            },
+            expressions: {
+                minOperands: 3,
+                maxOperands: 4,
+                minOperand: 1,
+                maxOperand: 10,
+                maxValue: 100,
+                allowParentheses: true
+            }
         },
         3: { // Hard
             minOperand: 1,
             maxOperand: 50,
             operations: ['+', '-', '*', '/'],
             maxMultiplier: 12,
-            allowNegativeResults: false
+            allowNegativeResults: false,
+            problemTypes: { arithmetic: 3, expression: 1 },
+            fractions: {
+                kinds: ['add-like', 'subtract-like', 'add-unlike', 'subtract-unlike', 'multiply', 'divide', 'simplify'],
+                maxDenominator: 12
+            },
+            expressions: {
+                minOperands: 3,
+                maxOperands: 5,
+                minOperand: 1,
+                maxOperand: 12,
+                maxValue: 144,
+                allowParentheses: true
+            }
         }
     };
 
@@ -39,67 +78,690 @@ const MathEngine = (function() {
         '/': '÷'
     };
 
+    // Registered problem types by id: built-ins below, plugins via registerProblemType
+    const registeredTypes = {};
+
+    // Problem type id for each registered operation symbol ('+' -> 'addition')
+    const operationTypes = {};
+
+    // Built-in types that plugins may not replace or remove
+    const BUILT_IN_TYPES = [];
+
+    // Operator precedence for expression trees
+    const PRECEDENCE = {
+        '+': 1,
+        '-': 1,
+        '*': 2,
+        '/': 2
+    };
+
+    // Attempts at building an expression that meets every constraint before giving up
+    const MAX_EXPRESSION_ATTEMPTS = 100;
+
+    // Random draws at operands that follow a regrouping rule before searching the range for them
+    const MAX_REGROUPING_ATTEMPTS = 50;
+
+    // Largest operand range whose regrouping pairs are counted
+    const MAX_COUNTED_REGROUPING_VALUES = 2000;
+
+    // Attempts at finding a new problem inside the complexity band before settling for the closest
+    const MAX_REPEAT_ATTEMPTS = 25;
+
+    // Fraction problem kinds and the operation each one uses
+    const FRACTION_KINDS = {
+        'add-like': '+',
+        'subtract-like': '-',
+        'add-unlike': '+',
+        'subtract-unlike': '-',
+        'multiply': '*',
+        'divide': '/',
+        'simplify': null
+    };
+
+    // Word problem cast and props; templates may bring their own lists
+    const WORD_PROBLEM_NAMES = ['Monke', 'Koko', 'Bongo', 'Kiki', 'Mango', 'Zuzu', 'Pip', 'Coco'];
+
+    const WORD_PROBLEM_ITEMS = [
+        { singular: 'banana', plural: 'bananas' },
+        { singular: 'shiny rock', plural: 'shiny rocks' },
+        { singular: 'coconut', plural: 'coconuts' },
+        { singular: 'vine', plural: 'vines' },
+        { singular: 'hat', plural: 'hats' },
+        { singular: 'berry', plural: 'berries' },
+        { singular: 'leaf', plural: 'leaves' }
+    ];
+
+    // Built-in word problem templates
+    // Placeholders: {a}, {b}, {result}, {name}, {friend}, {item} (plural),
+    // {item:a} (agrees with a), {a|word|words} (inline word agreeing with a).
+    // `answer` names the slot asked for (default 'result').
+    const DEFAULT_WORD_PROBLEM_TEMPLATES = [
+        {
+            id: 'found-more',
+            operation: '+',
+            text: '{name} had {a} {item:a} and found {b} more in the jungle. How many {item} does {name} have now?'
+        },
+        {
+            id: 'friends-together',
+            operation: '+',
+            text: '{name} has {a} {item:a} and {friend} has {b} {item:b}. How many {item} do they have together?'
+        },
+        {
+            id: 'tag-rounds',
+            operation: '+',
+            text: '{name} tagged {a} {a|monke|monkes} in the first round and {b} in the second round. How many monkes did {name} tag in all?'
+        },
+        {
+            id: 'start-unknown',
+            operation: '+',
+            answer: 'operand1',
+            text: '{name} had some {item}. After finding {b} more, {name} has {result}. How many {item} did {name} start with?'
+        },
+        {
+            id: 'gave-away',
+            operation: '-',
+            text: '{name} collected {a} {item:a} and gave away {b}. How many {item} does {name} have left?'
+        },
+        {
+            id: 'dropped',
+            operation: '-',
+            text: '{name} was carrying {a} {item:a} while swinging through the trees and dropped {b}. How many {item} is {name} still carrying?'
+        },
+        {
+            id: 'how-many-more',
+            operation: '-',
+            text: '{name} has {a} {item:a}. {friend} has {b} {item:b}. How many more {item} does {name} have than {friend}?'
+        },
+        {
+            id: 'bags',
+            operation: '*',
+            text: '{name} has {a} {a|bag|bags} with {b} {item:b} in each bag. How many {item} is that altogether?'
+        },
+        {
+            id: 'trees',
+            operation: '*',
+            text: 'There {a|is|are} {a} {a|tree|trees} in the jungle and each tree has {b} {item:b}. How many {item} are there in all?'
+        },
+        {
+            id: 'share',
+            operation: '/',
+            text: '{name} shares {a} {item:a} equally among {b} {b|friend|friends}. How many {item} does each friend get?'
+        },
+        {
+            id: 'piles',
+            operation: '/',
+            text: '{name} sorts {a} {item:a} into piles of {b}. How many piles does {name} make?'
+        }
+    ];
+
+    // Active word problem templates (built-ins plus any added at runtime)
+    let wordProblemTemplates = DEFAULT_WORD_PROBLEM_TEMPLATES.slice();
+
+    // Multiple-choice options per problem (including the correct one)
+    const DEFAULT_CHOICE_COUNT = 4;
+
+    // Operations kids commonly apply by mistake instead of the real one
+    const MISTAKEN_OPERATIONS = {
+        '+': ['-', '*'],
+        '-': ['+'],
+        '*': ['+'],
+        '/': ['*', '-']
+    };
+
+    // Largest times table offered as a fact family ("times-1" .. "times-12")
+    const MAX_TIMES_TABLE = 12;
+
+    // Named addition fact families; each lists its facts once, smaller addend first
+    const ADDITION_FACT_FAMILIES = {
+        doubles: {
+            label: 'Doubles',
+            facts: () => Array.from({ length: 10 }, (_, i) => [i + 1, i + 1])
+        },
+        'make-10': {
+            label: 'Make 10',
+            facts: () => Array.from({ length: 6 }, (_, i) => [i, 10 - i])
+        }
+    };
+
+    // Number words accepted in typed answers ("twenty-one", "one hundred and five")
+    const NUMBER_WORDS = {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+        ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+        seventeen: 17, eighteen: 18, nineteen: 19
+    };
+
+    const TENS_WORDS = {
+        twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+    };
+
+    const SCALE_WORDS = {
+        thousand: 1000,
+        million: 1000000
+    };
+
+    // Why parseAnswer rejected an input, worded for the player
+    const ANSWER_ERROR_MESSAGES = {
+        'empty': 'Type an answer first!',
+        'not-a-number': "That doesn't look like a number.",
+        'trailing-text': 'Take out the extra characters after the number.',
+        'bad-grouping': 'Check the commas and dots in that number.',
+        'zero-denominator': "A fraction can't have 0 on the bottom.",
+        'improper-mixed': 'The fraction part of a mixed number must be less than 1.',
+        'not-whole': 'Use whole numbers here.',
+        'not-a-fraction': 'Answer with a fraction, like 3/4.'
+    };
+
+    // Place names for column methods in worked solutions, ones first
+    const PLACE_NAMES = ['ones', 'tens', 'hundreds', 'thousands', 'ten thousands', 'hundred thousands', 'millions'];
+
+    // How worked solutions name each step of an expression
+    const OPERATION_VERBS = {
+        '+': 'Add',
+        '-': 'Subtract',
+        '*': 'Multiply',
+        '/': 'Divide'
+    };
+
+    // Starting complexity score for each operation; plugin operations use the default
+    const COMPLEXITY_BASE = {
+        '+': 1,
+        '-': 1.5,
+        '*': 2,
+        '/': 2.5,
+        default: 2
+    };
+
+    // Complexity scores each level's problems span, [easiest, hardest]
+    const LEVEL_COMPLEXITY = {
+        1: [1, 3],
+        2: [1.5, 3.5],
+        3: [2, 6]
+    };
+
+    // Share of a level's complexity range that one band covers
+    const COMPLEXITY_BAND_WIDTH = 0.5;
+
+    // Seeds are reduced to 32-bit integers for the PRNG
+    const SEED_RANGE = 4294967296;
+
+    /**
+     * Hashes a seed into a 32-bit unsigned integer (FNV-1a)
+     * Numbers and their string forms hash the same, so 42 and "42" are one seed
+     * @param {string|number} seed - Seed value
+     * @returns {number} 32-bit unsigned integer
+     */
+    function hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Generates a short random seed suitable for sharing as a game code
+     * @returns {string} Six character code
+     */
+    function generateSeed() {
+        return Math.floor(Math.random() * 2176782336).toString(36).toUpperCase().padStart(6, '0');
+    }
+
+    /**
+     * Creates a seedable pseudo-random source (mulberry32)
+     * The returned function is a drop-in replacement for Math.random
+     * @param {string|number} [seed] - Seed value (random if not provided)
+     * @returns {function} Random function returning [0, 1), with a `seed` property
+     */
+    function createRandom(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+            seed = generateSeed();
+        }
+
+        let state = hashSeed(seed);
+
+        const random = function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+        };
+        random.seed = seed;
+
+        return random;
+    }
+
+    /**
+     * Picks the seed for a single problem
+     * An explicit seed wins; otherwise one is drawn from the given random source
+     * @param {object} options - Generation options ({seed, random})
+     * @returns {string|number} Problem seed
+     */
+    function resolveProblemSeed(options) {
+        if (options.seed !== undefined && options.seed !== null && options.seed !== '') {
+            return options.seed;
+        }
+        const source = typeof options.random === 'function' ? options.random : Math.random;
+        return Math.floor(source() * SEED_RANGE);
+    }
+
     /**
      * Generates a random integer between min and max (inclusive)
      * @param {number} min - Minimum value
      * @param {number} max - Maximum value
+     * @param {function} [random=Math.random] - Random source
      * @returns {number} Random integer
      */
-    function getRandomInt(min, max) {
+    function getRandomInt(min, max, random = Math.random) {
         min = Math.ceil(min);
         max = Math.floor(max);
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return Math.floor(random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Picks a random item from a list
+     * @param {Array} list - Items (at least one)
+     * @param {function} [random=Math.random] - Random source
+     * @returns {*} One item
+     */
+    function pickRandom(list, random = Math.random) {
+        return list[getRandomInt(0, list.length - 1, random)];
     }
 
     /**
-     * Generates a unique ID for each problem
-     * @returns {string} Unique identifier
+     * Generates an ID for a problem from its random source
+     * @param {function} random - Random source
+     * @returns {string} Identifier (stable for a given seed)
      */
-    function generateProblemId() {
-        return 'prob_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    function generateProblemId(random) {
+        return 'prob_' + random().toString(36).substr(2, 9) + random().toString(36).substr(2, 4);
     }
 
     /**
      * Calculates the correct answer for a given operation
      * @param {number} operand1 - First number
      * @param {number} operand2 - Second number
-     * @param {string} operation - Operation (+, -, *, /)
+     * @param {string} operation - Operation symbol of a registered type (+, -, *, /)
      * @returns {number} The correct answer
      */
     function calculateAnswer(operand1, operand2, operation) {
-        switch (operation) {
-            case '+':
-                return operand1 + operand2;
-            case '-':
-                return operand1 - operand2;
-            case '*':
-                return operand1 * operand2;
-            case '/':
-                return operand1 / operand2;
-            default:
-                throw new Error(`Unknown operation: ${operation}`);
+        const type = getOperationType(operation);
+        if (!type) {
+            throw new Error(`Unknown operation: ${operation}`);
+        }
+        return type.operation.calculate(operand1, operand2);
+    }
+
+    /**
+     * Checks whether an operation gives the same result with its operands swapped
+     * @param {string} operation - Operation symbol
+     * @returns {boolean} True for + and × (and plugin operations marked commutative)
+     */
+    function isCommutative(operation) {
+        const type = getOperationType(operation);
+        return !!(type && type.operation.commutative);
+    }
+
+    /**
+     * Counts the distinct values getOperand can return for a range
+     * @param {number} min - Minimum magnitude
+     * @param {number} max - Maximum magnitude
+     * @param {object} config - Difficulty configuration
+     * @returns {number} Number of possible operands
+     */
+    function countOperandValues(min, max, config) {
+        const magnitudes = Math.max(0, max - min + 1);
+        if (!config.allowNegativeResults) {
+            return magnitudes;
+        }
+        // Zero has no negative twin
+        return min <= 0 ? magnitudes * 2 - 1 : magnitudes * 2;
+    }
+
+    /**
+     * Counts unordered pairs (repeats allowed) from a set of values
+     * @param {number} count - Number of values
+     * @returns {number} count × (count + 1) / 2
+     */
+    function countUnorderedPairs(count) {
+        return count * (count + 1) / 2;
+    }
+
+    /**
+     * Counts the distinct division facts a config can produce
+     * @param {object} config - Difficulty configuration
+     * @returns {number} Number of (dividend, divisor) pairs
+     */
+    function countDivisionFacts(config) {
+        const maxMultiplier = config.maxMultiplier || 10;
+
+        if (config.divisionRemainders) {
+            // Divisors 2..D each allow D - 1 remainders for every quotient
+            const maxDivisor = Math.max(2, maxMultiplier);
+            return maxMultiplier * (maxDivisor - 1) * maxDivisor / 2;
+        }
+
+        const values = countOperandValues(1, maxMultiplier, config);
+        return values * values;
+    }
+
+    /**
+     * Finds the places where column addition carries or column subtraction regroups
+     * @param {number} a - First operand (non-negative)
+     * @param {number} b - Second operand (non-negative, and no more than a for subtraction)
+     * @param {string} operation - '+' or '-'
+     * @returns {number[]} Place indices that carry or borrow (0 = ones, 1 = tens, ...)
+     */
+    function getRegroupingPlaces(a, b, operation) {
+        const places = [];
+        let carry = 0;
+
+        for (let place = 0; a > 0 || b > 0; place++) {
+            const digitA = a % 10;
+            const digitB = b % 10;
+            carry = operation === '+'
+                ? (digitA + digitB + carry >= 10 ? 1 : 0)
+                : (digitA - carry < digitB ? 1 : 0);
+            if (carry) {
+                places.push(place);
+            }
+            a = Math.floor(a / 10);
+            b = Math.floor(b / 10);
+        }
+
+        return places;
+    }
+
+    /**
+     * Checks whether a config constrains regrouping in addition and subtraction
+     * Negative-number mode ignores the constraint, since signs change which way digits move
+     * @param {object} config - Difficulty configuration
+     * @returns {boolean} True for 'none', 'required' or a place name
+     */
+    function hasRegroupingRule(config) {
+        return Boolean(config.regrouping) && config.regrouping !== 'any' && !config.allowNegativeResults;
+    }
+
+    /**
+     * Checks regrouping places against a regrouping rule
+     * @param {number[]} places - Places that regroup (from getRegroupingPlaces)
+     * @param {string} rule - 'none', 'required', or the only place that may regroup ('ones', 'tens', ...)
+     * @returns {boolean} True if the places follow the rule
+     */
+    function followsRegroupingRule(places, rule) {
+        if (rule === 'none') {
+            return places.length === 0;
+        }
+        if (rule === 'required') {
+            return places.length > 0;
+        }
+        return places.length === 1 && places[0] === PLACE_NAMES.indexOf(rule);
+    }
+
+    /**
+     * Picks a second operand digit by digit so that exactly the planned places regroup
+     * Fixing the plan fixes every carry, so each place's digit can be chosen on its own
+     * @param {number} operand1 - First operand
+     * @param {boolean[]} plan - Whether each place (ones first) regroups
+     * @param {string} operation - '+' or '-'
+     * @param {number} max - Largest allowed second operand
+     * @param {function} random - Random source
+     * @returns {number|null} Second operand, or null if a place can't follow the plan
+     */
+    function buildRegroupingOperand(operand1, plan, operation, max, random) {
+        let operand2 = 0;
+
+        for (let place = plan.length - 1; place >= 0; place--) {
+            const digit = Math.floor(operand1 / 10 ** place) % 10;
+            const carry = place > 0 && plan[place - 1] ? 1 : 0;
+            const limit = Math.floor(max / 10 ** place);
+            const digits = [];
+
+            for (let candidate = 0; candidate <= 9 && operand2 * 10 + candidate <= limit; candidate++) {
+                const regroups = operation === '+' ? digit + candidate + carry >= 10 : digit - carry < candidate;
+                if (regroups === plan[place]) {
+                    digits.push(candidate);
+                }
+            }
+            if (digits.length === 0) {
+                return null;
+            }
+            operand2 = operand2 * 10 + pickRandom(digits, random);
+        }
+
+        return operand2;
+    }
+
+    /**
+     * Counts the second operands in a range that regroup with operand1 exactly as planned
+     * Fixing the plan fixes every carry, so each place allows its own set of digits
+     * @param {number} operand1 - First operand
+     * @param {boolean[]} plan - Whether each place (ones first) regroups
+     * @param {string} operation - '+' or '-'
+     * @param {number} min - Smallest second operand
+     * @param {number} max - Largest second operand (below 10 ** plan.length)
+     * @returns {number} Number of second operands
+     */
+    function countPlannedOperands(operand1, plan, operation, min, max) {
+        const allowed = plan.map((regroupsHere, place) => {
+            const digit = Math.floor(operand1 / 10 ** place) % 10;
+            const carry = place > 0 && plan[place - 1] ? 1 : 0;
+            return Array.from({ length: 10 }, (_, candidate) => candidate).filter(candidate => {
+                const regroups = operation === '+' ? digit + candidate + carry >= 10 : digit - carry < candidate;
+                return regroups === regroupsHere;
+            });
+        });
+
+        // Numbers from 0 to limit whose every digit is allowed, counted from the top place down
+        const countUpTo = limit => {
+            let count = 0;
+            for (let place = plan.length - 1; place >= 0; place--) {
+                const digit = Math.floor(limit / 10 ** place) % 10;
+                const lower = allowed[place].filter(candidate => candidate < digit).length;
+                count += lower * allowed.slice(0, place).reduce((product, digits) => product * digits.length, 1);
+                if (!allowed[place].includes(digit)) {
+                    return count;
+                }
+            }
+            return count + 1;
+        };
+
+        if (max < min) {
+            return 0;
+        }
+        return countUpTo(max) - (min > 0 ? countUpTo(min - 1) : 0);
+    }
+
+    /**
+     * Counts the second operands in a range that follow a regrouping rule with operand1
+     * @param {number} operand1 - First operand
+     * @param {string} rule - 'none', 'required', or the only place that may regroup ('ones', 'tens', ...)
+     * @param {string} operation - '+' or '-'
+     * @param {number} min - Smallest second operand
+     * @param {number} max - Largest second operand
+     * @param {number} placeCount - Places in the largest operand
+     * @returns {number} Number of second operands
+     */
+    function countRegroupingOperands(operand1, rule, operation, min, max, placeCount) {
+        const noRegrouping = Array(placeCount).fill(false);
+        if (rule === 'none') {
+            return countPlannedOperands(operand1, noRegrouping, operation, min, max);
+        }
+        if (rule === 'required') {
+            return Math.max(0, max - min + 1) - countPlannedOperands(operand1, noRegrouping, operation, min, max);
+        }
+
+        // Places past the largest operand's digits never regroup
+        const target = PLACE_NAMES.indexOf(rule);
+        if (target >= placeCount) {
+            return 0;
+        }
+        return countPlannedOperands(operand1, noRegrouping.map((_, place) => place === target), operation, min, max);
+    }
+
+    /**
+     * Generates addition or subtraction operands that follow config.regrouping
+     * Rare rules that random draws keep missing are found by searching the range
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @param {string} operation - '+' or '-'
+     * @returns {object|null} {operand1, operand2}, or null if the range can't follow the rule
+     */
+    function generateRegroupingOperands(config, random, operation) {
+        const { minOperand, maxOperand, regrouping } = config;
+        const placeCount = String(maxOperand).length;
+        const target = PLACE_NAMES.indexOf(regrouping);
+        const plan = Array.from({ length: placeCount }, (_, place) => place === target);
+
+        for (let attempt = 0; attempt < MAX_REGROUPING_ATTEMPTS; attempt++) {
+            let operand1 = getRandomInt(minOperand, maxOperand, random);
+            let operand2;
+
+            if (regrouping === 'required') {
+                // Most pairs regroup somewhere, so drawing freely finds one quickly
+                operand2 = getRandomInt(minOperand, maxOperand, random);
+                if (operation === '-' && operand1 < operand2) {
+                    [operand1, operand2] = [operand2, operand1];
+                }
+            } else {
+                const max = operation === '-' ? Math.min(operand1, maxOperand) : maxOperand;
+                operand2 = buildRegroupingOperand(operand1, plan, operation, max, random);
+            }
+
+            if (operand2 !== null && operand2 >= minOperand &&
+                followsRegroupingRule(getRegroupingPlaces(operand1, operand2, operation), regrouping)) {
+                return { operand1, operand2 };
+            }
         }
+
+        // Try every first operand, from a random start, until one has a second operand that fits
+        const values = maxOperand - minOperand + 1;
+        const start = getRandomInt(0, values - 1, random);
+        for (let i = 0; i < values; i++) {
+            const operand1 = minOperand + (start + i) % values;
+            const max = operation === '-' ? operand1 : maxOperand;
+            const count = countRegroupingOperands(operand1, regrouping, operation, minOperand, max, placeCount);
+            if (count === 0) {
+                continue;
+            }
+
+            let skip = getRandomInt(0, count - 1, random);
+            for (let operand2 = minOperand; operand2 <= max; operand2++) {
+                if (followsRegroupingRule(getRegroupingPlaces(operand1, operand2, operation), regrouping) && skip-- === 0) {
+                    return { operand1, operand2 };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Counts the operand pairs that follow config.regrouping, 0 when the range can't follow it
+     * Large ranges aren't counted; they allow plenty of problems either way
+     * @param {object} config - Difficulty configuration
+     * @param {string} operation - '+' or '-'
+     * @returns {number} Number of unordered pairs (operand1 >= operand2 for subtraction)
+     */
+    function countRegroupingPairs(config, operation) {
+        const { minOperand, maxOperand, regrouping } = config;
+        if (maxOperand - minOperand + 1 > MAX_COUNTED_REGROUPING_VALUES) {
+            return countUnorderedPairs(countOperandValues(minOperand, maxOperand, config));
+        }
+
+        const placeCount = String(maxOperand).length;
+        let count = 0;
+        for (let operand1 = minOperand; operand1 <= maxOperand; operand1++) {
+            count += countRegroupingOperands(operand1, regrouping, operation, minOperand, operand1, placeCount);
+        }
+        return count;
+    }
+
+    /**
+     * Lists the config's operations that can make a problem: addition and subtraction are left
+     * out when no operands in range follow config.regrouping
+     * @param {object} config - Difficulty configuration
+     * @returns {string[]} Operations
+     */
+    function getPlayableOperations(config) {
+        if (!hasRegroupingRule(config)) {
+            return config.operations;
+        }
+        return config.operations.filter(operation =>
+            (operation !== '+' && operation !== '-') || countRegroupingPairs(config, operation) > 0);
+    }
+
+    /**
+     * Generates operands that follow config.regrouping
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @param {string} operation - '+' or '-'
+     * @returns {object} {operand1, operand2}
+     * @throws {Error} If no operands in range follow the rule
+     */
+    function requireRegroupingOperands(config, random, operation) {
+        const operands = generateRegroupingOperands(config, random, operation);
+        if (!operands) {
+            throw new Error(`No ${getOperationSymbol(operation)} problems from ${config.minOperand} to ` +
+                `${config.maxOperand} follow the "${config.regrouping}" regrouping rule`);
+        }
+        return operands;
     }
 
     /**
-     * Generates operands for addition problems
+     * Generates operands for addition problems, following config.regrouping when set
      * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
      * @returns {object} {operand1, operand2}
      */
-    function generateAdditionOperands(config) {
-        const operand1 = getRandomInt(config.minOperand, config.maxOperand);
-        const operand2 = getRandomInt(config.minOperand, config.maxOperand);
+    function generateAdditionOperands(config, random) {
+        if (hasRegroupingRule(config)) {
+            return requireRegroupingOperands(config, random, '+');
+        }
+
+        const operand1 = getOperand(config.minOperand, config.maxOperand, config, random);
+        const operand2 = getOperand(config.minOperand, config.maxOperand, config, random);
         return { operand1, operand2 };
     }
 
     /**
-     * Generates operands for subtraction problems (ensures non-negative result)
+     * Generates an operand, making it negative half the time in negative-number mode
+     * @param {number} min - Minimum magnitude
+     * @param {number} max - Maximum magnitude
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {number} Operand (never 0 when min >= 1)
+     */
+    function getOperand(min, max, config, random) {
+        const magnitude = getRandomInt(min, max, random);
+        return config.allowNegativeResults && random() < 0.5 ? -magnitude : magnitude;
+    }
+
+    /**
+     * Formats a number for display, using a true minus sign for negatives
+     * @param {number} value - Number to format
+     * @returns {string} e.g. "12" or "−3"
+     */
+    function formatNumber(value) {
+        return value < 0 ? '\u2212' + Math.abs(value) : String(value);
+    }
+
+    /**
+     * Generates operands for subtraction problems (ensures non-negative result), following
+     * config.regrouping when set
      * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
      * @returns {object} {operand1, operand2}
      */
-    function generateSubtractionOperands(config) {
-        let operand1 = getRandomInt(config.minOperand, config.maxOperand);
-        let operand2 = getRandomInt(config.minOperand, config.maxOperand);
+    function generateSubtractionOperands(config, random) {
+        if (hasRegroupingRule(config)) {
+            return requireRegroupingOperands(config, random, '-');
+        }
+
+        let operand1 = getOperand(config.minOperand, config.maxOperand, config, random);
+        let operand2 = getOperand(config.minOperand, config.maxOperand, config, random);
 
         // Ensure operand1 >= operand2 for non-negative results
         if (!config.allowNegativeResults && operand1 < operand2) {
@@ -112,26 +774,37 @@ const MathEngine = (function() {
     /**
      * Generates operands for multiplication problems
      * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
      * @returns {object} {operand1, operand2}
      */
-    function generateMultiplicationOperands(config) {
+    function generateMultiplicationOperands(config, random) {
         const maxMultiplier = config.maxMultiplier || 10;
-        const operand1 = getRandomInt(1, maxMultiplier);
-        const operand2 = getRandomInt(1, maxMultiplier);
+        const operand1 = getOperand(1, maxMultiplier, config, random);
+        const operand2 = getOperand(1, maxMultiplier, config, random);
         return { operand1, operand2 };
     }
 
     /**
      * Generates operands for division problems (ensures whole number result)
+     * With config.divisionRemainders the dividend is deliberately not a multiple of the divisor
      * @param {object} config - Difficulty configuration
-     * @returns {object} {operand1, operand2}
+     * @param {function} random - Random source
+     * @returns {object} {operand1, operand2} plus {remainder} in remainder mode
      */
-    function generateDivisionOperands(config) {
+    function generateDivisionOperands(config, random) {
         const maxMultiplier = config.maxMultiplier || 10;
 
+        if (config.divisionRemainders) {
+            // Remainders are taught with positive numbers only, and need a divisor of at least 2
+            const operand2 = getRandomInt(2, Math.max(2, maxMultiplier), random);
+            const quotient = getRandomInt(1, maxMultiplier, random);
+            const remainder = getRandomInt(1, operand2 - 1, random);
+            return { operand1: operand2 * quotient + remainder, operand2, remainder };
+        }
+
         // Generate factors, then multiply to get dividend
-        const operand2 = getRandomInt(1, maxMultiplier); // Divisor (never 0)
-        const quotient = getRandomInt(1, maxMultiplier); // Expected answer
+        const operand2 = getOperand(1, maxMultiplier, config, random); // Divisor (never 0)
+        const quotient = getOperand(1, maxMultiplier, config, random); // Expected answer
         const operand1 = operand2 * quotient; // Dividend
 
         return { operand1, operand2 };
@@ -141,37 +814,28 @@ const MathEngine = (function() {
      * Generates operands based on operation type
      * @param {string} operation - The operation type
      * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
      * @returns {object} {operand1, operand2}
      */
-    function generateOperands(operation, config) {
-        switch (operation) {
-            case '+':
-                return generateAdditionOperands(config);
-            case '-':
-                return generateSubtractionOperands(config);
-            case '*':
-                return generateMultiplicationOperands(config);
-            case '/':
-                return generateDivisionOperands(config);
-            default:
-                return generateAdditionOperands(config);
-        }
+    function generateOperands(operation, config, random) {
+        const type = getOperationType(operation) || registeredTypes.addition;
+        return type.operation.generateOperands(config, random);
     }
 
     /**
-     * Generates a new math problem based on operation type and difficulty
-     * @param {string} [operation] - Optional specific operation (random if not provided)
-     * @param {number} [difficulty=1] - Difficulty level (1-3)
-     * @returns {object} Problem object
+     * Generates an arithmetic (operand1 op operand2) problem
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @param {string} [operation] - Specific operation (random if not provided)
+     * @returns {object} Problem fields
+     * @throws {Error} If config.regrouping rules out the operation (or every operation)
      */
-    function generateProblem(operation, difficulty = 1) {
-        // Get configuration for difficulty level
-        const config = DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG[1];
-
-        // Select operation if not provided
+    function generateArithmeticProblem(config, random, operation) {
+        // Select operation if not provided, skipping any the regrouping rule rules out
         if (!operation) {
-            const randomIndex = getRandomInt(0, config.operations.length - 1);
-            operation = config.operations[randomIndex];
+            const playable = getPlayableOperations(config);
+            const operations = playable.length > 0 ? playable : config.operations;
+            operation = pickRandom(operations, random);
         }
 
         // Validate operation is allowed for this difficulty
@@ -179,45 +843,2813 @@ const MathEngine = (function() {
             operation = config.operations[0];
         }
 
+        return generateOperationProblem(config, random, operation);
+    }
+
+    /**
+     * Generates an "operand1 op operand2" problem for one operation
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @param {string} operation - Operation symbol
+     * @returns {object} Problem fields
+     */
+    function generateOperationProblem(config, random, operation) {
         // Generate operands appropriate for the operation
-        const { operand1, operand2 } = generateOperands(operation, config);
+        const { operand1, operand2, remainder } = generateOperands(operation, config, random);
+
+        if (remainder !== undefined) {
+            return createRemainderProblem(operand1, operand2, remainder);
+        }
+
+        return buildArithmeticProblem(operand1, operand2, operation, config, random);
+    }
+
+    /**
+     * Builds the problem fields for "operand1 op operand2 = result" with a blank slot
+     * @param {number} operand1 - First operand
+     * @param {number} operand2 - Second operand
+     * @param {string} operation - Operation
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function buildArithmeticProblem(operand1, operand2, operation, config, random) {
+        // Calculate the result of the equation
+        const result = calculateAnswer(operand1, operand2, operation);
 
-        // Calculate the correct answer
-        const correctAnswer = calculateAnswer(operand1, operand2, operation);
+        // Pick which slot of "operand1 op operand2 = result" the player fills in
+        const blankPositions = config.blankPositions || ['result'];
+        const blank = pickRandom(blankPositions, random);
+        const slots = { operand1, operand2, result };
 
-        // Create display text with friendly symbols
-        const displaySymbol = OPERATION_SYMBOLS[operation] || operation;
-        const displayText = `${operand1} ${displaySymbol} ${operand2} = ?`;
+        // Create display text with friendly symbols, "?" marking the blank
+        // A negative second operand is parenthesized: "−3 - (−5)"
+        const displaySymbol = getOperationSymbol(operation);
+        const show = slot => {
+            if (slot === blank) {
+                return '?';
+            }
+            const text = formatNumber(slots[slot]);
+            return slot === 'operand2' && slots[slot] < 0 ? `(${text})` : text;
+        };
+        const displayText = `${show('operand1')} ${displaySymbol} ${show('operand2')} = ${show('result')}`;
 
         return {
-            id: generateProblemId(),
             operand1,
             operand2,
             operation,
             displayText,
-            correctAnswer,
-            difficulty
+            blank,
+            result,
+            correctAnswer: slots[blank],
+            allowNegative: !!config.allowNegativeResults
         };
     }
 
     /**
-     * Validates user's answer against correct answer
-     * @param {number|string} userAnswer - The user's submitted answer
-     * @param {number} correctAnswer - The correct answer
-     * @returns {boolean} True if answer is correct
+     * Lists the available fact families
+     * @returns {object[]} Families: {id, label, operation}
      */
-    function checkAnswer(userAnswer, correctAnswer) {
-        // Convert to number if string
-        const numericAnswer = parseFloat(userAnswer);
+    function getFactFamilies() {
+        const times = Array.from({ length: MAX_TIMES_TABLE }, (_, i) => ({
+            id: `times-${i + 1}`,
+            label: `${getOperationSymbol('*')}${i + 1}`,
+            operation: '*'
+        }));
+        const addition = Object.keys(ADDITION_FACT_FAMILIES).map(id => ({
+            id,
+            label: ADDITION_FACT_FAMILIES[id].label,
+            operation: '+'
+        }));
+        return times.concat(addition);
+    }
 
-        // Check for invalid input
-        if (isNaN(numericAnswer)) {
-            return false;
+    /**
+     * Lists the facts in the chosen families, each fact once even if families overlap
+     * @param {string[]} families - Family ids ("times-7", "doubles", "make-10")
+     * @param {boolean} [includeInverse=false] - Add the inverse division/subtraction facts
+     * @returns {object[]} Facts: {operand1, operand2, operation, family}
+     */
+    function getFamilyFacts(families, includeInverse = false) {
+        const facts = [];
+        const seen = new Set();
+        const add = (operand1, operand2, operation, family) => {
+            // 3 + 7 and 7 + 3 are one fact; the order is picked when it's drawn
+            const key = isCommutative(operation)
+                ? `${Math.min(operand1, operand2)}${operation}${Math.max(operand1, operand2)}`
+                : `${operand1}${operation}${operand2}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                facts.push({ operand1, operand2, operation, family });
+            }
+        };
+
+        families.forEach(family => {
+            let operation;
+            let pairs;
+            const times = /^times-(\d+)$/.exec(family);
+
+            if (times && Number(times[1]) >= 1 && Number(times[1]) <= MAX_TIMES_TABLE) {
+                const factor = Number(times[1]);
+                operation = '*';
+                pairs = Array.from({ length: MAX_TIMES_TABLE }, (_, i) => [factor, i + 1]);
+            } else if (ADDITION_FACT_FAMILIES[family]) {
+                operation = '+';
+                pairs = ADDITION_FACT_FAMILIES[family].facts();
+            } else {
+                throw new Error(`Unknown fact family: ${family}`);
+            }
+
+            pairs.forEach(([a, b]) => {
+                add(a, b, operation, family);
+                if (includeInverse) {
+                    // 7 × 8 = 56 brings 56 ÷ 7 and 56 ÷ 8; 3 + 7 = 10 brings 10 - 3 and 10 - 7
+                    const inverse = operation === '*' ? '/' : '-';
+                    const total = calculateAnswer(a, b, operation);
+                    add(total, a, inverse, family);
+                    add(total, b, inverse, family);
+                }
+            });
+        });
+
+        return facts;
+    }
+
+    /**
+     * Creates a deck that deals every fact in the chosen families once before repeating
+     * @param {string[]} families - Family ids (see getFactFamilies)
+     * @param {object} [options] - {includeInverse, seed, random}
+     * @returns {object} Deck to pass to generateProblem as config.factDeck
+     */
+    function createFactDeck(families, options = {}) {
+        if (!Array.isArray(families) || families.length === 0) {
+            throw new Error('Fact practice needs at least one fact family');
         }
 
-        // Compare with small epsilon for floating point errors
-        const epsilon = 0.0001;
-        return Math.abs(numericAnswer - correctAnswer) < epsilon;
+        return {
+            families: families.slice(),
+            facts: getFamilyFacts(families, !!options.includeInverse),
+            queue: [],
+            last: null,
+            random: createRandom(resolveProblemSeed(options))
+        };
+    }
+
+    /**
+     * Deals the next fact from a deck, reshuffling once every fact has been seen
+     * @param {object} deck - Deck from createFactDeck
+     * @returns {object} Fact: {operand1, operand2, operation, family}
+     */
+    function drawFact(deck) {
+        if (deck.queue.length === 0) {
+            deck.queue = shuffle(deck.facts, deck.random);
+
+            // Don't repeat the previous fact across the reshuffle
+            if (deck.queue.length > 1 && deck.queue[0] === deck.last) {
+                deck.queue.push(deck.queue.shift());
+            }
+        }
+
+        deck.last = deck.queue.shift();
+        return deck.last;
+    }
+
+    /**
+     * Generates a problem from the next fact in config.factDeck
+     * @param {object} config - Difficulty configuration with a factDeck
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateFactProblem(config, random) {
+        if (!config.factDeck) {
+            throw new Error('Fact problems need a factDeck (see createFactDeck)');
+        }
+
+        const fact = drawFact(config.factDeck);
+        let { operand1, operand2 } = fact;
+
+        // Show commutative facts either way round ("7 × 8" and "8 × 7")
+        if (isCommutative(fact.operation) && random() < 0.5) {
+            [operand1, operand2] = [operand2, operand1];
+        }
+
+        return {
+            ...buildArithmeticProblem(operand1, operand2, fact.operation, config, random),
+            factFamily: fact.family
+        };
+    }
+
+    /**
+     * Builds a division-with-remainder problem ("23 ÷ 4 = ?", answered "5 R 3")
+     * @param {number} dividend - Dividend
+     * @param {number} divisor - Divisor
+     * @param {number} remainder - Remainder of dividend ÷ divisor
+     * @returns {object} Problem fields
+     */
+    function createRemainderProblem(dividend, divisor, remainder) {
+        const quotient = (dividend - remainder) / divisor;
+
+        return {
+            operand1: dividend,
+            operand2: divisor,
+            operation: '/',
+            displayText: `${dividend} ${getOperationSymbol('/')} ${divisor} = ?`,
+            blank: 'result',
+            answerFormat: 'remainder',
+            correctAnswer: { quotient, remainder }
+        };
+    }
+
+    /**
+     * Parses a quotient-and-remainder answer such as "7 R 2", "7r2", "7 remainder 2" or plain "7"
+     * Each part goes through parseAnswer, so "1,204 R 3" works too
+     * @param {string|number} input - Text to parse
+     * @returns {object} {valid: true, quotient, remainder} or a rejection ({valid: false, reason, message})
+     */
+    function parseRemainderAnswer(input) {
+        const text = String(input === undefined || input === null ? '' : input).trim();
+        const match = text.match(/^(.*?\d)\s*(?:remainder|rem|r)\s*(\S.*)$/i);
+
+        const parts = (match ? [match[1], match[2]] : [text]).map(part => parseAnswer(part));
+        const rejected = parts.find(part => !part.valid);
+        if (rejected) {
+            return rejected;
+        }
+        if (parts.some(part => part.form !== 'integer' || part.numerator < 0)) {
+            return rejectAnswer('not-whole');
+        }
+
+        return {
+            valid: true,
+            quotient: parts[0].numerator,
+            remainder: parts.length > 1 ? parts[1].numerator : 0
+        };
+    }
+
+    /**
+     * Greatest common divisor of two integers
+     * @param {number} a - First integer
+     * @param {number} b - Second integer
+     * @returns {number} Non-negative GCD
+     */
+    function gcd(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Creates a fraction with the sign kept on the numerator
+     * @param {number} numerator - Integer numerator
+     * @param {number} denominator - Non-zero integer denominator
+     * @returns {object} {numerator, denominator}
+     */
+    function createFraction(numerator, denominator) {
+        if (denominator === 0) {
+            throw new Error('Fraction denominator cannot be zero');
+        }
+        if (denominator < 0) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        return { numerator: numerator || 0, denominator };
+    }
+
+    /**
+     * Reduces a fraction to lowest terms
+     * @param {object} fraction - {numerator, denominator}
+     * @returns {object} Simplified fraction
+     */
+    function simplifyFraction(fraction) {
+        const divisor = gcd(fraction.numerator, fraction.denominator) || 1;
+        return createFraction(fraction.numerator / divisor, fraction.denominator / divisor);
+    }
+
+    /**
+     * Checks whether a fraction is in lowest terms
+     * @param {object} fraction - {numerator, denominator}
+     * @returns {boolean} True if simplified
+     */
+    function isSimplified(fraction) {
+        return gcd(fraction.numerator, fraction.denominator) === 1;
+    }
+
+    /**
+     * Compares two fractions exactly (cross-multiplication)
+     * @param {object} a - First fraction
+     * @param {object} b - Second fraction
+     * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+     */
+    function compareFractions(a, b) {
+        return a.numerator * b.denominator - b.numerator * a.denominator;
+    }
+
+    /**
+     * Applies an operation to two fractions
+     * @param {object} a - First fraction
+     * @param {object} b - Second fraction
+     * @param {string} operation - Operation (+, -, *, /)
+     * @returns {object} Simplified result fraction
+     */
+    function calculateFraction(a, b, operation) {
+        switch (operation) {
+            case '+':
+                return simplifyFraction(createFraction(
+                    a.numerator * b.denominator + b.numerator * a.denominator,
+                    a.denominator * b.denominator
+                ));
+            case '-':
+                return simplifyFraction(createFraction(
+                    a.numerator * b.denominator - b.numerator * a.denominator,
+                    a.denominator * b.denominator
+                ));
+            case '*':
+                return simplifyFraction(createFraction(
+                    a.numerator * b.numerator,
+                    a.denominator * b.denominator
+                ));
+            case '/':
+                return simplifyFraction(createFraction(
+                    a.numerator * b.denominator,
+                    a.denominator * b.numerator
+                ));
+            default:
+                throw new Error(`Unknown operation: ${operation}`);
+        }
+    }
+
+    /**
+     * Formats a fraction for display
+     * @param {object} fraction - {numerator, denominator}
+     * @param {boolean} [mixed=false] - Show improper fractions as mixed numbers
+     * @returns {string} e.g. "3/4", "1 1/2" or "2"
+     */
+    function formatFraction(fraction, mixed = false) {
+        const { numerator, denominator } = fraction;
+
+        if (denominator === 1) {
+            return String(numerator);
+        }
+
+        if (mixed && Math.abs(numerator) > denominator) {
+            const sign = numerator < 0 ? '-' : '';
+            const whole = Math.floor(Math.abs(numerator) / denominator);
+            const remainder = Math.abs(numerator) % denominator;
+            return remainder === 0
+                ? `${sign}${whole}`
+                : `${sign}${whole} ${remainder}/${denominator}`;
+        }
+
+        return `${numerator}/${denominator}`;
+    }
+
+    /**
+     * Builds a rejected parse result
+     * @param {string} reason - Why the input was rejected (a key of ANSWER_ERROR_MESSAGES)
+     * @returns {object} {valid: false, reason, message}
+     */
+    function rejectAnswer(reason) {
+        return { valid: false, reason, message: ANSWER_ERROR_MESSAGES[reason] };
+    }
+
+    /**
+     * Builds an accepted parse result from an exact rational
+     * @param {number} numerator - Numerator (sign included)
+     * @param {number} denominator - Positive denominator, not reduced
+     * @param {string} form - 'integer', 'decimal', 'fraction' or 'mixed'
+     * @returns {object} {valid: true, value, numerator, denominator, form}
+     */
+    function acceptAnswer(numerator, denominator, form) {
+        return { valid: true, value: numerator / denominator, numerator, denominator, form };
+    }
+
+    /**
+     * Parses number words such as "twelve", "twenty-one" or "three thousand and five"
+     * @param {string} text - Lower-case words without a sign
+     * @returns {number|null} Value, or null if the words aren't a number
+     */
+    function parseNumberWords(text) {
+        const words = text.replace(/-/g, ' ').split(' ').filter(word => word !== '' && word !== 'and');
+        if (words[0] === 'a' && words.length > 1) {
+            words[0] = 'one';
+        }
+
+        let total = 0;
+        let group = 0;
+        let last = null;
+        let lastScale = Infinity;
+
+        for (const word of words) {
+            if (word in NUMBER_WORDS) {
+                // Units end a group: "twenty one" and "hundred five", but not "twelve three"
+                if (last === 'unit' || (last === 'tens' && !(NUMBER_WORDS[word] >= 1 && NUMBER_WORDS[word] <= 9))) {
+                    return null;
+                }
+                group += NUMBER_WORDS[word];
+                last = 'unit';
+            } else if (word in TENS_WORDS) {
+                if (last === 'unit' || last === 'tens') {
+                    return null;
+                }
+                group += TENS_WORDS[word];
+                last = 'tens';
+            } else if (word === 'hundred') {
+                if (last !== 'unit' || group >= 10) {
+                    return null;
+                }
+                group *= 100;
+                last = 'hundred';
+            } else if (word in SCALE_WORDS) {
+                const scale = SCALE_WORDS[word];
+                if (last === null || last === 'scale' || scale >= lastScale) {
+                    return null;
+                }
+                total += group * scale;
+                group = 0;
+                lastScale = scale;
+                last = 'scale';
+            } else {
+                return null;
+            }
+        }
+
+        return last === null ? null : total + group;
+    }
+
+    /**
+     * Guesses the decimal separator of a number typed without a locale hint
+     * A lone comma is a decimal comma ("2,5") unless exactly three digits follow it ("2,500");
+     * repeated dots are thousands groups ("1.000.000")
+     * @param {string} text - Digits and separators
+     * @returns {string} '.' or ','
+     */
+    function guessDecimalSeparator(text) {
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+
+        if (lastDot >= 0 && lastComma >= 0) {
+            return lastDot > lastComma ? '.' : ',';
+        }
+        if (lastComma >= 0) {
+            return text.indexOf(',') === lastComma && !/,\d{3}$/.test(text) ? ',' : '.';
+        }
+        return text.indexOf('.') !== lastDot ? ',' : '.';
+    }
+
+    /**
+     * Parses digits with optional thousands groups and a decimal part
+     * @param {string} text - Digits and separators, without a sign
+     * @param {string} decimalSeparator - '.', ',' or 'auto'
+     * @returns {object} Parse result
+     */
+    function parseDecimalText(text, decimalSeparator) {
+        const decimal = decimalSeparator === '.' || decimalSeparator === ','
+            ? decimalSeparator
+            : guessDecimalSeparator(text);
+
+        const pieces = text.split(decimal);
+        if (pieces.length > 2 || (pieces.length === 2 && !/^\d+$/.test(pieces[1]))) {
+            return rejectAnswer('bad-grouping');
+        }
+
+        // Thousands groups use one separator throughout, never the decimal one
+        const whole = pieces[0];
+        if (/\D/.test(whole)) {
+            const groups = whole.match(/^\d{1,3}([,. '\u2019])\d{3}(?:\1\d{3})*$/);
+            if (!groups || groups[1] === decimal) {
+                return rejectAnswer('bad-grouping');
+            }
+        }
+
+        const fractional = pieces.length === 2 ? pieces[1] : '';
+        if (whole === '' && fractional === '') {
+            return rejectAnswer('not-a-number');
+        }
+
+        return acceptAnswer(
+            parseInt(whole.replace(/\D/g, '') + fractional, 10) || 0,
+            Math.pow(10, fractional.length),
+            fractional ? 'decimal' : 'integer'
+        );
+    }
+
+    /**
+     * Parses a fraction or mixed number such as "3/4", "6 / 8" or "1 1/2"
+     * @param {string} text - Fraction text, without a sign
+     * @returns {object} Parse result
+     */
+    function parseFractionText(text) {
+        const match = text.match(/^(?:(\d+) )?(\d+) ?\/ ?(\d+)$/);
+        if (!match) {
+            return rejectAnswer('not-a-number');
+        }
+
+        const whole = match[1] !== undefined ? parseInt(match[1], 10) : null;
+        const numerator = parseInt(match[2], 10);
+        const denominator = parseInt(match[3], 10);
+
+        if (denominator === 0) {
+            return rejectAnswer('zero-denominator');
+        }
+        // Mixed numbers need a proper fractional part ("1 3/2" is not a mixed number)
+        if (whole !== null && numerator >= denominator) {
+            return rejectAnswer('improper-mixed');
+        }
+
+        return whole !== null
+            ? acceptAnswer(whole * denominator + numerator, denominator, 'mixed')
+            : acceptAnswer(numerator, denominator, 'fraction');
+    }
+
+    /**
+     * Parses a typed answer into an exact number, explaining any rejection
+     * Accepts a leading "+", "-" or "−", thousands separators ("1,000", "1 000"), decimal points
+     * or commas ("2.5", "2,5"), fractions and mixed numbers ("3/4", "1 1/2") and number words
+     * ("twelve", "minus three"); trailing junk such as "12abc" is rejected, not truncated
+     * @param {string|number} input - The typed answer
+     * @param {object} [options] - Parsing options
+     * @param {string} [options.decimalSeparator='auto'] - '.', ',' or 'auto' to guess from the input
+     * @param {boolean} [options.numberWords=true] - Whether to accept number words
+     * @returns {object} {valid: true, value, numerator, denominator, form} or {valid: false, reason, message}
+     */
+    function parseAnswer(input, options = {}) {
+        if (typeof input === 'number') {
+            return Number.isFinite(input)
+                ? acceptAnswer(input, 1, Number.isInteger(input) ? 'integer' : 'decimal')
+                : rejectAnswer('not-a-number');
+        }
+
+        const text = String(input === undefined || input === null ? '' : input)
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (text === '') {
+            return rejectAnswer('empty');
+        }
+
+        // Leading sign, typed as "+", "-", a true minus or a dash
+        const sign = text.match(/^([+\-\u2212\u2013\u2014]) ?/);
+        let negative = sign !== null && sign[1] !== '+';
+        let body = sign ? text.slice(sign[0].length) : text;
+        let result;
+
+        if (/^[a-z]/i.test(body)) {
+            body = body.toLowerCase();
+            const wordSign = body.match(/^(?:minus|negative) /);
+            if (wordSign && !sign) {
+                negative = true;
+                body = body.slice(wordSign[0].length);
+            }
+            const value = options.numberWords === false ? null : parseNumberWords(body);
+            result = value === null ? rejectAnswer('not-a-number') : acceptAnswer(value, 1, 'integer');
+        } else if (/[^\d.,' \u2019/]/.test(body)) {
+            result = rejectAnswer(/^[\d.,]/.test(body) ? 'trailing-text' : 'not-a-number');
+        } else if (body.includes('/')) {
+            result = parseFractionText(body);
+        } else {
+            result = parseDecimalText(body, options.decimalSeparator);
+        }
+
+        if (result.valid && negative) {
+            return acceptAnswer(-result.numerator, result.denominator, result.form);
+        }
+        return result;
+    }
+
+    /**
+     * Parses a whole number, fraction or mixed number
+     * Accepts everything parseAnswer does except decimals: "3", "-3", "3/4", "6 / 8", "1 1/2", "three"
+     * @param {string|number} input - Text to parse
+     * @returns {object|null} {numerator, denominator, form} (not reduced) or null if unparseable
+     */
+    function parseFraction(input) {
+        const parsed = parseAnswer(input);
+        if (!parsed.valid || parsed.form === 'decimal') {
+            return null;
+        }
+        return { numerator: parsed.numerator, denominator: parsed.denominator, form: parsed.form };
+    }
+
+    /**
+     * Generates a proper fraction (numerator < denominator)
+     * @param {number} denominator - Denominator to use
+     * @param {function} random - Random source
+     * @returns {object} Fraction
+     */
+    function generateProperFraction(denominator, random) {
+        return createFraction(getRandomInt(1, denominator - 1, random), denominator);
+    }
+
+    /**
+     * Generates a fraction arithmetic problem
+     * The kind (like/unlike denominators, multiply, divide, simplify) comes from config.fractions
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateFractionProblem(config, random) {
+        const fractionConfig = config.fractions || DIFFICULTY_CONFIG[1].fractions;
+        const kind = pickRandom(fractionConfig.kinds, random);
+        const maxDenominator = Math.max(3, fractionConfig.maxDenominator);
+
+        if (kind === 'simplify') {
+            // Scale a reduced fraction up so there is something to simplify
+            const reduced = simplifyFraction(
+                generateProperFraction(getRandomInt(2, maxDenominator, random), random)
+            );
+            const factor = getRandomInt(2, 4, random);
+            const operand1 = createFraction(reduced.numerator * factor, reduced.denominator * factor);
+
+            return {
+                fractionKind: kind,
+                operand1,
+                operand2: null,
+                operation: 'simplify',
+                displayText: `Simplify ${formatFraction(operand1)} = ?`,
+                correctAnswer: reduced,
+                requireSimplified: true
+            };
+        }
+
+        const operation = FRACTION_KINDS[kind];
+        const denominator1 = getRandomInt(2, maxDenominator, random);
+        let denominator2;
+
+        if (kind === 'add-like' || kind === 'subtract-like') {
+            denominator2 = denominator1;
+        } else {
+            // Draw from the range minus denominator1 so unlike denominators never match
+            denominator2 = getRandomInt(2, maxDenominator - 1, random);
+            if (kind !== 'multiply' && kind !== 'divide' && denominator2 >= denominator1) {
+                denominator2++;
+            }
+        }
+
+        let operand1 = generateProperFraction(denominator1, random);
+        let operand2 = generateProperFraction(denominator2, random);
+
+        // Keep subtraction results non-negative unless allowed
+        if (operation === '-' && !config.allowNegativeResults && compareFractions(operand1, operand2) < 0) {
+            [operand1, operand2] = [operand2, operand1];
+        }
+
+        const displaySymbol = getOperationSymbol(operation);
+
+        return {
+            fractionKind: kind,
+            operand1,
+            operand2,
+            operation,
+            displayText: `${formatFraction(operand1)} ${displaySymbol} ${formatFraction(operand2)} = ?`,
+            correctAnswer: calculateFraction(operand1, operand2, operation),
+            requireSimplified: !!config.requireSimplified
+        };
+    }
+
+    /**
+     * Evaluates an expression tree
+     * @param {object} node - {type: 'number', value} or {type: 'operation', operation, left, right}
+     * @returns {number} Value of the expression
+     */
+    function evaluateExpression(node) {
+        if (node.type === 'number') {
+            return node.value;
+        }
+        return calculateAnswer(evaluateExpression(node.left), evaluateExpression(node.right), node.operation);
+    }
+
+    /**
+     * Checks whether a child node must be parenthesized under its parent
+     * @param {object} child - Child node
+     * @param {object} parent - Parent operation node
+     * @param {boolean} isRight - Whether the child is the right operand
+     * @returns {boolean} True if parentheses are required to keep the meaning
+     */
+    function needsParentheses(child, parent, isRight) {
+        if (child.type !== 'operation') {
+            return false;
+        }
+
+        const childPrecedence = PRECEDENCE[child.operation];
+        const parentPrecedence = PRECEDENCE[parent.operation];
+
+        if (childPrecedence < parentPrecedence) {
+            return true;
+        }
+
+        // a - (b + c) and a ÷ (b × c) change meaning without parentheses
+        return isRight && childPrecedence === parentPrecedence &&
+            (parent.operation === '-' || parent.operation === '/');
+    }
+
+    /**
+     * Renders an expression tree as display text, adding parentheses only where needed
+     * @param {object} node - Expression tree
+     * @returns {string} e.g. "3 + 4 × (6 - 2)"
+     */
+    function renderExpression(node) {
+        if (node.type === 'number') {
+            return String(node.value);
+        }
+
+        const wrap = (child, isRight) => {
+            const text = renderExpression(child);
+            return needsParentheses(child, node, isRight) ? `(${text})` : text;
+        };
+
+        return `${wrap(node.left, false)} ${getOperationSymbol(node.operation)} ${wrap(node.right, true)}`;
+    }
+
+    /**
+     * Checks whether rendering a tree needs any parentheses
+     * @param {object} node - Expression tree
+     * @returns {boolean} True if some subexpression must be parenthesized
+     */
+    function hasParentheses(node) {
+        if (node.type === 'number') {
+            return false;
+        }
+        return needsParentheses(node.left, node, false) ||
+            needsParentheses(node.right, node, true) ||
+            hasParentheses(node.left) ||
+            hasParentheses(node.right);
+    }
+
+    /**
+     * Lists the divisors of a value that are usable as divisors in an expression
+     * @param {number} value - Dividend
+     * @param {number} maxDivisor - Largest divisor allowed
+     * @returns {number[]} Divisors from 2 to maxDivisor
+     */
+    function getDivisors(value, maxDivisor) {
+        const divisors = [];
+        for (let divisor = 2; divisor <= Math.min(maxDivisor, Math.abs(value)); divisor++) {
+            if (value % divisor === 0) {
+                divisors.push(divisor);
+            }
+        }
+        return divisors;
+    }
+
+    /**
+     * Randomly builds an expression tree with the given number of operands
+     * Constraints are enforced while building; returns null when a branch cannot satisfy them
+     * @param {number} count - Number of operands
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {object|null} {node, value} or null
+     */
+    function buildExpression(count, config, random) {
+        const settings = config.expressions;
+
+        if (count === 1) {
+            const value = getRandomInt(settings.minOperand, settings.maxOperand, random);
+            return { node: { type: 'number', value }, value };
+        }
+
+        const operation = pickRandom(config.operations, random);
+        const maxFactor = config.maxMultiplier || 10;
+
+        // Division builds the dividend first, then picks a divisor that divides it exactly
+        if (operation === '/') {
+            const left = buildExpression(count - 1, config, random);
+            if (!left) {
+                return null;
+            }
+            const divisors = getDivisors(left.value, maxFactor);
+            if (divisors.length === 0) {
+                return null;
+            }
+            const divisor = pickRandom(divisors, random);
+            return {
+                node: { type: 'operation', operation, left: left.node, right: { type: 'number', value: divisor } },
+                value: left.value / divisor
+            };
+        }
+
+        const leftCount = getRandomInt(1, count - 1, random);
+        let left = buildExpression(leftCount, config, random);
+        let right = buildExpression(count - leftCount, config, random);
+        if (!left || !right) {
+            return null;
+        }
+
+        // Keep intermediate results non-negative unless allowed
+        if (operation === '-' && !config.allowNegativeResults && left.value < right.value) {
+            [left, right] = [right, left];
+        }
+
+        if (operation === '*' && (Math.abs(left.value) > maxFactor || Math.abs(right.value) > maxFactor)) {
+            return null;
+        }
+
+        const value = calculateAnswer(left.value, right.value, operation);
+        if (Math.abs(value) > settings.maxValue) {
+            return null;
+        }
+
+        return {
+            node: { type: 'operation', operation, left: left.node, right: right.node },
+            value
+        };
+    }
+
+    /**
+     * Generates a multi-step expression problem that respects order of operations
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateExpressionProblem(config, random) {
+        const settings = config.expressions || DIFFICULTY_CONFIG[1].expressions;
+
+        // Trees only know the built-in operations' precedence
+        const operations = config.operations.filter(operation => PRECEDENCE[operation]);
+        if (operations.length === 0) {
+            return generateArithmeticProblem(config, random);
+        }
+        const expressionConfig = { ...config, operations, expressions: settings };
+
+        for (let attempt = 0; attempt < MAX_EXPRESSION_ATTEMPTS; attempt++) {
+            const operandCount = getRandomInt(settings.minOperands, settings.maxOperands, random);
+            const built = buildExpression(operandCount, expressionConfig, random);
+
+            if (built && (settings.allowParentheses || !hasParentheses(built.node))) {
+                return {
+                    expression: built.node,
+                    operandCount,
+                    displayText: `${renderExpression(built.node)} = ?`,
+                    correctAnswer: built.value
+                };
+            }
+        }
+
+        // Constraints too tight for this config: fall back to a plain two-operand problem
+        return generateArithmeticProblem(config, random);
+    }
+
+    /**
+     * Picks the singular or plural form of a word for a count
+     * @param {number} count - How many
+     * @param {string} singular - Singular form
+     * @param {string} [plural] - Plural form (singular + "s" if not provided)
+     * @returns {string} Word agreeing with count
+     */
+    function pluralize(count, singular, plural) {
+        return count === 1 ? singular : (plural || singular + 's');
+    }
+
+    /**
+     * Resolves a single word problem placeholder
+     * @param {string} token - Placeholder text between the braces
+     * @param {object} context - {values, name, friend, item}
+     * @returns {string} Replacement text
+     * @throws {Error} If the placeholder is unknown
+     */
+    function resolveWordPlaceholder(token, context) {
+        const { values } = context;
+
+        if (Object.prototype.hasOwnProperty.call(values, token)) {
+            return String(values[token]);
+        }
+        if (token === 'name' || token === 'friend') {
+            return context[token];
+        }
+        if (token === 'item') {
+            return context.item.plural;
+        }
+
+        const itemMatch = token.match(/^item:(a|b|result)$/);
+        if (itemMatch) {
+            return pluralize(values[itemMatch[1]], context.item.singular, context.item.plural);
+        }
+
+        const wordMatch = token.match(/^(a|b|result)\|([^|]+)\|([^|]+)$/);
+        if (wordMatch) {
+            return pluralize(values[wordMatch[1]], wordMatch[2], wordMatch[3]);
+        }
+
+        throw new Error(`Unknown word problem placeholder: {${token}}`);
+    }
+
+    /**
+     * Fills in a word problem template
+     * @param {string} text - Template text
+     * @param {object} context - {values, name, friend, item}
+     * @returns {string} Story text
+     */
+    function fillWordTemplate(text, context) {
+        return text.replace(/\{([^}]+)\}/g, (match, token) => resolveWordPlaceholder(token, context));
+    }
+
+    /**
+     * Validates a word problem template, throwing a descriptive error if it is unusable
+     * @param {object} template - Template to check
+     * @throws {Error} If the template is invalid
+     */
+    function validateWordTemplate(template) {
+        if (!template || typeof template.id !== 'string' || !template.id) {
+            throw new Error('Word problem template needs an id');
+        }
+        if (!getOperationType(template.operation)) {
+            throw new Error(`Word problem template "${template.id}" has unknown operation: ${template.operation}`);
+        }
+        if (typeof template.text !== 'string' || !template.text) {
+            throw new Error(`Word problem template "${template.id}" needs text`);
+        }
+        if (template.answer && !['operand1', 'operand2', 'result'].includes(template.answer)) {
+            throw new Error(`Word problem template "${template.id}" has unknown answer slot: ${template.answer}`);
+        }
+
+        // Fill once with sample values so bad placeholders fail now, not mid-game
+        fillWordTemplate(template.text, {
+            values: { a: 2, b: 1, result: 1 },
+            name: 'Monke',
+            friend: 'Koko',
+            item: WORD_PROBLEM_ITEMS[0]
+        });
+    }
+
+    /**
+     * Adds word problem templates (e.g. a teacher's own stories)
+     * A template with an existing id replaces it
+     * @param {object|object[]} templates - Template or list of templates
+     * @returns {number} Number of templates now available
+     * @throws {Error} If any template is invalid (none are added)
+     */
+    function addWordProblemTemplates(templates) {
+        const list = Array.isArray(templates) ? templates : [templates];
+        list.forEach(validateWordTemplate);
+
+        list.forEach(template => {
+            wordProblemTemplates = wordProblemTemplates
+                .filter(existing => existing.id !== template.id)
+                .concat({ ...template });
+        });
+
+        return wordProblemTemplates.length;
+    }
+
+    /**
+     * Gets the active word problem templates
+     * @returns {object[]} Copies of the templates
+     */
+    function getWordProblemTemplates() {
+        return wordProblemTemplates.map(template => ({ ...template }));
+    }
+
+    /**
+     * Restores the built-in word problem templates
+     */
+    function resetWordProblemTemplates() {
+        wordProblemTemplates = DEFAULT_WORD_PROBLEM_TEMPLATES.slice();
+    }
+
+    /**
+     * Generates a Gorilla Tag story problem from a template
+     * Numbers come from the regular operand generators so they stay level-appropriate
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateWordProblem(config, random) {
+        // Stories count real things: no negatives, no remainders. Without negatives the
+        // regrouping rule applies again, so only operations it leaves problems for can be told
+        const storyConfig = { ...config, allowNegativeResults: false, divisionRemainders: false };
+        const operations = getPlayableOperations(storyConfig);
+        const templates = wordProblemTemplates.filter(template => operations.includes(template.operation));
+
+        if (templates.length === 0) {
+            return generateArithmeticProblem(config, random);
+        }
+
+        const template = pickRandom(templates, random);
+        const names = template.names || WORD_PROBLEM_NAMES;
+        const items = template.items || WORD_PROBLEM_ITEMS;
+
+        const { operand1, operand2 } = generateOperands(template.operation, storyConfig, random);
+        const result = calculateAnswer(operand1, operand2, template.operation);
+
+        const nameIndex = getRandomInt(0, names.length - 1, random);
+        // Draw the friend from the other names so nobody is their own friend
+        let friendIndex = getRandomInt(0, Math.max(0, names.length - 2), random);
+        if (names.length > 1 && friendIndex >= nameIndex) {
+            friendIndex++;
+        }
+
+        const displayText = fillWordTemplate(template.text, {
+            values: { a: operand1, b: operand2, result },
+            name: names[nameIndex],
+            friend: names[friendIndex],
+            item: pickRandom(items, random)
+        });
+        const blank = template.answer || 'result';
+
+        return {
+            templateId: template.id,
+            operand1,
+            operand2,
+            operation: template.operation,
+            displayText,
+            // The story's own question mark is not a blank to fill in
+            displayParts: [{ type: 'text', text: displayText }],
+            blank,
+            result,
+            correctAnswer: { operand1, operand2, result }[blank]
+        };
+    }
+
+    /**
+     * Picks a problem type using the weights in config.problemTypes
+     * @param {object} config - Difficulty configuration
+     * @param {function} random - Random source
+     * @returns {string} Problem type id
+     */
+    function pickProblemType(config, random) {
+        const weights = config.problemTypes || { arithmetic: 1 };
+        const types = Object.keys(weights).filter(type => registeredTypes[type] && weights[type] > 0);
+
+        if (types.length === 0) {
+            return 'arithmetic';
+        }
+
+        const total = types.reduce((sum, type) => sum + weights[type], 0);
+        let roll = random() * total;
+
+        for (const type of types) {
+            roll -= weights[type];
+            if (roll < 0) {
+                return type;
+            }
+        }
+        return types[types.length - 1];
+    }
+
+    /**
+     * Builds the repeat-detection key for a two-operand fact
+     * Commutative facts share a key, so "3 + 5" and "5 + 3" count as the same problem
+     * @param {object} problem - Problem with operand1, operand2 and operation
+     * @returns {string} e.g. "3+5"
+     */
+    function getFactKey(problem) {
+        const { operand1, operand2, operation } = problem;
+        return isCommutative(operation)
+            ? `${Math.min(operand1, operand2)}${operation}${Math.max(operand1, operand2)}`
+            : `${operand1}${operation}${operand2}`;
+    }
+
+    /**
+     * Builds the repeat-detection key for a fraction problem
+     * @param {object} problem - Fraction problem
+     * @returns {string} e.g. "fraction:1/2+1/3"
+     */
+    function getFractionKey(problem) {
+        const parts = [problem.operand1, problem.operand2].filter(Boolean).map(fraction => formatFraction(fraction));
+        if (isCommutative(problem.operation)) {
+            parts.sort();
+        }
+        return `fraction:${parts.join(problem.operation)}`;
+    }
+
+    /**
+     * Counts the distinct arithmetic facts for the config's operations
+     * @param {object} config - Difficulty configuration
+     * @returns {number} Pool size (Infinity if an operation can't be counted)
+     */
+    function countArithmeticPool(config) {
+        return Array.from(new Set(config.operations)).reduce((sum, operation) => {
+            const type = getOperationType(operation);
+            return sum + (type && type.operation.poolSize ? type.operation.poolSize(config) : Infinity);
+        }, 0);
+    }
+
+    /**
+     * Finds the registered type that provides an operation
+     * @param {string} operation - Operation symbol (e.g. '+')
+     * @returns {object|undefined} Problem type definition
+     */
+    function getOperationType(operation) {
+        return registeredTypes[operationTypes[operation]];
+    }
+
+    /**
+     * Validates the operation block of a problem type definition
+     * @param {string} id - Problem type id
+     * @param {object} operation - {symbol, display, calculate, generateOperands}
+     * @throws {Error} If the block is malformed or the symbol is taken
+     */
+    function validateOperationDefinition(id, operation) {
+        if (typeof operation.symbol !== 'string' || !operation.symbol) {
+            throw new Error(`Problem type "${id}" operation needs a symbol`);
+        }
+        if (operationTypes[operation.symbol]) {
+            throw new Error(`Operation "${operation.symbol}" is already provided by "${operationTypes[operation.symbol]}"`);
+        }
+        ['calculate', 'generateOperands'].forEach(name => {
+            if (typeof operation[name] !== 'function') {
+                throw new Error(`Problem type "${id}" operation needs a ${name} function`);
+            }
+        });
+    }
+
+    /**
+     * Registers a problem type so configs can reference it by id
+     * @param {string} id - Type id used in config.problemTypes and problem.type
+     * @param {object} definition - Type definition
+     * @param {function} definition.generate - (config, random, operation) => problem fields
+     *     (at least displayText and correctAnswer); config[id] holds the type's level settings
+     * @param {function} [definition.check] - (userAnswer, problem) => {correct, reason?}
+     * @param {function} [definition.render] - (problem) => displayParts
+     * @param {function} [definition.format] - (problem) => correct answer text
+     * @param {function} [definition.key] - (problem) => string shared by problems that count as repeats
+     * @param {function} [definition.poolSize] - (config) => number of distinct problems the config allows
+     * @param {function} [definition.solve] - (problem) => {method, steps: string[]} worked solution
+     * @param {function} [definition.complexity] - (problem) => {score, tags: string[], features} difficulty measure
+     * @param {function} [definition.choices] - (problem) => {correctText, candidates: [{text, mistake}], nearby(offset)}
+     *     multiple-choice material, for answers that aren't plain numbers
+     * @param {object} [definition.levels] - Default config[id] per difficulty level
+     * @param {object} [definition.operation] - For binary operations: {symbol, display,
+     *     calculate(a, b), generateOperands(config, random), commutative?, poolSize?(config)}
+     * @throws {Error} If the id is taken or the definition is invalid
+     */
+    function registerProblemType(id, definition) {
+        if (typeof id !== 'string' || !id.trim()) {
+            throw new Error('Problem type id must be a non-empty string');
+        }
+        if (registeredTypes[id]) {
+            throw new Error(`Problem type "${id}" is already registered`);
+        }
+        if (!definition || typeof definition.generate !== 'function') {
+            throw new Error(`Problem type "${id}" needs a generate function`);
+        }
+        ['check', 'render', 'format', 'key', 'poolSize', 'solve', 'complexity', 'choices'].forEach(name => {
+            if (definition[name] !== undefined && typeof definition[name] !== 'function') {
+                throw new Error(`Problem type "${id}" ${name} must be a function`);
+            }
+        });
+        if (definition.operation) {
+            validateOperationDefinition(id, definition.operation);
+        }
+
+        registeredTypes[id] = { ...definition, id };
+        if (definition.operation) {
+            operationTypes[definition.operation.symbol] = id;
+        }
+    }
+
+    /**
+     * Removes a plugin problem type
+     * @param {string} id - Type id
+     * @returns {boolean} True if a type was removed
+     * @throws {Error} For built-in types
+     */
+    function unregisterProblemType(id) {
+        if (BUILT_IN_TYPES.includes(id)) {
+            throw new Error(`Built-in problem type "${id}" cannot be removed`);
+        }
+        const type = registeredTypes[id];
+        if (!type) {
+            return false;
+        }
+        if (type.operation) {
+            delete operationTypes[type.operation.symbol];
+        }
+        delete registeredTypes[id];
+        return true;
+    }
+
+    /**
+     * Lists registered problem type ids
+     * @returns {string[]} Type ids, built-ins first
+     */
+    function getProblemTypes() {
+        return Object.keys(registeredTypes);
+    }
+
+    /**
+     * Registers a built-in problem type
+     * @param {string} id - Type id
+     * @param {object} definition - Type definition
+     */
+    function registerBuiltInType(id, definition) {
+        registerProblemType(id, definition);
+        BUILT_IN_TYPES.push(id);
+    }
+
+    // The four operations are types too, so configs can weight them by id
+    [
+        {
+            id: 'addition',
+            symbol: '+',
+            commutative: true,
+            calculate: (a, b) => a + b,
+            generateOperands: generateAdditionOperands,
+            poolSize: config => (hasRegroupingRule(config)
+                ? countRegroupingPairs(config, '+')
+                : countUnorderedPairs(countOperandValues(config.minOperand, config.maxOperand, config)))
+        },
+        {
+            id: 'subtraction',
+            symbol: '-',
+            calculate: (a, b) => a - b,
+            generateOperands: generateSubtractionOperands,
+            poolSize: config => {
+                if (hasRegroupingRule(config)) {
+                    return countRegroupingPairs(config, '-');
+                }
+                const values = countOperandValues(config.minOperand, config.maxOperand, config);
+                return config.allowNegativeResults ? values * values : countUnorderedPairs(values);
+            }
+        },
+        {
+            id: 'multiplication',
+            symbol: '*',
+            commutative: true,
+            calculate: (a, b) => a * b,
+            generateOperands: generateMultiplicationOperands,
+            poolSize: config => countUnorderedPairs(countOperandValues(1, config.maxMultiplier || 10, config))
+        },
+        {
+            id: 'division',
+            symbol: '/',
+            calculate: (a, b) => a / b,
+            generateOperands: generateDivisionOperands,
+            poolSize: countDivisionFacts
+        }
+    ].forEach(({ id, symbol, ...operation }) => {
+        registerBuiltInType(id, {
+            generate: (config, random) => generateOperationProblem(config, random, symbol),
+            check: evaluateArithmeticAnswer,
+            solve: solveArithmeticProblem,
+            complexity: getArithmeticComplexity,
+            key: getFactKey,
+            poolSize: config => operation.poolSize(config),
+            operation: { symbol, display: OPERATION_SYMBOLS[symbol], ...operation }
+        });
+    });
+
+    registerBuiltInType('arithmetic', {
+        generate: generateArithmeticProblem,
+        check: evaluateArithmeticAnswer,
+        solve: solveArithmeticProblem,
+        complexity: getArithmeticComplexity,
+        key: getFactKey,
+        poolSize: countArithmeticPool
+    });
+    registerBuiltInType('fraction', {
+        generate: generateFractionProblem,
+        check: evaluateFractionAnswer,
+        solve: solveFractionProblem,
+        complexity: getFractionComplexity,
+        format: problem => formatFraction(problem.correctAnswer),
+        key: getFractionKey
+    });
+    registerBuiltInType('expression', {
+        generate: generateExpressionProblem,
+        solve: solveExpressionProblem,
+        complexity: getExpressionComplexity
+    });
+    registerBuiltInType('word', {
+        generate: generateWordProblem,
+        check: evaluateArithmeticAnswer,
+        solve: solveWordProblem,
+        complexity: getWordComplexity,
+        key: getFactKey,
+        poolSize: countArithmeticPool
+    });
+    registerBuiltInType('fact', {
+        generate: generateFactProblem,
+        check: evaluateArithmeticAnswer,
+        solve: solveArithmeticProblem,
+        complexity: getArithmeticComplexity,
+        key: getFactKey,
+        poolSize: config => (config.factDeck ? config.factDeck.facts.length : 0)
+    });
+
+    /**
+     * Generates a new math problem based on operation type and difficulty
+     * @param {string} [operation] - Optional specific operation or problem type (random if not provided)
+     * @param {number} [difficulty=1] - Difficulty level (1-3)
+     * @param {object} [options] - Generation options
+     * @param {string|number} [options.seed] - Seed for this problem (same seed, same problem)
+     * @param {function} [options.random] - Random source to draw the problem seed from
+     * @param {object} [options.config] - Overrides merged onto the level's configuration
+     * @param {object} [options.history] - Session history (createProblemHistory) to avoid repeats
+     * @param {object} [options.config.complexity] - {min, max} complexity band to aim for
+     * @param {object} [options.typeOptions] - Per-type {difficulty, config} used instead when that type is picked
+     * @returns {object} Problem object
+     */
+    function generateProblem(operation, difficulty = 1, options = {}) {
+        // Get configuration for difficulty level, with any caller overrides
+        const config = {
+            ...(DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG[1]),
+            ...(options.config || {})
+        };
+
+        // Every problem gets its own seed so it can be reproduced alone
+        const seed = resolveProblemSeed(options);
+        const history = options.history;
+        const typeOptions = options.typeOptions || {};
+        const getBand = type => {
+            const override = typeOptions[type];
+            return (override && override.config && override.config.complexity) || config.complexity;
+        };
+        const hasBand = Boolean(config.complexity) || Object.keys(typeOptions).some(getBand);
+
+        if (!history && !hasBand) {
+            return buildProblem(operation, difficulty, config, seed, typeOptions);
+        }
+
+        // Start a new cycle once every possible problem has been seen
+        if (history) {
+            const poolSize = countProblemPool(operation, difficulty, config);
+            if (history.keys.length >= poolSize) {
+                history.keys = poolSize > 1 ? history.keys.slice(-1) : [];
+            }
+        }
+
+        // Retry with derived seeds until the problem (or its commuted twin) is new and inside
+        // the complexity band; if nothing fits, keep the closest try, preferring new problems
+        let best = null;
+        let bestRepeated;
+        let bestDistance;
+        for (let attempt = 0; attempt < MAX_REPEAT_ATTEMPTS; attempt++) {
+            const attemptSeed = attempt === 0 ? seed : `${seed}~${attempt}`;
+            const problem = buildProblem(operation, difficulty, config, attemptSeed, typeOptions);
+            const repeated = Boolean(history && history.keys.includes(getProblemKey(problem)));
+            const distance = getBandDistance(problem.complexity.score, getBand(problem.type));
+
+            if (!best || repeated < bestRepeated || (repeated === bestRepeated && distance < bestDistance)) {
+                best = problem;
+                bestRepeated = repeated;
+                bestDistance = distance;
+            }
+            if (!repeated && distance === 0) {
+                break;
+            }
+        }
+
+        if (history) {
+            history.keys.push(getProblemKey(best));
+        }
+        return best;
+    }
+
+    /**
+     * Builds one problem from a resolved config and seed
+     * @param {string} [operation] - Operation or problem type id
+     * @param {number} difficulty - Difficulty level
+     * @param {object} config - Merged configuration
+     * @param {string|number} seed - Problem seed
+     * @param {object} [typeOptions] - Per-type {difficulty, config} overrides (see generateProblem)
+     * @returns {object} Problem object
+     */
+    function buildProblem(operation, difficulty, config, seed, typeOptions = {}) {
+        const random = createRandom(seed);
+        const id = generateProblemId(random);
+
+        // An explicit type id wins; a bare operation means arithmetic
+        let type;
+        if (operation && registeredTypes[operation]) {
+            type = operation;
+            operation = null;
+        } else if (operation) {
+            type = 'arithmetic';
+        } else {
+            type = pickProblemType(config, random);
+        }
+
+        // The picked type may have its own level and settings
+        const override = typeOptions[type];
+        if (override) {
+            difficulty = override.difficulty || difficulty;
+            config = { ...config, ...override.config };
+        }
+
+        const definition = registeredTypes[type];
+
+        // Types read their own settings from config[id], defaulting to the type's level table
+        if (definition.levels && config[type] === undefined) {
+            config[type] = definition.levels[difficulty] || definition.levels[1];
+        }
+
+        const fields = definition.generate(config, random, operation);
+
+        const problem = {
+            id,
+            seed,
+            type,
+            ...fields,
+            difficulty
+        };
+        problem.displayParts = definition.render
+            ? definition.render(problem)
+            : fields.displayParts || splitDisplayText(fields.displayText);
+        problem.complexity = getProblemComplexity(problem);
+
+        if (config.multipleChoice) {
+            problem.choices = buildChoices(problem, random, config.choiceCount || DEFAULT_CHOICE_COUNT);
+        }
+
+        return problem;
+    }
+
+    /**
+     * Creates an empty session history for generateProblem's repeat avoidance
+     * @returns {object} History ({keys: string[]})
+     */
+    function createProblemHistory() {
+        return { keys: [] };
+    }
+
+    /**
+     * Gets the key that identifies repeats of a problem
+     * @param {object} problem - Problem object
+     * @returns {string} Key shared by a problem and its repeats (e.g. "3+5" for 5 + 3)
+     */
+    function getProblemKey(problem) {
+        const definition = registeredTypes[problem.type];
+        if (definition && definition.key) {
+            return definition.key(problem);
+        }
+        return `${problem.type}:${problem.displayText}`;
+    }
+
+    /**
+     * Counts the distinct problems one type can produce
+     * @param {string} type - Problem type id
+     * @param {number} difficulty - Difficulty level
+     * @param {object} config - Merged configuration
+     * @returns {number} Pool size (Infinity if the type can't count it)
+     */
+    function countTypePool(type, difficulty, config) {
+        const definition = registeredTypes[type];
+        if (!definition.poolSize) {
+            return Infinity;
+        }
+        const typeConfig = definition.levels && config[type] === undefined
+            ? { ...config, [type]: definition.levels[difficulty] || definition.levels[1] }
+            : config;
+        return definition.poolSize(typeConfig);
+    }
+
+    /**
+     * Counts the distinct problems generateProblem can produce for the same arguments
+     * @param {string} [operation] - Operation or problem type id
+     * @param {number} difficulty - Difficulty level
+     * @param {object} config - Merged configuration
+     * @returns {number} Pool size (Infinity if unbounded or uncountable)
+     */
+    function countProblemPool(operation, difficulty, config) {
+        if (operation && registeredTypes[operation]) {
+            return countTypePool(operation, difficulty, config);
+        }
+        if (operation) {
+            return countArithmeticPool({ ...config, operations: [operation] });
+        }
+
+        const weights = config.problemTypes || { arithmetic: 1 };
+        const types = Object.keys(weights).filter(type => registeredTypes[type] && weights[type] > 0);
+        if (types.length === 0) {
+            return countTypePool('arithmetic', difficulty, config);
+        }
+        return types.reduce((sum, type) => sum + countTypePool(type, difficulty, config), 0);
+    }
+
+    /**
+     * Gets how many distinct problems the given settings allow, so narrow settings can be flagged
+     * @param {string} [operation] - Operation or problem type id, as for generateProblem
+     * @param {number} [difficulty=1] - Difficulty level
+     * @param {object} [options] - {config} overrides, as for generateProblem
+     * @returns {number} Pool size (Infinity if unbounded or uncountable)
+     */
+    function getProblemPoolSize(operation, difficulty = 1, options = {}) {
+        const config = {
+            ...(DIFFICULTY_CONFIG[difficulty] || DIFFICULTY_CONFIG[1]),
+            ...(options.config || {})
+        };
+        return countProblemPool(operation, difficulty, config);
+    }
+
+    /**
+     * Splits display text into text and blank parts for rich rendering
+     * Every "?" in display text marks the unknown the player fills in
+     * @param {string} displayText - Problem display text
+     * @returns {object[]} Parts like {type: 'text', text} and {type: 'blank'}
+     */
+    function splitDisplayText(displayText) {
+        const parts = [];
+
+        displayText.split('?').forEach((text, index) => {
+            if (index > 0) {
+                parts.push({ type: 'blank' });
+            }
+            if (text) {
+                parts.push({ type: 'text', text });
+            }
+        });
+
+        return parts;
+    }
+
+    /**
+     * Checks an answer to a fraction problem exactly
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {object} problem - Fraction problem
+     * @returns {object} {correct, reason}
+     */
+    function evaluateFractionAnswer(userAnswer, problem) {
+        const parsed = parseAnswer(userAnswer);
+
+        if (!parsed.valid) {
+            return rejectedEvaluation(parsed);
+        }
+        if (parsed.form === 'decimal') {
+            return rejectedEvaluation(rejectAnswer('not-a-fraction'));
+        }
+        if (compareFractions(parsed, problem.correctAnswer) !== 0) {
+            return { correct: false, reason: 'incorrect' };
+        }
+        if (problem.requireSimplified && !isSimplified(parsed)) {
+            return { correct: false, reason: 'not-simplified' };
+        }
+        return { correct: true, reason: null };
+    }
+
+    /**
+     * Checks a quotient-and-remainder answer, marking each part separately
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {object} problem - Remainder problem
+     * @returns {object} {correct, reason, parts: {quotient, remainder}}
+     */
+    function evaluateRemainderAnswer(userAnswer, problem) {
+        const parsed = parseRemainderAnswer(userAnswer);
+
+        if (!parsed.valid) {
+            return rejectedEvaluation(parsed);
+        }
+
+        const parts = {
+            quotient: parsed.quotient === problem.correctAnswer.quotient,
+            remainder: parsed.remainder === problem.correctAnswer.remainder
+        };
+        const correct = parts.quotient && parts.remainder;
+
+        return { correct, reason: correct ? null : 'incorrect', parts };
+    }
+
+    /**
+     * Builds the evaluation for an answer that couldn't be read as a number
+     * @param {object} parsed - Rejected parse result
+     * @returns {object} {correct: false, reason: 'invalid', inputError, message}
+     */
+    function rejectedEvaluation(parsed) {
+        return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+    }
+
+    /**
+     * Checks a numeric answer with a small epsilon for floating point errors
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {number} correctAnswer - The correct answer
+     * @returns {object} {correct, reason, inputError?, message?}
+     */
+    function evaluateNumericAnswer(userAnswer, correctAnswer) {
+        const parsed = parseAnswer(userAnswer);
+
+        // Unreadable input is reported, not marked wrong
+        if (!parsed.valid) {
+            return rejectedEvaluation(parsed);
+        }
+
+        // Compare with small epsilon for floating point errors
+        const epsilon = 0.0001;
+        return Math.abs(parsed.value - correctAnswer) < epsilon
+            ? { correct: true, reason: null }
+            : { correct: false, reason: 'incorrect' };
+    }
+
+    /**
+     * Checks whether a value is close enough to an exact answer
+     * @param {number} value - Value to check
+     * @param {number} actual - Exact answer
+     * @param {object} tolerance - {type: 'percent', percent} or {type: 'rounding', place}
+     * @returns {boolean} True if within the tolerance
+     */
+    function isWithinTolerance(value, actual, tolerance) {
+        if (tolerance.type === 'percent') {
+            return Math.abs(value - actual) <= Math.abs(actual) * tolerance.percent / 100 + 0.0001;
+        }
+        if (tolerance.type === 'rounding') {
+            // A band one place wide, centred on the exact answer
+            return Math.abs(value - actual) <= tolerance.place / 2 + 0.0001;
+        }
+        throw new Error(`Unknown tolerance type: ${tolerance.type}`);
+    }
+
+    /**
+     * Gets the whole numbers a tolerance accepts
+     * @param {number} actual - Exact answer
+     * @param {object} tolerance - {type: 'percent', percent} or {type: 'rounding', place}
+     * @returns {object} {min, max}, inclusive
+     */
+    function getToleranceRange(actual, tolerance) {
+        const allowed = tolerance.type === 'rounding' ? tolerance.place / 2 : Math.abs(actual) * tolerance.percent / 100;
+        return { min: Math.ceil(actual - allowed), max: Math.floor(actual + allowed) };
+    }
+
+    /**
+     * Says how close an answer has to be, for feedback text
+     * @param {object} tolerance - {type: 'percent', percent} or {type: 'rounding', place}
+     * @returns {string} e.g. "5%" or "the nearest 100"
+     */
+    function describeTolerance(tolerance) {
+        return tolerance.type === 'rounding' ? `the nearest ${tolerance.place}` : `${tolerance.percent}%`;
+    }
+
+    /**
+     * Grades an estimate against a problem's tolerance
+     * Answers inside the tolerance are correct, and earn more credit the closer they are. With a
+     * rounding tolerance, the answer rounded to its place is as good as the exact one
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {object} problem - Problem with a tolerance
+     * @returns {object} {correct, reason, credit, estimate: {value, actual, actualText, error, percentError,
+     *     within, closeness, tolerance, description}} or an 'invalid' evaluation
+     */
+    function evaluateToleranceAnswer(userAnswer, problem) {
+        const parsed = parseAnswer(userAnswer);
+        if (!parsed.valid) {
+            return rejectedEvaluation(parsed);
+        }
+
+        const { tolerance } = problem;
+        const actual = problem.correctAnswer;
+        const error = Math.abs(parsed.value - actual);
+        const within = isWithinTolerance(parsed.value, actual, tolerance);
+
+        // Closeness runs from 1 (exact, or rounded to the tolerance's place) down to 0 at the edge of the tolerance
+        const rounding = tolerance.type === 'rounding';
+        const maxError = rounding ? tolerance.place / 2 : Math.abs(actual) * tolerance.percent / 100;
+        const miss = rounding
+            ? Math.min(error, Math.abs(parsed.value - Math.round(actual / tolerance.place) * tolerance.place))
+            : error;
+        const closeness = maxError > 0 ? Math.max(0, 1 - miss / maxError) : (miss === 0 ? 1 : 0);
+
+        return {
+            correct: within,
+            reason: within ? null : 'incorrect',
+            credit: within ? Math.round((0.5 + closeness / 2) * 100) / 100 : 0,
+            estimate: {
+                value: parsed.value,
+                actual,
+                actualText: formatAnswer(problem),
+                error,
+                percentError: actual !== 0 ? Math.round(error / Math.abs(actual) * 1000) / 10 : null,
+                within,
+                closeness: Math.round(closeness * 100) / 100,
+                tolerance,
+                description: describeTolerance(tolerance)
+            }
+        };
+    }
+
+    /**
+     * Evaluates an answer against a problem, explaining why it is wrong
+     * Problems with a tolerance accept answers close to the exact one (see evaluateToleranceAnswer)
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {object} problem - Problem object from generateProblem
+     * @returns {object} {correct: boolean, reason: null|'invalid'|'incorrect'|'not-simplified', parts?,
+     *     inputError?, message?, credit?, estimate?} - inputError and message say why an 'invalid' answer
+     *     couldn't be read; credit (0-1) grades partly-right answers
+     */
+    function evaluateAnswer(userAnswer, problem) {
+        if (problem.tolerance) {
+            return evaluateToleranceAnswer(userAnswer, problem);
+        }
+        const definition = registeredTypes[problem.type];
+        if (definition && definition.check) {
+            return definition.check(userAnswer, problem);
+        }
+        return evaluateArithmeticAnswer(userAnswer, problem);
+    }
+
+    /**
+     * Evaluates an answer to a whole-number problem, which may ask for a remainder
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {object} problem - Problem object
+     * @returns {object} Evaluation ({correct, reason?, parts?})
+     */
+    function evaluateArithmeticAnswer(userAnswer, problem) {
+        if (problem.answerFormat === 'remainder') {
+            return evaluateRemainderAnswer(userAnswer, problem);
+        }
+        return evaluateNumericAnswer(userAnswer, problem.correctAnswer);
+    }
+
+    /**
+     * Validates user's answer against correct answer
+     * @param {number|string} userAnswer - The user's submitted answer
+     * @param {number|object} correctAnswer - The correct answer, a fraction, or a whole problem object
+     * @returns {boolean} True if answer is correct
+     */
+    function checkAnswer(userAnswer, correctAnswer) {
+        if (correctAnswer && typeof correctAnswer === 'object') {
+            const problem = correctAnswer.type
+                ? correctAnswer
+                : { type: 'fraction', correctAnswer };
+            return evaluateAnswer(userAnswer, problem).correct;
+        }
+        return evaluateNumericAnswer(userAnswer, correctAnswer).correct;
+    }
+
+    /**
+     * Formats a problem's correct answer for display
+     * @param {object} problem - Problem object
+     * @returns {string} Answer text
+     */
+    function formatAnswer(problem) {
+        const definition = registeredTypes[problem.type];
+        if (definition && definition.format) {
+            return definition.format(problem);
+        }
+        if (problem.answerFormat === 'remainder') {
+            return `${problem.correctAnswer.quotient} R ${problem.correctAnswer.remainder}`;
+        }
+        return formatNumber(problem.correctAnswer);
+    }
+
+    /**
+     * Formats "a op b" for solution text, parenthesizing a negative second operand
+     * @param {number} operand1 - First operand
+     * @param {string} operation - Operation (+, -, *, /)
+     * @param {number} operand2 - Second operand
+     * @returns {string} e.g. "−3 - (−5)"
+     */
+    function formatOperationText(operand1, operation, operand2) {
+        const right = operand2 < 0 ? `(${formatNumber(operand2)})` : formatNumber(operand2);
+        return `${formatNumber(operand1)} ${getOperationSymbol(operation)} ${right}`;
+    }
+
+    /**
+     * Lists the numbers reached counting from a start in equal steps
+     * @param {number} start - Starting number (not listed)
+     * @param {number} count - How many numbers to list
+     * @param {number} step - Step size (negative to count back)
+     * @returns {string} e.g. "6, 7, 8"
+     */
+    function countFrom(start, count, step) {
+        return Array.from({ length: count }, (_, i) => formatNumber(start + step * (i + 1))).join(', ');
+    }
+
+    /**
+     * Lists the digits of a non-negative integer, ones first
+     * @param {number} value - Non-negative integer
+     * @returns {number[]} Digits, ones first
+     */
+    function getDigits(value) {
+        return String(value).split('').reverse().map(Number);
+    }
+
+    /**
+     * Splits a non-negative integer into its place-value parts
+     * @param {number} value - Non-negative integer
+     * @returns {number[]} Non-zero parts, largest first (e.g. 304 -> [300, 4])
+     */
+    function getPlaceParts(value) {
+        return getDigits(value)
+            .map((digit, place) => digit * Math.pow(10, place))
+            .filter(part => part > 0)
+            .reverse();
+    }
+
+    /**
+     * Capitalizes a place name for the start of a step ("tens" -> "Tens")
+     * @param {number} place - Place index, ones first
+     * @returns {string} Capitalized place name
+     */
+    function placeLabel(place) {
+        const name = PLACE_NAMES[place];
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Explains adding two non-negative integers: counting on or making 10 for single digits,
+     * column addition with carries otherwise
+     * @param {number} a - First addend
+     * @param {number} b - Second addend
+     * @returns {object} {method, steps}
+     */
+    function solveAddition(a, b) {
+        const sum = a + b;
+
+        if (a < 10 && b < 10) {
+            const big = Math.max(a, b);
+            const small = Math.min(a, b);
+            if (small === 0) {
+                return { method: 'count-on', steps: [`Adding 0 changes nothing: ${big} + 0 = ${big}.`] };
+            }
+            if (sum > 10) {
+                const toTen = 10 - big;
+                return {
+                    method: 'make-ten',
+                    steps: [
+                        `Make a 10: ${big} needs ${toTen} more, so split ${small} into ${toTen} + ${small - toTen}.`,
+                        `${big} + ${toTen} = 10, then 10 + ${small - toTen} = ${sum}.`
+                    ]
+                };
+            }
+            return { method: 'count-on', steps: [`Start at ${big} and count on ${small}: ${countFrom(big, small, 1)}.`] };
+        }
+
+        const digitsA = getDigits(a);
+        const digitsB = getDigits(b);
+        const columns = Math.max(digitsA.length, digitsB.length);
+        const steps = ['Line the numbers up by place value and add each column, starting with the ones.'];
+        let carry = 0;
+
+        for (let place = 0; place < columns || carry > 0; place++) {
+            const digits = [digitsA[place], digitsB[place]].filter(digit => digit !== undefined);
+            const total = digits.reduce((sum, digit) => sum + digit, 0) + carry;
+
+            if (digits.length === 0) {
+                steps.push(`${placeLabel(place)}: write the carried ${carry}.`);
+            } else if (digits.length === 1 && carry === 0) {
+                steps.push(`${placeLabel(place)}: bring down the ${total}.`);
+            } else {
+                const terms = digits.join(' + ') + (carry > 0 ? ` + ${carry} carried` : '');
+                steps.push(total >= 10
+                    ? `${placeLabel(place)}: ${terms} = ${total}. Write ${total % 10} and carry 1 to the ${PLACE_NAMES[place + 1]}.`
+                    : `${placeLabel(place)}: ${terms} = ${total}. Write ${total}.`);
+            }
+            carry = digits.length > 0 && total >= 10 ? 1 : 0;
+        }
+
+        return { method: 'column-addition', steps };
+    }
+
+    /**
+     * Explains subtracting non-negative integers with a >= b: counting back or bridging 10
+     * for small numbers, column subtraction with regrouping otherwise
+     * @param {number} a - Minuend
+     * @param {number} b - Subtrahend
+     * @returns {object} {method, steps}
+     */
+    function solveSubtraction(a, b) {
+        const difference = a - b;
+
+        if (b === 0) {
+            return { method: 'count-back', steps: [`Taking away 0 leaves ${a}: ${a} - 0 = ${a}.`] };
+        }
+        if (a < 20 && b < 10) {
+            const ones = a - 10;
+            if (a > 10 && b > ones) {
+                return {
+                    method: 'bridge-ten',
+                    steps: [
+                        `Take away ${ones} to get to 10: ${a} - ${ones} = 10.`,
+                        `Then take away the other ${b - ones}: 10 - ${b - ones} = ${difference}.`
+                    ]
+                };
+            }
+            if (b <= 3) {
+                return { method: 'count-back', steps: [`Start at ${a} and count back ${b}: ${countFrom(a, b, -1)}.`] };
+            }
+            return {
+                method: 'think-addition',
+                steps: [`Think addition: ${b} + ? = ${a}. ${b} + ${difference} = ${a}.`]
+            };
+        }
+
+        const digits = getDigits(a);
+        const digitsB = getDigits(b);
+        const steps = ['Line the numbers up by place value and subtract each column, starting with the ones.'];
+
+        for (let place = 0; place < digits.length; place++) {
+            const top = digits[place];
+
+            if (place >= digitsB.length) {
+                // A leading digit used up by regrouping isn't written
+                if (!(place === digits.length - 1 && top === 0)) {
+                    steps.push(`${placeLabel(place)}: bring down the ${top}.`);
+                }
+            } else if (top < digitsB[place]) {
+                // Regroup from the next non-zero place; zeros on the way become 9s
+                let from = place + 1;
+                while (digits[from] === 0) {
+                    digits[from] = 9;
+                    from++;
+                }
+                digits[from]--;
+                digits[place] += 10;
+                const zeros = from - place - 1;
+                const through = zeros === 0 ? '' : zeros === 1
+                    ? ' (the 0 in between becomes 9)'
+                    : ' (the 0s in between become 9s)';
+                steps.push(`${placeLabel(place)}: ${top} is less than ${digitsB[place]}, so regroup 1 from the ` +
+                    `${PLACE_NAMES[from]}${through}: ${digits[place]} - ${digitsB[place]} = ${digits[place] - digitsB[place]}.`);
+            } else {
+                steps.push(`${placeLabel(place)}: ${top} - ${digitsB[place]} = ${top - digitsB[place]}.`);
+            }
+        }
+
+        return { method: 'column-subtraction', steps };
+    }
+
+    /**
+     * Explains multiplying non-negative integers: skip counting for times-table facts,
+     * partial products for bigger numbers
+     * @param {number} a - First factor
+     * @param {number} b - Second factor
+     * @returns {object} {method, steps}
+     */
+    function solveMultiplication(a, b) {
+        const times = getOperationSymbol('*');
+        const product = a * b;
+
+        if (a === 0 || b === 0) {
+            return { method: 'repeated-addition', steps: [`Anything times 0 is 0: ${a} ${times} ${b} = 0.`] };
+        }
+        if (a === 1 || b === 1) {
+            return { method: 'repeated-addition', steps: [`Anything times 1 stays the same: ${a} ${times} ${b} = ${product}.`] };
+        }
+
+        if (a <= MAX_TIMES_TABLE && b <= MAX_TIMES_TABLE) {
+            // Add the bigger number fewer times: 3 groups of 7 rather than 7 groups of 3
+            const groups = Math.min(a, b);
+            const size = Math.max(a, b);
+            const steps = [`${a} ${times} ${b} means ${a} groups of ${b}.`];
+            if (groups !== a) {
+                steps.push(`That's the same as ${groups} groups of ${size}, which is quicker to add.`);
+            }
+            steps.push(`Skip count by ${size}, ${groups} times: ${countFrom(0, groups, size)}.`);
+            return { method: 'repeated-addition', steps };
+        }
+
+        // Split whichever factor has more than one place-value part, preferring the bigger one
+        const split = [Math.max(a, b), Math.min(a, b)].find(value => getPlaceParts(value).length > 1);
+        if (split === undefined) {
+            const leadA = getPlaceParts(a)[0] / Math.pow(10, getDigits(a).length - 1);
+            const leadB = getPlaceParts(b)[0] / Math.pow(10, getDigits(b).length - 1);
+            const zeros = getDigits(a).length + getDigits(b).length - 2;
+            return {
+                method: 'partial-products',
+                steps: [
+                    `Multiply the front digits: ${leadA} ${times} ${leadB} = ${leadA * leadB}.`,
+                    `Then put back the ${zeros} zero${zeros === 1 ? '' : 's'}: ${product}.`
+                ]
+            };
+        }
+
+        const other = split === a ? b : a;
+        const parts = getPlaceParts(split);
+        const products = parts.map(part => part * other);
+        return {
+            method: 'partial-products',
+            steps: [
+                `Split ${split} by place value: ${parts.join(' + ')}.`,
+                ...parts.map((part, i) => `${part} ${times} ${other} = ${products[i]}.`),
+                `Add the partial products: ${products.join(' + ')} = ${product}.`
+            ]
+        };
+    }
+
+    /**
+     * Explains an exact division of non-negative integers as the inverse multiplication fact
+     * @param {number} a - Dividend
+     * @param {number} b - Divisor (non-zero)
+     * @returns {object} {method, steps}
+     */
+    function solveDivision(a, b) {
+        const times = getOperationSymbol('*');
+        const quotient = a / b;
+
+        if (b === 1) {
+            return { method: 'inverse-fact', steps: [`Dividing by 1 leaves a number the same: ${a} ${getOperationSymbol('/')} 1 = ${a}.`] };
+        }
+        return {
+            method: 'inverse-fact',
+            steps: [
+                `Division undoes multiplication. Think: ${b} ${times} ? = ${a}.`,
+                `${b} ${times} ${quotient} = ${a}, so the missing number is ${quotient}.`
+            ]
+        };
+    }
+
+    /**
+     * Explains a division with a remainder: the biggest multiple that fits, then what's left
+     * @param {number} a - Dividend
+     * @param {number} b - Divisor
+     * @param {object} answer - {quotient, remainder}
+     * @returns {object} {method, steps}
+     */
+    function solveRemainderDivision(a, b, answer) {
+        const times = getOperationSymbol('*');
+        const { quotient, remainder } = answer;
+        const fits = b * quotient;
+
+        return {
+            method: 'remainder-division',
+            steps: [
+                `Find the biggest multiple of ${b} that fits in ${a}: ${b} ${times} ${quotient} = ${fits}` +
+                    ` (${b} ${times} ${quotient + 1} = ${fits + b} is too big).`,
+                `Take it away: ${a} - ${fits} = ${remainder} left over, which is less than ${b}.`
+            ]
+        };
+    }
+
+    /**
+     * Explains adding signed integers by their sizes
+     * @param {number} a - First addend
+     * @param {number} b - Second addend
+     * @returns {object} {method, steps}
+     */
+    function solveSignedAddition(a, b) {
+        if (a >= 0 && b >= 0) {
+            return solveAddition(a, b);
+        }
+
+        const sum = a + b;
+        if (a < 0 && b < 0) {
+            return {
+                method: 'sign-rules',
+                steps: [
+                    `Both numbers are negative, so add their sizes: ${-a} + ${-b} = ${-sum}.`,
+                    `Keep the minus sign: ${formatNumber(sum)}.`
+                ]
+            };
+        }
+
+        const bigger = Math.abs(a) >= Math.abs(b) ? a : b;
+        const smaller = bigger === a ? b : a;
+        return {
+            method: 'sign-rules',
+            steps: [
+                `The signs are different, so take the smaller size from the bigger: ` +
+                    `${Math.abs(bigger)} - ${Math.abs(smaller)} = ${Math.abs(sum)}.`,
+                sum === 0
+                    ? 'The two numbers cancel out, so the answer is 0.'
+                    : `The answer takes the sign of ${formatNumber(bigger)}, the bigger size: ${formatNumber(sum)}.`
+            ]
+        };
+    }
+
+    /**
+     * Explains a signed-number operation with the sign rules
+     * @param {number} a - First operand
+     * @param {number} b - Second operand
+     * @param {string} operation - Operation (+, -, *, /)
+     * @returns {object} {method, steps}
+     */
+    function solveWithSigns(a, b, operation) {
+        if (operation === '+') {
+            return solveSignedAddition(a, b);
+        }
+        if (operation === '-') {
+            const added = solveSignedAddition(a, -b);
+            return {
+                method: 'sign-rules',
+                steps: [
+                    `Subtracting ${formatNumber(b)} is the same as adding ${formatNumber(-b)}: ${formatOperationText(a, '+', -b)}.`,
+                    ...added.steps
+                ]
+            };
+        }
+
+        const size = calculateAnswer(Math.abs(a), Math.abs(b), operation);
+        const result = calculateAnswer(a, b, operation);
+        let rule;
+        if (result === 0) {
+            rule = 'Zero has no sign, so the answer is 0.';
+        } else if (a < 0 && b < 0) {
+            rule = `Both numbers are negative, so the answer is positive: ${formatNumber(result)}.`;
+        } else {
+            rule = `Exactly one number is negative, so the answer is negative: ${formatNumber(result)}.`;
+        }
+        return {
+            method: 'sign-rules',
+            steps: [`Work with the sizes first: ${formatOperationText(Math.abs(a), operation, Math.abs(b))} = ${size}.`, rule]
+        };
+    }
+
+    /**
+     * Explains one of the four operations on integers
+     * @param {number} a - First operand
+     * @param {number} b - Second operand
+     * @param {string} operation - Operation (+, -, *, /)
+     * @returns {object|null} {method, steps}, or null for operations without an explanation
+     */
+    function solveOperation(a, b, operation) {
+        if (!PRECEDENCE[operation]) {
+            return null;
+        }
+        if (a < 0 || b < 0 || calculateAnswer(a, b, operation) < 0) {
+            return solveWithSigns(a, b, operation);
+        }
+        switch (operation) {
+            case '+':
+                return solveAddition(a, b);
+            case '-':
+                return solveSubtraction(a, b);
+            case '*':
+                return solveMultiplication(a, b);
+            default:
+                return solveDivision(a, b);
+        }
+    }
+
+    /**
+     * Explains a missing-operand problem by turning it into the inverse calculation
+     * @param {object} problem - Arithmetic problem with blank 'operand1' or 'operand2'
+     * @returns {object|null} {method, steps}
+     */
+    function solveMissingOperand(problem) {
+        const { operand1, operand2, operation, result, blank } = problem;
+        const first = blank === 'operand1';
+        const inverses = {
+            '+': [result, '-', first ? operand2 : operand1, 'undo the adding by subtracting'],
+            '-': first
+                ? [result, '+', operand2, 'undo the subtracting by adding']
+                : [operand1, '-', result, 'take the result away from the starting number'],
+            '*': [result, '/', first ? operand2 : operand1, 'undo the multiplying by dividing'],
+            '/': first
+                ? [result, '*', operand2, 'undo the dividing by multiplying']
+                : [operand1, '/', result, 'divide the starting number by the result']
+        };
+        const inverse = inverses[operation];
+        if (!inverse || (inverse[1] === '/' && inverse[2] === 0)) {
+            return null;
+        }
+
+        const [a, inverseOperation, b, explanation] = inverse;
+        const solved = solveOperation(a, b, inverseOperation);
+        return {
+            method: 'missing-number',
+            steps: [
+                `To find the missing number, ${explanation}: ${formatOperationText(a, inverseOperation, b)} = ?`,
+                ...solved.steps
+            ]
+        };
+    }
+
+    /**
+     * Explains a two-operand problem, whichever slot is blank
+     * @param {object} problem - Arithmetic, word or fact problem
+     * @returns {object|null} {method, steps} ending with the completed equation
+     */
+    function solveArithmeticProblem(problem) {
+        const { operand1, operand2, operation } = problem;
+        let solution;
+
+        if (problem.blank && problem.blank !== 'result') {
+            solution = solveMissingOperand(problem);
+        } else if (problem.answerFormat === 'remainder') {
+            solution = solveRemainderDivision(operand1, operand2, problem.correctAnswer);
+        } else {
+            solution = solveOperation(operand1, operand2, operation);
+        }
+        if (!solution) {
+            return null;
+        }
+
+        const result = problem.answerFormat === 'remainder' ? formatAnswer(problem) : formatNumber(problem.result);
+        return {
+            method: solution.method,
+            steps: [...solution.steps, `So ${formatOperationText(operand1, operation, operand2)} = ${result}.`]
+        };
+    }
+
+    /**
+     * Explains a word problem: first the number sentence, then the calculation
+     * @param {object} problem - Word problem
+     * @returns {object|null} {method, steps}
+     */
+    function solveWordProblem(problem) {
+        const solution = solveArithmeticProblem(problem);
+        if (!solution) {
+            return null;
+        }
+
+        const show = slot => (slot === problem.blank ? '?' : formatNumber(problem[slot]));
+        const sentence = `${show('operand1')} ${getOperationSymbol(problem.operation)} ${show('operand2')} = ${show('result')}`;
+        return {
+            method: solution.method,
+            steps: [`Write the story as a number sentence: ${sentence}`, ...solution.steps]
+        };
+    }
+
+    /**
+     * Flattens an expression tree into the terms and operations it displays as
+     * @param {object} node - Expression tree
+     * @returns {Array} [term, operation, term, ...], where a term is a number or a parenthesized {terms}
+     */
+    function flattenExpression(node) {
+        if (node.type === 'number') {
+            return [node.value];
+        }
+
+        const side = (child, isRight) => {
+            if (child.type === 'number') {
+                return [child.value];
+            }
+            return needsParentheses(child, node, isRight) ? [{ terms: flattenExpression(child) }] : flattenExpression(child);
+        };
+
+        return [...side(node.left, false), node.operation, ...side(node.right, true)];
+    }
+
+    /**
+     * Renders flattened terms as display text
+     * @param {Array} terms - Terms from flattenExpression
+     * @returns {string} e.g. "3 + 4 × (6 - 2)"
+     */
+    function renderTerms(terms) {
+        return terms.map((term, i) => {
+            if (i % 2 === 1) {
+                return getOperationSymbol(term);
+            }
+            return typeof term === 'number' ? String(term) : `(${renderTerms(term.terms)})`;
+        }).join(' ');
+    }
+
+    /**
+     * Evaluates the next operation in flattened terms: innermost parentheses first, then the leftmost
+     * × or ÷, then the leftmost + or -
+     * @param {Array} terms - Terms from flattenExpression
+     * @param {boolean} inParentheses - Whether the terms are a parenthesized group
+     * @returns {object} {terms: terms with that operation replaced by its value, step}
+     */
+    function reduceTerms(terms, inParentheses) {
+        const groupIndex = terms.findIndex((term, i) => i % 2 === 0 && typeof term !== 'number');
+        if (groupIndex !== -1) {
+            const reduced = reduceTerms(terms[groupIndex].terms, true);
+            const term = reduced.terms.length === 1 ? reduced.terms[0] : { terms: reduced.terms };
+            return { terms: [...terms.slice(0, groupIndex), term, ...terms.slice(groupIndex + 1)], step: reduced.step };
+        }
+
+        const operators = terms.filter((term, i) => i % 2 === 1);
+        const highest = Math.max(...operators.map(operation => PRECEDENCE[operation]));
+        const index = terms.findIndex((term, i) => i % 2 === 1 && PRECEDENCE[term] === highest);
+        const operation = terms[index];
+        const value = calculateAnswer(terms[index - 1], terms[index + 1], operation);
+        const label = inParentheses && terms.length === 3 ? 'Parentheses first' : OPERATION_VERBS[operation];
+
+        return {
+            terms: [...terms.slice(0, index - 1), value, ...terms.slice(index + 2)],
+            step: `${label}: ${renderTerms(terms.slice(index - 1, index + 2))} = ${value}`
+        };
+    }
+
+    /**
+     * Explains an expression one operation at a time, in order of operations
+     * @param {object} problem - Expression problem
+     * @returns {object|null} {method, steps}
+     */
+    function solveExpressionProblem(problem) {
+        // Expressions fall back to two-operand problems when the config is too tight
+        if (!problem.expression) {
+            return solveArithmeticProblem(problem);
+        }
+
+        const steps = ['Work inside parentheses first, then multiply and divide, then add and subtract, left to right.'];
+        let terms = flattenExpression(problem.expression);
+        while (terms.length > 1) {
+            const reduced = reduceTerms(terms, false);
+            terms = reduced.terms;
+            steps.push(terms.length === 1 ? `${reduced.step}.` : `${reduced.step}, leaving ${renderTerms(terms)}.`);
+        }
+        steps.push(`So ${renderExpression(problem.expression)} = ${formatNumber(terms[0])}.`);
+
+        return { method: 'order-of-operations', steps };
+    }
+
+    /**
+     * Explains a fraction problem: common denominators, multiplying across, flipping to divide,
+     * then simplifying
+     * @param {object} problem - Fraction problem
+     * @returns {object} {method, steps}
+     */
+    function solveFractionProblem(problem) {
+        const { operand1, operand2, operation } = problem;
+        const times = getOperationSymbol('*');
+        const steps = [];
+        let method;
+        let unsimplified;
+
+        if (operation === 'simplify') {
+            method = 'simplify';
+            unsimplified = operand1;
+        } else if (operation === '+' || operation === '-') {
+            let left = operand1;
+            let right = operand2;
+            if (left.denominator !== right.denominator) {
+                method = 'common-denominator';
+                const common = left.denominator * right.denominator / gcd(left.denominator, right.denominator);
+                left = createFraction(left.numerator * common / left.denominator, common);
+                right = createFraction(right.numerator * common / right.denominator, common);
+                steps.push(`The denominators are different, so find a common one: ${common} is the smallest number ` +
+                    `both ${operand1.denominator} and ${operand2.denominator} go into.`);
+                steps.push(`Rewrite the fractions: ${formatFraction(operand1)} = ${formatFraction(left)} and ` +
+                    `${formatFraction(operand2)} = ${formatFraction(right)}.`);
+            } else {
+                method = 'like-denominators';
+                steps.push(`The denominators are the same, so ${operation === '+' ? 'add' : 'subtract'} the numerators ` +
+                    'and keep the denominator.');
+            }
+            unsimplified = createFraction(calculateAnswer(left.numerator, right.numerator, operation), left.denominator);
+            steps.push(`${formatOperationText(left.numerator, operation, right.numerator)} = ${formatNumber(unsimplified.numerator)}, ` +
+                `giving ${formatFraction(unsimplified)}.`);
+        } else {
+            let right = operand2;
+            if (operation === '/') {
+                right = createFraction(operand2.denominator, operand2.numerator);
+                steps.push(`To divide by a fraction, flip it and multiply: ${formatFraction(operand1)} ` +
+                    `${getOperationSymbol('/')} ${formatFraction(operand2)} = ${formatFraction(operand1)} ${times} ${formatFraction(right)}.`);
+            }
+            method = operation === '/' ? 'flip-and-multiply' : 'multiply-across';
+            unsimplified = createFraction(operand1.numerator * right.numerator, operand1.denominator * right.denominator);
+            steps.push(`Multiply the numerators: ${operand1.numerator} ${times} ${right.numerator} = ${unsimplified.numerator}. ` +
+                `Multiply the denominators: ${operand1.denominator} ${times} ${right.denominator} = ${unsimplified.denominator}.`);
+        }
+
+        const divisor = gcd(unsimplified.numerator, unsimplified.denominator);
+        if (divisor > 1) {
+            const divide = getOperationSymbol('/');
+            steps.push(`Simplify: the biggest number that divides both ${Math.abs(unsimplified.numerator)} and ` +
+                `${unsimplified.denominator} is ${divisor}. ${Math.abs(unsimplified.numerator)} ${divide} ${divisor} = ` +
+                `${Math.abs(unsimplified.numerator) / divisor} and ${unsimplified.denominator} ${divide} ${divisor} = ` +
+                `${unsimplified.denominator / divisor}.`);
+        } else if (operation === 'simplify') {
+            steps.push(`Nothing bigger than 1 divides both ${unsimplified.numerator} and ${unsimplified.denominator}, ` +
+                'so it is already in lowest terms.');
+        }
+
+        const question = operation === 'simplify'
+            ? formatFraction(operand1)
+            : `${formatFraction(operand1)} ${getOperationSymbol(operation)} ${formatFraction(operand2)}`;
+        steps.push(`So ${question} = ${formatAnswer(problem)}.`);
+
+        return { method, steps };
+    }
+
+    /**
+     * Produces a step-by-step worked solution for a problem
+     * Types explain themselves through their registered solve function; types without one
+     * get a single step stating the answer
+     * @param {object} problem - Problem object from generateProblem
+     * @returns {object} {method, steps: string[], answer}
+     */
+    function getWorkedSolution(problem) {
+        const definition = registeredTypes[problem.type];
+        const solution = definition && definition.solve ? definition.solve(problem) : null;
+        const answer = formatAnswer(problem);
+
+        return solution
+            ? { method: solution.method, steps: solution.steps, answer }
+            : { method: 'answer', steps: [`The answer is ${answer}.`], answer };
+    }
+
+    /**
+     * Checks whether a multiplication fact is one kids find hard (both factors 6-9 or 12)
+     * @param {number} a - First factor
+     * @param {number} b - Second factor
+     * @returns {boolean} True for hard facts such as 7 × 8
+     */
+    function isHardFact(a, b) {
+        const hard = n => (n >= 6 && n <= 9) || n === 12;
+        return hard(Math.abs(a)) && hard(Math.abs(b));
+    }
+
+    /**
+     * Builds a complexity result, rounding the score to one decimal place
+     * @param {number} score - Raw score
+     * @param {string[]} tags - Feature tags
+     * @param {object} features - Measured features
+     * @returns {object} {score, tags, features}
+     */
+    function createComplexity(score, tags, features) {
+        return { score: Math.round(score * 10) / 10, tags, features };
+    }
+
+    /**
+     * Scores a two-operand problem: the operation, digit count, regrouping steps,
+     * hard facts, remainders, negatives and missing operands each add to the score
+     * @param {object} problem - Arithmetic, word or fact problem
+     * @returns {object} {score, tags, features}
+     */
+    function getArithmeticComplexity(problem) {
+        const { operand1, operand2, operation } = problem;
+        const result = problem.answerFormat === 'remainder' ? problem.correctAnswer.quotient : problem.result;
+        const negative = operand1 < 0 || operand2 < 0 || result < 0;
+        const digits = Math.max(String(Math.abs(operand1)).length, String(Math.abs(operand2)).length);
+        const tags = [];
+        let regroupings = 0;
+        let score = COMPLEXITY_BASE[operation] || COMPLEXITY_BASE.default;
+
+        if (!negative && (operation === '+' || operation === '-')) {
+            regroupings = getRegroupingPlaces(operand1, operand2, operation).length;
+            if (regroupings > 0) {
+                tags.push(operation === '+' ? 'carry' : 'borrow');
+            }
+        }
+        if (operation === '*' || operation === '/') {
+            // A division is as hard as the multiplication fact it undoes
+            const [a, b] = operation === '*' ? [operand1, operand2] : [operand2, result];
+            if (isHardFact(a, b)) {
+                tags.push('hard-fact');
+                score += 1;
+            }
+            if (Math.abs(a) > MAX_TIMES_TABLE || Math.abs(b) > MAX_TIMES_TABLE) {
+                tags.push('multi-digit');
+                regroupings = getPlaceParts(Math.max(Math.abs(a), Math.abs(b))).length - 1;
+            }
+        }
+        if (problem.answerFormat === 'remainder') {
+            tags.push('remainder');
+            score += 1;
+        }
+        if (negative) {
+            tags.push('negative');
+            score += 1;
+        }
+        if (problem.blank && problem.blank !== 'result') {
+            tags.push('missing-operand');
+            score += 1;
+        }
+
+        score += (digits - 1) * 0.5 + regroupings;
+        return createComplexity(score, tags, { operation, digits, regroupings });
+    }
+
+    /**
+     * Scores a word problem: its calculation plus the reading
+     * @param {object} problem - Word problem
+     * @returns {object} {score, tags, features}
+     */
+    function getWordComplexity(problem) {
+        const complexity = getArithmeticComplexity(problem);
+        return createComplexity(complexity.score + 1, [...complexity.tags, 'word-problem'], complexity.features);
+    }
+
+    /**
+     * Scores an expression by its operands, operations and parentheses
+     * @param {object} problem - Expression problem
+     * @returns {object} {score, tags, features}
+     */
+    function getExpressionComplexity(problem) {
+        if (!problem.expression) {
+            return getArithmeticComplexity(problem);
+        }
+
+        const operations = new Set();
+        const collect = node => {
+            if (node.type === 'operation') {
+                operations.add(node.operation);
+                collect(node.left);
+                collect(node.right);
+            }
+        };
+        collect(problem.expression);
+
+        const parentheses = hasParentheses(problem.expression);
+        const tags = [];
+        if (parentheses) {
+            tags.push('parentheses');
+        }
+        if (operations.size > 1) {
+            tags.push('mixed-operations');
+        }
+
+        const score = 2 + (problem.operandCount - 2) + (parentheses ? 1 : 0) + (operations.size - 1) * 0.5;
+        return createComplexity(score, tags, {
+            operandCount: problem.operandCount,
+            operations: Array.from(operations)
+        });
+    }
+
+    /**
+     * Scores a fraction problem: unlike denominators, dividing, simplifying and
+     * improper results each add to the score
+     * @param {object} problem - Fraction problem
+     * @returns {object} {score, tags, features}
+     */
+    function getFractionComplexity(problem) {
+        const { operand1, operand2, operation } = problem;
+        const tags = [];
+        let score = operation === 'simplify' ? 1.5 : 2;
+        let unsimplified = operand1;
+
+        // Work out the result the way the worked solution does, before simplifying
+        if (operation === '+' || operation === '-') {
+            const common = operand1.denominator * operand2.denominator / gcd(operand1.denominator, operand2.denominator);
+            if (operand1.denominator !== operand2.denominator) {
+                tags.push('unlike-denominators');
+                score += 1.5;
+            }
+            unsimplified = createFraction(calculateAnswer(
+                operand1.numerator * common / operand1.denominator,
+                operand2.numerator * common / operand2.denominator,
+                operation
+            ), common);
+        } else if (operation === '*' || operation === '/') {
+            const right = operation === '/' ? createFraction(operand2.denominator, operand2.numerator) : operand2;
+            if (operation === '/') {
+                tags.push('divide');
+            }
+            score += operation === '/' ? 1 : 0.5;
+            unsimplified = createFraction(operand1.numerator * right.numerator, operand1.denominator * right.denominator);
+        }
+
+        if (gcd(unsimplified.numerator, unsimplified.denominator) > 1) {
+            tags.push('simplify');
+            score += 1;
+        }
+        if (Math.abs(problem.correctAnswer.numerator) > problem.correctAnswer.denominator) {
+            tags.push('improper');
+            score += 0.5;
+        }
+
+        const maxDenominator = Math.max(operand1.denominator, operand2 ? operand2.denominator : 0);
+        if (maxDenominator > 10) {
+            score += 0.5;
+        }
+        return createComplexity(score, tags, { operation, maxDenominator });
+    }
+
+    /**
+     * Measures how hard a problem is beyond its 1-3 level
+     * Types score themselves through their registered complexity function; types without one
+     * score their difficulty level
+     * @param {object} problem - Problem object from generateProblem
+     * @returns {object} {score, tags: string[], features}
+     */
+    function getProblemComplexity(problem) {
+        const definition = registeredTypes[problem.type];
+        return definition && definition.complexity
+            ? definition.complexity(problem)
+            : createComplexity(problem.difficulty || 1, [], {});
+    }
+
+    /**
+     * Gets the complexity band to aim for at a point within a difficulty level
+     * @param {number} difficulty - Difficulty level (1-3)
+     * @param {number} [progress=0.5] - Position within the level, 0 (just arrived) to 1 (about to level up)
+     * @returns {object} {min, max} complexity scores
+     */
+    function getComplexityBand(difficulty, progress = 0.5) {
+        const [low, high] = LEVEL_COMPLEXITY[difficulty] || LEVEL_COMPLEXITY[1];
+        const width = (high - low) * COMPLEXITY_BAND_WIDTH;
+        const min = low + (high - low - width) * Math.min(Math.max(progress, 0), 1);
+        return { min: Math.round(min * 10) / 10, max: Math.round((min + width) * 10) / 10 };
+    }
+
+    /**
+     * Finds where a complexity score sits within a difficulty level: the progress whose band
+     * (see getComplexityBand) is centred on it
+     * @param {number} difficulty - Difficulty level (1-3)
+     * @param {number} score - Complexity score
+     * @returns {number} Progress, 0 (easy end) to 1 (hard end)
+     */
+    function getComplexityProgress(difficulty, score) {
+        const [low, high] = LEVEL_COMPLEXITY[difficulty] || LEVEL_COMPLEXITY[1];
+        const width = (high - low) * COMPLEXITY_BAND_WIDTH;
+        const progress = (score - low - width / 2) / (high - low - width);
+        return Math.min(Math.max(progress, 0), 1);
+    }
+
+    /**
+     * Measures how far a score falls outside a complexity band
+     * @param {number} score - Complexity score
+     * @param {object} [band] - {min, max}; no band means any score fits
+     * @returns {number} 0 inside the band, otherwise the distance to it
+     */
+    function getBandDistance(score, band) {
+        if (!band) {
+            return 0;
+        }
+        const min = band.min !== undefined ? band.min : -Infinity;
+        const max = band.max !== undefined ? band.max : Infinity;
+        return Math.max(min - score, score - max, 0);
+    }
+
+    /**
+     * Shuffles a list (Fisher-Yates) without modifying it
+     * @param {Array} list - Items to shuffle
+     * @param {function} random - Random source
+     * @returns {Array} Shuffled copy
+     */
+    function shuffle(list, random) {
+        const result = list.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = getRandomInt(0, i, random);
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Applies a digit-by-digit operation to two non-negative integers
+     * @param {number} a - First integer
+     * @param {number} b - Second integer
+     * @param {function} combine - (digitA, digitB) => result digit
+     * @returns {number} Digits combined column by column with nothing carried
+     */
+    function combineDigits(a, b, combine) {
+        let result = 0;
+        let place = 1;
+        while (a > 0 || b > 0) {
+            result += combine(a % 10, b % 10) * place;
+            a = Math.floor(a / 10);
+            b = Math.floor(b / 10);
+            place *= 10;
+        }
+        return result;
+    }
+
+    /**
+     * Reverses the digits of an integer (e.g. 47 -> 74)
+     * @param {number} value - Integer
+     * @returns {number} Reversed integer, keeping the sign
+     */
+    function reverseDigits(value) {
+        const reversed = parseInt(String(Math.abs(value)).split('').reverse().join(''), 10);
+        return value < 0 ? -reversed : reversed;
+    }
+
+    /**
+     * Lists plausible wrong answers for a whole-number problem, labelled by mistake
+     * @param {object} problem - Problem with a numeric correctAnswer
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getNumericChoiceCandidates(problem) {
+        const answer = problem.correctAnswer;
+        const candidates = [];
+        const add = (value, mistake) => {
+            if (Number.isInteger(value) && value !== answer && (value >= 0 || problem.allowNegative)) {
+                candidates.push({ text: formatNumber(value), mistake });
+            }
+        };
+        const { operand1, operand2, operation, blank } = problem;
+
+        if (typeof operand1 === 'number' && typeof operand2 === 'number' && MISTAKEN_OPERATIONS[operation]) {
+            if (!blank || blank === 'result') {
+                MISTAKEN_OPERATIONS[operation].forEach(other => {
+                    add(calculateAnswer(operand1, operand2, other), 'wrong-operation');
+                });
+                if (operand1 >= 0 && operand2 >= 0 && operation === '+') {
+                    add(combineDigits(operand1, operand2, (x, y) => (x + y) % 10), 'dropped-carry');
+                }
+                if (operand1 >= 0 && operand2 >= 0 && operation === '-') {
+                    add(combineDigits(operand1, operand2, (x, y) => Math.abs(x - y)), 'dropped-borrow');
+                }
+            } else {
+                // "7 + ? = 12" answered 19: used the shown operation instead of its inverse
+                const known = blank === 'operand1' ? operand2 : operand1;
+                add(calculateAnswer(problem.result, known, operation), 'wrong-operation');
+            }
+        }
+
+        add(answer + 1, 'off-by-one');
+        add(answer - 1, 'off-by-one');
+        add(reverseDigits(answer), 'swapped-digits');
+
+        return {
+            correctText: formatNumber(answer),
+            candidates,
+            nearby: offset => {
+                const value = answer + offset;
+                return value >= 0 || problem.allowNegative ? formatNumber(value) : null;
+            }
+        };
+    }
+
+    /**
+     * Lists plausible wrong answers for a fraction problem, labelled by mistake
+     * @param {object} problem - Fraction problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getFractionChoiceCandidates(problem) {
+        const answer = problem.correctAnswer;
+        const candidates = [];
+        const add = (numerator, denominator, mistake) => {
+            if (denominator > 0 && numerator >= 0 && Number.isInteger(numerator) && Number.isInteger(denominator)) {
+                const fraction = createFraction(numerator, denominator);
+                if (compareFractions(fraction, answer) !== 0) {
+                    candidates.push({ text: formatFraction(fraction), mistake });
+                }
+            }
+        };
+        const { operand1: a, operand2: b, operation } = problem;
+
+        if (operation === 'simplify') {
+            add(answer.denominator, answer.numerator, 'flipped');
+            add(a.numerator / 2, a.denominator, 'simplified-one-part');
+        } else {
+            if (operation === '+' || operation === '-') {
+                // 1/2 + 1/3 = 2/5: added (or subtracted) straight across
+                const across = calculateAnswer(a.numerator, b.numerator, operation);
+                add(across, calculateAnswer(a.denominator, b.denominator, operation), 'added-across');
+                add(across, a.denominator, 'kept-denominator');
+            }
+            const mistaken = { '+': '*', '-': '+', '*': '+', '/': '*' }[operation];
+            const wrong = calculateFraction(a, b, mistaken);
+            add(wrong.numerator, wrong.denominator, 'wrong-operation');
+        }
+
+        add(answer.numerator + 1, answer.denominator, 'off-by-one');
+        add(answer.numerator - 1, answer.denominator, 'off-by-one');
+
+        return {
+            correctText: formatFraction(answer),
+            candidates,
+            nearby: offset => {
+                const numerator = answer.numerator + offset;
+                return numerator > 0
+                    ? formatFraction(simplifyFraction(createFraction(numerator, answer.denominator)))
+                    : null;
+            }
+        };
+    }
+
+    /**
+     * Lists plausible wrong answers for a remainder problem, labelled by mistake
+     * @param {object} problem - Remainder problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getRemainderChoiceCandidates(problem) {
+        const { quotient, remainder } = problem.correctAnswer;
+        const format = (q, r) => `${q} R ${r}`;
+        const candidates = [];
+        const add = (q, r, mistake) => {
+            if (q >= 0 && r >= 0 && (q !== quotient || r !== remainder)) {
+                candidates.push({ text: format(q, r), mistake });
+            }
+        };
+
+        add(quotient + 1, remainder, 'off-by-one');
+        add(quotient - 1, remainder, 'off-by-one');
+        add(quotient, remainder + 1, 'remainder-off-by-one');
+        add(quotient, remainder - 1, 'remainder-off-by-one');
+        add(remainder, quotient, 'swapped-parts');
+        add(quotient, 0, 'dropped-remainder');
+
+        return {
+            correctText: format(quotient, remainder),
+            candidates,
+            nearby: offset => (quotient + offset >= 0 ? format(quotient + offset, remainder) : null)
+        };
+    }
+
+    /**
+     * Builds shuffled multiple-choice options: the answer plus distractors from realistic mistakes
+     * @param {object} problem - Problem object
+     * @param {function} random - Random source
+     * @param {number} count - Total number of options
+     * @returns {object[]} Options: {text, correct, mistake}
+     */
+    function buildChoices(problem, random, count) {
+        const definition = registeredTypes[problem.type];
+        let source;
+        if (definition && definition.choices) {
+            source = definition.choices(problem);
+        } else if (problem.answerFormat === 'remainder') {
+            source = getRemainderChoiceCandidates(problem);
+        } else if (problem.type === 'fraction') {
+            source = getFractionChoiceCandidates(problem);
+        } else {
+            source = getNumericChoiceCandidates(problem);
+        }
+
+        const seen = new Set([source.correctText]);
+        const distractors = [];
+        const take = (text, mistake) => {
+            if (text !== null && distractors.length < count - 1 && !seen.has(text)) {
+                seen.add(text);
+                distractors.push({ text, correct: false, mistake });
+            }
+        };
+
+        shuffle(source.candidates, random).forEach(candidate => take(candidate.text, candidate.mistake));
+
+        // Not enough realistic mistakes: pad with nearby values
+        for (let offset = 2; distractors.length < count - 1 && offset <= 50; offset++) {
+            const sign = random() < 0.5 ? 1 : -1;
+            take(source.nearby(sign * offset), 'nearby');
+            take(source.nearby(-sign * offset), 'nearby');
+        }
+
+        return shuffle([{ text: source.correctText, correct: true, mistake: null }].concat(distractors), random);
+    }
+
+    /**
+     * Generates multiple-choice options for an existing problem
+     * @param {object} problem - Problem object
+     * @param {object} [options] - {count, seed, random}
+     * @returns {object[]} Options: {text, correct, mistake}
+     */
+    function generateChoices(problem, options = {}) {
+        const random = createRandom(resolveProblemSeed(options));
+        return buildChoices(problem, random, options.count || DEFAULT_CHOICE_COUNT);
     }
 
     /**
@@ -236,7 +3668,8 @@ const MathEngine = (function() {
      * @returns {string} The display symbol
      */
     function getOperationSymbol(operation) {
-        return OPERATION_SYMBOLS[operation] || operation;
+        const type = getOperationType(operation);
+        return type ? type.operation.display || operation : operation;
     }
 
     /**
@@ -251,17 +3684,56 @@ const MathEngine = (function() {
     // Public API
     return {
         generateProblem,
+        createRandom,
+        generateSeed,
         checkAnswer,
+        evaluateAnswer,
+        isWithinTolerance,
+        getToleranceRange,
+        describeTolerance,
+        formatAnswer,
+        getWorkedSolution,
+        getProblemComplexity,
+        getComplexityBand,
+        getComplexityProgress,
+        generateChoices,
+        createProblemHistory,
+        getProblemKey,
+        getProblemPoolSize,
+        getFactFamilies,
+        createFactDeck,
+        parseAnswer,
+        parseFraction,
+        formatFraction,
+        formatNumber,
+        evaluateExpression,
+        renderExpression,
+        addWordProblemTemplates,
+        getWordProblemTemplates,
+        resetWordProblemTemplates,
         getAllowedOperations,
         getOperationSymbol,
         getDifficultyConfig,
+        registerProblemType,
+        unregisterProblemType,
+        getProblemTypes,
+        getRandomInt,
+        pickRandom,
         // Export for testing
         _internal: {
             getRandomInt,
+            hashSeed,
             calculateAnswer,
+            calculateFraction,
+            simplifyFraction,
+            compareFractions,
+            pluralize,
+            fillWordTemplate,
             generateOperands,
+            getRegroupingPlaces,
             DIFFICULTY_CONFIG,
-            OPERATION_SYMBOLS
+            OPERATION_SYMBOLS,
+            FRACTION_KINDS
         }
     };
 })();
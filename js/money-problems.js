@@ -0,0 +1,752 @@
+/**
+ * Money Problems Module
+ * Registers the 'money' problem type: counting coins and bills, adding prices and making change
+ * Amounts are whole cents, and coins, bills and price tags are drawn as SVG from the problem's data
+ * Depends on MathEngine
+ */
+
+const MoneyProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'money';
+    const DEFAULT_CURRENCY = 'USD';
+    const CENTS_PER_UNIT = 100;
+
+    // Per level: question kinds, the biggest coin or bill used, and how big prices and payments get (in cents)
+    const LEVELS = {
+        1: { kinds: ['count', 'total'], maxDenomination: 50, maxPieces: 5, items: 2, maxPrice: 50, priceStep: 5, maxPayment: 100 },
+        2: { kinds: ['count', 'total', 'change'], maxDenomination: 500, maxPieces: 6, items: 2, maxPrice: 500, priceStep: 5, maxPayment: 1000 },
+        3: { kinds: ['count', 'total', 'change'], maxDenomination: 2000, maxPieces: 8, items: 3, maxPrice: 2000, priceStep: 1, maxPayment: 5000 }
+    };
+
+    // Coins are drawn as circles of the given radius, bills as rectangles
+    const currencies = {
+        USD: {
+            symbol: '$',
+            centSymbol: '¢',
+            name: 'dollars',
+            pieces: [
+                { value: 1, kind: 'coin', label: '1¢', size: 19, fill: '#c47a3a', stroke: '#8d5524' },
+                { value: 5, kind: 'coin', label: '5¢', size: 21, fill: '#c9c9c9', stroke: '#8a8a8a' },
+                { value: 10, kind: 'coin', label: '10¢', size: 18, fill: '#dcdcdc', stroke: '#8a8a8a' },
+                { value: 25, kind: 'coin', label: '25¢', size: 24, fill: '#d4d4d4', stroke: '#8a8a8a' },
+                { value: 100, kind: 'bill', label: '$1', fill: '#c8e6c9', stroke: '#2e7d32' },
+                { value: 500, kind: 'bill', label: '$5', fill: '#c8e6c9', stroke: '#2e7d32' },
+                { value: 1000, kind: 'bill', label: '$10', fill: '#c8e6c9', stroke: '#2e7d32' },
+                { value: 2000, kind: 'bill', label: '$20', fill: '#c8e6c9', stroke: '#2e7d32' }
+            ]
+        },
+        EUR: {
+            symbol: '€',
+            centSymbol: 'c',
+            name: 'euros',
+            pieces: [
+                { value: 1, kind: 'coin', label: '1c', size: 16, fill: '#c47a3a', stroke: '#8d5524' },
+                { value: 2, kind: 'coin', label: '2c', size: 18, fill: '#c47a3a', stroke: '#8d5524' },
+                { value: 5, kind: 'coin', label: '5c', size: 20, fill: '#c47a3a', stroke: '#8d5524' },
+                { value: 10, kind: 'coin', label: '10c', size: 19, fill: '#e6c35c', stroke: '#a67c00' },
+                { value: 20, kind: 'coin', label: '20c', size: 21, fill: '#e6c35c', stroke: '#a67c00' },
+                { value: 50, kind: 'coin', label: '50c', size: 23, fill: '#e6c35c', stroke: '#a67c00' },
+                { value: 100, kind: 'coin', label: '€1', size: 22, fill: '#e6c35c', stroke: '#9e9e9e' },
+                { value: 200, kind: 'coin', label: '€2', size: 24, fill: '#d4d4d4', stroke: '#a67c00' },
+                { value: 500, kind: 'bill', label: '€5', fill: '#cfd8dc', stroke: '#607d8b' },
+                { value: 1000, kind: 'bill', label: '€10', fill: '#ffcdd2', stroke: '#c62828' },
+                { value: 2000, kind: 'bill', label: '€20', fill: '#bbdefb', stroke: '#1565c0' }
+            ]
+        }
+    };
+
+    // Things for sale in price problems
+    const ITEMS = ['banana', 'coconut', 'mango', 'juice box', 'sticker', 'rope', 'hat', 'map', 'toy gorilla', 'bag of nuts'];
+
+    // Drawing sizes, in SVG units
+    const FIGURE_WIDTH = 320;
+    const GAP = 8;
+    const BILL_WIDTH = 92;
+    const BILL_HEIGHT = 46;
+    const TAG_WIDTH = 96;
+    const TAG_HEIGHT = 56;
+
+    const MONEY_ERROR_MESSAGES = {
+        empty: 'Type an amount first.',
+        'not-money': 'Write money like $1.35.',
+        'too-many-decimals': 'Money only goes to cents: use two digits after the point.'
+    };
+
+    /**
+     * Gets a currency's definition
+     * @param {string} [code='USD'] - Currency code
+     * @returns {object} Currency definition
+     */
+    function getCurrency(code = DEFAULT_CURRENCY) {
+        const currency = currencies[code];
+        if (!currency) {
+            throw new Error(`Unknown currency "${code}". Use one of: ${Object.keys(currencies).join(', ')}`);
+        }
+        return currency;
+    }
+
+    /**
+     * Adds or replaces a currency
+     * @param {string} code - Currency code, e.g. 'GBP'
+     * @param {object} definition - {symbol, centSymbol, name, pieces: [{value, kind, label, size?, fill, stroke}]}
+     *     with piece values in cents; coins need a size (radius)
+     */
+    function registerCurrency(code, definition) {
+        if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) {
+            throw new Error('Currency code must be three capital letters');
+        }
+        if (!definition || !definition.symbol || !definition.centSymbol || !definition.name) {
+            throw new Error(`Currency "${code}" needs a symbol, centSymbol and name`);
+        }
+        if (!Array.isArray(definition.pieces) || definition.pieces.length === 0) {
+            throw new Error(`Currency "${code}" needs at least one coin or bill`);
+        }
+        definition.pieces.forEach(piece => {
+            if (!Number.isInteger(piece.value) || piece.value < 1) {
+                throw new Error(`Currency "${code}" piece values must be whole numbers of cents`);
+            }
+            if (piece.kind !== 'coin' && piece.kind !== 'bill') {
+                throw new Error(`Currency "${code}" pieces must be a coin or a bill`);
+            }
+        });
+
+        currencies[code] = {
+            ...definition,
+            pieces: definition.pieces.slice().sort((a, b) => a.value - b.value)
+        };
+    }
+
+    /**
+     * Lists the registered currency codes
+     * @returns {string[]} Currency codes
+     */
+    function getCurrencies() {
+        return Object.keys(currencies);
+    }
+
+    /**
+     * Formats an amount of money
+     * @param {number} cents - Amount in cents
+     * @param {string} [code='USD'] - Currency code
+     * @returns {string} e.g. "$1.35"
+     */
+    function formatMoney(cents, code = DEFAULT_CURRENCY) {
+        const units = Math.floor(cents / CENTS_PER_UNIT);
+        const rest = String(cents % CENTS_PER_UNIT).padStart(2, '0');
+        return `${getCurrency(code).symbol}${units}.${rest}`;
+    }
+
+    /**
+     * Formats an amount in cents
+     * @param {number} cents - Amount in cents
+     * @param {object} currency - Currency definition
+     * @returns {string} e.g. "135¢"
+     */
+    function formatCents(cents, currency) {
+        return `${cents}${currency.centSymbol}`;
+    }
+
+    /**
+     * Builds a money parsing result for text that isn't an amount
+     * @param {string} reason - Why the text was rejected
+     * @returns {object} {valid: false, reason, message}
+     */
+    function rejectMoney(reason) {
+        return { valid: false, reason, message: MONEY_ERROR_MESSAGES[reason] };
+    }
+
+    /**
+     * Escapes text for use in a regular expression
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Parses an amount of money as a player might type it
+     * Accepts "$1.35", "1.35", "1,35", "1.35 €", "$1.5", "$2", "1,350.00" and "35¢" / "35c" / "35 cents"
+     * @param {string} input - Typed amount
+     * @returns {object} {valid: true, cents, symbol} (symbol is null when none was typed)
+     *     or {valid: false, reason, message}
+     */
+    function parseMoney(input) {
+        const text = String(input === undefined || input === null ? '' : input).trim().toLowerCase().replace(/\s+/g, '');
+
+        if (!text) {
+            return rejectMoney('empty');
+        }
+
+        const centSymbols = Object.values(currencies).map(currency => escapeRegExp(currency.centSymbol));
+        const centsMatch = text.match(new RegExp(`^(\\d+)(?:${centSymbols.join('|')}|cents?)$`));
+        if (centsMatch) {
+            return { valid: true, cents: Number(centsMatch[1]), symbol: null };
+        }
+
+        const symbols = Object.values(currencies).map(currency => escapeRegExp(currency.symbol)).join('|');
+        const match = text.match(new RegExp(
+            `^(${symbols})?(\\d{1,3}(?:,\\d{3})+|\\d+)(?:[.,](\\d*))?(${symbols})?$`
+        ));
+        if (!match || (match[1] && match[4])) {
+            return rejectMoney('not-money');
+        }
+
+        const decimals = match[3] || '';
+        if (decimals.length > 2) {
+            return rejectMoney('too-many-decimals');
+        }
+
+        const units = Number(match[2].replace(/,/g, ''));
+        return {
+            valid: true,
+            cents: units * CENTS_PER_UNIT + Number(decimals.padEnd(2, '0')),
+            symbol: match[1] || match[4] || null
+        };
+    }
+
+    /**
+     * Finds the coin or bill worth a value
+     * @param {object} currency - Currency definition
+     * @param {number} value - Value in cents
+     * @returns {object} Piece definition
+     */
+    function getPiece(currency, value) {
+        return currency.pieces.find(piece => piece.value === value);
+    }
+
+    /**
+     * Lays items out in rows that wrap at the figure width
+     * @param {object[]} sizes - {width, height} per item
+     * @returns {object} {positions: [{x, y}], width, height}
+     */
+    function layoutRows(sizes) {
+        const positions = [];
+        let x = GAP;
+        let y = GAP;
+        let rowHeight = 0;
+        let width = 0;
+
+        sizes.forEach(size => {
+            if (x > GAP && x + size.width + GAP > FIGURE_WIDTH) {
+                x = GAP;
+                y += rowHeight + GAP;
+                rowHeight = 0;
+            }
+            positions.push({ x, y });
+            x += size.width + GAP;
+            rowHeight = Math.max(rowHeight, size.height);
+            width = Math.max(width, x);
+        });
+
+        return { positions, width, height: y + rowHeight + GAP };
+    }
+
+    /**
+     * Wraps drawn elements in an SVG element, sized to its contents
+     * @param {string} className - Class for the svg element
+     * @param {number} width - View box width
+     * @param {number} height - View box height
+     * @param {string[]} elements - SVG markup
+     * @returns {string} SVG markup
+     */
+    function wrapSvg(className, width, height, elements) {
+        return `<svg class="${className}" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}">` +
+            `${elements.join('')}</svg>`;
+    }
+
+    /**
+     * Draws a set of coins and bills, in the order given
+     * @param {number[]} values - Piece values in cents
+     * @param {string} [code='USD'] - Currency code
+     * @returns {string} SVG markup
+     */
+    function renderMoney(values, code = DEFAULT_CURRENCY) {
+        const currency = getCurrency(code);
+        const pieces = values.map(value => getPiece(currency, value));
+        const layout = layoutRows(pieces.map(piece => (piece.kind === 'bill'
+            ? { width: BILL_WIDTH, height: BILL_HEIGHT }
+            : { width: piece.size * 2, height: piece.size * 2 })));
+
+        const elements = pieces.map((piece, index) => {
+            const { x, y } = layout.positions[index];
+            if (piece.kind === 'bill') {
+                return `<g class="money-bill"><rect x="${x}" y="${y}" width="${BILL_WIDTH}" height="${BILL_HEIGHT}" rx="4" ` +
+                    `fill="${piece.fill}" stroke="${piece.stroke}" stroke-width="2"/>` +
+                    `<text x="${x + BILL_WIDTH / 2}" y="${y + BILL_HEIGHT / 2}" text-anchor="middle" dominant-baseline="central" ` +
+                    `font-size="18" font-weight="bold" fill="#333">${piece.label}</text></g>`;
+            }
+            const cx = x + piece.size;
+            const cy = y + piece.size;
+            return `<g class="money-coin"><circle cx="${cx}" cy="${cy}" r="${piece.size}" fill="${piece.fill}" ` +
+                `stroke="${piece.stroke}" stroke-width="2"/>` +
+                `<text x="${cx}" y="${cy}" text-anchor="middle" dominant-baseline="central" font-size="12" ` +
+                `font-weight="bold" fill="#333">${piece.label}</text></g>`;
+        });
+
+        return wrapSvg('money-figure', layout.width, layout.height, elements);
+    }
+
+    /**
+     * Draws a price tag per item
+     * @param {object[]} items - {name, price} with prices in cents
+     * @param {string} [code='USD'] - Currency code
+     * @returns {string} SVG markup
+     */
+    function renderPriceTags(items, code = DEFAULT_CURRENCY) {
+        const layout = layoutRows(items.map(() => ({ width: TAG_WIDTH, height: TAG_HEIGHT })));
+
+        const elements = items.map((item, index) => {
+            const { x, y } = layout.positions[index];
+            const middle = x + TAG_WIDTH / 2;
+            return `<g class="price-tag"><rect x="${x}" y="${y}" width="${TAG_WIDTH}" height="${TAG_HEIGHT}" rx="8" ` +
+                'fill="#fff8e1" stroke="#8d6e63" stroke-width="2"/>' +
+                `<circle cx="${x + 10}" cy="${y + 10}" r="3" fill="#8d6e63"/>` +
+                `<text x="${middle}" y="${y + 18}" text-anchor="middle" dominant-baseline="central" font-size="12" ` +
+                `fill="#5d4037">${item.name}</text>` +
+                `<text x="${middle}" y="${y + 38}" text-anchor="middle" dominant-baseline="central" font-size="18" ` +
+                `font-weight="bold" fill="#333">${formatMoney(item.price, code)}</text></g>`;
+        });
+
+        return wrapSvg('price-tags', layout.width, layout.height, elements);
+    }
+
+    /**
+     * Breaks an amount into the fewest coins and bills, biggest first
+     * @param {number} cents - Amount in cents
+     * @param {object} currency - Currency definition
+     * @returns {number[]} Piece values
+     */
+    function makeAmount(cents, currency) {
+        const values = [];
+        let left = cents;
+
+        currency.pieces.slice().reverse().forEach(piece => {
+            while (left >= piece.value) {
+                values.push(piece.value);
+                left -= piece.value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Lists the amounts a shopper might hand over for a price: a single bigger bill or coin,
+     * or the price rounded up to a whole 1, 5, 10 or 20
+     * @param {number} price - Price in cents
+     * @param {object} currency - Currency definition
+     * @param {number} maxPayment - Largest payment in cents
+     * @returns {number[]} Payments in cents, smallest first
+     */
+    function getPaymentOptions(price, currency, maxPayment) {
+        const options = new Set();
+
+        currency.pieces.forEach(piece => {
+            if (piece.value >= CENTS_PER_UNIT && piece.value > price) {
+                options.add(piece.value);
+            }
+        });
+        [1, 5, 10, 20].forEach(units => {
+            const step = units * CENTS_PER_UNIT;
+            const rounded = Math.ceil(price / step) * step;
+            if (rounded > price) {
+                options.add(rounded);
+            }
+        });
+
+        const sorted = Array.from(options).sort((a, b) => a - b);
+        const affordable = sorted.filter(payment => payment <= maxPayment);
+        if (affordable.length > 0) {
+            return affordable;
+        }
+        return sorted.length > 0 ? [sorted[0]] : [(Math.floor(price / 1000) + 1) * 1000];
+    }
+
+    /**
+     * Draws a price that is a multiple of the level's price step
+     * @param {object} settings - Level settings (config.money)
+     * @param {function} random - Random source
+     * @returns {number} Price in cents
+     */
+    function drawPrice(settings, random) {
+        return MathEngine.getRandomInt(1, Math.floor(settings.maxPrice / settings.priceStep), random) * settings.priceStep;
+    }
+
+    /**
+     * Writes the sentence that prices a list of items
+     * @param {object[]} items - {name, price}
+     * @param {string} code - Currency code
+     * @returns {string} e.g. "A banana costs $0.35 and a mango costs $1.20."
+     */
+    function describePrices(items, code) {
+        const phrases = items.map(item => `a ${item.name} costs ${formatMoney(item.price, code)}`);
+        const text = phrases.length > 1
+            ? `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`
+            : phrases[0];
+        return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    }
+
+    /**
+     * Describes a set of coins and bills for screen readers
+     * @param {number[]} values - Piece values in cents
+     * @param {object} currency - Currency definition
+     * @returns {string} e.g. "$1 bill, 25¢ coin, 25¢ coin"
+     */
+    function describePieces(values, currency) {
+        return values.map(value => {
+            const piece = getPiece(currency, value);
+            return `${piece.label} ${piece.kind}`;
+        }).join(', ');
+    }
+
+    /**
+     * Generates a counting, total or change problem
+     * @param {object} config - Difficulty configuration (settings in config.money, currency in config.currency)
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateMoneyProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const code = config.currency || DEFAULT_CURRENCY;
+        const currency = getCurrency(code);
+        const kind = MathEngine.pickRandom(settings.kinds, random);
+        const fields = { moneyKind: kind, currency: code, answerFormat: 'money' };
+
+        if (kind === 'count') {
+            const denominations = currency.pieces.filter(piece => piece.value <= settings.maxDenomination);
+            const count = MathEngine.getRandomInt(2, settings.maxPieces, random);
+            const pieces = [];
+            for (let i = 0; i < count; i++) {
+                pieces.push(MathEngine.pickRandom(denominations, random).value);
+            }
+            // Money is easiest to count biggest first, so it is laid out that way
+            pieces.sort((a, b) => b - a);
+
+            const question = 'How much money is this?';
+            return {
+                ...fields,
+                pieces,
+                displayText: question,
+                displayParts: [
+                    { type: 'svg', svg: renderMoney(pieces, code), label: describePieces(pieces, currency) },
+                    { type: 'text', text: question }
+                ],
+                correctAnswer: pieces.reduce((sum, value) => sum + value, 0)
+            };
+        }
+
+        const names = ITEMS.slice();
+        const items = [];
+        const itemCount = kind === 'change' ? 1 : settings.items;
+        for (let i = 0; i < itemCount; i++) {
+            const name = names.splice(MathEngine.getRandomInt(0, names.length - 1, random), 1)[0];
+            items.push({ name, price: drawPrice(settings, random) });
+        }
+        const tags = { type: 'svg', svg: renderPriceTags(items, code), label: `Price tags: ${describePrices(items, code)}` };
+
+        if (kind === 'total') {
+            const question = `${describePrices(items, code)} How much do they cost altogether?`;
+            return {
+                ...fields,
+                items,
+                displayText: question,
+                displayParts: [tags, { type: 'text', text: question }],
+                correctAnswer: items.reduce((sum, item) => sum + item.price, 0)
+            };
+        }
+
+        const price = items[0].price;
+        const payment = MathEngine.pickRandom(getPaymentOptions(price, currency, settings.maxPayment), random);
+        const paid = makeAmount(payment, currency);
+        const question = `${describePrices(items, code)} You pay with ${formatMoney(payment, code)}. How much change do you get?`;
+        return {
+            ...fields,
+            items,
+            payment,
+            displayText: question,
+            displayParts: [
+                tags,
+                { type: 'svg', svg: renderMoney(paid, code), label: `Paid with ${describePieces(paid, currency)}` },
+                { type: 'text', text: question }
+            ],
+            correctAnswer: payment - price
+        };
+    }
+
+    /**
+     * Checks an amount exactly, in cents
+     * @param {string} userAnswer - Typed amount
+     * @param {object} problem - Money problem
+     * @returns {object} Evaluation ({correct, reason, inputError?, message?})
+     */
+    function checkMoneyAnswer(userAnswer, problem) {
+        const parsed = parseMoney(userAnswer);
+        if (!parsed.valid) {
+            return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+        }
+
+        const currency = getCurrency(problem.currency);
+        if (parsed.symbol && parsed.symbol !== currency.symbol) {
+            return {
+                correct: false,
+                reason: 'invalid',
+                inputError: 'wrong-currency',
+                message: `This problem is in ${currency.name}: use ${currency.symbol}.`
+            };
+        }
+
+        return parsed.cents === problem.correctAnswer
+            ? { correct: true, reason: null }
+            : { correct: false, reason: 'incorrect' };
+    }
+
+    /**
+     * Groups consecutive equal values
+     * @param {number[]} values - Values
+     * @returns {object[]} {value, count}
+     */
+    function groupRuns(values) {
+        const groups = [];
+        values.forEach(value => {
+            const last = groups[groups.length - 1];
+            if (last && last.value === value) {
+                last.count++;
+            } else {
+                groups.push({ value, count: 1 });
+            }
+        });
+        return groups;
+    }
+
+    /**
+     * Counts up from a price to a payment the way a cashier does: small coins up to
+     * a rounder amount, then bigger ones
+     * @param {number} price - Price in cents
+     * @param {number} payment - Payment in cents
+     * @param {object} currency - Currency definition
+     * @returns {number[]} Piece values handed back, in order
+     */
+    function countUpChange(price, payment, currency) {
+        const values = currency.pieces.map(piece => piece.value);
+        const change = [];
+        let current = price;
+
+        values.forEach((value, index) => {
+            const next = values[index + 1];
+            while (next !== undefined && current % next !== 0 && current + value <= payment) {
+                change.push(value);
+                current += value;
+            }
+        });
+        values.slice().reverse().forEach(value => {
+            while (current + value <= payment) {
+                change.push(value);
+                current += value;
+            }
+        });
+
+        return change;
+    }
+
+    /**
+     * Explains how to count the money, add the prices or count up the change
+     * @param {object} problem - Money problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveMoneyProblem(problem) {
+        const code = problem.currency;
+        const currency = getCurrency(code);
+        const money = cents => formatMoney(cents, code);
+        const times = MathEngine.getOperationSymbol('*');
+        const steps = [];
+
+        if (problem.moneyKind === 'count') {
+            let total = 0;
+            steps.push('Start with the biggest coins and bills and count on.');
+            groupRuns(problem.pieces).forEach(group => {
+                total += group.value * group.count;
+                steps.push(`${group.count} ${times} ${getPiece(currency, group.value).label} = ${money(group.value * group.count)}. ` +
+                    `Running total: ${money(total)}.`);
+            });
+            steps.push(`Altogether that is ${money(total)}.`);
+            return { method: 'count-money', steps };
+        }
+
+        if (problem.moneyKind === 'total') {
+            const prices = problem.items.map(item => item.price);
+            const total = prices.reduce((sum, price) => sum + price, 0);
+            steps.push(`Write each price in cents: ${prices.map(price => `${money(price)} = ${formatCents(price, currency)}`).join(', ')}.`);
+            steps.push(`Add them: ${prices.map(price => formatCents(price, currency)).join(' + ')} = ${formatCents(total, currency)}.`);
+            steps.push(total >= CENTS_PER_UNIT
+                ? `${formatCents(CENTS_PER_UNIT, currency)} make ${money(CENTS_PER_UNIT)}, so ${formatCents(total, currency)} is ${money(total)}.`
+                : `So the total is ${money(total)}.`);
+            return { method: 'add-prices', steps };
+        }
+
+        const price = problem.items[0].price;
+        let current = price;
+        steps.push(`Count up from the price, ${money(price)}, to what you paid, ${money(problem.payment)}.`);
+        groupRuns(countUpChange(price, problem.payment, currency)).forEach(group => {
+            current += group.value * group.count;
+            steps.push(`Add ${group.count} ${times} ${getPiece(currency, group.value).label} to reach ${money(current)}.`);
+        });
+        steps.push(`The change is ${money(problem.correctAnswer)}. Check: ${money(problem.payment)} ` +
+            `${MathEngine.getOperationSymbol('-')} ${money(price)} = ${money(problem.correctAnswer)}.`);
+        return { method: 'count-up-change', steps };
+    }
+
+    /**
+     * Scores a money problem by what has to be counted, carried or counted up
+     * @param {object} problem - Money problem
+     * @returns {object} {score, tags, features}
+     */
+    function getMoneyComplexity(problem) {
+        const tags = [];
+        let score;
+
+        if (problem.moneyKind === 'count') {
+            const kinds = new Set(problem.pieces).size;
+            score = 1 + problem.pieces.length * 0.25 + (kinds - 1) * 0.5;
+            if (problem.pieces.some(value => value >= CENTS_PER_UNIT) && problem.pieces.some(value => value < CENTS_PER_UNIT)) {
+                tags.push('mixed-units');
+                score += 1;
+            }
+            return { score, tags, features: { pieces: problem.pieces.length, kinds } };
+        }
+
+        const prices = problem.items.map(item => item.price);
+        if (problem.moneyKind === 'total') {
+            score = 1.5 + (prices.length - 1) * 0.5;
+            if (prices.reduce((sum, price) => sum + price % CENTS_PER_UNIT, 0) >= CENTS_PER_UNIT) {
+                tags.push('carry-cents');
+                score += 1;
+            }
+        } else {
+            tags.push('change');
+            score = 2.5;
+            if (prices[0] % CENTS_PER_UNIT !== 0) {
+                tags.push('borrow-cents');
+                score += 0.5;
+            }
+        }
+        if (prices.some(price => price % 5 !== 0)) {
+            tags.push('odd-cents');
+            score += 0.5;
+        }
+
+        return { score, tags, features: { items: prices.length } };
+    }
+
+    /**
+     * Lists plausible wrong amounts, labelled by mistake
+     * @param {object} problem - Money problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getMoneyChoices(problem) {
+        const answer = problem.correctAnswer;
+        const candidates = [];
+        const add = (cents, mistake) => {
+            if (cents > 0) {
+                candidates.push({ text: formatMoney(cents, problem.currency), mistake });
+            }
+        };
+
+        add(answer * 10, 'decimal-point');
+        if (problem.moneyKind === 'count') {
+            new Set(problem.pieces).forEach(value => add(answer - value, 'missed-piece'));
+            add(problem.pieces.length, 'counted-pieces');
+        } else if (problem.moneyKind === 'total') {
+            problem.items.forEach(item => add(answer - item.price, 'missed-item'));
+            add(answer - CENTS_PER_UNIT, 'dropped-carry');
+        } else {
+            add(problem.items[0].price, 'gave-price');
+            add(problem.payment + problem.items[0].price, 'added');
+            add(answer + CENTS_PER_UNIT, 'forgot-borrow');
+        }
+
+        const step = answer % 5 === 0 ? 5 : 1;
+        return {
+            correctText: formatMoney(answer, problem.currency),
+            candidates,
+            nearby: offset => (answer + offset * step > 0 ? formatMoney(answer + offset * step, problem.currency) : null)
+        };
+    }
+
+    /**
+     * Counts the distinct problems a level's settings allow
+     * @param {object} config - Difficulty configuration
+     * @returns {number} Number of distinct problems
+     */
+    function countMoneyProblems(config) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const currency = getCurrency(config.currency || DEFAULT_CURRENCY);
+        const prices = Math.floor(settings.maxPrice / settings.priceStep);
+        let total = 0;
+
+        if (settings.kinds.includes('count')) {
+            // Pieces are sorted, so each multiset of 2 to maxPieces denominations is one problem
+            const kinds = currency.pieces.filter(piece => piece.value <= settings.maxDenomination).length;
+            let multisets = 1;
+            for (let n = 1; n <= settings.maxPieces; n++) {
+                multisets = multisets * (kinds + n - 1) / n;
+                total += n >= 2 ? multisets : 0;
+            }
+        }
+        if (settings.kinds.includes('total')) {
+            total += Math.pow(prices, settings.items);
+        }
+        if (settings.kinds.includes('change')) {
+            for (let i = 1; i <= prices; i++) {
+                total += getPaymentOptions(i * settings.priceStep, currency, settings.maxPayment).length;
+            }
+        }
+
+        return Math.round(total);
+    }
+
+    /**
+     * Gets a problem's history key
+     * @param {object} problem - Money problem
+     * @returns {string} e.g. "money:USD:change:135/200"
+     */
+    function getMoneyKey(problem) {
+        const prefix = `${TYPE_ID}:${problem.currency}:${problem.moneyKind}`;
+        if (problem.moneyKind === 'count') {
+            return `${prefix}:${problem.pieces.join('+')}`;
+        }
+        const prices = problem.items.map(item => item.price).join('+');
+        return problem.moneyKind === 'change' ? `${prefix}:${prices}/${problem.payment}` : `${prefix}:${prices}`;
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generateMoneyProblem,
+        check: checkMoneyAnswer,
+        format: problem => formatMoney(problem.correctAnswer, problem.currency),
+        solve: solveMoneyProblem,
+        complexity: getMoneyComplexity,
+        choices: getMoneyChoices,
+        key: getMoneyKey,
+        poolSize: countMoneyProblems
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        registerCurrency,
+        getCurrencies,
+        parseMoney,
+        formatMoney,
+        renderMoney,
+        renderPriceTags
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MoneyProblems;
+}
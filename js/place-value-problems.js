@@ -0,0 +1,661 @@
+/**
+ * Place Value Problems Module
+ * Registers the 'place-value' problem type: rounding to the nearest 10, 100 or 1000, the value of
+ * an underlined digit, expanded form ("4000 + 300 + 20 + 1") and comparing numbers with <, > or =
+ * Depends on MathEngine
+ */
+
+const PlaceValueProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'place-value';
+
+    // Per level: which kinds are asked, how big numbers get, the places to round to, and whether
+    // players write numbers in expanded form (rather than only reading it)
+    const LEVELS = {
+        1: {
+            kinds: ['round', 'digit-value', 'expanded', 'compare'], minValue: 10, maxValue: 999,
+            places: [10, 100], toExpanded: false
+        },
+        2: {
+            kinds: ['round', 'digit-value', 'expanded', 'compare'], minValue: 100, maxValue: 9999,
+            places: [10, 100, 1000], toExpanded: true
+        },
+        3: {
+            kinds: ['round', 'digit-value', 'expanded', 'compare'], minValue: 1000, maxValue: 99999,
+            places: [100, 1000, 10000], toExpanded: true
+        }
+    };
+
+    const PLACE_NAMES = {
+        1: ['one', 'ones'],
+        10: ['ten', 'tens'],
+        100: ['hundred', 'hundreds'],
+        1000: ['thousand', 'thousands'],
+        10000: ['ten thousand', 'ten thousands'],
+        100000: ['hundred thousand', 'hundred thousands']
+    };
+
+    // Compare answers, and the words players may type for them
+    const COMPARISONS = {
+        '<': ['<', '＜', 'less', 'lessthan', 'smaller', 'smallerthan', 'fewer'],
+        '>': ['>', '＞', 'greater', 'greaterthan', 'more', 'morethan', 'bigger', 'biggerthan'],
+        '=': ['=', 'equal', 'equals', 'equalto', 'same', 'thesame']
+    };
+
+    // How pairs of numbers to compare are made, weighted toward the ones that trip players up
+    const COMPARE_STRATEGIES = ['swap', 'swap', 'change', 'change', 'length', 'equal'];
+
+    const EXPANDED_MESSAGE = 'Write it as a sum of place values, like 400 + 20 + 1.';
+    const COMPARE_MESSAGE = 'Answer with <, > or =.';
+
+    /**
+     * Formats a whole number with thousands separators
+     * @param {number} value - Number
+     * @returns {string} e.g. "4,837"
+     */
+    function groupThousands(value) {
+        return MathEngine.formatNumber(value).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+
+    /**
+     * Names a place value
+     * @param {number} place - Place value (1, 10, 100...)
+     * @param {number} [count=2] - How many of it, for singular or plural
+     * @returns {string} e.g. "hundreds"
+     */
+    function getPlaceName(place, count = 2) {
+        return PLACE_NAMES[place][count === 1 ? 0 : 1];
+    }
+
+    /**
+     * Splits a whole number into its digits, highest place first
+     * @param {number} value - Number
+     * @returns {object[]} {digit, place}
+     */
+    function getDigits(value) {
+        const text = String(value);
+        return text.split('').map((digit, index) => ({
+            digit: Number(digit),
+            place: Math.pow(10, text.length - 1 - index)
+        }));
+    }
+
+    /**
+     * Writes a number in expanded form, leaving out zero digits
+     * @param {number} value - Number
+     * @returns {string} e.g. "4000 + 20 + 1"
+     */
+    function formatExpanded(value) {
+        const terms = getDigits(value).filter(({ digit }) => digit > 0).map(({ digit, place }) => digit * place);
+        return terms.length > 0 ? terms.join(' + ') : '0';
+    }
+
+    /**
+     * Draws a number from the level's range
+     * @param {object} settings - Level settings (config['place-value'])
+     * @param {function} random - Random source
+     * @param {number} [min] - Lowest number, when higher than the level's
+     * @returns {number} Number
+     */
+    function drawNumber(settings, random, min = settings.minValue) {
+        return MathEngine.getRandomInt(Math.max(min, settings.minValue), settings.maxValue, random);
+    }
+
+    /**
+     * Draws a number until it passes a test, or gives up after a few tries
+     * @param {object} settings - Level settings
+     * @param {function} random - Random source
+     * @param {function} accept - (number) => boolean
+     * @param {number} [min] - Lowest number
+     * @returns {number} Number
+     */
+    function drawNumberWhere(settings, random, accept, min) {
+        let value = drawNumber(settings, random, min);
+        for (let tries = 0; tries < 20 && !accept(value); tries++) {
+            value = drawNumber(settings, random, min);
+        }
+        return value;
+    }
+
+    /**
+     * Generates a rounding problem: "Round 4,837 to the nearest 100"
+     * @param {object} settings - Level settings
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateRounding(settings, random) {
+        const places = settings.places.filter(place => place < settings.maxValue);
+        const place = MathEngine.pickRandom(places, random);
+        const number = drawNumberWhere(settings, random, value => value % place !== 0, place);
+
+        return {
+            placeValueKind: 'round',
+            number,
+            place,
+            displayText: `Round ${groupThousands(number)} to the nearest ${groupThousands(place)}`,
+            correctAnswer: Math.round(number / place) * place
+        };
+    }
+
+    /**
+     * Generates an underlined-digit problem: "What is the value of the underlined digit in 4,837?"
+     * The digit is drawn underlined, so the problem has its own display parts
+     * @param {object} settings - Level settings
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateDigitValue(settings, random) {
+        const number = drawNumberWhere(settings, random, value => value >= 10);
+        const { digit, place } = MathEngine.pickRandom(getDigits(number).filter(item => item.digit > 0), random);
+
+        // Find the digit in the grouped text: a separator follows every third digit from the right
+        const grouped = groupThousands(number);
+        const position = String(place).length - 1;
+        const index = grouped.length - 1 - position - Math.floor(position / 3);
+
+        const prompt = 'What is the value of the underlined digit in ';
+        return {
+            placeValueKind: 'digit-value',
+            number,
+            place,
+            displayText: `${prompt}${grouped}?`,
+            displayParts: [
+                { type: 'text', text: prompt + grouped.slice(0, index) },
+                { type: 'underline', text: grouped[index] },
+                { type: 'text', text: `${grouped.slice(index + 1)}?` }
+            ],
+            correctAnswer: digit * place
+        };
+    }
+
+    /**
+     * Generates an expanded-form problem, either way round: "4000 + 300 + 20 + 1 = ?" or
+     * "Write 4,321 in expanded form"
+     * @param {object} settings - Level settings
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateExpanded(settings, random) {
+        const number = drawNumberWhere(settings, random,
+            value => getDigits(value).filter(({ digit }) => digit > 0).length >= 2, 10);
+
+        if (settings.toExpanded && random() < 0.5) {
+            return {
+                placeValueKind: 'expanded',
+                expandedDirection: 'to-expanded',
+                number,
+                displayText: `Write ${groupThousands(number)} in expanded form`,
+                correctAnswer: number,
+                answerFormat: 'expanded'
+            };
+        }
+        return {
+            placeValueKind: 'expanded',
+            expandedDirection: 'to-standard',
+            number,
+            displayText: `${formatExpanded(number)} = ?`,
+            correctAnswer: number
+        };
+    }
+
+    /**
+     * Makes a second number to compare with the first: digits swapped, one digit changed,
+     * fewer digits but a bigger leading digit, or the same number
+     * @param {number} number - First number
+     * @param {function} random - Random source
+     * @returns {number} Second number
+     */
+    function makeComparison(number, random) {
+        const digits = String(number).split('').map(Number);
+        const strategy = MathEngine.pickRandom(COMPARE_STRATEGIES, random);
+
+        if (strategy === 'equal') {
+            return number;
+        }
+        if (strategy === 'swap') {
+            const swaps = digits.slice(1)
+                .map((digit, i) => i)
+                .filter(i => digits[i] !== digits[i + 1] && (i > 0 || digits[i + 1] !== 0));
+            if (swaps.length > 0) {
+                const i = MathEngine.pickRandom(swaps, random);
+                [digits[i], digits[i + 1]] = [digits[i + 1], digits[i]];
+                return Number(digits.join(''));
+            }
+        }
+        if (strategy === 'length' && digits.length > 2) {
+            const lowest = Math.pow(10, digits.length - 2);
+            return MathEngine.getRandomInt(Math.max(lowest, digits[0] * lowest), lowest * 10 - 1, random);
+        }
+
+        const i = MathEngine.getRandomInt(0, digits.length - 1, random);
+        const options = [];
+        for (let digit = i === 0 ? 1 : 0; digit <= 9; digit++) {
+            if (digit !== digits[i]) options.push(digit);
+        }
+        digits[i] = MathEngine.pickRandom(options, random);
+        return Number(digits.join(''));
+    }
+
+    /**
+     * Generates a comparison problem: "Write <, > or =: 4,837 ? 4,873"
+     * @param {object} settings - Level settings
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateCompare(settings, random) {
+        const first = drawNumber(settings, random, 10);
+        const second = makeComparison(first, random);
+        const numbers = random() < 0.5 ? [first, second] : [second, first];
+
+        return {
+            placeValueKind: 'compare',
+            numbers,
+            displayText: `Write <, > or =: ${groupThousands(numbers[0])} ? ${groupThousands(numbers[1])}`,
+            correctAnswer: compareNumbers(numbers[0], numbers[1]),
+            answerFormat: 'comparison'
+        };
+    }
+
+    /**
+     * Gives the sign that goes between two numbers
+     * @param {number} a - Left number
+     * @param {number} b - Right number
+     * @returns {string} '<', '>' or '='
+     */
+    function compareNumbers(a, b) {
+        if (a < b) return '<';
+        return a > b ? '>' : '=';
+    }
+
+    /**
+     * Generates a place-value problem
+     * @param {object} config - Difficulty configuration (settings in config['place-value'])
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generatePlaceValueProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const kind = MathEngine.pickRandom(settings.kinds, random);
+
+        if (kind === 'round') {
+            return generateRounding(settings, random);
+        }
+        if (kind === 'digit-value') {
+            return generateDigitValue(settings, random);
+        }
+        if (kind === 'compare') {
+            return generateCompare(settings, random);
+        }
+        return generateExpanded(settings, random);
+    }
+
+    /**
+     * Parses a comparison sign as a player might type it
+     * Accepts "<", ">", "=" and words like "less than", "greater" or "equal"
+     * @param {string} input - Typed answer
+     * @returns {object} {valid: true, sign} or {valid: false, reason, message}
+     */
+    function parseComparison(input) {
+        const text = String(input === undefined || input === null ? '' : input).trim().toLowerCase().replace(/\s+/g, '');
+        if (!text) {
+            return { valid: false, reason: 'empty', message: COMPARE_MESSAGE };
+        }
+
+        const sign = Object.keys(COMPARISONS).find(key => COMPARISONS[key].indexOf(text) !== -1);
+        return sign
+            ? { valid: true, sign }
+            : { valid: false, reason: 'not-a-comparison', message: COMPARE_MESSAGE };
+    }
+
+    /**
+     * Parses a sum of place values as a player might type it
+     * Accepts "4000 + 300 + 20 + 1", "4,000 + 300 + 21" and "4 × 1000 + 3 × 100"
+     * @param {string} input - Typed answer
+     * @returns {object} {valid: true, terms: number[], total} or {valid: false, reason, message}
+     */
+    function parseExpanded(input) {
+        const text = String(input === undefined || input === null ? '' : input).trim();
+        if (!text) {
+            return { valid: false, reason: 'empty', message: EXPANDED_MESSAGE };
+        }
+
+        const terms = [];
+        const readable = text.split('+').every(term => {
+            const factors = term.split(/[×x*·]/i).map(factor => MathEngine.parseAnswer(factor, { numberWords: false }));
+            if (factors.some(factor => !factor.valid || factor.form !== 'integer')) {
+                return false;
+            }
+            terms.push(factors.reduce((product, factor) => product * factor.value, 1));
+            return true;
+        });
+
+        if (!readable) {
+            return { valid: false, reason: 'not-expanded-form', message: EXPANDED_MESSAGE };
+        }
+        return { valid: true, terms, total: terms.reduce((sum, term) => sum + term, 0) };
+    }
+
+    /**
+     * Says whether terms are one place value each: a single non-zero digit followed by zeros,
+     * with no place used twice (zeros are allowed and ignored)
+     * @param {number[]} terms - Terms of a sum
+     * @returns {boolean} Whether the sum is in expanded form
+     */
+    function isExpandedForm(terms) {
+        const places = terms.filter(term => term !== 0).map(term => {
+            const place = Math.pow(10, String(Math.abs(term)).length - 1);
+            return term > 0 && term % place === 0 ? place : null;
+        });
+        return places.every(place => place !== null) && new Set(places).size === places.length;
+    }
+
+    /**
+     * Checks a whole-number answer
+     * @param {string} userAnswer - Typed answer
+     * @param {number} correctAnswer - Expected number
+     * @returns {object} Evaluation ({correct, reason, inputError?, message?})
+     */
+    function checkNumber(userAnswer, correctAnswer) {
+        const parsed = MathEngine.parseAnswer(userAnswer);
+        if (!parsed.valid) {
+            return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+        }
+        return parsed.value === correctAnswer ? { correct: true, reason: null } : { correct: false, reason: 'incorrect' };
+    }
+
+    /**
+     * Checks an answer for its kind of problem
+     * A sum with the right total that isn't in expanded form (like "4000 + 321") is 'not-expanded'
+     * @param {string} userAnswer - Typed answer
+     * @param {object} problem - Place-value problem
+     * @returns {object} Evaluation ({correct, reason, inputError?, message?})
+     */
+    function checkPlaceValueAnswer(userAnswer, problem) {
+        if (problem.placeValueKind === 'compare') {
+            const parsed = parseComparison(userAnswer);
+            if (!parsed.valid) {
+                return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+            }
+            return parsed.sign === problem.correctAnswer ? { correct: true, reason: null } : { correct: false, reason: 'incorrect' };
+        }
+
+        if (problem.expandedDirection === 'to-expanded') {
+            const parsed = parseExpanded(userAnswer);
+            if (!parsed.valid) {
+                return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+            }
+            if (parsed.total !== problem.correctAnswer) {
+                return { correct: false, reason: 'incorrect' };
+            }
+            return isExpandedForm(parsed.terms) ? { correct: true, reason: null } : { correct: false, reason: 'not-expanded' };
+        }
+
+        return checkNumber(userAnswer, problem.correctAnswer);
+    }
+
+    /**
+     * Formats a problem's answer
+     * @param {object} problem - Place-value problem
+     * @returns {string} e.g. "4,800", "4000 + 300 + 20 + 1" or "<"
+     */
+    function formatPlaceValueAnswer(problem) {
+        if (problem.placeValueKind === 'compare') {
+            return problem.correctAnswer;
+        }
+        return problem.expandedDirection === 'to-expanded'
+            ? formatExpanded(problem.correctAnswer)
+            : groupThousands(problem.correctAnswer);
+    }
+
+    /**
+     * Lists a number's digits by place: "4 thousands, 0 hundreds, 2 tens and 1 one"
+     * @param {number} value - Number
+     * @returns {string} Digits by place
+     */
+    function describeDigits(value) {
+        const parts = getDigits(value).map(({ digit, place }) => `${digit} ${getPlaceName(place, digit)}`);
+        return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+    }
+
+    /**
+     * Explains a rounding: find the place, look at the next digit, round up or down
+     * @param {object} problem - Rounding problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveRounding(problem) {
+        const { number, place } = problem;
+        const digit = Math.floor(number / place) % 10;
+        const next = Math.floor(number / (place / 10)) % 10;
+
+        return {
+            method: 'round-to-place',
+            steps: [
+                `The ${getPlaceName(place)} digit of ${groupThousands(number)} is ${digit}.`,
+                `Look at the digit to its right: ${next}. ` +
+                    (next >= 5 ? 'It is 5 or more, so round up.' : 'It is less than 5, so round down.'),
+                `${groupThousands(number)} rounded to the nearest ${groupThousands(place)} is ` +
+                    `${groupThousands(problem.correctAnswer)}.`
+            ]
+        };
+    }
+
+    /**
+     * Explains a comparison: more digits wins, otherwise compare place by place from the left
+     * @param {object} problem - Comparison problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveCompare(problem) {
+        const [a, b] = problem.numbers;
+        const [textA, textB] = [String(a), String(b)];
+        const conclusion = `So ${groupThousands(a)} ${problem.correctAnswer} ${groupThousands(b)}.`;
+
+        if (textA.length !== textB.length) {
+            return {
+                method: 'compare-digits',
+                steps: [
+                    `${groupThousands(a)} has ${textA.length} digits and ${groupThousands(b)} has ${textB.length}.`,
+                    'The number with more digits is greater.',
+                    conclusion
+                ]
+            };
+        }
+
+        const steps = [`Both numbers have ${textA.length} digits, so compare them from the left.`];
+        const index = textA.split('').findIndex((digit, i) => digit !== textB[i]);
+        if (index === -1) {
+            steps.push('Every digit is the same.');
+        } else {
+            const place = Math.pow(10, textA.length - 1 - index);
+            steps.push(`The first difference is in the ${getPlaceName(place)} place: ` +
+                `${textA[index]} ${compareNumbers(Number(textA[index]), Number(textB[index]))} ${textB[index]}.`);
+        }
+        steps.push(conclusion);
+
+        return { method: 'compare-digits', steps };
+    }
+
+    /**
+     * Explains a place-value problem
+     * @param {object} problem - Place-value problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solvePlaceValueProblem(problem) {
+        if (problem.placeValueKind === 'round') {
+            return solveRounding(problem);
+        }
+        if (problem.placeValueKind === 'compare') {
+            return solveCompare(problem);
+        }
+
+        if (problem.placeValueKind === 'digit-value') {
+            const digit = problem.correctAnswer / problem.place;
+            return {
+                method: 'place-value-chart',
+                steps: [
+                    `The underlined digit ${digit} is in the ${getPlaceName(problem.place)} place.`,
+                    `So it is worth ${digit} × ${groupThousands(problem.place)} = ${groupThousands(problem.correctAnswer)}.`
+                ]
+            };
+        }
+
+        const { number } = problem;
+        const expanded = formatExpanded(number);
+        const steps = [`${groupThousands(number)} has ${describeDigits(number)}.`];
+        if (getDigits(number).some(({ digit }) => digit === 0)) {
+            steps.push('A 0 is worth nothing, so it is left out of the sum.');
+        }
+        steps.push(problem.expandedDirection === 'to-expanded'
+            ? `So ${groupThousands(number)} = ${expanded}.`
+            : `So ${expanded} = ${groupThousands(number)}.`);
+
+        return { method: 'expand-by-place', steps };
+    }
+
+    /**
+     * Scores a place-value problem by its kind, the size of its numbers and its traps
+     * (rounding that carries into the next place, zeros inside a number, numbers sharing digits)
+     * @param {object} problem - Place-value problem
+     * @returns {object} {score, tags, features}
+     */
+    function getPlaceValueComplexity(problem) {
+        const kind = problem.placeValueKind;
+        const tags = [kind];
+        let score;
+
+        if (kind === 'round') {
+            const digit = Math.floor(problem.number / problem.place) % 10;
+            score = 1.5 + (problem.place >= 1000 ? 0.5 : 0);
+            if (digit === 9 && problem.correctAnswer > problem.number) {
+                tags.push('carry');
+                score += 1;
+            }
+        } else if (kind === 'digit-value') {
+            score = 1 + Math.max(0, String(problem.place).length - 3) * 0.5;
+        } else if (kind === 'expanded') {
+            const digits = String(problem.number);
+            score = (problem.expandedDirection === 'to-expanded' ? 2 : 1.5) + Math.max(0, digits.length - 3) * 0.5;
+            if (digits.slice(1).indexOf('0') !== -1) {
+                tags.push('zeros');
+                score += 1;
+            }
+        } else {
+            const [a, b] = problem.numbers.map(String);
+            score = 1;
+            if (a.length === b.length && a !== b) {
+                score += a.split('').findIndex((digit, i) => digit !== b[i]) * 0.5;
+                if (a.split('').sort().join('') === b.split('').sort().join('')) {
+                    tags.push('same-digits');
+                    score += 0.5;
+                }
+            } else if (a.length !== b.length) {
+                tags.push('different-lengths');
+            }
+        }
+
+        return { score, tags, features: { kind, digits: String(problem.number || Math.max(...problem.numbers)).length } };
+    }
+
+    /**
+     * Lists plausible wrong answers, labelled by mistake
+     * @param {object} problem - Place-value problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getPlaceValueChoices(problem) {
+        const answer = problem.correctAnswer;
+        const correctText = formatPlaceValueAnswer(problem);
+        const candidates = [];
+
+        if (problem.placeValueKind === 'compare') {
+            Object.keys(COMPARISONS)
+                .filter(sign => sign !== answer)
+                .forEach(sign => candidates.push({ text: sign, mistake: 'wrong-comparison' }));
+            return { correctText, candidates, nearby: () => null };
+        }
+
+        if (problem.expandedDirection === 'to-expanded') {
+            const digits = getDigits(problem.number).filter(({ digit }) => digit > 0);
+            candidates.push({ text: digits.map(({ digit }) => digit).join(' + '), mistake: 'digits-only' });
+            candidates.push({ text: digits.map(({ digit, place }, i) => digit * (i === 0 ? place * 10 : place)).join(' + '), mistake: 'wrong-place' });
+            return {
+                correctText,
+                candidates,
+                nearby: offset => (problem.number + offset * 10 > 0 ? formatExpanded(problem.number + offset * 10) : null)
+            };
+        }
+
+        const add = (value, mistake) => {
+            if (Number.isInteger(value) && value > 0 && value !== answer) {
+                candidates.push({ text: groupThousands(value), mistake });
+            }
+        };
+        let spacing = 1;
+
+        if (problem.placeValueKind === 'round') {
+            const { number, place } = problem;
+            add(answer > number ? answer - place : answer + place, 'rounded-wrong-way');
+            add(Math.round(number / (place * 10)) * place * 10, 'wrong-place');
+            if (place > 10) {
+                add(Math.round(number / (place / 10)) * place / 10, 'wrong-place');
+            }
+            add(number, 'not-rounded');
+            spacing = place;
+        } else if (problem.placeValueKind === 'digit-value') {
+            const digit = answer / problem.place;
+            add(digit, 'digit-only');
+            add(answer * 10, 'wrong-place');
+            add(answer / 10, 'wrong-place');
+            spacing = problem.place;
+        } else {
+            // Reading "4000 + 20 + 1" as 421 drops the zero that holds the hundreds place
+            add(Number(getDigits(problem.number).filter(({ digit }) => digit > 0).map(({ digit }) => digit).join('')), 'dropped-zero');
+            spacing = Math.pow(10, String(problem.number).length - 2);
+        }
+
+        return {
+            correctText,
+            candidates,
+            nearby: offset => (answer + offset * spacing > 0 ? groupThousands(answer + offset * spacing) : null)
+        };
+    }
+
+    /**
+     * Builds a key that identifies a problem, for repeat avoidance
+     * @param {object} problem - Place-value problem
+     * @returns {string} Key
+     */
+    function getPlaceValueKey(problem) {
+        if (problem.placeValueKind === 'compare') {
+            return `${TYPE_ID}:compare:${problem.numbers.join('|')}`;
+        }
+        const detail = problem.placeValueKind === 'expanded' ? problem.expandedDirection : problem.place;
+        return `${TYPE_ID}:${problem.placeValueKind}:${problem.number}@${detail}`;
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generatePlaceValueProblem,
+        check: checkPlaceValueAnswer,
+        format: formatPlaceValueAnswer,
+        solve: solvePlaceValueProblem,
+        complexity: getPlaceValueComplexity,
+        choices: getPlaceValueChoices,
+        key: getPlaceValueKey
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        getPlaceName,
+        formatExpanded,
+        parseExpanded,
+        parseComparison,
+        isExpandedForm
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlaceValueProblems;
+}
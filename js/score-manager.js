@@ -16,6 +16,24 @@ const ScoreManager = (function() {
         LEVEL_MULTIPLIER: 1.5 // Multiplier for higher difficulty levels
     };
 
+    // Default gameplay preferences (merged under saved ones so new keys get defaults)
+    const DEFAULT_PREFERENCES = {
+        fractions: false,
+        requireSimplified: false,
+        missingOperand: false,
+        negativeNumbers: false,
+        divisionRemainders: false,
+        wordProblems: false,
+        multipleChoice: false,
+        factFamilies: [],
+        inverseFacts: false,
+        regrouping: 'any',
+        extraProblemTypes: [],
+        currency: 'USD',
+        estimation: false,
+        estimationTolerance: null
+    };
+
     // Current game state
     let gameState = {
         current: 0,
@@ -33,6 +51,10 @@ const ScoreManager = (function() {
         totalCorrectAnswers: 0,
         lastDifficulty: 1,
         soundEnabled: true,
+        preferences: { ...DEFAULT_PREFERENCES },
+        profiles: [],
+        activeProfileId: null,
+        skill: null,
         lastPlayed: null
     };
 
@@ -81,9 +103,10 @@ const ScoreManager = (function() {
      * Updates score after answer submission
      * @param {boolean} correct - Whether the answer was correct
      * @param {number} [difficulty=1] - Current difficulty level
+     * @param {number} [credit=1] - Share of the points earned (0-1), for answers graded by closeness
      * @returns {object} ScoreState with points earned
      */
-    function updateScore(correct, difficulty = 1) {
+    function updateScore(correct, difficulty = 1, credit = 1) {
         gameState.totalAttempted++;
         playerData.totalProblemsAttempted++;
 
@@ -100,7 +123,7 @@ const ScoreManager = (function() {
             }
 
             // Calculate and add points
-            pointsEarned = calculatePoints(gameState.streak, difficulty);
+            pointsEarned = Math.round(calculatePoints(gameState.streak, difficulty) * credit);
             gameState.current += pointsEarned;
         } else {
             // Reset streak on incorrect answer
@@ -235,6 +258,88 @@ const ScoreManager = (function() {
         return playerData.soundEnabled;
     }
 
+    /**
+     * Gets gameplay preferences
+     * @returns {object} Preferences keyed by name
+     */
+    function getPreferences() {
+        return { ...DEFAULT_PREFERENCES, ...playerData.preferences };
+    }
+
+    /**
+     * Sets a single gameplay preference
+     * @param {string} key - Preference name
+     * @param {*} value - Preference value
+     */
+    function setPreference(key, value) {
+        playerData.preferences = { ...getPreferences(), [key]: value };
+        savePlayerData();
+    }
+
+    /**
+     * Gets saved difficulty profiles
+     * @returns {object[]} Profiles created or imported by the teacher
+     */
+    function getProfiles() {
+        return (playerData.profiles || []).map(profile => JSON.parse(JSON.stringify(profile)));
+    }
+
+    /**
+     * Saves a difficulty profile, replacing any saved profile with the same id
+     * @param {object} profile - Profile (validated by DifficultyManager)
+     */
+    function saveProfile(profile) {
+        const profiles = (playerData.profiles || []).filter(saved => saved.id !== profile.id);
+        playerData.profiles = profiles.concat(JSON.parse(JSON.stringify(profile)));
+        savePlayerData();
+    }
+
+    /**
+     * Deletes a saved difficulty profile; the built-in profile becomes active if it was in use
+     * @param {string} id - Profile id
+     */
+    function deleteProfile(id) {
+        playerData.profiles = (playerData.profiles || []).filter(saved => saved.id !== id);
+        if (playerData.activeProfileId === id) {
+            playerData.activeProfileId = null;
+        }
+        savePlayerData();
+    }
+
+    /**
+     * Sets which saved profile is active
+     * @param {string|null} id - Profile id, or null for the built-in profile
+     */
+    function setActiveProfileId(id) {
+        playerData.activeProfileId = id;
+        savePlayerData();
+    }
+
+    /**
+     * Gets the active saved profile
+     * @returns {object|null} Active profile, or null when the built-in profile is in use
+     */
+    function getActiveProfile() {
+        return getProfiles().find(profile => profile.id === playerData.activeProfileId) || null;
+    }
+
+    /**
+     * Gets the saved skill rating
+     * @returns {object|null} Skill from DifficultyManager.getSkill, or null for a new player
+     */
+    function getSkill() {
+        return playerData.skill ? JSON.parse(JSON.stringify(playerData.skill)) : null;
+    }
+
+    /**
+     * Saves the skill rating
+     * @param {object|null} skill - Skill from DifficultyManager.getSkill, or null to start over
+     */
+    function saveSkill(skill) {
+        playerData.skill = skill ? JSON.parse(JSON.stringify(skill)) : null;
+        savePlayerData();
+    }
+
     /**
      * Gets lifetime statistics
      * @returns {object} Lifetime stats
@@ -263,6 +368,10 @@ const ScoreManager = (function() {
             totalCorrectAnswers: 0,
             lastDifficulty: 1,
             soundEnabled: true,
+            preferences: { ...DEFAULT_PREFERENCES },
+            profiles: [],
+            activeProfileId: null,
+            skill: null,
             lastPlayed: null
         };
         resetGame();
@@ -297,12 +406,22 @@ const ScoreManager = (function() {
         getLastDifficulty,
         setSoundEnabled,
         isSoundEnabled,
+        getPreferences,
+        setPreference,
+        getProfiles,
+        saveProfile,
+        deleteProfile,
+        setActiveProfileId,
+        getActiveProfile,
+        getSkill,
+        saveSkill,
         getLifetimeStats,
         clearAllData,
         init,
         // Expose for testing
         STORAGE_KEY,
-        POINTS
+        POINTS,
+        DEFAULT_PREFERENCES
     };
 })();
 
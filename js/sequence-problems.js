@@ -0,0 +1,353 @@
+/**
+ * Sequence Problems Module
+ * Registers the 'sequence' problem type: find the missing term of a number pattern such as
+ * "2, 5, 8, ?, 14", built from skip counting, arithmetic, geometric and alternating rules
+ * Depends on MathEngine
+ */
+
+const SequenceProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'sequence';
+
+    // Per level: which rules are used, how big steps and terms get, and where the missing term can be
+    const LEVELS = {
+        1: {
+            rules: ['skip', 'arithmetic'], skipSteps: [2, 5, 10], maxStep: 5, maxStart: 20, descending: false,
+            ratios: [2], divide: false, mixedAlternating: false, length: 5, blank: 'end', maxValue: 100
+        },
+        2: {
+            rules: ['skip', 'arithmetic', 'geometric', 'alternating'], skipSteps: [2, 3, 4, 5, 10], maxStep: 10,
+            maxStart: 50, descending: true, ratios: [2, 3], divide: false, mixedAlternating: false, length: 5,
+            blank: 'any', maxValue: 500
+        },
+        3: {
+            rules: ['skip', 'arithmetic', 'geometric', 'alternating'], skipSteps: [6, 7, 8, 9, 25], maxStep: 25,
+            maxStart: 100, descending: true, ratios: [2, 3, 4, 5], divide: true, mixedAlternating: true, length: 6,
+            blank: 'any', maxValue: 1000
+        }
+    };
+
+    // How each rule step is said, applied and undone
+    const STEPS = {
+        '+': { action: n => `add ${n}`, apply: (a, b) => a + b, inverse: '-' },
+        '-': { action: n => `subtract ${n}`, apply: (a, b) => a - b, inverse: '+' },
+        '*': { action: n => `multiply by ${n}`, apply: (a, b) => a * b, inverse: '/' },
+        '/': { action: n => `divide by ${n}`, apply: (a, b) => a / b, inverse: '*' }
+    };
+
+    /**
+     * Plans a skip-counting rule: counting up by 2s, 5s, 10s... from a multiple of the step
+     * @param {object} settings - Level settings (config.sequence)
+     * @param {function} random - Random source
+     * @returns {object} {kind, steps, start, length}
+     */
+    function planSkip(settings, random) {
+        const step = MathEngine.pickRandom(settings.skipSteps, random);
+        const start = step * MathEngine.getRandomInt(0, Math.floor(settings.maxStart / step), random);
+        return { kind: 'skip', steps: [{ operation: '+', value: step }], start, length: settings.length };
+    }
+
+    /**
+     * Plans an arithmetic rule: the same amount added or subtracted each time
+     * Without negatives, the lowest term is at least 0
+     * @param {object} settings - Level settings (config.sequence)
+     * @param {boolean} allowNegative - Whether terms may be negative
+     * @param {function} random - Random source
+     * @returns {object} {kind, steps, start, length}
+     */
+    function planArithmetic(settings, allowNegative, random) {
+        const difference = MathEngine.getRandomInt(2, settings.maxStep, random);
+        const lowest = MathEngine.getRandomInt(allowNegative ? -settings.maxStart : 0, settings.maxStart, random);
+
+        if (settings.descending && random() < 0.5) {
+            return {
+                kind: 'arithmetic',
+                steps: [{ operation: '-', value: difference }],
+                start: lowest + difference * (settings.length - 1),
+                length: settings.length
+            };
+        }
+        return { kind: 'arithmetic', steps: [{ operation: '+', value: difference }], start: lowest, length: settings.length };
+    }
+
+    /**
+     * Plans a geometric rule: multiplying (or, going down, dividing) by the same number each time
+     * Long sequences with big ratios are shortened to keep terms under maxValue
+     * @param {object} settings - Level settings (config.sequence)
+     * @param {function} random - Random source
+     * @returns {object} {kind, steps, start, length}
+     */
+    function planGeometric(settings, random) {
+        const ratio = MathEngine.pickRandom(settings.ratios, random);
+        let length = settings.length;
+        while (length > 4 && Math.pow(ratio, length - 1) > settings.maxValue) {
+            length--;
+        }
+
+        const growth = Math.pow(ratio, length - 1);
+        const smallest = MathEngine.getRandomInt(1, Math.max(1, Math.floor(settings.maxValue / growth)), random);
+
+        if (settings.divide && random() < 0.5) {
+            return { kind: 'geometric', steps: [{ operation: '/', value: ratio }], start: smallest * growth, length };
+        }
+        return { kind: 'geometric', steps: [{ operation: '*', value: ratio }], start: smallest, length };
+    }
+
+    /**
+     * Plans an alternating rule: two steps taken in turn, like "add 3, then subtract 1"
+     * With mixedAlternating, one of the steps may multiply
+     * @param {object} settings - Level settings (config.sequence)
+     * @param {function} random - Random source
+     * @returns {object} {kind, steps, start, length}
+     */
+    function planAlternating(settings, random) {
+        const ratios = settings.ratios.filter(ratio => ratio <= 3);
+
+        if (settings.mixedAlternating && ratios.length > 0 && random() < 0.5) {
+            const ratio = MathEngine.pickRandom(ratios, random);
+            const adjust = random() < 0.5 && ratio > 2
+                ? { operation: '-', value: MathEngine.getRandomInt(1, ratio - 1, random) }
+                : { operation: '+', value: MathEngine.getRandomInt(1, 5, random) };
+            return {
+                kind: 'alternating',
+                steps: [{ operation: '*', value: ratio }, adjust],
+                start: MathEngine.getRandomInt(1, 5, random),
+                length: settings.length
+            };
+        }
+
+        // Going up more than down keeps the pattern climbing; starting at least one step down keeps it at 0 or more
+        const up = MathEngine.getRandomInt(2, settings.maxStep, random);
+        const down = MathEngine.getRandomInt(1, up - 1, random);
+        const steps = [{ operation: '+', value: up }, { operation: '-', value: down }];
+        if (random() < 0.5) {
+            steps.reverse();
+        }
+        return {
+            kind: 'alternating',
+            steps,
+            start: MathEngine.getRandomInt(down, Math.max(down, settings.maxStart), random),
+            length: settings.length
+        };
+    }
+
+    /**
+     * Writes out a rule's terms
+     * @param {object} plan - {steps, start, length}
+     * @returns {number[]} Terms
+     */
+    function buildTerms(plan) {
+        const terms = [plan.start];
+        for (let i = 1; i < plan.length; i++) {
+            const step = plan.steps[(i - 1) % plan.steps.length];
+            terms.push(STEPS[step.operation].apply(terms[i - 1], step.value));
+        }
+        return terms;
+    }
+
+    /**
+     * Renders a sequence with its missing term as "?"
+     * @param {number[]} terms - Terms
+     * @param {number} blankIndex - Position of the missing term
+     * @returns {string} e.g. "2, 5, ?, 11, 14"
+     */
+    function renderSequence(terms, blankIndex) {
+        return terms.map((term, index) => (index === blankIndex ? '?' : MathEngine.formatNumber(term))).join(', ');
+    }
+
+    /**
+     * Generates a missing-term problem
+     * @param {object} config - Difficulty configuration (settings in config.sequence)
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateSequenceProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const allowNegative = !!config.allowNegativeResults;
+        const kind = MathEngine.pickRandom(settings.rules, random);
+
+        let plan;
+        if (kind === 'skip') {
+            plan = planSkip(settings, random);
+        } else if (kind === 'geometric') {
+            plan = planGeometric(settings, random);
+        } else if (kind === 'alternating') {
+            plan = planAlternating(settings, random);
+        } else {
+            plan = planArithmetic(settings, allowNegative, random);
+        }
+
+        const terms = buildTerms(plan);
+        const blankIndex = settings.blank === 'end'
+            ? terms.length - 1
+            : MathEngine.getRandomInt(0, terms.length - 1, random);
+
+        return {
+            sequence: { kind: plan.kind, steps: plan.steps, terms },
+            blankIndex,
+            displayText: `Find the missing number: ${renderSequence(terms, blankIndex)}`,
+            correctAnswer: terms[blankIndex],
+            allowNegative
+        };
+    }
+
+    /**
+     * Says a rule in words
+     * @param {object} sequence - {kind, steps}
+     * @returns {string} e.g. "add 3 each time" or "add 3, then subtract 1, and repeat"
+     */
+    function describeRule(sequence) {
+        const actions = sequence.steps.map(step => STEPS[step.operation].action(step.value));
+        if (sequence.kind === 'skip') {
+            return `count by ${sequence.steps[0].value}s (${actions[0]} each time)`;
+        }
+        if (actions.length > 1) {
+            return `${actions.join(', then ')}, and repeat`;
+        }
+        return `${actions[0]} each time`;
+    }
+
+    /**
+     * Explains the pattern: compare known neighbours, state the rule, then fill the gap with it
+     * (or work backwards when the first term is missing)
+     * @param {object} problem - Sequence problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveSequenceProblem(problem) {
+        const { terms, steps: ruleSteps } = problem.sequence;
+        const blank = problem.blankIndex;
+        const format = MathEngine.formatNumber;
+        const steps = [];
+
+        const changes = [];
+        for (let i = 0; i < terms.length - 1; i++) {
+            if (i !== blank && i + 1 !== blank) {
+                const step = ruleSteps[i % ruleSteps.length];
+                changes.push(`${format(terms[i])} → ${format(terms[i + 1])} is ` +
+                    `${MathEngine.getOperationSymbol(step.operation)} ${step.value}`);
+            }
+        }
+        steps.push(`Compare each number with the next: ${changes.join(', ')}.`);
+        steps.push(`The rule is: ${describeRule(problem.sequence)}.`);
+
+        if (blank > 0) {
+            const step = ruleSteps[(blank - 1) % ruleSteps.length];
+            steps.push(`The missing number comes after ${format(terms[blank - 1])}, so ${STEPS[step.operation].action(step.value)}: ` +
+                `${format(terms[blank - 1])} ${MathEngine.getOperationSymbol(step.operation)} ${step.value} = ${format(terms[blank])}.`);
+        } else {
+            const step = ruleSteps[0];
+            const inverse = STEPS[step.operation].inverse;
+            steps.push(`The missing number comes before ${format(terms[1])}, so work backwards and ` +
+                `${STEPS[inverse].action(step.value)}: ${format(terms[1])} ${MathEngine.getOperationSymbol(inverse)} ` +
+                `${step.value} = ${format(terms[0])}.`);
+        }
+        steps.push(`Check: ${renderSequence(terms, -1)} follows the rule.`);
+
+        return { method: 'find-the-rule', steps };
+    }
+
+    /**
+     * Scores a sequence by its rule, direction and where the gap is
+     * @param {object} problem - Sequence problem
+     * @returns {object} {score, tags, features}
+     */
+    function getSequenceComplexity(problem) {
+        const { kind, steps, terms } = problem.sequence;
+        const baseScores = { skip: 1, arithmetic: 1.5, geometric: 2.5, alternating: 3 };
+        const tags = [kind];
+        let score = baseScores[kind] || 2;
+
+        if (steps.some(step => step.operation === '-' || step.operation === '/') && kind !== 'alternating') {
+            tags.push('descending');
+            score += 0.5;
+        }
+        // Counting by 2s, 5s and 10s is familiar; other steps and big ratios take more work
+        if (kind === 'skip' && [2, 5, 10].indexOf(steps[0].value) === -1) {
+            score += 0.5;
+        }
+        if (steps.some(step => step.value > 10 || (kind === 'geometric' && step.value > 3))) {
+            score += 0.5;
+        }
+        if (kind === 'alternating' && steps.some(step => step.operation === '*')) {
+            tags.push('mixed-operations');
+            score += 1;
+        }
+        if (problem.blankIndex === 0) {
+            tags.push('missing-first');
+            score += 1;
+        } else if (problem.blankIndex < terms.length - 1) {
+            tags.push('missing-middle');
+            score += 0.5;
+        }
+        if (terms.some(term => term < 0)) {
+            tags.push('negative');
+            score += 1;
+        }
+
+        return { score, tags, features: { kind, length: terms.length, blankIndex: problem.blankIndex } };
+    }
+
+    /**
+     * Lists plausible wrong terms, labelled by mistake
+     * @param {object} problem - Sequence problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getSequenceChoices(problem) {
+        const { terms, steps } = problem.sequence;
+        const blank = problem.blankIndex;
+        const answer = problem.correctAnswer;
+        const candidates = [];
+        const add = (value, mistake) => {
+            if (Number.isInteger(value) && value !== answer && (value >= 0 || problem.allowNegative)) {
+                candidates.push({ text: MathEngine.formatNumber(value), mistake });
+            }
+        };
+
+        const before = blank > 0 ? terms[blank - 1] : null;
+        if (before !== null) {
+            // Taking the other step of an alternating rule, or adding the gap between terms of a geometric one
+            steps.forEach(step => add(STEPS[step.operation].apply(before, step.value), 'wrong-step'));
+            if (blank > 1) {
+                add(before + (before - terms[blank - 2]), 'added-difference');
+            }
+        }
+        if (blank < terms.length - 1) {
+            add(terms[blank + 1], 'repeated-neighbour');
+        }
+        add(answer + 1, 'off-by-one');
+        add(answer - 1, 'off-by-one');
+
+        const spacing = steps[0].operation === '+' || steps[0].operation === '-' ? steps[0].value : 1;
+        return {
+            correctText: MathEngine.formatNumber(answer),
+            candidates,
+            nearby: offset => {
+                const value = answer + offset * spacing;
+                return value >= 0 || problem.allowNegative ? MathEngine.formatNumber(value) : null;
+            }
+        };
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generateSequenceProblem,
+        solve: solveSequenceProblem,
+        complexity: getSequenceComplexity,
+        choices: getSequenceChoices,
+        key: problem => `${TYPE_ID}:${problem.sequence.terms.join(',')}@${problem.blankIndex}`
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        describeRule,
+        renderSequence
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SequenceProblems;
+}
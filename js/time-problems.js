@@ -0,0 +1,406 @@
+/**
+ * Time Problems Module
+ * Registers the 'time' problem type: reading an analog clock and working out elapsed time
+ * Clock faces are drawn as SVG from the problem's time
+ * Depends on MathEngine
+ */
+
+const TimeProblems = (function(MathEngine) {
+    'use strict';
+
+    const TYPE_ID = 'time';
+
+    // Per level: question kinds, the minute steps the clock is set to (coarsest first),
+    // and how elapsed-time questions move the clock
+    const LEVELS = {
+        1: { kinds: ['read'], steps: [60, 30], elapsedStep: 30, maxElapsed: 60 },
+        2: { kinds: ['read', 'elapsed'], steps: [15, 5], elapsedStep: 15, maxElapsed: 60 },
+        3: { kinds: ['read', 'elapsed'], steps: [5, 1], elapsedStep: 5, maxElapsed: 180 }
+    };
+
+    const MINUTES_PER_HOUR = 60;
+    const HOURS_ON_CLOCK = 12;
+
+    // Clock face geometry, in SVG units
+    const CLOCK_SIZE = 200;
+    const CLOCK_CENTER = CLOCK_SIZE / 2;
+    const CLOCK_RADIUS = 92;
+    const NUMBER_RADIUS = 72;
+    const HOUR_HAND_LENGTH = 48;
+    const MINUTE_HAND_LENGTH = 74;
+
+    const TIME_ERROR_MESSAGES = {
+        empty: 'Type the time first.',
+        'not-a-time': 'Write the time like 3:05.',
+        'short-minutes': 'Minutes need two digits, like 3:05.',
+        'out-of-range': 'Hours go up to 12 and minutes up to 59.'
+    };
+
+    /**
+     * Formats a time as it is written on a 12-hour clock
+     * @param {object} time - {hours (1-12), minutes}
+     * @returns {string} e.g. "3:05"
+     */
+    function formatTime(time) {
+        return `${time.hours}:${String(time.minutes).padStart(2, '0')}`;
+    }
+
+    /**
+     * Moves a time on by some minutes, wrapping around the 12-hour clock
+     * @param {object} time - {hours, minutes}
+     * @param {number} minutes - Minutes to add (may be negative)
+     * @returns {object} {hours (1-12), minutes}
+     */
+    function addMinutes(time, minutes) {
+        const cycle = HOURS_ON_CLOCK * MINUTES_PER_HOUR;
+        const total = (((time.hours % HOURS_ON_CLOCK) * MINUTES_PER_HOUR + time.minutes + minutes) % cycle + cycle) % cycle;
+        return {
+            hours: Math.floor(total / MINUTES_PER_HOUR) || HOURS_ON_CLOCK,
+            minutes: total % MINUTES_PER_HOUR
+        };
+    }
+
+    /**
+     * Describes a number of minutes in hours and minutes
+     * @param {number} minutes - Duration
+     * @returns {string} e.g. "1 hour 25 minutes"
+     */
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / MINUTES_PER_HOUR);
+        const rest = minutes % MINUTES_PER_HOUR;
+        const parts = [];
+        if (hours > 0) {
+            parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+        }
+        if (rest > 0 || hours === 0) {
+            parts.push(`${rest} ${rest === 1 ? 'minute' : 'minutes'}`);
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Gets the end of a clock hand
+     * @param {number} turn - Fraction of a full turn from 12 o'clock
+     * @param {number} length - Hand length
+     * @returns {object} {x, y} rounded to two decimal places
+     */
+    function handPoint(turn, length) {
+        const angle = turn * 2 * Math.PI;
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            x: round(CLOCK_CENTER + length * Math.sin(angle)),
+            y: round(CLOCK_CENTER - length * Math.cos(angle))
+        };
+    }
+
+    /**
+     * Draws an analog clock face showing a time
+     * The hour hand moves between numbers as the minutes pass, as on a real clock
+     * @param {object} time - {hours, minutes}
+     * @returns {string} SVG markup
+     */
+    function renderClockFace(time) {
+        const elements = [
+            `<circle class="clock-rim" cx="${CLOCK_CENTER}" cy="${CLOCK_CENTER}" r="${CLOCK_RADIUS}" ` +
+                'fill="#fff" stroke="#333" stroke-width="4"/>'
+        ];
+
+        for (let minute = 0; minute < MINUTES_PER_HOUR; minute++) {
+            const onHour = minute % 5 === 0;
+            const outer = handPoint(minute / MINUTES_PER_HOUR, CLOCK_RADIUS - 4);
+            const inner = handPoint(minute / MINUTES_PER_HOUR, CLOCK_RADIUS - (onHour ? 12 : 7));
+            elements.push(`<line class="clock-tick" x1="${inner.x}" y1="${inner.y}" x2="${outer.x}" y2="${outer.y}" ` +
+                `stroke="#333" stroke-width="${onHour ? 3 : 1}"/>`);
+        }
+
+        for (let hour = 1; hour <= HOURS_ON_CLOCK; hour++) {
+            const point = handPoint(hour / HOURS_ON_CLOCK, NUMBER_RADIUS);
+            elements.push(`<text class="clock-number" x="${point.x}" y="${point.y}" text-anchor="middle" ` +
+                `dominant-baseline="central" font-size="18" font-weight="bold" fill="#333">${hour}</text>`);
+        }
+
+        const hourTurn = ((time.hours % HOURS_ON_CLOCK) + time.minutes / MINUTES_PER_HOUR) / HOURS_ON_CLOCK;
+        const hourEnd = handPoint(hourTurn, HOUR_HAND_LENGTH);
+        const minuteEnd = handPoint(time.minutes / MINUTES_PER_HOUR, MINUTE_HAND_LENGTH);
+        elements.push(
+            `<line class="clock-hand clock-hand-hour" x1="${CLOCK_CENTER}" y1="${CLOCK_CENTER}" x2="${hourEnd.x}" ` +
+                `y2="${hourEnd.y}" stroke="#333" stroke-width="7" stroke-linecap="round"/>`,
+            `<line class="clock-hand clock-hand-minute" x1="${CLOCK_CENTER}" y1="${CLOCK_CENTER}" x2="${minuteEnd.x}" ` +
+                `y2="${minuteEnd.y}" stroke="#2e7d32" stroke-width="4" stroke-linecap="round"/>`,
+            `<circle class="clock-center" cx="${CLOCK_CENTER}" cy="${CLOCK_CENTER}" r="5" fill="#333"/>`
+        );
+
+        return `<svg class="clock-face" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CLOCK_SIZE} ${CLOCK_SIZE}">` +
+            `${elements.join('')}</svg>`;
+    }
+
+    /**
+     * Builds a time parsing result for text that isn't a time
+     * @param {string} reason - Key into TIME_ERROR_MESSAGES
+     * @returns {object} {valid: false, reason, message}
+     */
+    function rejectTime(reason) {
+        return { valid: false, reason, message: TIME_ERROR_MESSAGES[reason] };
+    }
+
+    /**
+     * Parses a time as a player might type it
+     * Accepts "3:05", "3.05", "03:05", "3:05 pm", 24-hour "15:05", "3", "3 o'clock",
+     * "half past 3", "quarter past 3" and "quarter to 4"; hours are read on a 12-hour clock
+     * @param {string} input - Typed time
+     * @returns {object} {valid: true, hours (1-12), minutes} or {valid: false, reason, message}
+     */
+    function parseTime(input) {
+        const text = String(input === undefined || input === null ? '' : input)
+            .trim()
+            .toLowerCase()
+            .replace(/\u2019/g, '\'')
+            .replace(/\s+/g, ' ')
+            .replace(/\s*[ap]\.?\s?m\.?$/, '');
+
+        if (!text) {
+            return rejectTime('empty');
+        }
+
+        let hours;
+        let minutes;
+        let match;
+        if ((match = text.match(/^(\d{1,2}) ?[:.h] ?(\d{2})$/))) {
+            hours = Number(match[1]);
+            minutes = Number(match[2]);
+        } else if ((match = text.match(/^(\d{1,2})(?: ?o'? ?clock)?$/))) {
+            hours = Number(match[1]);
+            minutes = 0;
+        } else if ((match = text.match(/^(half|quarter) past (\d{1,2})$/))) {
+            hours = Number(match[2]);
+            minutes = match[1] === 'half' ? 30 : 15;
+        } else if ((match = text.match(/^quarter to (\d{1,2})$/))) {
+            hours = Number(match[1]) - 1;
+            minutes = 45;
+        } else if (/^\d{1,2} ?[:.] ?\d$/.test(text)) {
+            return rejectTime('short-minutes');
+        } else {
+            return rejectTime('not-a-time');
+        }
+
+        if (hours > 23 || minutes >= MINUTES_PER_HOUR) {
+            return rejectTime('out-of-range');
+        }
+        return { valid: true, hours: hours % HOURS_ON_CLOCK || HOURS_ON_CLOCK, minutes };
+    }
+
+    /**
+     * Generates a clock-reading or elapsed-time problem
+     * @param {object} config - Difficulty configuration (settings in config.time)
+     * @param {function} random - Random source
+     * @returns {object} Problem fields
+     */
+    function generateTimeProblem(config, random) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const step = MathEngine.pickRandom(settings.steps, random);
+        const kind = MathEngine.pickRandom(settings.kinds, random);
+        const clock = {
+            hours: MathEngine.getRandomInt(1, HOURS_ON_CLOCK, random),
+            minutes: MathEngine.getRandomInt(0, MINUTES_PER_HOUR / step - 1, random) * step
+        };
+
+        let elapsed = 0;
+        let question = 'What time is it?';
+        if (kind === 'elapsed') {
+            elapsed = MathEngine.getRandomInt(1, settings.maxElapsed / settings.elapsedStep, random) * settings.elapsedStep;
+            question = `What time will it be ${formatDuration(elapsed)} later?`;
+        }
+
+        return {
+            timeKind: kind,
+            clock,
+            elapsed,
+            precision: step,
+            answerFormat: 'time',
+            displayText: question,
+            displayParts: [
+                { type: 'svg', svg: renderClockFace(clock), label: 'Clock face' },
+                { type: 'text', text: question }
+            ],
+            correctAnswer: addMinutes(clock, elapsed)
+        };
+    }
+
+    /**
+     * Checks a time answer
+     * @param {string} userAnswer - Typed time
+     * @param {object} problem - Time problem
+     * @returns {object} Evaluation ({correct, reason, parts?, inputError?, message?});
+     *     parts says whether the hour and the minutes were right
+     */
+    function checkTimeAnswer(userAnswer, problem) {
+        const parsed = parseTime(userAnswer);
+        if (!parsed.valid) {
+            return { correct: false, reason: 'invalid', inputError: parsed.reason, message: parsed.message };
+        }
+
+        const parts = {
+            hours: parsed.hours === problem.correctAnswer.hours,
+            minutes: parsed.minutes === problem.correctAnswer.minutes
+        };
+        return parts.hours && parts.minutes
+            ? { correct: true, reason: null }
+            : { correct: false, reason: 'incorrect', parts };
+    }
+
+    /**
+     * Explains how to read the clock, then how to count on for elapsed time
+     * @param {object} problem - Time problem
+     * @returns {object} {method, steps: string[]}
+     */
+    function solveTimeProblem(problem) {
+        const { clock, elapsed } = problem;
+        const steps = [];
+        const minuteNumber = clock.minutes / 5;
+
+        const hourHand = clock.minutes === 0
+            ? `The short hour hand points at ${clock.hours}, so the hour is ${clock.hours}.`
+            : `The short hour hand is between ${clock.hours} and ${clock.hours % HOURS_ON_CLOCK + 1}, ` +
+                `so the hour is still ${clock.hours}.`;
+        steps.push(hourHand);
+
+        if (clock.minutes === 0) {
+            steps.push('The long minute hand points straight up at 12, so it is exactly on the hour: 0 minutes.');
+        } else if (Number.isInteger(minuteNumber)) {
+            steps.push(`The long minute hand points at ${minuteNumber}. Each number is 5 minutes: ` +
+                `${minuteNumber} ${MathEngine.getOperationSymbol('*')} 5 = ${clock.minutes} minutes.`);
+        } else {
+            const lastNumber = Math.floor(minuteNumber);
+            const marks = clock.minutes - lastNumber * 5;
+            steps.push(lastNumber === 0
+                ? `The long minute hand is ${marks} small ${marks === 1 ? 'mark' : 'marks'} past 12: ${clock.minutes} minutes.`
+                : `The long minute hand is ${marks} small ${marks === 1 ? 'mark' : 'marks'} past ${lastNumber}. ` +
+                    `Count by 5s to ${lastNumber * 5}, then on by ones to ${clock.minutes} minutes.`);
+        }
+        steps.push(`The clock shows ${formatTime(clock)}.`);
+
+        if (elapsed === 0) {
+            return { method: 'read-clock', steps };
+        }
+
+        let time = clock;
+        const hours = Math.floor(elapsed / MINUTES_PER_HOUR);
+        const minutes = elapsed % MINUTES_PER_HOUR;
+        if (hours > 0) {
+            const next = addMinutes(time, hours * MINUTES_PER_HOUR);
+            steps.push(`Add ${formatDuration(hours * MINUTES_PER_HOUR)}: ${formatTime(time)} becomes ${formatTime(next)}.`);
+            time = next;
+        }
+        if (minutes > 0) {
+            const toHour = MINUTES_PER_HOUR - time.minutes;
+            const next = addMinutes(time, minutes);
+            if (minutes >= toHour) {
+                const onHour = addMinutes(time, toHour);
+                steps.push(`Add ${formatDuration(toHour)} to reach ${formatTime(onHour)}` +
+                    (minutes > toHour ? `, then the other ${formatDuration(minutes - toHour)}: ${formatTime(next)}.` : '.'));
+            } else {
+                steps.push(`Add ${formatDuration(minutes)}: ${time.minutes} + ${minutes} = ${next.minutes} minutes, ` +
+                    `so ${formatTime(next)}.`);
+            }
+            time = next;
+        }
+        steps.push(`So ${formatDuration(elapsed)} after ${formatTime(clock)} it is ${formatTime(time)}.`);
+
+        return { method: 'count-on-time', steps };
+    }
+
+    /**
+     * Scores a time problem by clock precision and elapsed time
+     * @param {object} problem - Time problem
+     * @returns {object} {score, tags, features}
+     */
+    function getTimeComplexity(problem) {
+        const precisionScores = { 60: 1, 30: 1.5, 15: 2, 5: 2.5, 1: 3 };
+        const tags = [];
+        let score = precisionScores[problem.precision] || 2;
+
+        if (problem.elapsed > 0) {
+            tags.push('elapsed');
+            score += 1;
+            if (problem.clock.minutes + problem.elapsed % MINUTES_PER_HOUR >= MINUTES_PER_HOUR) {
+                tags.push('crosses-hour');
+                score += 1;
+            }
+            if (problem.elapsed >= MINUTES_PER_HOUR) {
+                score += 0.5;
+            }
+        }
+
+        return { score, tags, features: { precision: problem.precision, elapsed: problem.elapsed } };
+    }
+
+    /**
+     * Lists plausible wrong times, labelled by mistake
+     * @param {object} problem - Time problem
+     * @returns {object} {correctText, candidates: [{text, mistake}], nearby(offset)}
+     */
+    function getTimeChoices(problem) {
+        const answer = problem.correctAnswer;
+        const { clock } = problem;
+        const candidates = [];
+        const add = (time, mistake) => candidates.push({ text: formatTime(time), mistake });
+
+        // Reading the minute hand's number as the minutes, and mixing the hands up
+        if (problem.elapsed === 0 && clock.minutes % 5 === 0 && clock.minutes > 0) {
+            add({ hours: answer.hours, minutes: clock.minutes / 5 }, 'minute-number');
+            add({ hours: clock.minutes / 5, minutes: (clock.hours % HOURS_ON_CLOCK) * 5 }, 'swapped-hands');
+        }
+        // The hour hand sits closer to the next number late in the hour
+        if (clock.minutes > 0) {
+            add(addMinutes(answer, MINUTES_PER_HOUR), 'next-hour');
+        }
+        if (problem.elapsed > 0) {
+            add(addMinutes(clock, -problem.elapsed), 'went-backwards');
+        }
+
+        return {
+            correctText: formatTime(answer),
+            candidates,
+            nearby: offset => formatTime(addMinutes(answer, offset * Math.min(problem.precision, 15)))
+        };
+    }
+
+    /**
+     * Counts the distinct problems a level's settings allow
+     * @param {object} config - Difficulty configuration
+     * @returns {number} Number of distinct problems
+     */
+    function countTimeProblems(config) {
+        const settings = config[TYPE_ID] || LEVELS[1];
+        const times = HOURS_ON_CLOCK * MINUTES_PER_HOUR / Math.min(...settings.steps);
+        const durations = settings.kinds.includes('elapsed') ? settings.maxElapsed / settings.elapsedStep : 0;
+        return (settings.kinds.includes('read') ? times : 0) + times * durations;
+    }
+
+    MathEngine.registerProblemType(TYPE_ID, {
+        levels: LEVELS,
+        generate: generateTimeProblem,
+        check: checkTimeAnswer,
+        format: problem => formatTime(problem.correctAnswer),
+        solve: solveTimeProblem,
+        complexity: getTimeComplexity,
+        choices: getTimeChoices,
+        key: problem => `time:${formatTime(problem.clock)}+${problem.elapsed}`,
+        poolSize: countTimeProblems
+    });
+
+    // Public API
+    return {
+        TYPE_ID,
+        LEVELS,
+        parseTime,
+        formatTime,
+        addMinutes,
+        renderClockFace
+    };
+})(typeof MathEngine !== 'undefined' ? MathEngine : require('./math-engine.js'));
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimeProblems;
+}
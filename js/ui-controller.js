@@ -19,6 +19,9 @@ const UIController = (function() {
     // Current screen
     let currentScreen = SCREENS.MENU;
 
+    // Options for the current multiple-choice problem (empty for typed answers)
+    let currentChoices = [];
+
     // Callbacks for user actions
     let callbacks = {
         onStartGame: null,
@@ -28,9 +31,35 @@ const UIController = (function() {
         onQuitGame: null,
         onPlayAgain: null,
         onGoToMenu: null,
-        onSettingsChange: null
+        onSettingsChange: null,
+        onSaveProfile: null,
+        onDeleteProfile: null,
+        onImportProfile: null,
+        onExportProfile: null,
+        onShowSolution: null,
+        onContinue: null
     };
 
+    // Worked solution for the missed problem on the feedback overlay, and how many steps are showing
+    let feedbackSolution = null;
+    let feedbackStepCount = 0;
+    let feedbackTimer = null;
+
+    // Hides an estimation problem once its display time runs out
+    let concealTimer = null;
+
+    // Missed problems reviewed on the game over screen
+    let reviewItems = [];
+    let reviewIndex = 0;
+    let reviewStepCount = 0;
+
+    // Difficulty profiles shown in settings, and the one open in the editor
+    let profileSettings = { list: [], activeId: null };
+    let editingProfile = null;
+
+    // Starting difficulty labels from the page, used with the built-in profile
+    let defaultDifficultyLabels = [];
+
     /**
      * Caches all DOM elements for quick access
      */
@@ -50,13 +79,39 @@ const UIController = (function() {
             settingsModal: document.getElementById('settings-modal'),
             soundToggle: document.getElementById('sound-toggle'),
             difficultySelect: document.getElementById('difficulty-select'),
+            regroupingSelect: document.getElementById('regrouping-select'),
+            currencySelect: document.getElementById('currency-select'),
+            toleranceSelect: document.getElementById('estimation-tolerance-select'),
+            seedInput: document.getElementById('seed-input'),
+            preferenceToggles: document.querySelectorAll('[data-preference]'),
+            factFamilyChips: document.querySelectorAll('[data-fact-family]'),
+            problemTypeChips: document.querySelectorAll('[data-problem-type]'),
             closeSettings: document.getElementById('close-settings'),
 
+            // Difficulty profiles
+            profileSelect: document.getElementById('profile-select'),
+            profileNewBtn: document.getElementById('profile-new-btn'),
+            profileEditBtn: document.getElementById('profile-edit-btn'),
+            profileDeleteBtn: document.getElementById('profile-delete-btn'),
+            profileExportBtn: document.getElementById('profile-export-btn'),
+            profileImportBtn: document.getElementById('profile-import-btn'),
+            profileImportInput: document.getElementById('profile-import-input'),
+            profileStatus: document.getElementById('profile-status'),
+            profileModal: document.getElementById('profile-modal'),
+            profileName: document.getElementById('profile-name'),
+            profileLevels: document.querySelectorAll('.profile-level'),
+            profileErrors: document.getElementById('profile-errors'),
+            profileSaveBtn: document.getElementById('profile-save-btn'),
+            profileCancelBtn: document.getElementById('profile-cancel-btn'),
+
             // Game elements
             problemCard: document.getElementById('problem-card'),
             problemText: document.getElementById('problem-text'),
+            answerSection: document.querySelector('.answer-section'),
             answerInput: document.getElementById('answer-input'),
+            answerHint: document.getElementById('answer-hint'),
             submitBtn: document.getElementById('submit-btn'),
+            choiceButtons: document.getElementById('choice-buttons'),
             pauseBtn: document.getElementById('pause-btn'),
 
             // Game stats
@@ -83,12 +138,26 @@ const UIController = (function() {
             feedbackContent: document.querySelector('.feedback-content'),
             feedbackIcon: document.querySelector('.feedback-icon'),
             feedbackText: document.querySelector('.feedback-text'),
+            showSolutionBtn: document.getElementById('show-solution-btn'),
+            feedbackSolution: document.getElementById('feedback-solution'),
+            feedbackSteps: document.getElementById('feedback-steps'),
+            feedbackStepBtn: document.getElementById('feedback-step-btn'),
 
             // Game over elements
             finalScore: document.getElementById('final-score'),
             finalProblems: document.getElementById('final-problems'),
             finalStreak: document.getElementById('final-streak'),
+            finalSkill: document.getElementById('final-skill'),
+            finalSeed: document.getElementById('final-seed'),
             newHighScoreBadge: document.getElementById('new-high-score-badge'),
+            reviewSection: document.getElementById('review-section'),
+            reviewProblem: document.getElementById('review-problem'),
+            reviewAnswers: document.getElementById('review-answers'),
+            reviewSteps: document.getElementById('review-steps'),
+            reviewPrevBtn: document.getElementById('review-prev-btn'),
+            reviewStepBtn: document.getElementById('review-step-btn'),
+            reviewNextBtn: document.getElementById('review-next-btn'),
+            reviewCount: document.getElementById('review-count'),
             playAgainBtn: document.getElementById('play-again-btn'),
             menuBtn: document.getElementById('menu-btn'),
             celebrationGorilla: document.getElementById('celebration-gorilla'),
@@ -105,14 +174,44 @@ const UIController = (function() {
         elements.settingsBtn?.addEventListener('click', handleOpenSettings);
         elements.closeSettings?.addEventListener('click', handleCloseSettings);
 
+        // Difficulty profiles
+        elements.profileSelect?.addEventListener('change', handleProfileChange);
+        elements.profileNewBtn?.addEventListener('click', handleNewProfile);
+        elements.profileEditBtn?.addEventListener('click', handleEditProfile);
+        elements.profileDeleteBtn?.addEventListener('click', handleDeleteProfile);
+        elements.profileExportBtn?.addEventListener('click', handleExportProfile);
+        elements.profileImportBtn?.addEventListener('click', function() {
+            elements.profileImportInput?.click();
+        });
+        elements.profileImportInput?.addEventListener('change', handleImportProfile);
+        elements.profileSaveBtn?.addEventListener('click', handleSaveProfile);
+        elements.profileCancelBtn?.addEventListener('click', closeProfileEditor);
+
         // Settings
         elements.soundToggle?.addEventListener('click', handleSoundToggle);
         elements.difficultySelect?.addEventListener('change', handleDifficultyChange);
+        elements.regroupingSelect?.addEventListener('change', handleRegroupingChange);
+        elements.currencySelect?.addEventListener('change', handleCurrencyChange);
+        elements.toleranceSelect?.addEventListener('change', handleToleranceChange);
+        elements.seedInput?.addEventListener('change', handleSeedChange);
+        elements.preferenceToggles?.forEach(function(toggle) {
+            toggle.addEventListener('click', handlePreferenceToggle);
+        });
+        elements.factFamilyChips?.forEach(function(chip) {
+            chip.addEventListener('click', handleFactFamilyToggle);
+        });
+        elements.problemTypeChips?.forEach(function(chip) {
+            chip.addEventListener('click', handleProblemTypeToggle);
+        });
 
         // Game controls
         elements.submitBtn?.addEventListener('click', handleSubmitAnswer);
         elements.answerInput?.addEventListener('keypress', handleAnswerKeypress);
+        elements.answerInput?.addEventListener('input', hideAnswerHint);
+        elements.choiceButtons?.addEventListener('click', handleChoiceClick);
         elements.pauseBtn?.addEventListener('click', handlePauseGame);
+        elements.showSolutionBtn?.addEventListener('click', handleShowSolution);
+        elements.feedbackStepBtn?.addEventListener('click', handleFeedbackStep);
 
         // Pause modal
         elements.resumeBtn?.addEventListener('click', handleResumeGame);
@@ -121,10 +220,14 @@ const UIController = (function() {
         // Game over buttons
         elements.playAgainBtn?.addEventListener('click', handlePlayAgain);
         elements.menuBtn?.addEventListener('click', handleGoToMenu);
+        elements.reviewPrevBtn?.addEventListener('click', function() { showReviewItem(reviewIndex - 1); });
+        elements.reviewNextBtn?.addEventListener('click', function() { showReviewItem(reviewIndex + 1); });
+        elements.reviewStepBtn?.addEventListener('click', handleReviewStep);
 
         // Close modal on backdrop click
         elements.settingsModal?.addEventListener('click', handleModalBackdropClick);
         elements.pauseModal?.addEventListener('click', handleModalBackdropClick);
+        elements.profileModal?.addEventListener('click', handleModalBackdropClick);
 
         // Keyboard shortcuts
         document.addEventListener('keydown', handleGlobalKeydown);
@@ -145,13 +248,24 @@ const UIController = (function() {
     function handleGlobalKeydown(event) {
         // Escape to close modals
         if (event.key === 'Escape') {
-            if (!elements.settingsModal?.classList.contains('hidden')) {
+            if (!elements.profileModal?.classList.contains('hidden')) {
+                closeProfileEditor();
+            } else if (!elements.settingsModal?.classList.contains('hidden')) {
                 handleCloseSettings();
             }
             if (!elements.pauseModal?.classList.contains('hidden')) {
                 handleResumeGame();
             }
         }
+
+        // Number keys pick a multiple-choice option
+        if (currentScreen === SCREENS.GAME && currentChoices.length > 0 && /^[1-9]$/.test(event.key)) {
+            const button = elements.choiceButtons?.children[parseInt(event.key, 10) - 1];
+            if (button) {
+                event.preventDefault();
+                selectChoice(button);
+            }
+        }
     }
 
     /**
@@ -188,6 +302,259 @@ const UIController = (function() {
         }
     }
 
+    function handleSeedChange() {
+        // Codes are shown upper-case, so normalize to keep "abc" and "ABC" the same game
+        const seed = (elements.seedInput?.value?.trim() || '').toUpperCase();
+
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ gameSeed: seed || null });
+        }
+    }
+
+    function handlePreferenceToggle(event) {
+        const toggle = event.currentTarget;
+        const isPressed = toggle.getAttribute('aria-pressed') === 'true';
+        toggle.setAttribute('aria-pressed', !isPressed);
+
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({
+                preferences: { [toggle.dataset.preference]: !isPressed }
+            });
+        }
+    }
+
+    function handleRegroupingChange() {
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ preferences: { regrouping: elements.regroupingSelect.value } });
+        }
+    }
+
+    function handleCurrencyChange() {
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ preferences: { currency: elements.currencySelect.value } });
+        }
+    }
+
+    function handleToleranceChange() {
+        // Options read "percent:10" or "rounding:100"; empty keeps each level's own tolerance
+        const [type, amount] = elements.toleranceSelect.value.split(':');
+        const tolerance = type ? { type, [type === 'percent' ? 'percent' : 'place']: Number(amount) } : null;
+
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ preferences: { estimationTolerance: tolerance } });
+        }
+    }
+
+    function handleFactFamilyToggle(event) {
+        const chip = event.currentTarget;
+        chip.setAttribute('aria-pressed', chip.getAttribute('aria-pressed') !== 'true');
+
+        const families = Array.from(elements.factFamilyChips)
+            .filter(function(other) { return other.getAttribute('aria-pressed') === 'true'; })
+            .map(function(other) { return other.dataset.factFamily; });
+
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ preferences: { factFamilies: families } });
+        }
+    }
+
+    function handleProblemTypeToggle(event) {
+        const chip = event.currentTarget;
+        chip.setAttribute('aria-pressed', chip.getAttribute('aria-pressed') !== 'true');
+
+        const types = Array.from(elements.problemTypeChips)
+            .filter(function(other) { return other.getAttribute('aria-pressed') === 'true'; })
+            .map(function(other) { return other.dataset.problemType; });
+
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ preferences: { extraProblemTypes: types } });
+        }
+    }
+
+    /**
+     * Finds a profile shown in settings by id
+     * @param {string} id - Profile id
+     * @returns {object|undefined} Profile
+     */
+    function findProfile(id) {
+        return profileSettings.list.find(function(profile) {
+            return profile.id === id;
+        });
+    }
+
+    function setProfileStatus(text) {
+        if (elements.profileStatus) {
+            elements.profileStatus.textContent = text;
+        }
+    }
+
+    function handleProfileChange() {
+        setProfileStatus('');
+        if (callbacks.onSettingsChange) {
+            callbacks.onSettingsChange({ activeProfileId: elements.profileSelect.value });
+        }
+    }
+
+    function handleNewProfile() {
+        // New profiles start as a copy of the selected one
+        const base = findProfile(elements.profileSelect?.value) || profileSettings.list[0];
+        openProfileEditor({ ...JSON.parse(JSON.stringify(base)), id: null, name: '' });
+    }
+
+    function handleEditProfile() {
+        const profile = findProfile(elements.profileSelect?.value);
+        if (!profile) return;
+
+        // The built-in profile is read-only, so editing it makes a copy
+        if (profile.id === profileSettings.list[0]?.id) {
+            handleNewProfile();
+            return;
+        }
+        openProfileEditor(JSON.parse(JSON.stringify(profile)));
+    }
+
+    function handleDeleteProfile() {
+        const profile = findProfile(elements.profileSelect?.value);
+        if (!profile || profile.id === profileSettings.list[0]?.id) {
+            setProfileStatus('The standard profile can\'t be deleted.');
+            return;
+        }
+        if (callbacks.onDeleteProfile && window.confirm('Delete the "' + profile.name + '" profile?')) {
+            callbacks.onDeleteProfile(profile.id);
+            setProfileStatus('Deleted "' + profile.name + '".');
+        }
+    }
+
+    function handleExportProfile() {
+        const exported = callbacks.onExportProfile && callbacks.onExportProfile(elements.profileSelect?.value);
+        if (!exported) return;
+
+        const url = URL.createObjectURL(new Blob([exported.json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = exported.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    function handleImportProfile() {
+        const file = elements.profileImportInput?.files?.[0];
+        if (!file || !callbacks.onImportProfile) return;
+
+        const reader = new FileReader();
+        reader.onload = function() {
+            const result = callbacks.onImportProfile(reader.result);
+            setProfileStatus(result.valid ? 'Profile imported.' : result.errors[0]);
+        };
+        reader.onerror = function() {
+            setProfileStatus('Could not read that file.');
+        };
+        reader.readAsText(file);
+
+        // Allow importing the same file again
+        elements.profileImportInput.value = '';
+    }
+
+    /**
+     * Opens the profile editor filled in from a profile
+     * @param {object} profile - Profile to edit (id null for a new one)
+     */
+    function openProfileEditor(profile) {
+        editingProfile = profile;
+        elements.profileName.value = profile.name;
+
+        elements.profileLevels.forEach(function(fieldset) {
+            const settings = profile.levels[fieldset.dataset.level];
+            fieldset.querySelectorAll('[data-field]').forEach(function(input) {
+                const value = settings[input.dataset.field];
+                if (input.type === 'checkbox') {
+                    input.checked = !!value;
+                } else {
+                    input.value = value === undefined ? '' : value;
+                }
+            });
+            fieldset.querySelectorAll('[data-operation]').forEach(function(input) {
+                input.checked = settings.operations.includes(input.dataset.operation);
+            });
+        });
+
+        showProfileErrors([]);
+        elements.profileModal?.classList.remove('hidden');
+        elements.profileName.focus();
+    }
+
+    /**
+     * Reads the profile editor's fields into a profile
+     * @returns {object} Edited profile (not yet validated)
+     */
+    function readProfileEditor() {
+        const levels = {};
+
+        elements.profileLevels.forEach(function(fieldset) {
+            const settings = { operations: [] };
+            fieldset.querySelectorAll('[data-field]').forEach(function(input) {
+                if (input.type === 'checkbox') {
+                    settings[input.dataset.field] = input.checked;
+                } else if (input.type === 'number') {
+                    // Empty optional fields are left out; anything else must parse
+                    if (input.value.trim() !== '') {
+                        settings[input.dataset.field] = Number(input.value);
+                    }
+                } else if (input.tagName === 'SELECT') {
+                    // "Any" is the default, so it's left out like an empty optional field
+                    if (input.value) {
+                        settings[input.dataset.field] = input.value;
+                    }
+                } else {
+                    settings[input.dataset.field] = input.value;
+                }
+            });
+            fieldset.querySelectorAll('[data-operation]:checked').forEach(function(input) {
+                settings.operations.push(input.dataset.operation);
+            });
+            levels[fieldset.dataset.level] = settings;
+        });
+
+        return { id: editingProfile.id, name: elements.profileName.value, levels };
+    }
+
+    /**
+     * Lists validation errors in the profile editor
+     * @param {string[]} errors - Error messages
+     */
+    function showProfileErrors(errors) {
+        if (!elements.profileErrors) return;
+
+        elements.profileErrors.textContent = '';
+        errors.forEach(function(error) {
+            const item = document.createElement('li');
+            item.textContent = error;
+            elements.profileErrors.appendChild(item);
+        });
+    }
+
+    function handleSaveProfile() {
+        if (!editingProfile || !callbacks.onSaveProfile) return;
+
+        const result = callbacks.onSaveProfile(readProfileEditor());
+        if (result.valid) {
+            closeProfileEditor();
+            const warnings = result.warnings || [];
+            setProfileStatus(warnings.length > 0
+                ? 'Profile saved. ' + warnings.join('; ') + ', so some will repeat.'
+                : 'Profile saved.');
+        } else {
+            showProfileErrors(result.errors);
+        }
+    }
+
+    function closeProfileEditor() {
+        editingProfile = null;
+        elements.profileModal?.classList.add('hidden');
+    }
+
     function handleSubmitAnswer() {
         const answer = getAnswerInput();
 
@@ -196,6 +563,73 @@ const UIController = (function() {
         }
     }
 
+    function handleChoiceClick(event) {
+        const button = event.target.closest('.choice-btn');
+        if (button) {
+            selectChoice(button);
+        }
+    }
+
+    /**
+     * Marks a choice button as selected and submits its option
+     * @param {HTMLElement} button - Choice button
+     */
+    function selectChoice(button) {
+        const choice = currentChoices[parseInt(button.dataset.index, 10)];
+
+        if (choice && callbacks.onSubmitAnswer) {
+            elements.choiceButtons.querySelectorAll('.choice-btn').forEach(function(other) {
+                other.classList.toggle('selected', other === button);
+            });
+            callbacks.onSubmitAnswer(choice);
+        }
+    }
+
+    function handleShowSolution() {
+        if (!feedbackSolution) return;
+
+        // The game waits on the missed problem until the player continues
+        if (callbacks.onShowSolution) {
+            callbacks.onShowSolution();
+        }
+
+        elements.showSolutionBtn?.classList.add('hidden');
+        elements.feedbackSolution?.classList.remove('hidden');
+        feedbackStepCount = 0;
+        handleFeedbackStep();
+        elements.feedbackStepBtn?.focus();
+    }
+
+    function handleFeedbackStep() {
+        if (!feedbackSolution) return;
+
+        if (feedbackStepCount >= feedbackSolution.steps.length) {
+            if (callbacks.onContinue) {
+                callbacks.onContinue();
+            }
+            return;
+        }
+
+        feedbackStepCount++;
+        renderSolutionSteps(elements.feedbackSteps, feedbackSolution.steps, feedbackStepCount);
+        if (elements.feedbackStepBtn) {
+            elements.feedbackStepBtn.textContent = feedbackStepCount < feedbackSolution.steps.length
+                ? 'Next step'
+                : 'Keep going!';
+        }
+    }
+
+    function handleReviewStep() {
+        const item = reviewItems[reviewIndex];
+        if (!item || reviewStepCount >= item.solution.steps.length) return;
+
+        reviewStepCount++;
+        renderSolutionSteps(elements.reviewSteps, item.solution.steps, reviewStepCount);
+        if (elements.reviewStepBtn) {
+            elements.reviewStepBtn.disabled = reviewStepCount >= item.solution.steps.length;
+        }
+    }
+
     function handleAnswerKeypress(event) {
         if (event.key === 'Enter') {
             handleSubmitAnswer();
@@ -278,7 +712,7 @@ const UIController = (function() {
         currentScreen = screen;
 
         // Focus appropriate element
-        if (screen === SCREENS.GAME) {
+        if (screen === SCREENS.GAME && currentChoices.length === 0) {
             elements.answerInput?.focus();
         }
     }
@@ -289,7 +723,22 @@ const UIController = (function() {
      */
     function displayProblem(problem) {
         if (elements.problemText) {
-            elements.problemText.textContent = problem.displayText;
+            const isStory = problem.type === 'word';
+            const parts = problem.displayParts || [{ type: 'text', text: problem.displayText }];
+            const hasFigure = parts.some(function(part) { return part.type === 'svg'; });
+            renderProblemParts(elements.problemText, parts);
+            elements.problemText.classList.toggle('long', !isStory && problem.displayText.length > 16);
+            elements.problemCard?.classList.toggle('word-problem', isStory);
+            elements.problemCard?.classList.toggle('has-figure', hasFigure);
+
+            // Estimates are shown only briefly, so they can't be worked out exactly
+            clearTimeout(concealTimer);
+            elements.problemText.classList.remove('concealed');
+            if (problem.displayMs) {
+                concealTimer = setTimeout(function() {
+                    elements.problemText.classList.add('concealed');
+                }, problem.displayMs);
+            }
 
             // Add animation
             elements.problemCard?.classList.remove('card-flip-in');
@@ -297,22 +746,116 @@ const UIController = (function() {
             elements.problemCard?.classList.add('card-flip-in');
         }
 
+        renderChoices(problem.choices || []);
+        hideAnswerHint();
+
         // Clear and focus input
-        if (elements.answerInput) {
+        if (elements.answerInput && currentChoices.length === 0) {
+            // Fraction, remainder, time, money, place-value and measurement answers need "/", "R", ":", "$",
+            // "+", "<", units and spaces, and numeric keypads often lack a minus key, so use the full keyboard
+            const needsWideInput = problem.type === 'fraction' || Boolean(problem.answerFormat);
+            const needsFullKeyboard = needsWideInput || problem.allowNegative;
+            elements.answerInput.setAttribute('inputmode', needsFullKeyboard ? 'text' : 'numeric');
+            elements.answerInput.classList.toggle('wide', needsWideInput);
+
             elements.answerInput.value = '';
             elements.answerInput.classList.remove('correct', 'incorrect');
             elements.answerInput.focus();
         }
     }
 
+    /**
+     * Shows multiple-choice buttons in place of the answer input, or restores the input
+     * @param {object[]} choices - Options from MathEngine ({text, correct, mistake})
+     */
+    function renderChoices(choices) {
+        currentChoices = choices;
+        elements.answerSection?.classList.toggle('hidden', choices.length > 0);
+        if (!elements.choiceButtons) return;
+
+        elements.choiceButtons.textContent = '';
+        elements.choiceButtons.classList.toggle('hidden', choices.length === 0);
+
+        choices.forEach(function(choice, index) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn choice-btn';
+            button.dataset.index = index;
+            button.setAttribute('aria-label', 'Option ' + (index + 1) + ': ' + choice.text);
+            button.innerHTML = '<span class="choice-key" aria-hidden="true"></span>';
+            button.firstChild.textContent = index + 1;
+            button.appendChild(document.createTextNode(choice.text));
+            elements.choiceButtons.appendChild(button);
+        });
+    }
+
+    /**
+     * Renders problem display parts, drawing blanks as boxes
+     * @param {HTMLElement} container - Element to render into
+     * @param {object[]} parts - Display parts from MathEngine
+     */
+    function renderProblemParts(container, parts) {
+        container.textContent = '';
+
+        parts.forEach(function(part) {
+            if (part.type === 'blank') {
+                const blank = document.createElement('span');
+                blank.className = 'problem-blank';
+                blank.innerHTML = '<span class="visually-hidden">?</span>';
+                container.appendChild(blank);
+            } else if (part.type === 'svg') {
+                // Figures are drawn by problem types from the problem's own numbers
+                const figure = document.createElement('span');
+                figure.className = 'problem-figure';
+                figure.setAttribute('role', 'img');
+                figure.setAttribute('aria-label', part.label || 'Picture');
+                figure.innerHTML = part.svg;
+                container.appendChild(figure);
+            } else if (part.type === 'underline') {
+                const underline = document.createElement('u');
+                underline.className = 'problem-underline';
+                underline.textContent = part.text;
+                underline.insertAdjacentHTML('beforeend', '<span class="visually-hidden"> (underlined)</span>');
+                container.appendChild(underline);
+            } else {
+                container.appendChild(document.createTextNode(part.text));
+            }
+        });
+    }
+
+    /**
+     * Shows the first steps of a worked solution as a list
+     * @param {HTMLElement} list - List element to fill
+     * @param {string[]} steps - Solution steps
+     * @param {number} count - How many steps to show
+     */
+    function renderSolutionSteps(list, steps, count) {
+        if (!list) return;
+
+        list.textContent = '';
+        steps.slice(0, count).forEach(function(step) {
+            const item = document.createElement('li');
+            item.textContent = step;
+            list.appendChild(item);
+        });
+    }
+
     /**
      * Shows correct/incorrect feedback
+     * With a worked solution, the overlay offers "Show me how" and stays up until the game hides it
      * @param {boolean} correct - Whether the answer was correct
-     * @param {number} [correctAnswer] - The correct answer (shown if incorrect)
+     * @param {number|string} [correctAnswer] - The correct answer (shown if incorrect)
+     * @param {object} [evaluation] - Result from MathEngine.evaluateAnswer
+     * @param {object} [solution] - Worked solution from MathEngine.getWorkedSolution
      */
-    function showFeedback(correct, correctAnswer) {
+    function showFeedback(correct, correctAnswer, evaluation, solution) {
         if (!elements.feedbackOverlay) return;
 
+        clearTimeout(feedbackTimer);
+        feedbackSolution = solution || null;
+        elements.showSolutionBtn?.classList.toggle('hidden', !feedbackSolution);
+        elements.feedbackSolution?.classList.add('hidden');
+
         // Set feedback content
         elements.feedbackOverlay.classList.remove('correct', 'incorrect');
         elements.feedbackContent?.classList.remove('correct', 'incorrect');
@@ -321,26 +864,53 @@ const UIController = (function() {
             elements.feedbackOverlay.classList.add('correct');
             elements.feedbackContent?.classList.add('correct');
             elements.feedbackIcon.textContent = getRandomCorrectEmoji();
-            elements.feedbackText.textContent = getRandomCorrectMessage();
+            elements.feedbackText.textContent = evaluation && evaluation.estimate
+                ? 'You were within ' + evaluation.estimate.description + '! The actual answer was ' +
+                    evaluation.estimate.actualText + '.'
+                : getRandomCorrectMessage();
         } else {
             elements.feedbackOverlay.classList.add('incorrect');
             elements.feedbackContent?.classList.add('incorrect');
             elements.feedbackIcon.textContent = getRandomEncouragementEmoji();
-            elements.feedbackText.textContent = correctAnswer !== undefined
-                ? 'The answer was ' + correctAnswer
-                : getRandomEncouragementMessage();
+            if (evaluation && evaluation.estimate) {
+                elements.feedbackText.textContent = 'Not within ' + evaluation.estimate.description +
+                    (evaluation.estimate.percentError !== null ? ': you were ' + evaluation.estimate.percentError + '% off' : '') +
+                    '. The answer was ' + correctAnswer;
+            } else if (evaluation && evaluation.reason === 'not-simplified') {
+                elements.feedbackText.textContent = 'Right value, but simplify it: ' + correctAnswer;
+            } else if (evaluation && evaluation.reason === 'not-expanded') {
+                elements.feedbackText.textContent = 'Right total, but give each digit its own place: ' + correctAnswer;
+            } else if (evaluation && evaluation.parts && (evaluation.parts.quotient || evaluation.parts.remainder)) {
+                elements.feedbackText.textContent = (evaluation.parts.quotient
+                    ? 'Quotient right, remainder off! '
+                    : 'Remainder right, quotient off! ') + 'The answer was ' + correctAnswer;
+            } else {
+                elements.feedbackText.textContent = correctAnswer !== undefined
+                    ? 'The answer was ' + correctAnswer
+                    : getRandomEncouragementMessage();
+            }
         }
 
-        // Add animation class to input
+        // Add animation class to input, or mark the chosen option and reveal the right one
         elements.answerInput?.classList.add(correct ? 'correct' : 'incorrect');
+        elements.choiceButtons?.querySelectorAll('.choice-btn').forEach(function(button) {
+            const choice = currentChoices[parseInt(button.dataset.index, 10)];
+            if (button.classList.contains('selected')) {
+                button.classList.add(correct ? 'correct' : 'incorrect');
+            } else if (choice && choice.correct) {
+                button.classList.add('correct');
+            }
+        });
 
         // Show overlay briefly
         elements.feedbackOverlay.classList.remove('hidden');
 
         // Auto-hide after delay
-        setTimeout(() => {
-            elements.feedbackOverlay.classList.add('hidden');
-        }, correct ? 800 : 1200);
+        if (!feedbackSolution) {
+            feedbackTimer = setTimeout(() => {
+                elements.feedbackOverlay.classList.add('hidden');
+            }, correct ? 800 : 1200);
+        }
     }
 
     /**
@@ -403,7 +973,8 @@ const UIController = (function() {
 
     /**
      * Gets answer from input field
-     * @returns {number|null} The answer or null if invalid
+     * Returns the raw text; MathEngine parses it for the current problem type
+     * @returns {string|null} The answer or null if empty
      */
     function getAnswerInput() {
         const value = elements.answerInput?.value?.trim();
@@ -412,8 +983,26 @@ const UIController = (function() {
             return null;
         }
 
-        const number = parseFloat(value);
-        return isNaN(number) ? null : number;
+        return value;
+    }
+
+    /**
+     * Prompts the player to fix an answer that couldn't be read, without marking it wrong
+     * @param {string} message - Why the answer was rejected (from MathEngine.parseAnswer)
+     */
+    function showAnswerHint(message) {
+        if (!elements.answerHint) return;
+
+        elements.answerHint.textContent = message;
+        elements.answerHint.classList.remove('hidden');
+        elements.answerInput?.select();
+    }
+
+    /**
+     * Hides the answer hint
+     */
+    function hideAnswerHint() {
+        elements.answerHint?.classList.add('hidden');
     }
 
     /**
@@ -461,6 +1050,13 @@ const UIController = (function() {
         if (elements.finalStreak) {
             elements.finalStreak.textContent = results.bestStreak || 0;
         }
+        if (elements.finalSkill) {
+            elements.finalSkill.textContent = results.skill ? formatSkillTrend(results.skill) : '-';
+            elements.finalSkill.dataset.trend = results.skill ? results.skill.direction : 'steady';
+        }
+        if (elements.finalSeed) {
+            elements.finalSeed.textContent = results.seed || '-';
+        }
 
         // Show/hide new high score badge
         if (elements.newHighScoreBadge) {
@@ -471,9 +1067,65 @@ const UIController = (function() {
             }
         }
 
+        // Review missed problems one at a time
+        reviewItems = results.missed || [];
+        elements.reviewSection?.classList.toggle('hidden', reviewItems.length === 0);
+        if (reviewItems.length > 0) {
+            showReviewItem(0);
+        }
+
         showScreen(SCREENS.GAMEOVER);
     }
 
+    /**
+     * Formats a skill rating with the way it has been heading
+     * @param {object} trend - {rating, change, direction} from DifficultyManager.getSkillTrend
+     * @returns {string} e.g. "1186 ▲ 42"
+     */
+    function formatSkillTrend(trend) {
+        if (trend.direction === 'up') {
+            return trend.rating + ' \u25B2 ' + trend.change;
+        }
+        if (trend.direction === 'down') {
+            return trend.rating + ' \u25BC ' + Math.abs(trend.change);
+        }
+        return String(trend.rating);
+    }
+
+    /**
+     * Shows one missed problem in the game over review, with its first solution step
+     * @param {number} index - Index into the missed problems
+     */
+    function showReviewItem(index) {
+        const item = reviewItems[index];
+        if (!item) return;
+
+        reviewIndex = index;
+        reviewStepCount = 0;
+
+        if (elements.reviewProblem) {
+            renderProblemParts(elements.reviewProblem,
+                item.problem.displayParts || [{ type: 'text', text: item.problem.displayText }]);
+        }
+        if (elements.reviewAnswers) {
+            elements.reviewAnswers.textContent = 'You said ' + item.answer + ' \u2022 The answer is ' + item.correctAnswer;
+        }
+        if (elements.reviewCount) {
+            elements.reviewCount.textContent = (index + 1) + ' of ' + reviewItems.length;
+        }
+        if (elements.reviewPrevBtn) {
+            elements.reviewPrevBtn.disabled = index === 0;
+        }
+        if (elements.reviewNextBtn) {
+            elements.reviewNextBtn.disabled = index === reviewItems.length - 1;
+        }
+        if (elements.reviewStepBtn) {
+            elements.reviewStepBtn.disabled = false;
+        }
+
+        handleReviewStep();
+    }
+
     /**
      * Updates high score display on menu
      * @param {number} highScore - The high score value
@@ -495,6 +1147,67 @@ const UIController = (function() {
         if (elements.difficultySelect && settings.startingDifficulty !== undefined) {
             elements.difficultySelect.value = settings.startingDifficulty;
         }
+        if (settings.preferences) {
+            elements.preferenceToggles?.forEach(function(toggle) {
+                toggle.setAttribute('aria-pressed', !!settings.preferences[toggle.dataset.preference]);
+            });
+            if (elements.regroupingSelect) {
+                elements.regroupingSelect.value = settings.preferences.regrouping || 'any';
+            }
+            if (elements.currencySelect) {
+                elements.currencySelect.value = settings.preferences.currency || 'USD';
+            }
+            if (elements.toleranceSelect) {
+                const tolerance = settings.preferences.estimationTolerance;
+                elements.toleranceSelect.value = tolerance
+                    ? tolerance.type + ':' + (tolerance.type === 'percent' ? tolerance.percent : tolerance.place)
+                    : '';
+            }
+            const families = settings.preferences.factFamilies || [];
+            elements.factFamilyChips?.forEach(function(chip) {
+                chip.setAttribute('aria-pressed', families.includes(chip.dataset.factFamily));
+            });
+            const types = settings.preferences.extraProblemTypes || [];
+            elements.problemTypeChips?.forEach(function(chip) {
+                chip.setAttribute('aria-pressed', types.includes(chip.dataset.problemType));
+            });
+        }
+        if (elements.regroupingSelect && settings.regroupingRules) {
+            // Rules the profile's number ranges can't follow can't be picked
+            Array.from(elements.regroupingSelect.options).forEach(function(option) {
+                option.disabled = !settings.regroupingRules.includes(option.value);
+            });
+        }
+        if (settings.profiles) {
+            updateProfileDisplay(settings.profiles);
+        }
+    }
+
+    /**
+     * Fills the profile select and relabels the starting difficulty levels
+     * @param {object} profiles - {list, activeId, levelNames}
+     */
+    function updateProfileDisplay(profiles) {
+        profileSettings = profiles;
+
+        if (elements.profileSelect) {
+            elements.profileSelect.textContent = '';
+            profiles.list.forEach(function(profile) {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                elements.profileSelect.appendChild(option);
+            });
+            elements.profileSelect.value = profiles.activeId;
+        }
+
+        if (elements.difficultySelect) {
+            Array.from(elements.difficultySelect.options).forEach(function(option, index) {
+                option.textContent = profiles.levelNames
+                    ? profiles.levelNames[index]
+                    : defaultDifficultyLabels[index];
+            });
+        }
     }
 
     /**
@@ -558,6 +1271,10 @@ const UIController = (function() {
     function init() {
         cacheElements();
         initEventListeners();
+
+        defaultDifficultyLabels = Array.from(elements.difficultySelect?.options || []).map(function(option) {
+            return option.textContent;
+        });
     }
 
     // Public API
@@ -573,6 +1290,7 @@ const UIController = (function() {
         updateProgress: updateProgress,
         getAnswerInput: getAnswerInput,
         clearAnswerInput: clearAnswerInput,
+        showAnswerHint: showAnswerHint,
         showPauseModal: showPauseModal,
         hidePauseModal: hidePauseModal,
         showGameOver: showGameOver,
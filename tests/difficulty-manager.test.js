@@ -5,6 +5,7 @@
 
 // Require the module for Node.js environment
 const DifficultyManager = require('../js/difficulty-manager.js');
+const MathEngine = require('../js/math-engine.js');
 
 describe('DifficultyManager', () => {
     beforeEach(() => {
@@ -58,120 +59,250 @@ describe('DifficultyManager', () => {
             expect(DifficultyManager.getCurrentDifficulty()).toBe(3);
         });
 
-        test('resets streaks when set', () => {
-            DifficultyManager.recordCorrect();
+        test('moves the rating to the start of the level', () => {
             DifficultyManager.recordCorrect();
             DifficultyManager.setDifficulty(2);
-            
-            const state = DifficultyManager.getState();
-            expect(state.correctStreak).toBe(0);
+
+            expect(DifficultyManager.getState().rating).toBe(1200);
+            expect(DifficultyManager.getState().levelProgress).toBe(0.5);
         });
     });
 
-    describe('recordCorrect', () => {
-        test('increments correct streak', () => {
-            DifficultyManager.recordCorrect();
-            expect(DifficultyManager.getState().correctStreak).toBe(1);
+    describe('skill rating', () => {
+        test('rises with correct answers and falls with misses', () => {
+            const up = DifficultyManager.recordCorrect();
+            expect(up.ratingChange).toBe(DifficultyManager.RATING_K / 2);
+            expect(up.rating).toBe(1020);
 
-            DifficultyManager.recordCorrect();
-            expect(DifficultyManager.getState().correctStreak).toBe(2);
+            const down = DifficultyManager.recordIncorrect();
+            expect(down.ratingChange).toBeLessThan(0);
         });
 
-        test('resets incorrect streak', () => {
-            DifficultyManager.recordIncorrect();
-            DifficultyManager.recordIncorrect();
-            DifficultyManager.recordCorrect();
-            
-            expect(DifficultyManager.getState().incorrectStreak).toBe(0);
+        test('weighs each answer by how hard the problem was', () => {
+            const easy = DifficultyManager.getProblemRating(1, 0);
+            const hard = DifficultyManager.getProblemRating(3, 1);
+
+            DifficultyManager.reset(2);
+            const hardWin = DifficultyManager.recordCorrect(hard).ratingChange;
+            DifficultyManager.reset(2);
+            const easyWin = DifficultyManager.recordCorrect(easy).ratingChange;
+            DifficultyManager.reset(2);
+            const easyMiss = DifficultyManager.recordIncorrect(easy).ratingChange;
+            DifficultyManager.reset(2);
+            const hardMiss = DifficultyManager.recordIncorrect(hard).ratingChange;
+
+            expect(hardWin).toBeGreaterThan(easyWin);
+            expect(Math.abs(easyMiss)).toBeGreaterThan(Math.abs(hardMiss));
+            expect(DifficultyManager.getExpectedResult(easy)).toBeGreaterThan(DifficultyManager.getExpectedResult(hard));
         });
 
-        test('levels up after 3 correct in a row', () => {
+        test('partial credit moves the rating part of the way', () => {
+            const full = DifficultyManager.recordCorrect(1000).ratingChange;
             DifficultyManager.reset(1);
-            
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
-            const result = DifficultyManager.recordCorrect();
+            const half = DifficultyManager.recordCorrect(1000, 0.5).ratingChange;
 
-            expect(result.levelChanged).toBe(true);
+            expect(half).toBe(0);
+            expect(full).toBeGreaterThan(half);
+        });
+
+        test('levels up once the rating clears the next level', () => {
+            let result;
+            let answers = 0;
+            do {
+                result = DifficultyManager.recordCorrect();
+                answers++;
+            } while (!result.levelChanged);
+
+            expect(answers).toBeGreaterThan(3);
             expect(result.newLevel).toBe(2);
             expect(result.direction).toBe('up');
+            expect(result.rating).toBeGreaterThanOrEqual(
+                DifficultyManager.LEVEL_RATINGS[2][0] + DifficultyManager.LEVEL_MARGIN);
+            expect(DifficultyManager.getState().lastAdjustment.direction).toBe('up');
         });
 
-        test('does not level up past max', () => {
-            DifficultyManager.reset(3);
-            
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
-            const result = DifficultyManager.recordCorrect();
+        test('levels down once the rating drops below the level', () => {
+            DifficultyManager.reset(2);
+            let result;
+            do {
+                result = DifficultyManager.recordIncorrect();
+            } while (!result.levelChanged);
 
-            expect(result.levelChanged).toBe(false);
-            expect(result.newLevel).toBe(3);
+            expect(result.newLevel).toBe(1);
+            expect(result.direction).toBe('down');
         });
 
-        test('resets streak after level up', () => {
+        test('does not bounce between levels right on a boundary', () => {
+            DifficultyManager.setSkill({ rating: 1110, answered: 40, history: [1110] });
+            expect(DifficultyManager.getCurrentDifficulty()).toBe(2);
+
+            // Dipping just below the edge keeps the level; it takes a clear drop to leave it
+            expect(DifficultyManager.recordIncorrect().levelChanged).toBe(false);
+            expect(DifficultyManager.getState().rating).toBeLessThan(DifficultyManager.LEVEL_RATINGS[2][0]);
+            expect(DifficultyManager.recordCorrect().levelChanged).toBe(false);
+            expect(DifficultyManager.getCurrentDifficulty()).toBe(2);
+        });
+
+        test('stays within the easiest and hardest levels', () => {
+            DifficultyManager.reset(3);
+            for (let i = 0; i < 30; i++) {
+                expect(DifficultyManager.recordCorrect().levelChanged).toBe(false);
+            }
+            expect(DifficultyManager.getCurrentDifficulty()).toBe(3);
+
             DifficultyManager.reset(1);
-            
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
+            for (let i = 0; i < 30; i++) {
+                expect(DifficultyManager.recordIncorrect().levelChanged).toBe(false);
+            }
+            expect(DifficultyManager.getCurrentDifficulty()).toBe(1);
+        });
 
-            expect(DifficultyManager.getState().correctStreak).toBe(0);
+        test('rates problems across each level\'s range', () => {
+            expect(DifficultyManager.getProblemRating(1, 0)).toBe(900);
+            expect(DifficultyManager.getProblemRating(2)).toBe(1200);
+            expect(DifficultyManager.getProblemRating(3, 1)).toBe(1500);
         });
     });
 
-    describe('recordIncorrect', () => {
-        test('increments incorrect streak', () => {
-            DifficultyManager.recordIncorrect();
-            expect(DifficultyManager.getState().incorrectStreak).toBe(1);
+    describe('saved skill', () => {
+        test('restores a saved rating and derives the level from it', () => {
+            DifficultyManager.setSkill({ rating: 1410, answered: 120, history: [1300, 1380] });
+
+            expect(DifficultyManager.getCurrentDifficulty()).toBe(3);
+            expect(DifficultyManager.getState().levelProgress).toBeCloseTo(0.55);
+            expect(DifficultyManager.getSkill()).toEqual({
+                rating: 1410, answered: 120, history: [1300, 1380], operations: {}, facts: {}
+            });
         });
 
-        test('resets correct streak', () => {
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordIncorrect();
-            
-            expect(DifficultyManager.getState().correctStreak).toBe(0);
+        test('rejects skill that is not a saved rating', () => {
+            expect(() => DifficultyManager.setSkill({ rating: 'high', history: [] })).toThrow(/Invalid skill rating/);
+            expect(() => DifficultyManager.setSkill({ rating: 1000 })).toThrow(/Invalid skill rating/);
         });
 
-        test('levels down after 3 incorrect in a row', () => {
-            DifficultyManager.reset(2);
-            
-            DifficultyManager.recordIncorrect();
-            DifficultyManager.recordIncorrect();
-            const result = DifficultyManager.recordIncorrect();
+        test('shows the rating\'s trend over recent games', () => {
+            expect(DifficultyManager.getSkillTrend()).toEqual({ rating: 1000, change: 0, direction: 'steady', history: [1000] });
 
-            expect(result.levelChanged).toBe(true);
-            expect(result.newLevel).toBe(1);
-            expect(result.direction).toBe('down');
+            for (let i = 0; i < 4; i++) {
+                DifficultyManager.recordCorrect();
+            }
+            DifficultyManager.finishGame();
+
+            const trend = DifficultyManager.getSkillTrend();
+            expect(trend.direction).toBe('up');
+            expect(trend.change).toBe(trend.rating - 1000);
+            expect(trend.history).toEqual([1000, trend.rating]);
         });
 
-        test('does not level down past min', () => {
-            DifficultyManager.reset(1);
-            
-            DifficultyManager.recordIncorrect();
-            DifficultyManager.recordIncorrect();
-            const result = DifficultyManager.recordIncorrect();
+        test('keeps a bounded history of game ratings', () => {
+            for (let i = 0; i < 15; i++) {
+                DifficultyManager.recordIncorrect();
+                DifficultyManager.finishGame();
+            }
 
-            expect(result.levelChanged).toBe(false);
-            expect(result.newLevel).toBe(1);
+            const { history } = DifficultyManager.getSkill();
+            expect(history).toHaveLength(10);
+            expect(DifficultyManager.getSkillTrend().direction).toBe('down');
         });
     });
 
-    describe('adjustDifficulty', () => {
-        test('can trigger level up with direct streak count', () => {
+    describe('operation mastery', () => {
+        const practice = (operation, correct, fact) => (correct
+            ? DifficultyManager.recordCorrect(undefined, 1, { operation, fact })
+            : DifficultyManager.recordIncorrect(undefined, { operation, fact }));
+
+        test('gives each operation its own rating and level', () => {
+            DifficultyManager.reset(2);
+            for (let i = 0; i < 10; i++) {
+                practice('+', true);
+                practice('/', false);
+            }
+
+            const addition = DifficultyManager.getOperationState('+');
+            const division = DifficultyManager.getOperationState('/');
+            expect(addition.rating).toBeGreaterThan(1200);
+            expect(addition.level).toBe(3);
+            expect(division.level).toBe(1);
+            expect(addition.answered).toBe(10);
+            expect(division.correct).toBe(0);
+
+            // The overall level sees both and stays put
+            expect(DifficultyManager.getCurrentDifficulty()).toBe(2);
+        });
+
+        test('operations not practiced yet go by the overall rating', () => {
+            DifficultyManager.reset(3);
+
+            expect(DifficultyManager.getOperationState('*')).toEqual({
+                rating: 1400, level: 3, levelProgress: 0.5, answered: 0, correct: 0
+            });
+        });
+
+        test('picks weak operations more often', () => {
+            for (let i = 0; i < 8; i++) {
+                practice('+', true);
+                practice('-', false);
+            }
+            expect(DifficultyManager.getMastery('-')).toBeLessThan(DifficultyManager.getMastery('+'));
+
+            const random = MathEngine.createRandom('mastery');
+            const picks = { '+': 0, '-': 0 };
+            for (let i = 0; i < 400; i++) {
+                picks[DifficultyManager.pickOperation(['+', '-'], random)]++;
+            }
+            expect(picks['-']).toBeGreaterThan(picks['+'] * 1.3);
+            expect(picks['+']).toBeGreaterThan(0);
+            expect(DifficultyManager.pickOperation([])).toBeNull();
+        });
+
+        test('reports mastery and the weakest facts per operation', () => {
+            practice('*', false, '7*8');
+            practice('*', false, '7*8');
+            practice('*', true, '6*7');
+            practice('*', false, '6*7');
+            practice('*', true, '2*3');
+            practice('*', true, '2*3');
+            practice('-', false, '9-4');
+
+            const { operations } = DifficultyManager.getStats();
+            expect(Object.keys(operations)).toEqual(['-', '*']);
+            expect(operations['*']).toEqual(expect.objectContaining({ answered: 6, correct: 3, accuracy: 50, levelName: 'Easy' }));
+            expect(operations['*'].mastery).toBeGreaterThan(0);
+            expect(operations['*'].mastery).toBeLessThan(1);
+            expect(operations['*'].weakFacts).toEqual([
+                { fact: '7*8', attempts: 2, correct: 0 },
+                { fact: '6*7', attempts: 2, correct: 1 }
+            ]);
+            expect(operations['-'].weakFacts).toEqual([]);
+        });
+
+        test('ignores answers that don\'t practice an arithmetic operation', () => {
+            DifficultyManager.recordCorrect(undefined, 1, { operation: 'simplify' });
+            DifficultyManager.recordCorrect();
+
+            expect(DifficultyManager.getStats().operations).toEqual({});
+        });
+
+        test('saves and restores mastery with the skill', () => {
+            practice('+', true, '3+5');
+            practice('/', false, '12/4');
+            const saved = DifficultyManager.getSkill();
+
             DifficultyManager.reset(1);
-            const result = DifficultyManager.adjustDifficulty(3, 0);
+            expect(DifficultyManager.getStats().operations).toEqual({});
 
-            expect(result.levelChanged).toBe(true);
-            expect(result.direction).toBe('up');
+            DifficultyManager.setSkill(saved);
+            expect(DifficultyManager.getSkill()).toEqual(saved);
+            expect(DifficultyManager.getStats().operations['/'].answered).toBe(1);
+            expect(() => DifficultyManager.setSkill({ ...saved, operations: { '^': { rating: 1000 } } }))
+                .toThrow(/Invalid skill rating/);
         });
 
-        test('can trigger level down with direct streak count', () => {
-            DifficultyManager.reset(2);
-            const result = DifficultyManager.adjustDifficulty(0, 3);
+        test('setting the level moves every operation to it', () => {
+            practice('+', true);
+            DifficultyManager.setDifficulty(3);
 
-            expect(result.levelChanged).toBe(true);
-            expect(result.direction).toBe('down');
+            expect(DifficultyManager.getOperationState('+')).toEqual(expect.objectContaining({ rating: 1400, level: 3, answered: 1 }));
         });
     });
 
@@ -181,19 +312,15 @@ describe('DifficultyManager', () => {
 
             expect(state).toHaveProperty('difficulty');
             expect(state).toHaveProperty('difficultyName');
-            expect(state).toHaveProperty('correctStreak');
-            expect(state).toHaveProperty('incorrectStreak');
-            expect(state).toHaveProperty('progressToLevelUp');
-            expect(state).toHaveProperty('progressToLevelDown');
+            expect(state).toHaveProperty('rating');
+            expect(state).toHaveProperty('levelProgress');
+            expect(state).toHaveProperty('lastAdjustment');
         });
 
-        test('calculates progress correctly', () => {
-            DifficultyManager.reset(1);
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
+        test('calculates progress through the level from the rating', () => {
+            DifficultyManager.setSkill({ rating: 1050, answered: 10, history: [1000] });
 
-            const state = DifficultyManager.getState();
-            expect(state.progressToLevelUp).toBeCloseTo(2/3, 2);
+            expect(DifficultyManager.getState().levelProgress).toBeCloseTo(0.75, 2);
         });
     });
 
@@ -203,21 +330,24 @@ describe('DifficultyManager', () => {
 
             expect(stats).toHaveProperty('currentLevel');
             expect(stats).toHaveProperty('levelName');
-            expect(stats).toHaveProperty('correctsUntilLevelUp');
-            expect(stats).toHaveProperty('incorrectsUntilLevelDown');
+            expect(stats).toHaveProperty('rating');
+            expect(stats).toHaveProperty('ratingForLevelUp');
+            expect(stats).toHaveProperty('ratingForLevelDown');
             expect(stats).toHaveProperty('canLevelUp');
             expect(stats).toHaveProperty('canLevelDown');
         });
 
-        test('correctly calculates remaining for level change', () => {
+        test('gives the ratings that change the level', () => {
             DifficultyManager.reset(2);
-            DifficultyManager.recordCorrect();
 
             const stats = DifficultyManager.getStats();
-            expect(stats.correctsUntilLevelUp).toBe(2);
+            expect(stats.ratingForLevelUp).toBe(1325);
+            expect(stats.ratingForLevelDown).toBe(1075);
+
+            DifficultyManager.reset(3);
+            expect(DifficultyManager.getStats().ratingForLevelUp).toBeNull();
         });
     });
-
     describe('getAllowedOperations', () => {
         test('returns operations based on current level', () => {
             DifficultyManager.reset(1);
@@ -233,16 +363,116 @@ describe('DifficultyManager', () => {
 
     describe('reset', () => {
         test('resets all state', () => {
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect();
-            DifficultyManager.recordCorrect(); // Level up
-            
+            DifficultyManager.setSkill({ rating: 1400, answered: 50, history: [1250, 1400] });
+
             DifficultyManager.reset(1);
 
             const state = DifficultyManager.getState();
             expect(state.difficulty).toBe(1);
-            expect(state.correctStreak).toBe(0);
-            expect(state.incorrectStreak).toBe(0);
+            expect(state.rating).toBe(1000);
+            expect(state.lastAdjustment).toBeNull();
+            expect(DifficultyManager.getSkill()).toEqual({ rating: 1000, answered: 0, history: [1000], operations: {}, facts: {} });
+        });
+    });
+
+    describe('difficulty profiles', () => {
+        const makeProfile = () => {
+            const profile = DifficultyManager.createProfile('Grade 2', DifficultyManager.DEFAULT_PROFILE);
+            profile.levels[1] = { name: 'Warm Up', minOperand: 0, maxOperand: 5, operations: ['+'], allowNegativeResults: false };
+            profile.levels[3] = { ...profile.levels[3], name: 'Challenge', maxMultiplier: 5, allowNegativeResults: true };
+            return profile;
+        };
+
+        afterEach(() => {
+            DifficultyManager.setProfile(null);
+        });
+
+        test('the built-in profile matches the standard levels', () => {
+            expect(DifficultyManager.validateProfile(DifficultyManager.DEFAULT_PROFILE).valid).toBe(true);
+            expect(DifficultyManager.getProfile().id).toBe('default');
+            expect(DifficultyManager.getLevelConfig(3)).toEqual({
+                minOperand: 1, maxOperand: 50, operations: ['+', '-', '*', '/'], maxMultiplier: 12, allowNegativeResults: false
+            });
+        });
+
+        test('the active profile drives names, operations and level config', () => {
+            DifficultyManager.setProfile(makeProfile());
+            DifficultyManager.reset(1);
+
+            expect(DifficultyManager.getDifficultyName()).toBe('Warm Up');
+            expect(DifficultyManager.getDifficultyNameForLevel(3)).toBe('Challenge');
+            expect(DifficultyManager.getAllowedOperations()).toEqual(['+']);
+            expect(DifficultyManager.getLevelConfig()).toEqual({
+                minOperand: 0, maxOperand: 5, operations: ['+'], allowNegativeResults: false
+            });
+            expect(DifficultyManager.getLevelConfig(3).maxMultiplier).toBe(5);
+        });
+
+        test('reports every problem with an invalid profile', () => {
+            const profile = makeProfile();
+            profile.name = '';
+            profile.levels[1].maxOperand = -1;
+            profile.levels[2].operations = [];
+            profile.levels[3].operations = ['^'];
+            profile.levels[3].maxMultiplier = 50;
+
+            const { valid, errors } = DifficultyManager.validateProfile(profile);
+            expect(valid).toBe(false);
+            expect(errors).toEqual([
+                'Profile needs a name',
+                'Level 1 number range must be whole numbers',
+                'Level 2 needs at least one operation',
+                'Level 3 has an unknown operation',
+                'Level 3 multiplier cap must be between 1 and 20'
+            ]);
+            expect(() => DifficultyManager.setProfile(profile)).toThrow(/Invalid difficulty profile/);
+        });
+
+        test('rejects ranges that are backwards or missing levels', () => {
+            const profile = makeProfile();
+            profile.levels[1].minOperand = 9;
+            delete profile.levels[2];
+
+            expect(DifficultyManager.validateProfile(profile).errors).toEqual([
+                'Level 1 smallest number must not be bigger than the largest',
+                'Level 2 is missing'
+            ]);
+        });
+
+        test('levels can constrain regrouping', () => {
+            const profile = makeProfile();
+            profile.levels[1].regrouping = 'none';
+            profile.levels[2].regrouping = 'any';
+            DifficultyManager.setProfile(profile);
+
+            expect(DifficultyManager.getLevelConfig(1).regrouping).toBe('none');
+            expect(DifficultyManager.getLevelConfig(2)).not.toHaveProperty('regrouping');
+
+            profile.levels[3].regrouping = 'sometimes';
+            expect(DifficultyManager.validateProfile(profile).errors).toEqual([
+                'Level 3 regrouping must be one of: any, none, required, ones, tens, hundreds'
+            ]);
+        });
+
+        test('exports and imports profiles as JSON', () => {
+            const profile = makeProfile();
+            const imported = DifficultyManager.importProfile(DifficultyManager.exportProfile(profile));
+
+            expect(imported).toEqual(profile);
+        });
+
+        test('rejects files that are not valid profiles', () => {
+            expect(() => DifficultyManager.importProfile('not json')).toThrow(/not valid JSON/);
+            expect(() => DifficultyManager.importProfile('{"name": "x"}')).toThrow(/not a difficulty profile/);
+
+            const file = JSON.parse(DifficultyManager.exportProfile(makeProfile()));
+            file.profile.levels[2].maxOperand = 5000;
+            expect(() => DifficultyManager.importProfile(JSON.stringify(file))).toThrow(/at most 1000/);
+        });
+
+        test('imported copies of the built-in profile get their own id', () => {
+            const json = DifficultyManager.exportProfile(DifficultyManager.DEFAULT_PROFILE);
+            expect(DifficultyManager.importProfile(json).id).not.toBe('default');
         });
     });
 });
@@ -0,0 +1,108 @@
+/**
+ * Equation Problems Unit Tests
+ * Tests for the linear equation problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const EquationProblems = require('../js/equation-problems.js');
+const { seededGenerator, applyStep } = require('./helpers/problem-types.js');
+
+describe('EquationProblems', () => {
+    const generate = seededGenerator(EquationProblems.TYPE_ID);
+
+    /**
+     * Works an equation forwards from a value of x
+     */
+    const apply = (steps, x) => steps.reduce(applyStep, x);
+
+    test('the solution always satisfies the equation', () => {
+        for (const difficulty of [1, 2, 3]) {
+            for (let i = 0; i < 30; i++) {
+                const problem = generate(difficulty, i);
+
+                expect(Number.isInteger(problem.correctAnswer)).toBe(true);
+                expect(apply(problem.equation.steps, problem.correctAnswer)).toBe(problem.equation.result);
+            }
+        }
+    });
+
+    test('scales step count and coefficient size with the level', () => {
+        for (let i = 0; i < 30; i++) {
+            const easy = generate(1, i);
+            const hard = generate(3, i);
+
+            expect(easy.stepCount).toBe(1);
+            expect(['+', '-']).toContain(easy.equation.steps[0].operation);
+            expect(hard.stepCount).toBe(2);
+            expect(hard.equation.steps[0].value).toBeLessThanOrEqual(EquationProblems.LEVELS[3].maxCoefficient);
+        }
+    });
+
+    test('stays non-negative unless negatives are allowed', () => {
+        let sawNegative = false;
+
+        for (let i = 0; i < 40; i++) {
+            const problem = generate(3, i);
+            expect(problem.correctAnswer).toBeGreaterThan(0);
+            expect(problem.equation.result).toBeGreaterThanOrEqual(0);
+
+            const signed = generate(3, i, { allowNegativeResults: true });
+            sawNegative = sawNegative || signed.correctAnswer < 0;
+        }
+
+        expect(sawNegative).toBe(true);
+    });
+
+    test('renders equations the way they are written', () => {
+        expect(EquationProblems.renderEquation({
+            steps: [{ operation: '*', value: 3 }, { operation: '+', value: 4 }],
+            result: 19,
+            variable: 'x'
+        })).toBe('3x + 4 = 19');
+        expect(EquationProblems.renderEquation({
+            steps: [{ operation: '/', value: 5 }, { operation: '-', value: 2 }],
+            result: 3,
+            variable: 'x'
+        })).toBe('x/5 - 2 = 3');
+    });
+
+    test('accepts "x = 5" as well as "5"', () => {
+        const problem = generate(2, 0);
+        const answer = problem.correctAnswer;
+
+        expect(MathEngine.evaluateAnswer(String(answer), problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(`x = ${answer}`, problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(`X=${answer + 1}`, problem).reason).toBe('incorrect');
+        expect(MathEngine.evaluateAnswer('x = ', problem).reason).toBe('invalid');
+    });
+
+    test('worked solutions undo each step with its inverse', () => {
+        const problem = generate(3, 1);
+        const solution = MathEngine.getWorkedSolution(problem);
+        const [scale, shift] = problem.equation.steps;
+
+        expect(solution.method).toBe('inverse-operations');
+        expect(solution.steps).toHaveLength(4);
+        expect(solution.steps[1]).toMatch(shift.operation === '+' ? /^Subtract/ : /^Add/);
+        expect(solution.steps[2]).toMatch(scale.operation === '*' ? /^Divide both sides/ : /^Multiply both sides/);
+        expect(solution.steps[3]).toMatch(new RegExp(`so x = ${problem.correctAnswer}\\.$`));
+    });
+
+    test('two-step equations score as more complex', () => {
+        const oneStep = generate(1, 0);
+        const twoStep = generate(3, 0);
+
+        expect(twoStep.complexity.tags).toContain('two-step');
+        expect(twoStep.complexity.score).toBeGreaterThan(oneStep.complexity.score);
+    });
+
+    test('mixes into a level through problemTypes', () => {
+        const problem = MathEngine.generateProblem(null, 2, {
+            seed: 'mix',
+            config: { problemTypes: { equation: 1 } }
+        });
+
+        expect(problem.type).toBe('equation');
+        expect(problem.displayText).toMatch(/^Solve for x: /);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Estimation Problems Unit Tests
+ * Tests for the large-number estimation problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const EstimationProblems = require('../js/estimation-problems.js');
+const { seededGenerator } = require('./helpers/problem-types.js');
+
+describe('EstimationProblems', () => {
+    const generate = seededGenerator(EstimationProblems.TYPE_ID);
+
+    test('formats large numbers with separators', () => {
+        expect(EstimationProblems.formatLarge(48372)).toBe('48,372');
+        expect(EstimationProblems.formatLarge(1234567)).toBe('1,234,567');
+        expect(EstimationProblems.formatLarge(950)).toBe('950');
+    });
+
+    test('draws each level\'s operations and sizes', () => {
+        for (const difficulty of [1, 2, 3]) {
+            const settings = EstimationProblems.LEVELS[difficulty];
+            for (let i = 0; i < 30; i++) {
+                const problem = generate(difficulty, i);
+
+                expect(settings.operations).toContain(problem.operation);
+                expect(problem.operand1).toBeLessThanOrEqual(settings.maxOperand);
+                expect(problem.correctAnswer).toBeGreaterThanOrEqual(0);
+                expect(Number.isInteger(problem.correctAnswer)).toBe(true);
+                expect(problem.tolerance).toEqual(settings.tolerance);
+                expect(problem.displayMs).toBe(settings.displayMs);
+                expect(problem.displayText).toMatch(/ ≈ \?$/);
+            }
+        }
+    });
+
+    test('differences are wide enough to estimate by rounding one place below the leading digit', () => {
+        for (const difficulty of [1, 2, 3]) {
+            const settings = { ...EstimationProblems.LEVELS[difficulty], operations: ['-'] };
+            for (let i = 0; i < 200; i++) {
+                const problem = generate(difficulty, i, { estimate: settings });
+                const place = Math.pow(10, String(problem.operand1).length - 2);
+                const estimate = Math.round(problem.operand1 / place) * place - Math.round(problem.operand2 / place) * place;
+
+                expect(problem.correctAnswer).toBeGreaterThanOrEqual(settings.minDifference);
+                expect(MathEngine.isWithinTolerance(estimate, problem.correctAnswer, problem.tolerance)).toBe(true);
+            }
+        }
+    });
+
+    test('a tolerance in the config replaces the level\'s', () => {
+        const tolerance = { type: 'rounding', place: 1000 };
+        const problem = generate(2, 0, { tolerance });
+
+        expect(problem.tolerance).toEqual(tolerance);
+        expect(MathEngine.getWorkedSolution(problem).steps[2]).toMatch(/within the nearest 1000\) counts\.$/);
+    });
+
+    test('grades estimates by closeness to the exact answer', () => {
+        const problem = generate(1, 0);
+        const exact = MathEngine.evaluateAnswer(String(problem.correctAnswer), problem);
+        const range = MathEngine.getToleranceRange(problem.correctAnswer, problem.tolerance);
+
+        expect(exact.credit).toBe(1);
+        expect(MathEngine.evaluateAnswer(String(range.max), problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(String(range.max + 1), problem).correct).toBe(false);
+        expect(MathEngine.evaluateAnswer(String(range.max), problem).credit).toBeLessThan(1);
+        expect(MathEngine.formatAnswer(problem)).toBe(EstimationProblems.formatLarge(problem.correctAnswer));
+    });
+
+    test('worked solutions round, estimate, then give the accepted range', () => {
+        for (let i = 0; i < 30; i++) {
+            const problem = generate(3, i);
+            const solution = MathEngine.getWorkedSolution(problem);
+            const estimate = Number(solution.steps[1].match(/about ([\d,]+)\.$/)[1].replace(/,/g, ''));
+
+            expect(solution.method).toBe('round-and-estimate');
+            expect(solution.steps).toHaveLength(3);
+            expect(MathEngine.isWithinTolerance(estimate, problem.correctAnswer, problem.tolerance)).toBe(true);
+        }
+    });
+
+    test('multiple choice offers the rounded estimate against place-value and wrong-operation slips', () => {
+        const problem = { ...generate(2, 0), operation: '+', operand1: 4837, operand2: 2216, correctAnswer: 7053 };
+        const choices = MathEngine.generateChoices(problem, { seed: 'estimate', count: 6 });
+
+        expect(choices.find(choice => choice.correct).text).toBe('7,000');
+        expect(choices.map(choice => [choice.mistake, choice.text])).toEqual(expect.arrayContaining([
+            ['place-value', '70,000'], ['place-value', '700'], ['wrong-operation', '2,600']
+        ]));
+    });
+
+    test('with a rounding tolerance the correct choice is the rounded answer, and earns full credit', () => {
+        const tolerance = { type: 'rounding', place: 100 };
+        for (let i = 0; i < 20; i++) {
+            const problem = generate(2, i, { multipleChoice: true, tolerance });
+            const correct = problem.choices.find(choice => choice.correct);
+
+            expect(correct.text).toBe(EstimationProblems.formatLarge(Math.round(problem.correctAnswer / 100) * 100));
+            expect(MathEngine.evaluateAnswer(correct.text, problem).credit).toBe(1);
+        }
+    });
+
+    test('multiple choice options outside the tolerance are wrong and the estimate is right', () => {
+        for (const tolerance of [undefined, { type: 'rounding', place: 100 }]) {
+            for (let i = 0; i < 20; i++) {
+                const problem = generate(2, i, { multipleChoice: true, tolerance });
+
+                problem.choices.forEach(choice => {
+                    expect(MathEngine.evaluateAnswer(choice.text, problem).correct).toBe(choice.correct);
+                });
+            }
+        }
+    });
+
+    test('bigger numbers, harder operations and tight tolerances score as more complex', () => {
+        const base = { type: 'estimate', tolerance: { type: 'percent', percent: 10 } };
+        const sum = MathEngine.getProblemComplexity({ ...base, operation: '+', operand1: 480, operand2: 230 });
+        const product = MathEngine.getProblemComplexity({ ...base, operation: '*', operand1: 4800, operand2: 23 });
+        const tight = MathEngine.getProblemComplexity({
+            ...base, operation: '+', operand1: 480, operand2: 230, tolerance: { type: 'percent', percent: 5 }
+        });
+
+        expect(product.score).toBeGreaterThan(sum.score);
+        expect(tight.tags).toEqual(['tight']);
+        expect(tight.score).toBeGreaterThan(sum.score);
+    });
+
+    test('a new tolerance on the same numbers is not a new problem', () => {
+        const problem = generate(2, 4);
+        const key = MathEngine.getProblemKey(problem);
+
+        expect(MathEngine.getProblemKey(generate(2, 4, { tolerance: { type: 'rounding', place: 1000 } }))).toBe(key);
+        expect(MathEngine.getProblemKey({ ...problem, operation: problem.operation === '+' ? '-' : '+' })).not.toBe(key);
+    });
+});
@@ -0,0 +1,134 @@
+/**
+ * Game Controller Unit Tests
+ * Tests for seeded games played through the real engine and managers
+ */
+
+// Mock localStorage and the confetti container for Node.js environment
+const localStorageMock = {
+    store: {},
+    getItem: function(key) {
+        return this.store[key] || null;
+    },
+    setItem: function(key, value) {
+        this.store[key] = value.toString();
+    },
+    removeItem: function(key) {
+        delete this.store[key];
+    },
+    clear: function() {
+        this.store = {};
+    }
+};
+
+global.localStorage = localStorageMock;
+global.document = { getElementById: () => null };
+
+const MathEngine = require('../js/math-engine.js');
+const DifficultyManager = require('../js/difficulty-manager.js');
+const ScoreManager = require('../js/score-manager.js');
+const GameController = require('../js/game-controller.js');
+
+describe('GameController', () => {
+    let callbacks;
+    let gameOver;
+
+    /**
+     * Stands in for a UI or theme module: records what it needs and ignores every other call
+     */
+    const stub = fields => new Proxy(fields, {
+        get: (target, key) => (key in target ? target[key] : () => undefined)
+    });
+
+    /**
+     * Plays a whole game, answering every other problem correctly
+     * @returns {string[]} The problems shown, in order
+     */
+    const playGame = () => {
+        const problems = [];
+        GameController.startGame();
+        while (GameController.isPlaying()) {
+            const problem = GameController.getState().currentProblem;
+            problems.push(problem.displayText);
+            GameController.submitAnswer(problems.length % 2 ? MathEngine.formatAnswer(problem) : '99999');
+            callbacks.onContinue();
+        }
+        return problems;
+    };
+
+    /**
+     * Starts the controller on the real engine and managers, loading saved settings
+     */
+    const initController = () => {
+        GameController.init({
+            mathEngine: MathEngine,
+            difficultyManager: DifficultyManager,
+            scoreManager: ScoreManager,
+            uiController: stub({
+                SCREENS: { MENU: 'menu', GAME: 'game', GAMEOVER: 'gameover' },
+                setCallbacks: value => {
+                    callbacks = value;
+                },
+                showGameOver: results => {
+                    gameOver = results;
+                }
+            }),
+            themeEngine: stub({ getRandomMessage: () => '' })
+        });
+    };
+
+    beforeEach(() => {
+        localStorage.clear();
+        ScoreManager.clearAllData();
+        ScoreManager.init();
+        DifficultyManager.setProfile(null);
+        gameOver = null;
+        initController();
+        callbacks.onSettingsChange({ gameSeed: null });
+    });
+
+    describe('game codes', () => {
+        const strongAdder = {
+            rating: 1250, answered: 80, history: [],
+            operations: { '+': { rating: 1450, level: 3, answered: 40, correct: 38 } },
+            facts: {}
+        };
+        const weakAdder = {
+            rating: 1050, answered: 80, history: [],
+            operations: { '+': { rating: 900, level: 1, answered: 40, correct: 12 } },
+            facts: {}
+        };
+
+        test('replays the same problems whatever skill the player has saved', () => {
+            callbacks.onSettingsChange({ gameSeed: 'CLASS4B' });
+
+            ScoreManager.saveSkill(strongAdder);
+            const first = playGame();
+            ScoreManager.saveSkill(weakAdder);
+            const second = playGame();
+
+            expect(second).toEqual(first);
+        });
+
+        test('a code game leaves the saved skill and starting difficulty alone', () => {
+            ScoreManager.saveSkill(strongAdder);
+            ScoreManager.setLastDifficulty(2);
+            initController();
+            callbacks.onSettingsChange({ gameSeed: 'CLASS4B' });
+
+            playGame();
+
+            expect(ScoreManager.getSkill()).toEqual(strongAdder);
+            expect(ScoreManager.getLastDifficulty()).toBe(2);
+            expect(gameOver.skill).toBeNull();
+        });
+
+        test('games without a code pick up and save the skill rating', () => {
+            ScoreManager.saveSkill(strongAdder);
+
+            playGame();
+
+            expect(ScoreManager.getSkill().answered).toBe(strongAdder.answered + 20);
+            expect(gameOver.skill).toEqual(expect.objectContaining({ rating: expect.any(Number) }));
+        });
+    });
+});
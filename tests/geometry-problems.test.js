@@ -0,0 +1,172 @@
+/**
+ * Geometry Problems Unit Tests
+ * Tests for the area and perimeter problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const GeometryProblems = require('../js/geometry-problems.js');
+const { seededGenerator } = require('./helpers/problem-types.js');
+
+describe('GeometryProblems', () => {
+    const generate = seededGenerator(GeometryProblems.TYPE_ID);
+
+    /**
+     * Reads the outline's corner coordinates out of a drawing
+     */
+    const outlinePoints = svg => svg.match(/class="shape-outline" points="([^"]+)"/)[1]
+        .split(' ').map(point => point.split(',').map(Number));
+
+    test('measures each shape', () => {
+        const rectangle = { kind: 'rectangle', width: 8, height: 5 };
+        const triangle = { kind: 'right-triangle', width: 6, height: 8, hypotenuse: 10 };
+        const lShape = { kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 };
+
+        expect(GeometryProblems.getArea(rectangle)).toBe(40);
+        expect(GeometryProblems.getPerimeter(rectangle)).toBe(26);
+        expect(GeometryProblems.getArea(triangle)).toBe(24);
+        expect(GeometryProblems.getPerimeter(triangle)).toBe(24);
+        expect(GeometryProblems.getSideLengths(lShape)).toEqual([10, 5, 4, 3, 6, 8]);
+        expect(GeometryProblems.getArea(lShape)).toBe(68);
+        expect(GeometryProblems.getPerimeter(lShape)).toBe(36);
+    });
+
+    test('follows each level\'s shapes and side lengths', () => {
+        for (const difficulty of [1, 2, 3]) {
+            const settings = GeometryProblems.LEVELS[difficulty];
+            for (let i = 0; i < 30; i++) {
+                const { shape, correctAnswer } = generate(difficulty, i);
+
+                expect(settings.shapes).toContain(shape.kind);
+                expect(Math.max(shape.width, shape.height)).toBeLessThanOrEqual(settings.maxSide);
+                expect(Math.min(shape.width, shape.height)).toBeGreaterThanOrEqual(settings.minSide);
+                expect(Number.isInteger(correctAnswer)).toBe(true);
+                if (shape.kind === 'right-triangle') {
+                    expect(shape.width ** 2 + shape.height ** 2).toBe(shape.hypotenuse ** 2);
+                    expect(shape.hypotenuse).toBeLessThanOrEqual(settings.maxSide);
+                }
+            }
+        }
+    });
+
+    test('draws shapes to scale', () => {
+        for (let i = 0; i < 30; i++) {
+            const { shape, displayParts } = generate(3, i);
+            const points = outlinePoints(displayParts[0].svg);
+            const xs = points.map(([x]) => x);
+            const ys = points.map(([, y]) => y);
+            const drawnWidth = Math.max(...xs) - Math.min(...xs);
+            const drawnHeight = Math.max(...ys) - Math.min(...ys);
+
+            // One scale both ways: the drawing has the shape's own proportions
+            expect(drawnWidth / drawnHeight).toBeCloseTo(shape.width / shape.height, 1);
+        }
+
+        const lShape = GeometryProblems.renderShape({ kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 });
+        const points = outlinePoints(lShape);
+        const scale = (points[1][0] - points[0][0]) / 10;
+        expect(points[2][0] - points[3][0]).toBeCloseTo(4 * scale, 0);
+        expect(points[1][1] - points[2][1]).toBeCloseTo(5 * scale, 0);
+    });
+
+    test('labels every side a player needs', () => {
+        const label = svg => Array.from(svg.matchAll(/class="shape-label"[^>]*>([^<]+)</g), match => match[1]);
+
+        expect(label(GeometryProblems.renderShape({ kind: 'square', width: 4, height: 4 }))).toEqual(['4 cm']);
+        expect(label(GeometryProblems.renderShape({ kind: 'rectangle', width: 8, height: 5 }))).toEqual(['8 cm', '5 cm']);
+        expect(label(GeometryProblems.renderShape({ kind: 'right-triangle', width: 6, height: 8, hypotenuse: 10 })))
+            .toEqual(['6 cm', '10 cm', '8 cm']);
+        expect(label(GeometryProblems.renderShape({ kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 })))
+            .toHaveLength(6);
+    });
+
+    test('shows a unit grid at level 1', () => {
+        const problem = generate(1, 0);
+
+        expect(problem.displayParts[0]).toEqual(expect.objectContaining({ type: 'svg' }));
+        expect(problem.displayParts[0].svg.match(/class="shape-grid"/g))
+            .toHaveLength(problem.shape.width - 1 + problem.shape.height - 1);
+        expect(generate(2, 0).displayParts[0].svg).not.toContain('shape-grid');
+    });
+
+    test('accepts answers with or without the right unit', () => {
+        const area = { type: 'geometry', measure: 'area', correctAnswer: 24 };
+        const perimeter = { type: 'geometry', measure: 'perimeter', correctAnswer: 20 };
+
+        ['24', '24 cm²', '24cm2', '24 sq cm', '24 square units'].forEach(answer => {
+            expect(MathEngine.evaluateAnswer(answer, area).correct).toBe(true);
+        });
+        expect(MathEngine.evaluateAnswer('20 cm', perimeter).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer('25', area).reason).toBe('incorrect');
+
+        const wrongUnit = MathEngine.evaluateAnswer('24 cm', area);
+        expect(wrongUnit.reason).toBe('invalid');
+        expect(wrongUnit.inputError).toBe('wrong-unit');
+        expect(MathEngine.evaluateAnswer('20 cm²', perimeter).message).toMatch(/length/);
+        expect(MathEngine.formatAnswer(area)).toBe('24 cm²');
+    });
+
+    test('worked solutions multiply, halve, split or add the sides', () => {
+        const solve = (shape, measure) => MathEngine.getWorkedSolution({
+            type: 'geometry', shape, measure,
+            correctAnswer: measure === 'area' ? GeometryProblems.getArea(shape) : GeometryProblems.getPerimeter(shape)
+        });
+
+        expect(solve({ kind: 'rectangle', width: 8, height: 5 }, 'area').steps[1]).toBe('8 × 5 = 40, so the area is 40 cm².');
+        expect(solve({ kind: 'right-triangle', width: 6, height: 8, hypotenuse: 10 }, 'area').method).toBe('half-rectangle');
+
+        const lArea = solve({ kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 }, 'area');
+        expect(lArea.method).toBe('split-the-shape');
+        expect(lArea.steps[2]).toBe('48 + 20 = 68, so the area is 68 cm².');
+
+        const lPerimeter = solve({ kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 }, 'perimeter');
+        expect(lPerimeter.method).toBe('add-the-sides');
+        expect(lPerimeter.steps[0]).toBe('Add all six sides: 10 + 5 + 4 + 3 + 6 + 8 = 36.');
+    });
+
+    test('multiple choice offers the halving, cutout and area-perimeter slips', () => {
+        const mistakes = (shape, correctAnswer) => MathEngine.generateChoices(
+            { ...generate(3, 0), measure: 'area', shape, correctAnswer },
+            { seed: 'shape', count: 6 }
+        ).map(choice => [choice.mistake, choice.text]);
+        const triangle = { kind: 'right-triangle', width: 9, height: 12, hypotenuse: 15 };
+        const lShape = { kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 };
+
+        expect(mistakes(triangle, 54)).toEqual(expect.arrayContaining([
+            ['forgot-half', '108 cm²'], ['area-perimeter-mix', '36 cm²']
+        ]));
+        expect(mistakes(lShape, 68)).toEqual(expect.arrayContaining([
+            ['ignored-cutout', '80 cm²'], ['area-perimeter-mix', '36 cm²']
+        ]));
+    });
+
+    test('multiple choice options are graded consistently', () => {
+        for (const difficulty of [1, 2, 3]) {
+            for (let i = 0; i < 15; i++) {
+                const problem = generate(difficulty, i, { multipleChoice: true });
+
+                problem.choices.forEach(choice => {
+                    expect(MathEngine.evaluateAnswer(choice.text, problem).correct).toBe(choice.correct);
+                });
+            }
+        }
+    });
+
+    test('triangles and L-shapes score as more complex than squares', () => {
+        const score = (shape, measure) => MathEngine.getProblemComplexity({ type: 'geometry', shape, measure, correctAnswer: 24 });
+        const square = score({ kind: 'square', width: 4, height: 4 }, 'area');
+        const triangle = score({ kind: 'right-triangle', width: 6, height: 8, hypotenuse: 10 }, 'area');
+        const lShape = score({ kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 }, 'perimeter');
+
+        expect(triangle.tags).toEqual(['right-triangle', 'area', 'halving']);
+        expect(triangle.score).toBeGreaterThan(square.score);
+        expect(lShape.score).toBeGreaterThan(square.score);
+    });
+
+    test('L-shapes with different cutouts are different problems', () => {
+        const shape = { kind: 'l-shape', width: 10, height: 8, cutWidth: 4, cutHeight: 3 };
+        const key = cut => MathEngine.getProblemKey({ type: 'geometry', measure: 'area', shape: { ...shape, ...cut } });
+
+        expect(key({ cutWidth: 5 })).not.toBe(key({}));
+        expect(key({ cutHeight: 2 })).not.toBe(key({}));
+    });
+});
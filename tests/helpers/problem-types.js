@@ -0,0 +1,55 @@
+/**
+ * Problem Type Test Helpers
+ * Seeded generation and rule checking shared by the problem type plugin tests
+ */
+
+const MathEngine = require('../../js/math-engine.js');
+
+/**
+ * Makes a generator for one problem type whose problems are seeded by type, level and index,
+ * so each test sees the same problems on every run
+ * @param {string} typeId - Problem type id
+ * @returns {function} (difficulty, i, config?) => problem
+ */
+function seededGenerator(typeId) {
+    return (difficulty, i, config) => MathEngine.generateProblem(typeId, difficulty, {
+        seed: `${typeId}-${difficulty}-${i}`,
+        config
+    });
+}
+
+/**
+ * Generates problems until one matches, for tests about a kind the level only sometimes draws
+ * @param {function} generate - Generator from seededGenerator
+ * @param {number} difficulty - Level
+ * @param {function} matches - problem => boolean
+ * @param {object} [config] - Config overrides
+ * @returns {object} The first matching problem
+ * @throws {Error} If none of the first 200 problems match
+ */
+function findProblem(generate, difficulty, matches, config) {
+    for (let i = 0; i < 200; i++) {
+        const problem = generate(difficulty, i, config);
+        if (matches(problem)) {
+            return problem;
+        }
+    }
+    throw new Error(`No matching problem generated at level ${difficulty}`);
+}
+
+/**
+ * Applies one rule step ({operation, value}) to a number, as equations and sequences write them
+ * @param {number} value - Number
+ * @param {object} step - {operation: '+', '-', '*' or '/', value}
+ * @returns {number} Result
+ */
+function applyStep(value, step) {
+    return {
+        '+': value + step.value,
+        '-': value - step.value,
+        '*': value * step.value,
+        '/': value / step.value
+    }[step.operation];
+}
+
+module.exports = { seededGenerator, findProblem, applyStep };
@@ -80,6 +80,119 @@ describe('MathEngine', () => {
             
             expect(problem1.id).not.toBe(problem2.id);
         });
+
+        test('typeOptions set the level and settings of just their type', () => {
+            const typeOptions = {
+                arithmetic: { difficulty: 1, config: { operations: ['+'], minOperand: 1, maxOperand: 5, complexity: { min: 1, max: 1.5 } } }
+            };
+            const types = new Set();
+            const fractionKinds = new Set();
+
+            for (let i = 0; i < 40; i++) {
+                const problem = MathEngine.generateProblem(null, 3, {
+                    seed: `focus-${i}`,
+                    config: { problemTypes: { arithmetic: 1, fraction: 1 }, complexity: { min: 4, max: 6 } },
+                    typeOptions
+                });
+                types.add(problem.type);
+
+                if (problem.type === 'arithmetic') {
+                    expect(problem.difficulty).toBe(1);
+                    expect(problem.operation).toBe('+');
+                    expect(Math.max(problem.operand1, problem.operand2)).toBeLessThanOrEqual(5);
+                } else {
+                    expect(problem.difficulty).toBe(3);
+                    fractionKinds.add(problem.fractionKind);
+                }
+            }
+            expect(types).toEqual(new Set(['arithmetic', 'fraction']));
+            // Level 1 only has like-denominator fractions
+            const levelOneKinds = MathEngine.getDifficultyConfig(1).fractions.kinds;
+            expect(Array.from(fractionKinds).some(kind => !levelOneKinds.includes(kind))).toBe(true);
+        });
+    });
+
+    describe('seeded random', () => {
+        test('createRandom returns the same sequence for the same seed', () => {
+            const a = MathEngine.createRandom('monke');
+            const b = MathEngine.createRandom('monke');
+
+            for (let i = 0; i < 10; i++) {
+                expect(a()).toBe(b());
+            }
+        });
+
+        test('createRandom returns values in [0, 1)', () => {
+            const random = MathEngine.createRandom(12345);
+
+            for (let i = 0; i < 200; i++) {
+                const value = random();
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+
+        test('numeric and string seeds are equivalent', () => {
+            expect(MathEngine.createRandom(42)()).toBe(MathEngine.createRandom('42')());
+        });
+
+        test('different seeds give different sequences', () => {
+            expect(MathEngine.createRandom('a')()).not.toBe(MathEngine.createRandom('b')());
+        });
+
+        test('createRandom exposes its seed and generates one when missing', () => {
+            expect(MathEngine.createRandom('jungle').seed).toBe('jungle');
+            expect(MathEngine.createRandom().seed).toMatch(/^[0-9A-Z]{6}$/);
+        });
+
+        test('same seed and difficulty give the same problem', () => {
+            const problem1 = MathEngine.generateProblem(null, 3, { seed: 'class-4b' });
+            const problem2 = MathEngine.generateProblem(null, 3, { seed: 'class-4b' });
+
+            expect(problem1).toEqual(problem2);
+            expect(problem1.seed).toBe('class-4b');
+        });
+
+        test('a shared random source replays the same game', () => {
+            const game1 = MathEngine.createRandom('game');
+            const game2 = MathEngine.createRandom('game');
+
+            for (let i = 0; i < 20; i++) {
+                expect(MathEngine.generateProblem(null, 2, { random: game1 }))
+                    .toEqual(MathEngine.generateProblem(null, 2, { random: game2 }));
+            }
+        });
+
+        test('a problem can be regenerated from its exposed seed', () => {
+            const random = MathEngine.createRandom('replay');
+            const problem = MathEngine.generateProblem(null, 3, { random });
+
+            expect(MathEngine.generateProblem(null, 3, { seed: problem.seed })).toEqual(problem);
+        });
+
+        test('problems within a seeded game get distinct IDs', () => {
+            const random = MathEngine.createRandom('ids');
+            const ids = new Set();
+
+            for (let i = 0; i < 50; i++) {
+                ids.add(MathEngine.generateProblem(null, 1, { random }).id);
+            }
+
+            expect(ids.size).toBe(50);
+        });
+
+        test('pickRandom draws every item of a list from the random source', () => {
+            const list = ['a', 'b', 'c'];
+            const random = MathEngine.createRandom('pick');
+            const picked = new Set();
+
+            for (let i = 0; i < 50; i++) {
+                picked.add(MathEngine.pickRandom(list, random));
+            }
+
+            expect([...picked].sort()).toEqual(list);
+            expect(MathEngine.pickRandom(list, () => 0.99)).toBe('c');
+        });
     });
 
     describe('checkAnswer', () => {
@@ -119,6 +232,1277 @@ describe('MathEngine', () => {
         });
     });
 
+    describe('tolerance grading', () => {
+        const problem = (correctAnswer, tolerance) => ({ type: 'arithmetic', correctAnswer, tolerance });
+
+        test('accepts answers within a percentage', () => {
+            const tolerance = { type: 'percent', percent: 10 };
+
+            expect(MathEngine.isWithinTolerance(540, 500, tolerance)).toBe(true);
+            expect(MathEngine.isWithinTolerance(550, 500, tolerance)).toBe(true);
+            expect(MathEngine.isWithinTolerance(551, 500, tolerance)).toBe(false);
+            expect(MathEngine.getToleranceRange(500, tolerance)).toEqual({ min: 450, max: 550 });
+            expect(MathEngine.describeTolerance(tolerance)).toBe('10%');
+        });
+
+        test('accepts answers within half a place of the exact answer, either way', () => {
+            const tolerance = { type: 'rounding', place: 100 };
+
+            expect(MathEngine.isWithinTolerance(449, 451, tolerance)).toBe(true);
+            expect(MathEngine.isWithinTolerance(401, 451, tolerance)).toBe(true);
+            expect(MathEngine.isWithinTolerance(400, 451, tolerance)).toBe(false);
+            expect(MathEngine.isWithinTolerance(501, 451, tolerance)).toBe(true);
+            expect(MathEngine.isWithinTolerance(502, 451, tolerance)).toBe(false);
+            expect(MathEngine.isWithinTolerance(549, 451, tolerance)).toBe(false);
+            expect(MathEngine.getToleranceRange(451, tolerance)).toEqual({ min: 401, max: 501 });
+            expect(MathEngine.describeTolerance(tolerance)).toBe('the nearest 100');
+            expect(() => MathEngine.isWithinTolerance(1, 1, { type: 'guess' })).toThrow('Unknown tolerance type: guess');
+        });
+
+        test('evaluateAnswer gives more credit the closer the estimate', () => {
+            const target = problem(1000, { type: 'percent', percent: 10 });
+            const exact = MathEngine.evaluateAnswer('1000', target);
+            const close = MathEngine.evaluateAnswer('1,050', target);
+            const far = MathEngine.evaluateAnswer('1200', target);
+
+            expect(exact).toEqual(expect.objectContaining({ correct: true, credit: 1 }));
+            expect(close).toEqual(expect.objectContaining({ correct: true, credit: 0.75 }));
+            expect(close.estimate).toEqual(expect.objectContaining({ error: 50, percentError: 5, within: true }));
+            expect(far).toEqual(expect.objectContaining({ correct: false, reason: 'incorrect', credit: 0 }));
+            expect(far.estimate.percentError).toBe(20);
+            expect(MathEngine.evaluateAnswer('lots', target).reason).toBe('invalid');
+        });
+
+        test('the answer rounded to a rounding tolerance\'s place earns full credit', () => {
+            const target = problem(451, { type: 'rounding', place: 100 });
+
+            expect(MathEngine.evaluateAnswer('500', target)).toEqual(expect.objectContaining({ correct: true, credit: 1 }));
+            expect(MathEngine.evaluateAnswer('451', target).credit).toBe(1);
+            expect(MathEngine.evaluateAnswer('426', target).credit).toBe(0.75);
+            expect(MathEngine.evaluateAnswer('500', target).estimate.error).toBe(49);
+        });
+    });
+
+    describe('parseAnswer', () => {
+        const value = input => MathEngine.parseAnswer(input).value;
+        const reason = input => MathEngine.parseAnswer(input).reason;
+
+        test('reads thousands separators', () => {
+            expect(value('1,000')).toBe(1000);
+            expect(value('12,345,678')).toBe(12345678);
+            expect(value('1 000')).toBe(1000);
+            expect(value('1.000.000')).toBe(1000000);
+        });
+
+        test('reads decimal points and decimal commas', () => {
+            expect(value('2.5')).toBe(2.5);
+            expect(value('2,5')).toBe(2.5);
+            expect(value('1,234.5')).toBe(1234.5);
+            expect(value('1.234,5')).toBe(1234.5);
+            expect(MathEngine.parseAnswer('2,5', { decimalSeparator: '.' }).reason).toBe('bad-grouping');
+        });
+
+        test('reads signs and whitespace', () => {
+            expect(value('+7')).toBe(7);
+            expect(value('-7')).toBe(-7);
+            expect(value('\u2212 7')).toBe(-7);
+            expect(value('  42  ')).toBe(42);
+        });
+
+        test('reads fractions and mixed numbers exactly', () => {
+            expect(MathEngine.parseAnswer('6/8')).toMatchObject({ valid: true, numerator: 6, denominator: 8, form: 'fraction' });
+            expect(MathEngine.parseAnswer('-1 1/2')).toMatchObject({ numerator: -3, denominator: 2, form: 'mixed' });
+            expect(reason('3/0')).toBe('zero-denominator');
+            expect(reason('1 3/2')).toBe('improper-mixed');
+        });
+
+        test('reads number words', () => {
+            expect(value('twelve')).toBe(12);
+            expect(value('Twenty-one')).toBe(21);
+            expect(value('one hundred and five')).toBe(105);
+            expect(value('three thousand two hundred')).toBe(3200);
+            expect(value('minus three')).toBe(-3);
+            expect(reason('twelve three')).toBe('not-a-number');
+            expect(MathEngine.parseAnswer('twelve', { numberWords: false }).valid).toBe(false);
+        });
+
+        test('rejects trailing junk instead of truncating it', () => {
+            expect(reason('12abc')).toBe('trailing-text');
+            expect(MathEngine.checkAnswer('12abc', 12)).toBe(false);
+        });
+
+        test('says why an input was rejected', () => {
+            expect(MathEngine.parseAnswer('')).toEqual({ valid: false, reason: 'empty', message: expect.any(String) });
+            expect(reason('abc')).toBe('not-a-number');
+            expect(reason('1,00,0')).toBe('bad-grouping');
+        });
+
+        test('evaluateAnswer reports unreadable answers instead of marking them incorrect', () => {
+            const problem = MathEngine.generateProblem('+', 1, { seed: 'parse' });
+
+            expect(MathEngine.evaluateAnswer('12abc', problem)).toEqual({
+                correct: false,
+                reason: 'invalid',
+                inputError: 'trailing-text',
+                message: expect.any(String)
+            });
+            expect(MathEngine.evaluateAnswer(String(problem.correctAnswer) + '.0', problem).correct).toBe(true);
+        });
+
+        test('remainder answers accept words and grouped numbers', () => {
+            const problem = { type: 'arithmetic', answerFormat: 'remainder', correctAnswer: { quotient: 1204, remainder: 3 } };
+
+            expect(MathEngine.checkAnswer('1,204 R 3', problem)).toBe(true);
+            expect(MathEngine.checkAnswer('1204 remainder 3', problem)).toBe(true);
+            expect(MathEngine.evaluateAnswer('1204 R 3.5', problem).inputError).toBe('not-whole');
+        });
+
+        test('fraction answers must not be decimals', () => {
+            const problem = { type: 'fraction', correctAnswer: { numerator: 1, denominator: 2 } };
+
+            expect(MathEngine.evaluateAnswer('0.5', problem).inputError).toBe('not-a-fraction');
+            expect(MathEngine.checkAnswer('2/4', problem)).toBe(true);
+        });
+    });
+
+    describe('fraction problems', () => {
+        const fraction = (numerator, denominator) => ({ numerator, denominator });
+        const value = f => f.numerator / f.denominator;
+
+        test('generates fraction problems with a structured representation', () => {
+            const problem = MathEngine.generateProblem('fraction', 3, { seed: 1 });
+
+            expect(problem.type).toBe('fraction');
+            expect(problem.operand1).toHaveProperty('numerator');
+            expect(problem.operand1).toHaveProperty('denominator');
+            expect(problem.correctAnswer).toHaveProperty('numerator');
+            expect(problem.displayText).toMatch(/= \?$/);
+        });
+
+        test('correct answers are exact and simplified', () => {
+            for (let i = 0; i < 100; i++) {
+                const problem = MathEngine.generateProblem('fraction', 3);
+                const { operand1, operand2, operation, correctAnswer } = problem;
+
+                expect(MathEngine._internal.simplifyFraction(correctAnswer)).toEqual(correctAnswer);
+
+                if (operation === 'simplify') {
+                    expect(value(correctAnswer)).toBeCloseTo(value(operand1));
+                } else {
+                    const expected = MathEngine._internal.calculateAnswer(value(operand1), value(operand2), operation);
+                    expect(value(correctAnswer)).toBeCloseTo(expected);
+                }
+            }
+        });
+
+        test('uses only the kinds configured for the level', () => {
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('fraction', 1);
+                expect(['add-like', 'subtract-like']).toContain(problem.fractionKind);
+                expect(problem.operand1.denominator).toBe(problem.operand2.denominator);
+            }
+        });
+
+        test('unlike-denominator problems never share a denominator', () => {
+            const config = { fractions: { kinds: ['add-unlike', 'subtract-unlike'], maxDenominator: 6 } };
+
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('fraction', 2, { config });
+                expect(problem.operand1.denominator).not.toBe(problem.operand2.denominator);
+            }
+        });
+
+        test('fraction subtraction results are non-negative', () => {
+            const config = { fractions: { kinds: ['subtract-unlike'], maxDenominator: 12 } };
+
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('fraction', 3, { config });
+                expect(problem.correctAnswer.numerator).toBeGreaterThanOrEqual(0);
+            }
+        });
+
+        test('problem types are picked from config weights', () => {
+            const config = { problemTypes: { arithmetic: 0, fraction: 1 } };
+            expect(MathEngine.generateProblem(null, 2, { config }).type).toBe('fraction');
+            expect(MathEngine.generateProblem(null, 2).type).toBe('arithmetic');
+        });
+
+        test('accepts equivalent fractions and mixed numbers', () => {
+            const problem = { type: 'fraction', correctAnswer: fraction(3, 2), requireSimplified: false };
+
+            expect(MathEngine.checkAnswer('3/2', problem)).toBe(true);
+            expect(MathEngine.checkAnswer('6/4', problem)).toBe(true);
+            expect(MathEngine.checkAnswer('1 1/2', problem)).toBe(true);
+            expect(MathEngine.checkAnswer(' 6 / 4 ', problem)).toBe(true);
+            expect(MathEngine.checkAnswer('1 1/4', problem)).toBe(false);
+        });
+
+        test('accepts whole numbers for whole-number results', () => {
+            const problem = { type: 'fraction', correctAnswer: fraction(1, 1) };
+
+            expect(MathEngine.checkAnswer('1', problem)).toBe(true);
+            expect(MathEngine.checkAnswer(1, problem)).toBe(true);
+            expect(MathEngine.checkAnswer('2/2', problem)).toBe(true);
+        });
+
+        test('enforces the simplified rule with a reason', () => {
+            const problem = { type: 'fraction', correctAnswer: fraction(3, 4), requireSimplified: true };
+
+            expect(MathEngine.evaluateAnswer('3/4', problem)).toEqual({ correct: true, reason: null });
+            expect(MathEngine.evaluateAnswer('6/8', problem)).toEqual({ correct: false, reason: 'not-simplified' });
+            expect(MathEngine.evaluateAnswer('5/8', problem)).toEqual({ correct: false, reason: 'incorrect' });
+            expect(MathEngine.evaluateAnswer('3/0', problem)).toMatchObject({ correct: false, reason: 'invalid' });
+        });
+
+        test('simplify problems always require lowest terms', () => {
+            const config = { fractions: { kinds: ['simplify'], maxDenominator: 10 } };
+            const problem = MathEngine.generateProblem('fraction', 2, { config });
+
+            expect(problem.requireSimplified).toBe(true);
+            expect(MathEngine.checkAnswer(MathEngine.formatFraction(problem.operand1), problem)).toBe(false);
+            expect(MathEngine.checkAnswer(MathEngine.formatAnswer(problem), problem)).toBe(true);
+        });
+
+        test('parseFraction handles each form', () => {
+            expect(MathEngine.parseFraction('-3')).toEqual({ numerator: -3, denominator: 1, form: 'integer' });
+            expect(MathEngine.parseFraction('6/8')).toEqual({ numerator: 6, denominator: 8, form: 'fraction' });
+            expect(MathEngine.parseFraction('-1 1/2')).toEqual({ numerator: -3, denominator: 2, form: 'mixed' });
+            expect(MathEngine.parseFraction('1 3/2')).toBeNull();
+            expect(MathEngine.parseFraction('abc')).toBeNull();
+        });
+
+        test('formatFraction can show mixed numbers', () => {
+            expect(MathEngine.formatFraction(fraction(3, 4))).toBe('3/4');
+            expect(MathEngine.formatFraction(fraction(3, 2), true)).toBe('1 1/2');
+            expect(MathEngine.formatFraction(fraction(4, 1))).toBe('4');
+        });
+    });
+
+    describe('negative number mode', () => {
+        const config = { allowNegativeResults: true, problemTypes: { arithmetic: 1 } };
+
+        test('produces negative operands and results for every operation', () => {
+            ['+', '-', '*', '/'].forEach(operation => {
+                let sawNegativeOperand = false;
+                let sawNegativeResult = false;
+
+                for (let i = 0; i < 200; i++) {
+                    const problem = MathEngine.generateProblem(operation, 3, { config });
+                    sawNegativeOperand = sawNegativeOperand || problem.operand1 < 0 || problem.operand2 < 0;
+                    sawNegativeResult = sawNegativeResult || problem.result < 0;
+
+                    expect(problem.result).toBe(
+                        MathEngine._internal.calculateAnswer(problem.operand1, problem.operand2, operation)
+                    );
+                }
+
+                expect(sawNegativeOperand).toBe(true);
+                expect(sawNegativeResult).toBe(true);
+            });
+        });
+
+        test('division stays exact and never divides by zero', () => {
+            for (let i = 0; i < 100; i++) {
+                const problem = MathEngine.generateProblem('/', 3, { config });
+                expect(problem.operand2).not.toBe(0);
+                expect(Number.isInteger(problem.result)).toBe(true);
+            }
+        });
+
+        test('keeps operand magnitudes within the level range', () => {
+            for (let i = 0; i < 100; i++) {
+                const problem = MathEngine.generateProblem('+', 1, { config });
+                expect(Math.abs(problem.operand1)).toBeLessThanOrEqual(10);
+                expect(Math.abs(problem.operand2)).toBeLessThanOrEqual(10);
+            }
+        });
+
+        test('displays negatives with a minus sign and parenthesizes the second operand', () => {
+            let found = null;
+
+            for (let i = 0; i < 500 && !found; i++) {
+                const problem = MathEngine.generateProblem('-', 1, { config });
+                if (problem.operand1 < 0 && problem.operand2 < 0) {
+                    found = problem;
+                }
+            }
+
+            expect(found.displayText).toBe(
+                `\u2212${-found.operand1} - (\u2212${-found.operand2}) = ?`
+            );
+        });
+
+        test('formatNumber uses a true minus sign', () => {
+            expect(MathEngine.formatNumber(-3)).toBe('\u22123');
+            expect(MathEngine.formatNumber(3)).toBe('3');
+        });
+
+        test('accepts negative answers', () => {
+            const problem = { type: 'arithmetic', correctAnswer: -2 };
+            expect(MathEngine.checkAnswer('-2', problem)).toBe(true);
+            expect(MathEngine.checkAnswer('2', problem)).toBe(false);
+        });
+    });
+
+    describe('division with remainders', () => {
+        const config = { divisionRemainders: true };
+
+        test('produces non-exact dividends with a valid remainder', () => {
+            for (let i = 0; i < 100; i++) {
+                const problem = MathEngine.generateProblem('/', 3, { config });
+                const { quotient, remainder } = problem.correctAnswer;
+
+                expect(problem.answerFormat).toBe('remainder');
+                expect(remainder).toBeGreaterThan(0);
+                expect(remainder).toBeLessThan(problem.operand2);
+                expect(problem.operand2 * quotient + remainder).toBe(problem.operand1);
+            }
+        });
+
+        test('leaves other operations and exact mode alone', () => {
+            expect(MathEngine.generateProblem('+', 3, { config }).answerFormat).toBeUndefined();
+            expect(MathEngine.generateProblem('/', 3).answerFormat).toBeUndefined();
+        });
+
+        test('accepts the common answer formats', () => {
+            const problem = { type: 'arithmetic', answerFormat: 'remainder', correctAnswer: { quotient: 7, remainder: 2 } };
+
+            ['7 R 2', '7r2', '7 r 2', '7R2', ' 7 R  2 '].forEach(answer => {
+                expect(MathEngine.checkAnswer(answer, problem)).toBe(true);
+            });
+        });
+
+        test('reports which part was wrong', () => {
+            const problem = { type: 'arithmetic', answerFormat: 'remainder', correctAnswer: { quotient: 7, remainder: 2 } };
+
+            expect(MathEngine.evaluateAnswer('7 R 3', problem)).toEqual({
+                correct: false, reason: 'incorrect', parts: { quotient: true, remainder: false }
+            });
+            expect(MathEngine.evaluateAnswer('6 R 2', problem).parts).toEqual({ quotient: false, remainder: true });
+            expect(MathEngine.evaluateAnswer('7', problem).parts).toEqual({ quotient: true, remainder: false });
+            expect(MathEngine.evaluateAnswer('lots', problem)).toMatchObject({ correct: false, reason: 'invalid' });
+        });
+
+        test('formats the answer with an R', () => {
+            const problem = MathEngine.generateProblem('/', 3, { config, seed: 3 });
+            const { quotient, remainder } = problem.correctAnswer;
+
+            expect(MathEngine.formatAnswer(problem)).toBe(`${quotient} R ${remainder}`);
+        });
+    });
+
+    describe('missing operand problems', () => {
+        const config = { blankPositions: ['operand1', 'operand2', 'result'] };
+
+        test('defaults to a blank result', () => {
+            const problem = MathEngine.generateProblem('+', 1);
+
+            expect(problem.blank).toBe('result');
+            expect(problem.correctAnswer).toBe(problem.result);
+            expect(problem.displayText).toMatch(/= \?$/);
+        });
+
+        test('puts the blank in the configured positions and answers that slot', () => {
+            const seen = new Set();
+
+            for (let i = 0; i < 100; i++) {
+                const problem = MathEngine.generateProblem(null, 3, { config: { ...config, problemTypes: { arithmetic: 1 } } });
+                const slots = { operand1: problem.operand1, operand2: problem.operand2, result: problem.result };
+
+                seen.add(problem.blank);
+                expect(problem.correctAnswer).toBe(slots[problem.blank]);
+                expect(problem.result).toBe(MathEngine._internal.calculateAnswer(problem.operand1, problem.operand2, problem.operation));
+                expect(problem.displayText.split('?')).toHaveLength(2);
+            }
+
+            expect([...seen].sort()).toEqual(['operand1', 'operand2', 'result']);
+        });
+
+        test('renders the blank in the right place', () => {
+            const problem = MathEngine.generateProblem('+', 1, { seed: 7, config: { blankPositions: ['operand1'] } });
+
+            expect(problem.displayText).toBe(`? + ${problem.operand2} = ${problem.result}`);
+            expect(problem.displayParts).toEqual([
+                { type: 'blank' },
+                { type: 'text', text: ` + ${problem.operand2} = ${problem.result}` }
+            ]);
+        });
+
+        test('checkAnswer checks against the blank slot', () => {
+            const problem = MathEngine.generateProblem('/', 3, { config: { blankPositions: ['operand2'] } });
+
+            expect(MathEngine.checkAnswer(problem.operand2, problem)).toBe(true);
+            expect(MathEngine.checkAnswer(problem.result + problem.operand2 + 1, problem)).toBe(false);
+        });
+
+        test('every problem has display parts ending in a blank by default', () => {
+            const problem = MathEngine.generateProblem('fraction', 2);
+            expect(problem.displayParts[problem.displayParts.length - 1]).toEqual({ type: 'blank' });
+        });
+    });
+
+    describe('word problems', () => {
+        afterEach(() => {
+            MathEngine.resetWordProblemTemplates();
+        });
+
+        test('generates a story whose answer matches its numbers', () => {
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('word', 3);
+                const slots = { operand1: problem.operand1, operand2: problem.operand2, result: problem.result };
+
+                expect(problem.type).toBe('word');
+                expect(problem.result).toBe(MathEngine._internal.calculateAnswer(problem.operand1, problem.operand2, problem.operation));
+                expect(problem.correctAnswer).toBe(slots[problem.blank]);
+                expect(problem.displayText).not.toMatch(/[{}]/);
+                expect(problem.displayParts).toEqual([{ type: 'text', text: problem.displayText }]);
+            }
+        });
+
+        test('only uses templates for the level operations, with level-sized numbers', () => {
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('word', 1);
+
+                expect(['+', '-']).toContain(problem.operation);
+                expect(problem.operand1).toBeLessThanOrEqual(10);
+                expect(problem.result).toBeGreaterThanOrEqual(0);
+            }
+        });
+
+        test('pluralizes words to agree with their counts', () => {
+            const fill = MathEngine._internal.fillWordTemplate;
+            const context = (a) => ({
+                values: { a, b: 2, result: a + 2 },
+                name: 'Monke',
+                friend: 'Koko',
+                item: { singular: 'berry', plural: 'berries' }
+            });
+
+            expect(fill('{a} {item:a} in {a|bag|bags}', context(1))).toBe('1 berry in bag');
+            expect(fill('{a} {item:a} in {a|bag|bags}', context(3))).toBe('3 berries in bags');
+            expect(fill('{name} and {friend} want {item}', context(1))).toBe('Monke and Koko want berries');
+            expect(MathEngine._internal.pluralize(2, 'banana')).toBe('bananas');
+        });
+
+        test('uses different names for the hero and the friend', () => {
+            MathEngine.addWordProblemTemplates({
+                id: 'pair', operation: '+', text: '{name}/{friend} {a} {b}', names: ['Monke', 'Koko']
+            });
+            const config = { operations: ['+'] };
+
+            for (let i = 0; i < 30; i++) {
+                const problem = MathEngine.generateProblem('word', 1, { config });
+                if (problem.templateId === 'pair') {
+                    const [name, friend] = problem.displayText.split(' ')[0].split('/');
+                    expect(name).not.toBe(friend);
+                }
+            }
+        });
+
+        test('teachers can add their own templates', () => {
+            MathEngine.addWordProblemTemplates([{
+                id: 'lava',
+                operation: '*',
+                text: '{name} jumps over {a} lava pits and earns {b} {item:b} for each. How many {item}?',
+                items: [{ singular: 'point', plural: 'points' }]
+            }]);
+
+            const templates = MathEngine.getWordProblemTemplates();
+            expect(templates.some(template => template.id === 'lava')).toBe(true);
+
+            const config = { operations: ['*'] };
+            let problem;
+            for (let i = 0; i < 100 && (!problem || problem.templateId !== 'lava'); i++) {
+                problem = MathEngine.generateProblem('word', 2, { config });
+            }
+
+            expect(problem.templateId).toBe('lava');
+            expect(problem.displayText).toMatch(/points?/);
+            expect(problem.correctAnswer).toBe(problem.operand1 * problem.operand2);
+        });
+
+        test('rejects invalid templates without adding any', () => {
+            const before = MathEngine.getWordProblemTemplates().length;
+
+            expect(() => MathEngine.addWordProblemTemplates({ id: 'x', operation: '^', text: 'hi' })).toThrow(/operation/);
+            expect(() => MathEngine.addWordProblemTemplates([
+                { id: 'ok', operation: '+', text: '{a} + {b}' },
+                { id: 'bad', operation: '+', text: '{mystery}' }
+            ])).toThrow(/placeholder/);
+            expect(MathEngine.getWordProblemTemplates()).toHaveLength(before);
+        });
+
+        test('same seed gives the same story', () => {
+            expect(MathEngine.generateProblem('word', 2, { seed: 'story' }).displayText)
+                .toBe(MathEngine.generateProblem('word', 2, { seed: 'story' }).displayText);
+        });
+    });
+
+    describe('expression problems', () => {
+        const num = value => ({ type: 'number', value });
+        const op = (operation, left, right) => ({ type: 'operation', operation, left, right });
+
+        // Walks a tree, calling visit(node, value) for every operation node
+        const visitOperations = (node, visit) => {
+            if (node.type === 'number') return node.value;
+            const left = visitOperations(node.left, visit);
+            const right = visitOperations(node.right, visit);
+            visit(node, left, right);
+            return MathEngine._internal.calculateAnswer(left, right, node.operation);
+        };
+
+        test('renders trees with parentheses only where precedence needs them', () => {
+            expect(MathEngine.renderExpression(op('+', num(3), op('*', num(4), op('-', num(6), num(2))))))
+                .toBe('3 + 4 × (6 - 2)');
+            expect(MathEngine.renderExpression(op('*', op('+', num(1), num(2)), num(3)))).toBe('(1 + 2) × 3');
+            expect(MathEngine.renderExpression(op('+', op('*', num(2), num(3)), num(4)))).toBe('2 × 3 + 4');
+            expect(MathEngine.renderExpression(op('-', num(9), op('-', num(5), num(2))))).toBe('9 - (5 - 2)');
+            expect(MathEngine.renderExpression(op('-', op('-', num(9), num(5)), num(2)))).toBe('9 - 5 - 2');
+            expect(MathEngine.renderExpression(op('/', num(24), op('*', num(2), num(3))))).toBe('24 ÷ (2 × 3)');
+        });
+
+        test('evaluates trees respecting their structure', () => {
+            expect(MathEngine.evaluateExpression(op('+', num(3), op('*', num(4), op('-', num(6), num(2)))))).toBe(19);
+            expect(MathEngine.evaluateExpression(op('-', num(9), op('-', num(5), num(2))))).toBe(6);
+        });
+
+        test('generates 3-5 operand expressions at level 3', () => {
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('expression', 3);
+
+                expect(problem.type).toBe('expression');
+                expect(problem.operandCount).toBeGreaterThanOrEqual(3);
+                expect(problem.operandCount).toBeLessThanOrEqual(5);
+                expect(problem.correctAnswer).toBe(MathEngine.evaluateExpression(problem.expression));
+                expect(problem.displayText).toBe(MathEngine.renderExpression(problem.expression) + ' = ?');
+            }
+        });
+
+        test('division steps are exact and intermediate results never negative', () => {
+            for (let i = 0; i < 100; i++) {
+                const problem = MathEngine.generateProblem('expression', 3);
+
+                visitOperations(problem.expression, (node, left, right) => {
+                    if (node.operation === '/') {
+                        expect(right).not.toBe(0);
+                        expect(Number.isInteger(left / right)).toBe(true);
+                    }
+                    expect(MathEngine._internal.calculateAnswer(left, right, node.operation)).toBeGreaterThanOrEqual(0);
+                });
+            }
+        });
+
+        test('uses only the level operations and no parentheses when disabled', () => {
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('expression', 1);
+
+                expect(problem.displayText).not.toMatch(/[()×÷]/);
+            }
+        });
+
+        test('higher levels mix expressions in through problemTypes', () => {
+            expect(MathEngine.getDifficultyConfig(3).problemTypes.expression).toBeGreaterThan(0);
+            expect(MathEngine.getDifficultyConfig(1).problemTypes.expression).toBeUndefined();
+        });
+    });
+
+    describe('multiple choice', () => {
+        const config = { multipleChoice: true };
+
+        test('attaches four distinct options with exactly one correct', () => {
+            for (const operation of ['+', '-', '*', '/', 'fraction', 'expression', 'word']) {
+                for (let i = 0; i < 20; i++) {
+                    const problem = MathEngine.generateProblem(operation, 3, { config });
+                    const texts = problem.choices.map(choice => choice.text);
+
+                    expect(problem.choices).toHaveLength(4);
+                    expect(new Set(texts).size).toBe(4);
+                    expect(problem.choices.filter(choice => choice.correct)).toHaveLength(1);
+                    problem.choices.forEach(choice => {
+                        expect(MathEngine.evaluateAnswer(choice.text, problem).correct).toBe(choice.correct);
+                    });
+                }
+            }
+        });
+
+        test('distractors model realistic mistakes', () => {
+            const problem = { type: 'arithmetic', operand1: 47, operand2: 38, operation: '+', blank: 'result', result: 85, correctAnswer: 85 };
+            const choices = MathEngine.generateChoices(problem, { count: 8, seed: 1 });
+            const byMistake = {};
+            choices.forEach(choice => { byMistake[choice.text] = choice.mistake; });
+
+            expect(byMistake['75']).toBe('dropped-carry');
+            expect(byMistake['9']).toBe('wrong-operation');
+            expect(byMistake['58']).toBe('swapped-digits');
+            expect(['84', '86'].some(text => byMistake[text] === 'off-by-one')).toBe(true);
+        });
+
+        test('uses the inverse-operation mistake for blanks', () => {
+            const problem = { type: 'arithmetic', operand1: 7, operand2: 5, operation: '+', blank: 'operand2', result: 12, correctAnswer: 5 };
+            const choices = MathEngine.generateChoices(problem, { count: 6, seed: 2 });
+
+            expect(choices.find(choice => choice.text === '19').mistake).toBe('wrong-operation');
+        });
+
+        test('adds fraction and remainder mistakes', () => {
+            const fraction = {
+                type: 'fraction', operation: '+',
+                operand1: { numerator: 1, denominator: 2 }, operand2: { numerator: 1, denominator: 3 },
+                correctAnswer: { numerator: 5, denominator: 6 }
+            };
+            expect(MathEngine.generateChoices(fraction, { count: 6, seed: 3 })
+                .find(choice => choice.text === '2/5').mistake).toBe('added-across');
+
+            const remainder = {
+                type: 'arithmetic', operation: '/', operand1: 23, operand2: 4, answerFormat: 'remainder',
+                correctAnswer: { quotient: 5, remainder: 3 }
+            };
+            const choices = MathEngine.generateChoices(remainder, { count: 6, seed: 4 });
+            expect(choices.find(choice => choice.correct).text).toBe('5 R 3');
+            expect(choices.some(choice => choice.mistake === 'swapped-parts')).toBe(true);
+        });
+
+        test('never offers negative options unless negatives are allowed', () => {
+            for (let i = 0; i < 50; i++) {
+                const problem = MathEngine.generateProblem('-', 1, { config });
+                problem.choices.forEach(choice => expect(choice.text).not.toMatch(/^[-−]/));
+            }
+        });
+
+        test('same seed gives the same options in the same order', () => {
+            const first = MathEngine.generateProblem('+', 2, { seed: 'abc', config });
+            const second = MathEngine.generateProblem('+', 2, { seed: 'abc', config });
+            expect(second.choices).toEqual(first.choices);
+        });
+    });
+
+    describe('fact family practice', () => {
+        test('lists times tables and named addition families', () => {
+            const ids = MathEngine.getFactFamilies().map(family => family.id);
+            expect(ids).toEqual(expect.arrayContaining(['times-1', 'times-7', 'times-12', 'doubles', 'make-10']));
+        });
+
+        test('deals every fact in the chosen families once before repeating', () => {
+            const deck = MathEngine.createFactDeck(['times-7', 'times-8'], { seed: 'sevens' });
+            const config = { factDeck: deck };
+            const seen = new Set();
+
+            // 12 facts each, less the shared 7 × 8
+            expect(deck.facts).toHaveLength(23);
+            for (let i = 0; i < 23; i++) {
+                const problem = MathEngine.generateProblem('fact', 1, { config });
+                const key = [problem.operand1, problem.operand2].sort((a, b) => a - b).join('x');
+
+                expect(problem.operation).toBe('*');
+                expect([problem.operand1, problem.operand2].some(n => n === 7 || n === 8)).toBe(true);
+                expect(seen.has(key)).toBe(false);
+                seen.add(key);
+            }
+            expect(seen.size).toBe(23);
+        });
+
+        test('covers facts evenly across reshuffles', () => {
+            const deck = MathEngine.createFactDeck(['doubles'], { seed: 3 });
+            const counts = {};
+            for (let i = 0; i < 30; i++) {
+                const problem = MathEngine.generateProblem('fact', 1, { config: { factDeck: deck } });
+                counts[problem.operand1] = (counts[problem.operand1] || 0) + 1;
+            }
+
+            expect(Object.values(counts)).toEqual(Array(10).fill(3));
+        });
+
+        test('builds make-10 facts that sum to ten', () => {
+            const deck = MathEngine.createFactDeck(['make-10']);
+            for (let i = 0; i < 6; i++) {
+                const problem = MathEngine.generateProblem('fact', 1, { config: { factDeck: deck } });
+                expect(problem.correctAnswer).toBe(10);
+                expect(problem.factFamily).toBe('make-10');
+            }
+        });
+
+        test('mixes in inverse division facts on request', () => {
+            const deck = MathEngine.createFactDeck(['times-7'], { includeInverse: true });
+            const divisions = deck.facts.filter(fact => fact.operation === '/');
+
+            expect(divisions.some(fact => fact.operand1 === 56 && fact.operand2 === 7)).toBe(true);
+            expect(divisions.some(fact => fact.operand1 === 56 && fact.operand2 === 8)).toBe(true);
+            divisions.forEach(fact => expect(fact.operand1 % fact.operand2).toBe(0));
+        });
+
+        test('rejects unknown or empty family lists', () => {
+            expect(() => MathEngine.createFactDeck([])).toThrow(/at least one/);
+            expect(() => MathEngine.createFactDeck(['times-99'])).toThrow(/Unknown fact family/);
+            expect(() => MathEngine.generateProblem('fact', 1)).toThrow(/factDeck/);
+        });
+    });
+
+    describe('problem type registry', () => {
+        afterEach(() => {
+            ['doubling', 'modulo'].forEach(id => MathEngine.unregisterProblemType(id));
+        });
+
+        test('lists the built-in types, including one per operation', () => {
+            expect(MathEngine.getProblemTypes()).toEqual(expect.arrayContaining([
+                'addition', 'subtraction', 'multiplication', 'division',
+                'arithmetic', 'fraction', 'expression', 'word', 'fact'
+            ]));
+        });
+
+        test('plugin types explain themselves through solve, or just state the answer', () => {
+            const generate = () => ({ value: 4, displayText: 'Double 4 = ?', correctAnswer: 8 });
+            MathEngine.registerProblemType('doubling', {
+                generate,
+                solve: problem => ({ method: 'add-itself', steps: [`${problem.value} + ${problem.value} = 8.`] })
+            });
+            MathEngine.registerProblemType('modulo', { generate });
+
+            expect(MathEngine.getWorkedSolution(MathEngine.generateProblem('doubling'))).toEqual({
+                method: 'add-itself', steps: ['4 + 4 = 8.'], answer: '8'
+            });
+            expect(MathEngine.getWorkedSolution(MathEngine.generateProblem('modulo'))).toEqual({
+                method: 'answer', steps: ['The answer is 8.'], answer: '8'
+            });
+        });
+
+        test('configs can weight operation types by id', () => {
+            const config = { problemTypes: { multiplication: 1 } };
+            for (let i = 0; i < 20; i++) {
+                const problem = MathEngine.generateProblem(null, 1, { config });
+                expect(problem.type).toBe('multiplication');
+                expect(problem.operation).toBe('*');
+                expect(MathEngine.checkAnswer(problem.correctAnswer, problem)).toBe(true);
+            }
+        });
+
+        test('generates, checks and renders a plugin type', () => {
+            MathEngine.registerProblemType('doubling', {
+                levels: { 1: { max: 5 }, 2: { max: 50 } },
+                generate: (config, random) => {
+                    const n = MathEngine.getRandomInt(1, config.doubling.max, random);
+                    return { value: n, displayText: `Double ${n}`, correctAnswer: n * 2 };
+                },
+                check: (answer, problem) => ({ correct: Number(answer) === problem.correctAnswer }),
+                render: problem => [{ type: 'text', text: `2 × ${problem.value} = ` }, { type: 'blank' }],
+                format: problem => `${problem.correctAnswer} (double ${problem.value})`
+            });
+
+            const problem = MathEngine.generateProblem(null, 1, { config: { problemTypes: { doubling: 1 } } });
+            expect(problem.type).toBe('doubling');
+            expect(problem.value).toBeLessThanOrEqual(5);
+            expect(problem.displayParts[1]).toEqual({ type: 'blank' });
+            expect(MathEngine.evaluateAnswer(String(problem.value * 2), problem).correct).toBe(true);
+            expect(MathEngine.formatAnswer(problem)).toMatch(/double/);
+
+            // Callers can override the type's level settings by id
+            const custom = MathEngine.generateProblem('doubling', 1, { config: { doubling: { max: 1 } } });
+            expect(custom.value).toBe(1);
+        });
+
+        test('new operations work anywhere an operation symbol is used', () => {
+            MathEngine.registerProblemType('modulo', {
+                generate: () => ({ displayText: '17 mod 5 = ?', correctAnswer: 2 }),
+                operation: {
+                    symbol: '%',
+                    display: 'mod',
+                    calculate: (a, b) => a % b,
+                    generateOperands: (config, random) => ({
+                        operand1: MathEngine.getRandomInt(10, 20, random),
+                        operand2: MathEngine.getRandomInt(2, 5, random)
+                    })
+                }
+            });
+
+            const problem = MathEngine.generateProblem('%', 1, { config: { operations: ['%'] } });
+            expect(problem.displayText).toMatch(/^\d+ mod \d+ = \?$/);
+            expect(problem.correctAnswer).toBe(problem.operand1 % problem.operand2);
+            expect(MathEngine._internal.calculateAnswer(7, 3, '%')).toBe(1);
+            expect(MathEngine.getOperationSymbol('%')).toBe('mod');
+        });
+
+        test('rejects invalid or duplicate registrations', () => {
+            expect(() => MathEngine.registerProblemType('', { generate: () => ({}) })).toThrow(/id/);
+            expect(() => MathEngine.registerProblemType('doubling', {})).toThrow(/generate/);
+            expect(() => MathEngine.registerProblemType('doubling', { generate: () => ({}), check: 'yes' })).toThrow(/check/);
+            expect(() => MathEngine.registerProblemType('fraction', { generate: () => ({}) })).toThrow(/already registered/);
+            expect(() => MathEngine.registerProblemType('modulo', {
+                generate: () => ({}),
+                operation: { symbol: '+', calculate: () => 0, generateOperands: () => ({}) }
+            })).toThrow(/already provided/);
+            expect(MathEngine.getProblemTypes()).not.toContain('modulo');
+        });
+
+        test('built-in types cannot be removed', () => {
+            expect(() => MathEngine.unregisterProblemType('addition')).toThrow(/Built-in/);
+            expect(MathEngine.unregisterProblemType('not-a-type')).toBe(false);
+        });
+    });
+
+    describe('worked solutions', () => {
+        const problem = (operand1, operation, operand2, extra = {}) => {
+            const result = MathEngine._internal.calculateAnswer(operand1, operand2, operation);
+            return { type: 'arithmetic', operand1, operand2, operation, result, correctAnswer: result, blank: 'result', ...extra };
+        };
+
+        test('adds in columns with carries', () => {
+            const solution = MathEngine.getWorkedSolution(problem(47, '+', 85));
+
+            expect(solution.method).toBe('column-addition');
+            expect(solution.steps).toContain('Ones: 7 + 5 = 12. Write 2 and carry 1 to the tens.');
+            expect(solution.steps).toContain('Tens: 4 + 8 + 1 carried = 13. Write 3 and carry 1 to the hundreds.');
+            expect(solution.steps[solution.steps.length - 1]).toBe('So 47 + 85 = 132.');
+            expect(solution.answer).toBe('132');
+        });
+
+        test('subtracts in columns with borrowing across zeros', () => {
+            const solution = MathEngine.getWorkedSolution(problem(503, '-', 248));
+
+            expect(solution.method).toBe('column-subtraction');
+            expect(solution.steps[1]).toMatch(/^Ones: 3 is less than 8, so regroup 1 from the hundreds/);
+            expect(solution.steps).toContain('Tens: 9 - 4 = 5.');
+        });
+
+        test('uses make-ten and counting strategies for small facts', () => {
+            expect(MathEngine.getWorkedSolution(problem(8, '+', 5)).method).toBe('make-ten');
+            expect(MathEngine.getWorkedSolution(problem(5, '+', 3)).steps[0]).toBe('Start at 5 and count on 3: 6, 7, 8.');
+            expect(MathEngine.getWorkedSolution(problem(15, '-', 7)).method).toBe('bridge-ten');
+        });
+
+        test('multiplies by repeated addition or partial products', () => {
+            const fact = MathEngine.getWorkedSolution(problem(3, '*', 7));
+            expect(fact.method).toBe('repeated-addition');
+            expect(fact.steps).toContain('Skip count by 7, 3 times: 7, 14, 21.');
+
+            const big = MathEngine.getWorkedSolution(problem(15, '*', 12));
+            expect(big.method).toBe('partial-products');
+            expect(big.steps).toContain('Add the partial products: 120 + 60 = 180.');
+        });
+
+        test('divides as the inverse fact, with remainders when asked', () => {
+            expect(MathEngine.getWorkedSolution(problem(24, '/', 6)).steps[0]).toBe('Division undoes multiplication. Think: 6 × ? = 24.');
+
+            const remainder = MathEngine.getWorkedSolution({
+                type: 'arithmetic', operand1: 23, operand2: 4, operation: '/',
+                answerFormat: 'remainder', correctAnswer: { quotient: 5, remainder: 3 }
+            });
+            expect(remainder.method).toBe('remainder-division');
+            expect(remainder.steps[remainder.steps.length - 1]).toBe('So 23 ÷ 4 = 5 R 3.');
+        });
+
+        test('explains negatives with the sign rules', () => {
+            const solution = MathEngine.getWorkedSolution(problem(3, '-', 8));
+
+            expect(solution.method).toBe('sign-rules');
+            expect(solution.steps[0]).toBe('Subtracting 8 is the same as adding −8: 3 + (−8).');
+        });
+
+        test('solves missing operands with the inverse operation', () => {
+            const solution = MathEngine.getWorkedSolution({ ...problem(7, '+', 5), blank: 'operand2', correctAnswer: 5 });
+
+            expect(solution.method).toBe('missing-number');
+            expect(solution.steps[0]).toBe('To find the missing number, undo the adding by subtracting: 12 - 7 = ?');
+            expect(solution.answer).toBe('5');
+        });
+
+        test('works through expressions in order of operations', () => {
+            const problem = MathEngine.generateProblem('expression', 3, { seed: 3 });
+            const solution = MathEngine.getWorkedSolution(problem);
+
+            expect(solution.method).toBe('order-of-operations');
+            expect(solution.steps[solution.steps.length - 1]).toBe(`So ${problem.displayText.replace(' = ?', '')} = ${problem.correctAnswer}.`);
+        });
+
+        test('multiplies and divides before adding and subtracting outside parentheses', () => {
+            const number = value => ({ type: 'number', value });
+            const operation = (op, left, right) => ({ type: 'operation', operation: op, left, right });
+            const solve = expression => MathEngine.getWorkedSolution({
+                type: 'expression', expression, correctAnswer: MathEngine.evaluateExpression(expression)
+            }).steps;
+
+            // 2 + 3 + 4 × 5, built as (2 + 3) + (4 × 5)
+            expect(solve(operation('+', operation('+', number(2), number(3)), operation('*', number(4), number(5))))[1])
+                .toBe('Multiply: 4 × 5 = 20, leaving 2 + 3 + 20.');
+
+            // (8 + 12 - 5) ÷ 5 ÷ 3, built with 12 - 5 as its own subtree
+            const grouped = operation('+', number(8), operation('-', number(12), number(5)));
+            expect(solve(operation('/', operation('/', grouped, number(5)), number(3))).slice(1, 3)).toEqual([
+                'Add: 8 + 12 = 20, leaving (20 - 5) ÷ 5 ÷ 3.',
+                'Parentheses first: 20 - 5 = 15, leaving 15 ÷ 5 ÷ 3.'
+            ]);
+        });
+
+        test('works through displayed expressions innermost parentheses first, then left to right', () => {
+            /**
+             * The operation a player should do next in displayed text
+             */
+            const nextOperation = text => {
+                const tokens = (text.match(/\(([^()]+)\)/) || [null, text])[1].split(' ');
+                const operators = tokens.filter((token, i) => i % 2 === 1);
+                const first = operators.some(token => '×÷'.includes(token)) ? '×÷' : '+-';
+                const index = tokens.findIndex((token, i) => i % 2 === 1 && first.includes(token));
+                return tokens.slice(index - 1, index + 2).join(' ');
+            };
+
+            for (let i = 0; i < 300; i++) {
+                const problem = MathEngine.generateProblem('expression', 3, { seed: `expression-${i}` });
+                const steps = MathEngine.getWorkedSolution(problem).steps.slice(1, -1);
+                let remaining = problem.displayText.replace(' = ?', '');
+
+                steps.forEach(step => {
+                    const [, worked, , left] = step.match(/^[^:]+: (.+) = (-?[\d.]+)(?:, leaving (.+))?\.$/);
+                    expect(worked).toBe(nextOperation(remaining));
+                    remaining = left;
+                });
+            }
+        });
+
+        test('finds a common denominator and simplifies fractions', () => {
+            const solution = MathEngine.getWorkedSolution({
+                type: 'fraction',
+                operand1: { numerator: 1, denominator: 4 },
+                operand2: { numerator: 1, denominator: 12 },
+                operation: '+',
+                correctAnswer: { numerator: 1, denominator: 3 }
+            });
+
+            expect(solution.method).toBe('common-denominator');
+            expect(solution.steps).toContain('Rewrite the fractions: 1/4 = 3/12 and 1/12 = 1/12.');
+            expect(solution.steps[solution.steps.length - 1]).toBe('So 1/4 + 1/12 = 1/3.');
+        });
+
+        test('starts word problems with the number sentence', () => {
+            const solution = MathEngine.getWorkedSolution(MathEngine.generateProblem('word', 1, { seed: 4 }));
+
+            expect(solution.steps[0]).toMatch(/^Write the story as a number sentence: /);
+        });
+
+        test('every built-in problem type has a solution ending in the answer', () => {
+            for (const operation of ['+', '-', '*', '/', 'fraction', 'expression', 'word']) {
+                for (let seed = 0; seed < 10; seed++) {
+                    const generated = MathEngine.generateProblem(operation, 3, { seed });
+                    const solution = MathEngine.getWorkedSolution(generated);
+
+                    expect(solution.steps.length).toBeGreaterThan(0);
+                    expect(solution.steps[solution.steps.length - 1]).toContain(MathEngine.formatAnswer(generated));
+                }
+            }
+        });
+    });
+
+    describe('regrouping constraints', () => {
+        const { getRegroupingPlaces } = MathEngine._internal;
+        const generate = (operation, regrouping, range, i) => MathEngine.generateProblem(operation, 2, {
+            seed: `${regrouping}-${i}`,
+            config: { ...range, regrouping }
+        });
+        const twoDigit = { minOperand: 10, maxOperand: 99 };
+        const threeDigit = { minOperand: 100, maxOperand: 999 };
+
+        test('no regrouping keeps every column within 0-9', () => {
+            for (let i = 0; i < 30; i++) {
+                const sum = generate('+', 'none', threeDigit, i);
+                const difference = generate('-', 'none', threeDigit, i);
+
+                expect(getRegroupingPlaces(sum.operand1, sum.operand2, '+')).toEqual([]);
+                expect(getRegroupingPlaces(difference.operand1, difference.operand2, '-')).toEqual([]);
+                expect(difference.correctAnswer).toBeGreaterThanOrEqual(0);
+            }
+        });
+
+        test('required regrouping always carries or borrows somewhere', () => {
+            for (let i = 0; i < 30; i++) {
+                const sum = generate('+', 'required', twoDigit, i);
+                const difference = generate('-', 'required', twoDigit, i);
+
+                expect(sum.complexity.tags).toContain('carry');
+                expect(difference.complexity.tags).toContain('borrow');
+            }
+        });
+
+        test('a named place is the only one that regroups', () => {
+            for (let i = 0; i < 30; i++) {
+                const sum = generate('+', 'tens', threeDigit, i);
+                const difference = generate('-', 'ones', { minOperand: 1000, maxOperand: 9999 }, i);
+
+                expect(getRegroupingPlaces(sum.operand1, sum.operand2, '+')).toEqual([1]);
+                expect(getRegroupingPlaces(difference.operand1, difference.operand2, '-')).toEqual([0]);
+            }
+        });
+
+        test('operands stay inside the configured range', () => {
+            for (let i = 0; i < 30; i++) {
+                const problem = generate('+', 'none', { minOperand: 25, maxOperand: 60 }, i);
+
+                [problem.operand1, problem.operand2].forEach(operand => {
+                    expect(operand).toBeGreaterThanOrEqual(25);
+                    expect(operand).toBeLessThanOrEqual(60);
+                });
+            }
+        });
+
+        test('finds operands for rules only a few pairs follow', () => {
+            // 50 + 50 is the only sum up to 50 that carries in the tens alone
+            for (let i = 0; i < 10; i++) {
+                const problem = generate('+', 'tens', { minOperand: 1, maxOperand: 50 }, i);
+
+                expect([problem.operand1, problem.operand2]).toEqual([50, 50]);
+            }
+        });
+
+        test('counts no problems for a rule the range cannot follow, and never breaks it', () => {
+            // Subtraction can't borrow from the largest operand's top place
+            expect(MathEngine.getProblemPoolSize('-', 2, { config: { ...twoDigit, regrouping: 'tens' } })).toBe(0);
+            expect(MathEngine.getProblemPoolSize('-', 2, { config: { ...threeDigit, regrouping: 'hundreds' } })).toBe(0);
+            expect(() => generate('-', 'tens', twoDigit, 0)).toThrow('regrouping rule');
+            expect(() => generate('-', 'hundreds', threeDigit, 0)).toThrow('regrouping rule');
+        });
+
+        test('default levels 1-2 skip addition and subtraction when they cannot follow the rule', () => {
+            const config = regrouping => ({ regrouping, problemTypes: { arithmetic: 1 } });
+
+            ['tens', 'hundreds'].forEach(regrouping => {
+                expect(MathEngine.getProblemPoolSize(null, 1, { config: config(regrouping) })).toBe(0);
+                expect(() => MathEngine.generateProblem(null, 1, { seed: regrouping, config: config(regrouping) }))
+                    .toThrow('regrouping rule');
+
+                for (let i = 0; i < 20; i++) {
+                    const problem = MathEngine.generateProblem(null, 2, { seed: `${regrouping}-${i}`, config: config(regrouping) });
+                    expect(problem.operation).toBe('*');
+                }
+            });
+        });
+
+        test('counts only the pairs that follow the rule', () => {
+            const config = { minOperand: 1, maxOperand: 10, regrouping: 'required' };
+
+            expect(MathEngine.getProblemPoolSize('-', 2, { config })).toBe(9);
+        });
+
+        test('negative-number mode ignores the rule', () => {
+            const problem = MathEngine.generateProblem('+', 2, {
+                seed: 'signs',
+                config: { regrouping: 'none', allowNegativeResults: true }
+            });
+
+            expect(problem.correctAnswer).toBe(problem.operand1 + problem.operand2);
+        });
+
+        test('word problems keep to the rule even in negative-number mode', () => {
+            const config = {
+                minOperand: 1, maxOperand: 10, operations: ['+', '-'], allowNegativeResults: true, regrouping: 'hundreds'
+            };
+
+            for (let i = 0; i < 20; i++) {
+                const problem = MathEngine.generateProblem('word', 1, { seed: `story-${i}`, config });
+
+                // No story can follow the rule, so the problem is plain arithmetic instead
+                expect(problem.templateId).toBeUndefined();
+                expect(problem.correctAnswer)
+                    .toBe(MathEngine._internal.calculateAnswer(problem.operand1, problem.operand2, problem.operation));
+            }
+        });
+    });
+
+    describe('problem complexity', () => {
+        const arithmetic = (operand1, operation, operand2, extra = {}) => ({
+            type: 'arithmetic',
+            operand1,
+            operand2,
+            operation,
+            blank: 'result',
+            result: MathEngine._internal.calculateAnswer(operand1, operand2, operation),
+            ...extra
+        });
+
+        test('every generated problem carries a score, tags and features', () => {
+            const problem = MathEngine.generateProblem(null, 3, { seed: 'complexity' });
+
+            expect(problem.complexity.score).toBeGreaterThan(0);
+            expect(Array.isArray(problem.complexity.tags)).toBe(true);
+            expect(problem.complexity.features).toBeDefined();
+        });
+
+        test('scores a carry above an addition without one', () => {
+            const carry = MathEngine.getProblemComplexity(arithmetic(9, '+', 8));
+            const plain = MathEngine.getProblemComplexity(arithmetic(10, '+', 3));
+
+            expect(carry.tags).toContain('carry');
+            expect(plain.tags).not.toContain('carry');
+            expect(carry.score).toBeGreaterThan(plain.score);
+        });
+
+        test('counts every regrouping step and the digits', () => {
+            const complexity = MathEngine.getProblemComplexity(arithmetic(1000, '-', 7));
+
+            expect(complexity.tags).toContain('borrow');
+            expect(complexity.features).toMatchObject({ digits: 4, regroupings: 3 });
+            expect(MathEngine._internal.getRegroupingPlaces(58, 67, '+')).toEqual([0, 1]);
+            expect(MathEngine._internal.getRegroupingPlaces(52, 18, '-')).toEqual([0]);
+        });
+
+        test('tags hard multiplication facts and their division facts', () => {
+            expect(MathEngine.getProblemComplexity(arithmetic(7, '*', 8)).tags).toContain('hard-fact');
+            expect(MathEngine.getProblemComplexity(arithmetic(56, '/', 8)).tags).toContain('hard-fact');
+            expect(MathEngine.getProblemComplexity(arithmetic(2, '*', 8)).tags).not.toContain('hard-fact');
+        });
+
+        test('tags negatives and missing operands', () => {
+            const complexity = MathEngine.getProblemComplexity(arithmetic(-3, '-', -5, { blank: 'operand2' }));
+
+            expect(complexity.tags).toEqual(expect.arrayContaining(['negative', 'missing-operand']));
+        });
+
+        test('scores unlike denominators above like ones', () => {
+            const fraction = (operand2) => ({
+                type: 'fraction',
+                operand1: { numerator: 1, denominator: 4 },
+                operand2,
+                operation: '+',
+                correctAnswer: MathEngine._internal.calculateFraction({ numerator: 1, denominator: 4 }, operand2, '+')
+            });
+            const like = MathEngine.getProblemComplexity(fraction({ numerator: 1, denominator: 4 }));
+            const unlike = MathEngine.getProblemComplexity(fraction({ numerator: 1, denominator: 3 }));
+
+            expect(like.tags).toContain('simplify');
+            expect(unlike.tags).toContain('unlike-denominators');
+            expect(unlike.score).toBeGreaterThan(like.score);
+        });
+
+        test('scores expressions by operands and parentheses', () => {
+            const problem = MathEngine.generateProblem('expression', 3, {
+                seed: 'tree',
+                config: { expressions: { minOperands: 4, maxOperands: 4, allowParentheses: true } }
+            });
+
+            expect(problem.complexity.features.operandCount).toBe(4);
+            expect(problem.complexity.score).toBeGreaterThanOrEqual(4);
+        });
+
+        test('word problems score above the bare calculation', () => {
+            const problem = MathEngine.generateProblem('word', 2, { seed: 'story' });
+            const bare = MathEngine.getProblemComplexity({ ...problem, type: 'arithmetic' });
+
+            expect(problem.complexity.tags).toContain('word-problem');
+            expect(problem.complexity.score).toBeGreaterThan(bare.score);
+        });
+
+        test('types without a complexity function score their level', () => {
+            expect(MathEngine.getProblemComplexity({ type: 'unknown', difficulty: 2 }))
+                .toEqual({ score: 2, tags: [], features: {} });
+        });
+
+        test('bands slide up through a level as progress grows', () => {
+            const start = MathEngine.getComplexityBand(2, 0);
+            const end = MathEngine.getComplexityBand(2, 1);
+
+            expect(start.max).toBeGreaterThan(start.min);
+            expect(end.min).toBeGreaterThan(start.min);
+            expect(end.max).toBeGreaterThan(start.max);
+        });
+
+        test('places a score within its level, inverting the band', () => {
+            expect(MathEngine.getComplexityProgress(2, 2)).toBe(0);
+            expect(MathEngine.getComplexityProgress(2, 3)).toBe(1);
+            expect(MathEngine.getComplexityProgress(3, 4)).toBeCloseTo(0.5);
+            expect(MathEngine.getComplexityProgress(1, 0.5)).toBe(0);
+
+            const band = MathEngine.getComplexityBand(3, 0.25);
+            expect(MathEngine.getComplexityProgress(3, (band.min + band.max) / 2)).toBeCloseTo(0.25);
+        });
+
+        test('generates problems inside the requested band', () => {
+            const complexity = MathEngine.getComplexityBand(3, 1);
+
+            for (let i = 0; i < 20; i++) {
+                const problem = MathEngine.generateProblem(null, 3, { seed: `band-${i}`, config: { complexity } });
+                expect(problem.complexity.score).toBeGreaterThanOrEqual(complexity.min);
+                expect(problem.complexity.score).toBeLessThanOrEqual(complexity.max);
+            }
+        });
+
+        test('settles for the closest problem when the band is out of reach', () => {
+            const problem = MathEngine.generateProblem('+', 1, {
+                seed: 'reach',
+                config: { maxOperand: 5, complexity: { min: 10, max: 12 } }
+            });
+
+            expect(problem.operation).toBe('+');
+            expect(problem.complexity.score).toBeLessThan(10);
+        });
+    });
+
+    describe('repeat avoidance', () => {
+        test('does not repeat a fact or its commuted twin until the pool runs out', () => {
+            const history = MathEngine.createProblemHistory();
+            const config = { maxOperand: 3, minOperand: 1 };
+            const keys = [];
+
+            for (let i = 0; i < 6; i++) {
+                const problem = MathEngine.generateProblem('+', 1, { seed: `pool-${i}`, config, history });
+                keys.push(MathEngine.getProblemKey(problem));
+            }
+
+            expect(MathEngine.getProblemPoolSize('+', 1, { config })).toBe(6);
+            expect(new Set(keys).size).toBe(6);
+        });
+
+        test('keeps generating once a tiny pool is used up', () => {
+            const history = MathEngine.createProblemHistory();
+            const config = { maxOperand: 1, minOperand: 1 };
+
+            for (let i = 0; i < 5; i++) {
+                const problem = MathEngine.generateProblem('+', 1, { seed: i, config, history });
+                expect(problem.correctAnswer).toBe(2);
+            }
+        });
+
+        test('starts a new cycle without repeating the last problem', () => {
+            const history = MathEngine.createProblemHistory();
+            const config = { maxOperand: 2, minOperand: 1 };
+            const keys = [];
+
+            for (let i = 0; i < 6; i++) {
+                const problem = MathEngine.generateProblem('+', 1, { seed: `cycle-${i}`, config, history });
+                keys.push(MathEngine.getProblemKey(problem));
+            }
+
+            for (let i = 1; i < keys.length; i++) {
+                expect(keys[i]).not.toBe(keys[i - 1]);
+            }
+        });
+
+        test('gives commuted problems the same key', () => {
+            const problem = MathEngine.generateProblem('*', 2, { seed: 'key' });
+            const twin = {
+                ...problem,
+                operand1: problem.operand2,
+                operand2: problem.operand1,
+                displayText: `${problem.operand2} × ${problem.operand1} = ?`
+            };
+
+            expect(MathEngine.getProblemKey(twin)).toBe(MathEngine.getProblemKey(problem));
+        });
+
+        test('keeps order for non-commutative operations', () => {
+            const a = MathEngine.getProblemKey({ type: 'arithmetic', operation: '-', operand1: 8, operand2: 3 });
+            const b = MathEngine.getProblemKey({ type: 'arithmetic', operation: '-', operand1: 3, operand2: 8 });
+
+            expect(a).not.toBe(b);
+        });
+
+        test('counts the pool for each level', () => {
+            expect(MathEngine.getProblemPoolSize(null, 1)).toBe(110);
+            expect(MathEngine.getProblemPoolSize(null, 2)).toBe(475);
+            expect(MathEngine.getProblemPoolSize(null, 3)).toBe(Infinity);
+        });
+
+        test('counts fact deck problems', () => {
+            const factDeck = MathEngine.createFactDeck(['times-7'], { seed: 1 });
+
+            expect(MathEngine.getProblemPoolSize('fact', 1, { config: { factDeck } })).toBe(factDeck.facts.length);
+        });
+    });
+
     describe('getAllowedOperations', () => {
         test('returns correct operations for level 1', () => {
             const ops = MathEngine.getAllowedOperations(1);
@@ -0,0 +1,193 @@
+/**
+ * Money Problems Unit Tests
+ * Tests for the money counting, price and change problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const MoneyProblems = require('../js/money-problems.js');
+const { seededGenerator, findProblem } = require('./helpers/problem-types.js');
+
+describe('MoneyProblems', () => {
+    const generate = seededGenerator(MoneyProblems.TYPE_ID);
+
+    const generateKind = (kind, difficulty, config) =>
+        findProblem(generate, difficulty, problem => problem.moneyKind === kind, config);
+
+    test('ships with dollars and euros', () => {
+        expect(MoneyProblems.getCurrencies()).toEqual(expect.arrayContaining(['USD', 'EUR']));
+    });
+
+    test('parses the ways players write amounts', () => {
+        const accepted = {
+            '$1.35': [135, '$'],
+            '1.35': [135, null],
+            '1,35': [135, null],
+            '1.35 €': [135, '€'],
+            '€1.35': [135, '€'],
+            '$1.5': [150, '$'],
+            '$2': [200, '$'],
+            '1,350.00': [135000, null],
+            '35¢': [35, null],
+            '35c': [35, null],
+            '35 cents': [35, null]
+        };
+
+        Object.entries(accepted).forEach(([input, [cents, symbol]]) => {
+            expect(MoneyProblems.parseMoney(input)).toEqual({ valid: true, cents, symbol });
+        });
+    });
+
+    test('explains why an amount was rejected', () => {
+        expect(MoneyProblems.parseMoney('').reason).toBe('empty');
+        expect(MoneyProblems.parseMoney('lots').reason).toBe('not-money');
+        expect(MoneyProblems.parseMoney('$1.35$').reason).toBe('not-money');
+        expect(MoneyProblems.parseMoney('$1.355').reason).toBe('too-many-decimals');
+    });
+
+    test('formats amounts in the currency', () => {
+        expect(MoneyProblems.formatMoney(135)).toBe('$1.35');
+        expect(MoneyProblems.formatMoney(5, 'USD')).toBe('$0.05');
+        expect(MoneyProblems.formatMoney(2000, 'EUR')).toBe('€20.00');
+    });
+
+    test('checks answers exactly, in cents', () => {
+        const problem = generateKind('total', 2);
+        const answer = MoneyProblems.formatMoney(problem.correctAnswer);
+
+        expect(Number.isInteger(problem.correctAnswer)).toBe(true);
+        expect(MathEngine.evaluateAnswer(answer, problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(answer.slice(1), problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(`${problem.correctAnswer}¢`, problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(MoneyProblems.formatMoney(problem.correctAnswer + 1), problem).reason)
+            .toBe('incorrect');
+        expect(MathEngine.formatAnswer(problem)).toBe(answer);
+    });
+
+    test('asks for the problem\'s own currency sign', () => {
+        const problem = generate(1, 0, { currency: 'EUR' });
+        const evaluation = MathEngine.evaluateAnswer(`$${MoneyProblems.formatMoney(problem.correctAnswer).slice(1)}`, problem);
+
+        expect(evaluation.reason).toBe('invalid');
+        expect(evaluation.inputError).toBe('wrong-currency');
+        expect(evaluation.message).toMatch(/€/);
+    });
+
+    test('counting problems add up the pieces shown', () => {
+        for (let i = 0; i < 30; i++) {
+            const problem = generate(1, i);
+            if (problem.moneyKind !== 'count') continue;
+
+            const settings = MoneyProblems.LEVELS[1];
+            expect(problem.pieces.length).toBeGreaterThanOrEqual(2);
+            expect(problem.pieces.length).toBeLessThanOrEqual(settings.maxPieces);
+            expect(Math.max(...problem.pieces)).toBeLessThanOrEqual(settings.maxDenomination);
+            expect(problem.correctAnswer).toBe(problem.pieces.reduce((sum, value) => sum + value, 0));
+            expect(problem.displayParts[0].svg).toBe(MoneyProblems.renderMoney(problem.pieces, 'USD'));
+        }
+    });
+
+    test('change is the payment less the price', () => {
+        for (const currency of ['USD', 'EUR']) {
+            for (let i = 0; i < 30; i++) {
+                const problem = generate(3, i, { currency });
+                if (problem.moneyKind !== 'change') continue;
+
+                expect(problem.payment).toBeGreaterThan(problem.items[0].price);
+                expect(problem.correctAnswer).toBe(problem.payment - problem.items[0].price);
+                expect(problem.displayParts.map(part => part.type)).toEqual(['svg', 'svg', 'text']);
+            }
+        }
+    });
+
+    test('level 1 keeps prices small and skips change', () => {
+        for (let i = 0; i < 30; i++) {
+            const problem = generate(1, i);
+
+            expect(problem.moneyKind).not.toBe('change');
+            (problem.items || []).forEach(item => {
+                expect(item.price % MoneyProblems.LEVELS[1].priceStep).toBe(0);
+                expect(item.price).toBeLessThanOrEqual(MoneyProblems.LEVELS[1].maxPrice);
+            });
+        }
+    });
+
+    test('draws coins and bills from the data', () => {
+        const usd = MoneyProblems.renderMoney([2000, 25, 1], 'USD');
+        const eur = MoneyProblems.renderMoney([200, 50], 'EUR');
+
+        expect(usd).toMatch(/^<svg class="money-figure"/);
+        expect(usd.match(/class="money-bill"/g)).toHaveLength(1);
+        expect(usd.match(/class="money-coin"/g)).toHaveLength(2);
+        expect(usd).toContain('>$20<');
+        expect(eur.match(/class="money-coin"/g)).toHaveLength(2);
+        expect(eur).toContain('>€2<');
+        expect(MoneyProblems.renderPriceTags([{ name: 'banana', price: 35 }])).toContain('>$0.35<');
+    });
+
+    test('worked solutions count on, add in cents or count up the change', () => {
+        const count = MathEngine.getWorkedSolution(generateKind('count', 2));
+        expect(count.method).toBe('count-money');
+
+        const total = generateKind('total', 2);
+        const totalSolution = MathEngine.getWorkedSolution(total);
+        expect(totalSolution.method).toBe('add-prices');
+        expect(totalSolution.steps[1]).toMatch(new RegExp(`= ${total.correctAnswer}¢\\.$`));
+
+        const change = generateKind('change', 3, { currency: 'EUR' });
+        const changeSolution = MathEngine.getWorkedSolution(change);
+        expect(changeSolution.method).toBe('count-up-change');
+        expect(changeSolution.steps[changeSolution.steps.length - 2])
+            .toMatch(new RegExp(`to reach ${MoneyProblems.formatMoney(change.payment, 'EUR').replace('.', '\\.')}\\.$`));
+    });
+
+    test('multiple choice offers the slips made working out change', () => {
+        const problem = { ...generateKind('change', 2), items: [{ price: 135 }], payment: 200, correctAnswer: 65 };
+        const mistakes = Object.fromEntries(MathEngine.generateChoices(problem, { seed: 'change', count: 6 })
+            .filter(choice => choice.mistake)
+            .map(choice => [choice.mistake, choice.text]));
+
+        expect(mistakes).toEqual(expect.objectContaining({
+            'gave-price': '$1.35', added: '$3.35', 'forgot-borrow': '$1.65', 'decimal-point': '$6.50'
+        }));
+    });
+
+    test('carrying cents scores as more complex', () => {
+        const base = { type: 'money', moneyKind: 'total', currency: 'USD' };
+        const easy = MathEngine.getProblemComplexity({ ...base, items: [{ price: 120 }, { price: 50 }] });
+        const carry = MathEngine.getProblemComplexity({ ...base, items: [{ price: 175 }, { price: 50 }] });
+
+        expect(carry.tags).toContain('carry-cents');
+        expect(carry.score).toBeGreaterThan(easy.score);
+    });
+
+    test('the same amounts in another currency or paid differently are different problems', () => {
+        const problem = generateKind('change', 2);
+        const key = MathEngine.getProblemKey(problem);
+
+        expect(MathEngine.getProblemKey({ ...problem, currency: 'EUR' })).not.toBe(key);
+        expect(MathEngine.getProblemKey({ ...problem, payment: problem.payment + 100 })).not.toBe(key);
+        expect(MathEngine.getProblemKey({ ...problem, displayText: 'How much change?' })).toBe(key);
+        expect(MathEngine.getProblemPoolSize('money', 1)).toBeGreaterThan(100);
+    });
+
+    test('new currencies can be registered', () => {
+        MoneyProblems.registerCurrency('GBP', {
+            symbol: '£',
+            centSymbol: 'p',
+            name: 'pounds',
+            pieces: [
+                { value: 100, kind: 'coin', label: '£1', size: 22, fill: '#e6c35c', stroke: '#a67c00' },
+                { value: 10, kind: 'coin', label: '10p', size: 20, fill: '#d4d4d4', stroke: '#8a8a8a' },
+                { value: 500, kind: 'bill', label: '£5', fill: '#c8e6c9', stroke: '#2e7d32' }
+            ]
+        });
+
+        const problem = generate(2, 1, { currency: 'GBP' });
+        expect(MathEngine.formatAnswer(problem)).toMatch(/^£\d+\.\d{2}$/);
+        expect(MoneyProblems.parseMoney('£1.10')).toEqual({ valid: true, cents: 110, symbol: '£' });
+
+        expect(() => MoneyProblems.registerCurrency('gbp', {})).toThrow('three capital letters');
+        expect(() => MathEngine.generateProblem('money', 1, { seed: 1, config: { currency: 'XYZ' } }))
+            .toThrow('Unknown currency "XYZ"');
+    });
+});
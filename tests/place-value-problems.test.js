@@ -0,0 +1,158 @@
+/**
+ * Place Value Problems Unit Tests
+ * Tests for the rounding, digit value, expanded form and comparison problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const PlaceValueProblems = require('../js/place-value-problems.js');
+const { seededGenerator, findProblem } = require('./helpers/problem-types.js');
+
+describe('PlaceValueProblems', () => {
+    const generate = seededGenerator(PlaceValueProblems.TYPE_ID);
+
+    const generateKind = (kind, difficulty, direction) => findProblem(generate, difficulty, problem =>
+        problem.placeValueKind === kind && (!direction || problem.expandedDirection === direction));
+
+    test('keeps numbers within each level\'s range', () => {
+        for (const difficulty of [1, 2, 3]) {
+            const { minValue, maxValue } = PlaceValueProblems.LEVELS[difficulty];
+            for (let i = 0; i < 30; i++) {
+                const problem = generate(difficulty, i);
+
+                (problem.numbers || [problem.number]).forEach(number => {
+                    expect(number).toBeLessThanOrEqual(maxValue);
+                    expect(number).toBeGreaterThanOrEqual(Math.min(minValue, 10));
+                });
+            }
+        }
+    });
+
+    test('rounds half up to the asked place', () => {
+        for (let i = 0; i < 40; i++) {
+            const problem = generate(2, i);
+            if (problem.placeValueKind !== 'round') continue;
+
+            expect(PlaceValueProblems.LEVELS[2].places).toContain(problem.place);
+            expect(problem.correctAnswer % problem.place).toBe(0);
+            expect(Math.abs(problem.correctAnswer - problem.number)).toBeLessThanOrEqual(problem.place / 2);
+            expect(problem.displayText).toMatch(/^Round [\d,]+ to the nearest [\d,]+$/);
+        }
+    });
+
+    test('underlines the digit whose value is asked', () => {
+        for (let i = 0; i < 40; i++) {
+            const problem = generate(3, i);
+            if (problem.placeValueKind !== 'digit-value') continue;
+
+            const [before, underline, after] = problem.displayParts;
+            expect(underline.type).toBe('underline');
+            expect(Number(underline.text) * problem.place).toBe(problem.correctAnswer);
+            expect(before.text + underline.text + after.text).toBe(problem.displayText);
+        }
+    });
+
+    test('reads expanded form back as a number', () => {
+        const problem = generateKind('expanded', 1, 'to-standard');
+
+        expect(problem.displayText).toBe(`${PlaceValueProblems.formatExpanded(problem.number)} = ?`);
+        expect(MathEngine.evaluateAnswer(String(problem.number), problem).correct).toBe(true);
+        expect(PlaceValueProblems.formatExpanded(4021)).toBe('4000 + 20 + 1');
+    });
+
+    test('checks written expanded form by place, not just the total', () => {
+        const problem = { ...generateKind('expanded', 2, 'to-expanded'), correctAnswer: 4321, number: 4321 };
+
+        expect(MathEngine.evaluateAnswer('4000 + 300 + 20 + 1', problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer('1 + 20 + 300 + 4000', problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer('4 × 1000 + 3 × 100 + 2 × 10 + 1', problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer('4000 + 321', problem).reason).toBe('not-expanded');
+        expect(MathEngine.evaluateAnswer('4321', problem).reason).toBe('not-expanded');
+        expect(MathEngine.evaluateAnswer('4000 + 300 + 20 + 2', problem).reason).toBe('incorrect');
+        expect(MathEngine.evaluateAnswer('lots', problem).reason).toBe('invalid');
+        expect(MathEngine.formatAnswer(problem)).toBe('4000 + 300 + 20 + 1');
+    });
+
+    test('compares numbers with <, > or =', () => {
+        for (let i = 0; i < 40; i++) {
+            const problem = generate(2, i);
+            if (problem.placeValueKind !== 'compare') continue;
+
+            const [a, b] = problem.numbers;
+            expect(problem.correctAnswer).toBe(a < b ? '<' : a > b ? '>' : '=');
+            expect(MathEngine.evaluateAnswer(problem.correctAnswer, problem).correct).toBe(true);
+        }
+
+        expect(PlaceValueProblems.parseComparison('less than')).toEqual({ valid: true, sign: '<' });
+        expect(PlaceValueProblems.parseComparison('Greater')).toEqual({ valid: true, sign: '>' });
+        expect(PlaceValueProblems.parseComparison('>=').reason).toBe('not-a-comparison');
+    });
+
+    test('worked solutions explain each kind', () => {
+        const round = MathEngine.getWorkedSolution({ type: 'place-value', placeValueKind: 'round', number: 4837, place: 100, correctAnswer: 4800 });
+        expect(round.method).toBe('round-to-place');
+        expect(round.steps).toEqual([
+            'The hundreds digit of 4,837 is 8.',
+            'Look at the digit to its right: 3. It is less than 5, so round down.',
+            '4,837 rounded to the nearest 100 is 4,800.'
+        ]);
+
+        const expanded = MathEngine.getWorkedSolution({
+            type: 'place-value', placeValueKind: 'expanded', expandedDirection: 'to-expanded', number: 4021, correctAnswer: 4021
+        });
+        expect(expanded.steps[0]).toBe('4,021 has 4 thousands, 0 hundreds, 2 tens and 1 one.');
+        expect(expanded.steps[expanded.steps.length - 1]).toBe('So 4,021 = 4000 + 20 + 1.');
+
+        const compare = MathEngine.getWorkedSolution({ type: 'place-value', placeValueKind: 'compare', numbers: [4837, 4873], correctAnswer: '<' });
+        expect(compare.steps[1]).toBe('The first difference is in the tens place: 3 < 7.');
+    });
+
+    test('multiple choice offers rounding and expanded-form slips', () => {
+        const mistakes = problem => MathEngine.generateChoices(problem, { seed: 'place', count: 6 })
+            .map(choice => [choice.mistake, choice.text]);
+        const round = { ...generateKind('round', 2), number: 4837, place: 100, correctAnswer: 4800 };
+        const expanded = { ...generateKind('expanded', 2, 'to-expanded'), number: 4021, correctAnswer: 4021 };
+
+        expect(mistakes(round)).toEqual(expect.arrayContaining([
+            ['rounded-wrong-way', '4,900'], ['wrong-place', '5,000'], ['wrong-place', '4,840'], ['not-rounded', '4,837']
+        ]));
+        expect(mistakes(expanded)).toEqual(expect.arrayContaining([
+            ['digits-only', '4 + 2 + 1'], ['wrong-place', '40000 + 20 + 1']
+        ]));
+    });
+
+    test('multiple choice options are graded consistently', () => {
+        for (const difficulty of [1, 2, 3]) {
+            for (let i = 0; i < 20; i++) {
+                const problem = generate(difficulty, i, { multipleChoice: true });
+                const texts = problem.choices.map(choice => choice.text);
+
+                expect(new Set(texts).size).toBe(texts.length);
+                problem.choices.forEach(choice => {
+                    expect(MathEngine.evaluateAnswer(choice.text, problem).correct).toBe(choice.correct);
+                });
+            }
+        }
+    });
+
+    test('rounding that carries and zeros inside a number score as more complex', () => {
+        const round = (number, correctAnswer) => MathEngine.getProblemComplexity({
+            type: 'place-value', placeValueKind: 'round', number, place: 100, correctAnswer
+        });
+        const expanded = number => MathEngine.getProblemComplexity({
+            type: 'place-value', placeValueKind: 'expanded', expandedDirection: 'to-standard', number
+        });
+
+        expect(round(4962, 5000).tags).toContain('carry');
+        expect(round(4962, 5000).score).toBeGreaterThan(round(4837, 4800).score);
+        expect(expanded(4021).tags).toContain('zeros');
+        expect(expanded(4021).score).toBeGreaterThan(expanded(4321).score);
+    });
+
+    test('rounding the same number to another place is a different problem', () => {
+        const problem = generateKind('round', 2);
+        const key = MathEngine.getProblemKey(problem);
+
+        expect(MathEngine.getProblemKey({ ...problem, place: problem.place * 10 })).not.toBe(key);
+        expect(MathEngine.getProblemKey({ ...problem, placeValueKind: 'digit-value' })).not.toBe(key);
+    });
+});
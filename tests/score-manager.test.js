@@ -120,6 +120,16 @@ describe('ScoreManager', () => {
             const score = ScoreManager.getScore();
             expect(score.bestStreakThisGame).toBe(3);
         });
+
+        test('scales points by partial credit', () => {
+            const full = ScoreManager.updateScore(true, 2);
+
+            ScoreManager.resetGame();
+            const half = ScoreManager.updateScore(true, 2, 0.5);
+
+            expect(half.pointsEarned).toBe(Math.round(full.pointsEarned * 0.5));
+            expect(half.streak).toBe(1);
+        });
     });
 
     describe('resetGame', () => {
@@ -242,6 +252,83 @@ describe('ScoreManager', () => {
         });
     });
 
+    describe('preferences', () => {
+        test('returns defaults when nothing is saved', () => {
+            expect(ScoreManager.getPreferences()).toEqual(ScoreManager.DEFAULT_PREFERENCES);
+        });
+
+        test('can set and persist a preference', () => {
+            ScoreManager.setPreference('fractions', true);
+            expect(ScoreManager.getPreferences().fractions).toBe(true);
+
+            const saved = JSON.parse(localStorage.getItem(ScoreManager.STORAGE_KEY));
+            expect(saved.preferences.fractions).toBe(true);
+        });
+
+        test('fills in defaults for preferences missing from saved data', () => {
+            localStorage.setItem(ScoreManager.STORAGE_KEY, JSON.stringify({ preferences: {} }));
+            ScoreManager.init();
+
+            expect(ScoreManager.getPreferences().requireSimplified).toBe(false);
+        });
+
+        test('clearAllData resets preferences', () => {
+            ScoreManager.setPreference('requireSimplified', true);
+            ScoreManager.clearAllData();
+
+            expect(ScoreManager.getPreferences().requireSimplified).toBe(false);
+        });
+    });
+
+    describe('difficulty profiles', () => {
+        const profile = { id: 'custom-1', name: 'Grade 2', levels: {} };
+
+        test('saves profiles and replaces ones with the same id', () => {
+            ScoreManager.saveProfile(profile);
+            ScoreManager.saveProfile({ ...profile, name: 'Grade 2b' });
+
+            expect(ScoreManager.getProfiles()).toEqual([{ ...profile, name: 'Grade 2b' }]);
+
+            const saved = JSON.parse(localStorage.getItem(ScoreManager.STORAGE_KEY));
+            expect(saved.profiles).toHaveLength(1);
+        });
+
+        test('tracks the active profile', () => {
+            expect(ScoreManager.getActiveProfile()).toBeNull();
+
+            ScoreManager.saveProfile(profile);
+            ScoreManager.setActiveProfileId('custom-1');
+            expect(ScoreManager.getActiveProfile()).toEqual(profile);
+        });
+
+        test('deleting the active profile falls back to the built-in one', () => {
+            ScoreManager.saveProfile(profile);
+            ScoreManager.setActiveProfileId('custom-1');
+            ScoreManager.deleteProfile('custom-1');
+
+            expect(ScoreManager.getProfiles()).toEqual([]);
+            expect(ScoreManager.getActiveProfile()).toBeNull();
+        });
+    });
+
+    describe('skill rating', () => {
+        test('starts with no saved rating', () => {
+            expect(ScoreManager.getSkill()).toBeNull();
+        });
+
+        test('saves and persists the rating', () => {
+            const skill = { rating: 1234, answered: 60, history: [1180, 1234] };
+            ScoreManager.saveSkill(skill);
+            skill.history.push(0);
+
+            expect(ScoreManager.getSkill()).toEqual({ rating: 1234, answered: 60, history: [1180, 1234] });
+            expect(JSON.parse(localStorage.getItem(ScoreManager.STORAGE_KEY)).skill.rating).toBe(1234);
+
+            ScoreManager.clearAllData();
+            expect(ScoreManager.getSkill()).toBeNull();
+        });
+    });
+
     describe('getLifetimeStats', () => {
         test('returns complete stats object', () => {
             const stats = ScoreManager.getLifetimeStats();
@@ -0,0 +1,149 @@
+/**
+ * Sequence Problems Unit Tests
+ * Tests for the number sequence and pattern problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const SequenceProblems = require('../js/sequence-problems.js');
+const { seededGenerator, applyStep } = require('./helpers/problem-types.js');
+
+describe('SequenceProblems', () => {
+    const generate = seededGenerator(SequenceProblems.TYPE_ID);
+
+    test('every term follows the rule', () => {
+        for (const difficulty of [1, 2, 3]) {
+            for (let i = 0; i < 40; i++) {
+                const { sequence, blankIndex, correctAnswer } = generate(difficulty, i);
+
+                sequence.terms.slice(1).forEach((term, index) => {
+                    expect(term).toBe(applyStep(sequence.terms[index], sequence.steps[index % sequence.steps.length]));
+                });
+                sequence.terms.forEach(term => {
+                    expect(Number.isInteger(term)).toBe(true);
+                    expect(term).toBeGreaterThanOrEqual(0);
+                });
+                expect(correctAnswer).toBe(sequence.terms[blankIndex]);
+            }
+        }
+    });
+
+    test('scales rules with the level', () => {
+        const kinds = { 1: new Set(), 3: new Set() };
+
+        for (let i = 0; i < 60; i++) {
+            const easy = generate(1, i);
+            kinds[1].add(easy.sequence.kind);
+            kinds[3].add(generate(3, i).sequence.kind);
+
+            // Easy patterns count up and ask for the next term
+            expect(easy.sequence.steps).toEqual([{ operation: '+', value: expect.any(Number) }]);
+            expect(easy.blankIndex).toBe(easy.sequence.terms.length - 1);
+        }
+
+        expect(Array.from(kinds[1]).sort()).toEqual(['arithmetic', 'skip']);
+        expect(Array.from(kinds[3]).sort()).toEqual(['alternating', 'arithmetic', 'geometric', 'skip']);
+    });
+
+    test('puts the missing term anywhere from level 2', () => {
+        const positions = new Set();
+        for (let i = 0; i < 60; i++) {
+            positions.add(generate(2, i).blankIndex);
+        }
+
+        expect(Array.from(positions).sort()).toEqual([0, 1, 2, 3, 4]);
+    });
+
+    test('skip counting starts on a multiple of the step', () => {
+        for (let i = 0; i < 60; i++) {
+            const { sequence } = generate(1, i);
+            if (sequence.kind !== 'skip') continue;
+
+            expect(SequenceProblems.LEVELS[1].skipSteps).toContain(sequence.steps[0].value);
+            expect(sequence.terms[0] % sequence.steps[0].value).toBe(0);
+        }
+    });
+
+    test('keeps geometric terms within the level', () => {
+        for (let i = 0; i < 60; i++) {
+            const { sequence } = generate(3, i);
+            if (sequence.kind !== 'geometric') continue;
+
+            expect(Math.max(...sequence.terms)).toBeLessThanOrEqual(SequenceProblems.LEVELS[3].maxValue);
+            expect(sequence.terms.length).toBeGreaterThanOrEqual(4);
+        }
+    });
+
+    test('negatives let arithmetic sequences cross zero', () => {
+        let sawNegative = false;
+        for (let i = 0; i < 60 && !sawNegative; i++) {
+            sawNegative = generate(2, i, { allowNegativeResults: true }).sequence.terms.some(term => term < 0);
+        }
+
+        expect(sawNegative).toBe(true);
+    });
+
+    test('shows the missing term as a blank', () => {
+        const problem = generate(1, 0);
+
+        expect(problem.displayText).toBe(`Find the missing number: ${SequenceProblems.renderSequence(problem.sequence.terms, problem.blankIndex)}`);
+        expect(problem.displayParts[problem.displayParts.length - 1]).toEqual({ type: 'blank' });
+        expect(MathEngine.evaluateAnswer(String(problem.correctAnswer), problem).correct).toBe(true);
+    });
+
+    test('describes rules in words', () => {
+        expect(SequenceProblems.describeRule({ kind: 'skip', steps: [{ operation: '+', value: 5 }] }))
+            .toBe('count by 5s (add 5 each time)');
+        expect(SequenceProblems.describeRule({ kind: 'geometric', steps: [{ operation: '/', value: 2 }] }))
+            .toBe('divide by 2 each time');
+        expect(SequenceProblems.describeRule({
+            kind: 'alternating',
+            steps: [{ operation: '+', value: 3 }, { operation: '-', value: 1 }]
+        })).toBe('add 3, then subtract 1, and repeat');
+    });
+
+    test('worked solutions state the rule, then fill the gap', () => {
+        for (let i = 0; i < 30; i++) {
+            const problem = generate(2, i);
+            const solution = MathEngine.getWorkedSolution(problem);
+
+            expect(solution.method).toBe('find-the-rule');
+            expect(solution.steps[1]).toBe(`The rule is: ${SequenceProblems.describeRule(problem.sequence)}.`);
+            expect(solution.steps[2]).toMatch(problem.blankIndex === 0 ? /work backwards/ : /comes after/);
+            expect(solution.steps[2]).toMatch(new RegExp(`= ${problem.correctAnswer}\\.$`));
+        }
+    });
+
+    test('multiple choice offers the gap added instead of the rule applied', () => {
+        const problem = {
+            ...generate(2, 0),
+            sequence: { kind: 'geometric', steps: [{ operation: '*', value: 2 }], terms: [3, 6, 12, 24, 48] },
+            blankIndex: 3,
+            correctAnswer: 24
+        };
+        const mistakes = Object.fromEntries(MathEngine.generateChoices(problem, { seed: 'doubling', count: 6 })
+            .filter(choice => choice.mistake)
+            .map(choice => [choice.mistake, choice.text]));
+
+        expect(mistakes).toEqual(expect.objectContaining({ 'added-difference': '18', 'repeated-neighbour': '48' }));
+    });
+
+    test('alternating rules and a missing first term score as more complex', () => {
+        const simple = MathEngine.getProblemComplexity({
+            type: 'sequence',
+            sequence: { kind: 'arithmetic', steps: [{ operation: '+', value: 3 }], terms: [2, 5, 8, 11, 14] },
+            blankIndex: 4
+        });
+        const hard = MathEngine.getProblemComplexity({
+            type: 'sequence',
+            sequence: {
+                kind: 'alternating',
+                steps: [{ operation: '*', value: 2 }, { operation: '+', value: 1 }],
+                terms: [3, 6, 7, 14, 15]
+            },
+            blankIndex: 0
+        });
+
+        expect(hard.tags).toEqual(['alternating', 'mixed-operations', 'missing-first']);
+        expect(hard.score).toBeGreaterThan(simple.score);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Time Problems Unit Tests
+ * Tests for the clock-reading and elapsed-time problem type
+ */
+
+const MathEngine = require('../js/math-engine.js');
+const TimeProblems = require('../js/time-problems.js');
+const { seededGenerator } = require('./helpers/problem-types.js');
+
+describe('TimeProblems', () => {
+    const generate = seededGenerator(TimeProblems.TYPE_ID);
+
+    test('parses the ways players write times', () => {
+        const accepted = {
+            '3:05': [3, 5],
+            '3.05': [3, 5],
+            '03:05': [3, 5],
+            '3:05 pm': [3, 5],
+            '15:05': [3, 5],
+            '12:00': [12, 0],
+            '0:30': [12, 30],
+            '3': [3, 0],
+            '3 o\'clock': [3, 0],
+            '3 o’clock': [3, 0],
+            'half past 3': [3, 30],
+            'quarter past 3': [3, 15],
+            'quarter to 4': [3, 45]
+        };
+
+        Object.entries(accepted).forEach(([input, [hours, minutes]]) => {
+            expect(TimeProblems.parseTime(input)).toEqual({ valid: true, hours, minutes });
+        });
+    });
+
+    test('explains why a time was rejected', () => {
+        expect(TimeProblems.parseTime('').reason).toBe('empty');
+        expect(TimeProblems.parseTime('three').reason).toBe('not-a-time');
+        expect(TimeProblems.parseTime('3:5').reason).toBe('short-minutes');
+        expect(TimeProblems.parseTime('3:75').reason).toBe('out-of-range');
+        expect(TimeProblems.parseTime('25:00').reason).toBe('out-of-range');
+        expect(TimeProblems.parseTime('3:5').message).toMatch(/two digits/);
+    });
+
+    test('wraps around twelve o\'clock', () => {
+        expect(TimeProblems.addMinutes({ hours: 11, minutes: 45 }, 30)).toEqual({ hours: 12, minutes: 15 });
+        expect(TimeProblems.addMinutes({ hours: 12, minutes: 50 }, 20)).toEqual({ hours: 1, minutes: 10 });
+        expect(TimeProblems.addMinutes({ hours: 1, minutes: 10 }, -20)).toEqual({ hours: 12, minutes: 50 });
+        expect(TimeProblems.formatTime({ hours: 3, minutes: 5 })).toBe('3:05');
+    });
+
+    test('sets the clock to each level\'s precision', () => {
+        for (const difficulty of [1, 2, 3]) {
+            const finest = Math.min(...TimeProblems.LEVELS[difficulty].steps);
+            for (let i = 0; i < 30; i++) {
+                const problem = generate(difficulty, i);
+
+                expect(problem.clock.minutes % finest).toBe(0);
+                expect(problem.clock.hours).toBeGreaterThanOrEqual(1);
+                expect(problem.clock.hours).toBeLessThanOrEqual(12);
+                if (difficulty === 1) {
+                    expect(problem.timeKind).toBe('read');
+                }
+            }
+        }
+    });
+
+    test('elapsed answers count on from the clock', () => {
+        let sawElapsed = false;
+
+        for (let i = 0; i < 30; i++) {
+            const problem = generate(3, i);
+            expect(problem.correctAnswer).toEqual(TimeProblems.addMinutes(problem.clock, problem.elapsed));
+
+            if (problem.timeKind === 'elapsed') {
+                sawElapsed = true;
+                expect(problem.elapsed).toBeGreaterThan(0);
+                expect(problem.displayText).toMatch(/later\?$/);
+            }
+        }
+
+        expect(sawElapsed).toBe(true);
+    });
+
+    test('draws the hands where the time says', () => {
+        const svg = TimeProblems.renderClockFace({ hours: 3, minutes: 0 });
+        const hand = name => svg.match(new RegExp(`clock-hand-${name}" x1="100" y1="100" x2="([\\d.]+)" y2="([\\d.]+)"`))
+            .slice(1).map(Number);
+
+        expect(svg).toMatch(/^<svg /);
+        expect(hand('hour')).toEqual([148, 100]);
+        expect(hand('minute')).toEqual([100, 26]);
+
+        // Half past, the hour hand is halfway to the next number
+        const half = TimeProblems.renderClockFace({ hours: 3, minutes: 30 });
+        expect(half).toContain('clock-hand-hour" x1="100" y1="100" x2="146.36" y2="112.42"');
+    });
+
+    test('shows the clock as a picture above the question', () => {
+        const problem = generate(2, 0);
+
+        expect(problem.displayParts[0]).toEqual(expect.objectContaining({ type: 'svg', label: 'Clock face' }));
+        expect(problem.displayParts[0].svg).toBe(TimeProblems.renderClockFace(problem.clock));
+        expect(problem.displayParts[1]).toEqual({ type: 'text', text: problem.displayText });
+    });
+
+    test('says which half of a wrong time was right', () => {
+        const problem = generate(1, 0);
+        const { hours, minutes } = problem.correctAnswer;
+        const wrongHour = TimeProblems.formatTime({ hours: hours % 12 + 1, minutes });
+
+        expect(MathEngine.evaluateAnswer(TimeProblems.formatTime(problem.correctAnswer), problem).correct).toBe(true);
+        expect(MathEngine.evaluateAnswer(wrongHour, problem).parts).toEqual({ hours: false, minutes: true });
+        expect(MathEngine.evaluateAnswer('3:5', problem).reason).toBe('invalid');
+        expect(MathEngine.formatAnswer(problem)).toBe(TimeProblems.formatTime(problem.correctAnswer));
+    });
+
+    test('worked solutions read the clock, then count on', () => {
+        const read = MathEngine.getWorkedSolution(MathEngine.generateProblem('time', 1, { seed: 'read' }));
+        expect(read.method).toBe('read-clock');
+        expect(read.steps[0]).toMatch(/hour hand/);
+
+        let elapsed;
+        for (let i = 0; !elapsed; i++) {
+            const problem = generate(2, i);
+            elapsed = problem.timeKind === 'elapsed' ? problem : null;
+        }
+        const solution = MathEngine.getWorkedSolution(elapsed);
+        expect(solution.method).toBe('count-on-time');
+        expect(solution.steps[solution.steps.length - 1])
+            .toMatch(new RegExp(`it is ${TimeProblems.formatTime(elapsed.correctAnswer)}\\.$`));
+    });
+
+    test('multiple choice offers the ways a clock gets misread', () => {
+        const clock = { hours: 3, minutes: 20 };
+        const read = { ...generate(2, 0), clock, elapsed: 0, precision: 5, correctAnswer: clock };
+        const elapsed = { ...read, elapsed: 15, correctAnswer: { hours: 3, minutes: 35 } };
+        const mistakes = problem => Object.fromEntries(MathEngine.generateChoices(problem, { seed: 'clock' })
+            .filter(choice => choice.mistake)
+            .map(choice => [choice.mistake, choice.text]));
+
+        expect(mistakes(read)).toEqual(expect.objectContaining({
+            'minute-number': '3:04', 'swapped-hands': '4:15', 'next-hour': '4:20'
+        }));
+        expect(mistakes(elapsed)).toEqual(expect.objectContaining({ 'next-hour': '4:35', 'went-backwards': '3:05' }));
+        expect(mistakes(elapsed)).not.toHaveProperty('swapped-hands');
+    });
+
+    test('elapsed time crossing the hour scores as more complex', () => {
+        const base = { type: 'time', precision: 15, clock: { hours: 3, minutes: 45 } };
+        const read = MathEngine.getProblemComplexity({ ...base, elapsed: 0 });
+        const crossing = MathEngine.getProblemComplexity({ ...base, elapsed: 30 });
+
+        expect(crossing.tags).toEqual(['elapsed', 'crosses-hour']);
+        expect(crossing.score).toBeGreaterThan(read.score);
+    });
+
+    test('reading a clock and counting on from it are different problems', () => {
+        const read = generate(2, 3, { time: { ...TimeProblems.LEVELS[2], kinds: ['read'] } });
+        const elapsed = { ...read, elapsed: 15 };
+
+        expect(MathEngine.getProblemKey(elapsed)).not.toBe(MathEngine.getProblemKey(read));
+        expect(MathEngine.getProblemKey({ ...read, displayText: 'What time is it?' })).toBe(MathEngine.getProblemKey(read));
+        expect(MathEngine.getProblemPoolSize('time', 1)).toBe(24);
+        expect(MathEngine.getProblemPoolSize('time', 2)).toBe(720);
+    });
+});